@@ -7,12 +7,20 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
-const { initializeDatabase, addSampleData } = require('./src/database/init');
+const { runMigrationsOnStartup } = require('./src/database/migrator');
+const { createDefaultAdmin, addSampleData } = require('./src/database/seed');
+const { startCalendarSync } = require('./src/jobs/calendarSync');
+const { UPLOADS_DIR } = require('./src/storage/backends/local');
+const { getStorage } = require('./src/storage');
 
 // Import routes (we'll create these next)
 const apartmentRoutes = require('./src/routes/apartments');
 const authRoutes = require('./src/routes/auth');
+const bookingRequestRoutes = require('./src/routes/bookingRequests');
+const reviewRoutes = require('./src/routes/reviews');
+const adminUserRoutes = require('./src/routes/adminUsers');
+const auditRoutes = require('./src/routes/audit');
+const mediaRoutes = require('./src/routes/media');
 
 // Create Express app (like creating your React app)
 const app = express();
@@ -24,6 +32,14 @@ const PORT = process.env.PORT || 5000;
 // MIDDLEWARE (Think of these as "global hooks" that run before routes)
 // ===========================
 
+// Behind a reverse proxy (nginx, Render, Heroku...) req.ip would be the proxy's address,
+// which would make the per-IP login limits useless. TRUST_PROXY tells Express to use
+// X-Forwarded-For instead: e.g. TRUST_PROXY=1 for one proxy hop
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // 1. CORS - Allows frontend to communicate with backend
 // Like saying "React app at localhost:5173 can talk to me"
 app.use(cors({
@@ -38,9 +54,9 @@ app.use(express.json());
 // 3. URL-encoded Parser - Handles form submissions
 app.use(express.urlencoded({ extended: true }));
 
-// 4. Static Files - Serve uploaded images/videos
+// 4. Static Files - Serve uploaded images/videos (when MEDIA_STORAGE is "local" - see src/storage)
 // Like the 'public' folder in React
-app.use('/uploads', express.static(path.join(__dirname, 'src/uploads')));
+app.use('/uploads', express.static(UPLOADS_DIR));
 
 // ===========================
 // ROUTES (Like React Router routes)
@@ -57,7 +73,12 @@ app.get('/api/health', (req, res) => {
 
 // Mount route handlers
 app.use('/api/apartments', apartmentRoutes);
+app.use('/api/admin/users', adminUserRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/admin/media', mediaRoutes);
 app.use('/api/admin', authRoutes);
+app.use('/api/booking-requests', bookingRequestRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // 404 handler - catches all undefined routes
 app.use((req, res) => {
@@ -80,12 +101,23 @@ app.use((err, req, res, next) => {
 // INITIALIZE DATABASE & START SERVER
 // ===========================
 
-// Initialize database tables and admin user
-initializeDatabase();
+// Bring the database schema up to date (or refuse to start in production if it isn't -
+// see src/database/migrator.js), then make sure there's an admin to log in with
+try {
+  runMigrationsOnStartup();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
+createDefaultAdmin();
 
 // Uncomment this line to add sample data for testing
 // addSampleData();
 
+// Start pulling external iCal feeds (Airbnb, Booking.com) into our bookings
+startCalendarSync();
+
 // Start the server
 app.listen(PORT, () => {
   console.log('');
@@ -94,7 +126,7 @@ app.listen(PORT, () => {
   console.log('   ====================================');
   console.log(`   🌐 Server running on: http://localhost:${PORT}`);
   console.log(`   📝 API Base URL: http://localhost:${PORT}/api`);
-  console.log(`   📁 Uploads folder: ${path.join(__dirname, 'src/uploads')}`);
+  console.log(`   📁 Media storage: ${getStorage().name || process.env.MEDIA_STORAGE}`);
   console.log(`   🔒 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log('   ====================================');
   console.log('');
@@ -0,0 +1,454 @@
+// src/controllers/adminUserController.js
+// Managing the people who can log into the admin dashboard (owners only)
+// Every admin has a role - see src/utils/roles.js for what each role can do
+
+const db = require('../database/db');
+const bcrypt = require('bcryptjs');
+const { ADMIN_ROLES } = require('../utils/roles');
+const { validatePassword } = require('../utils/passwords');
+const { revokeAdminSessions } = require('../utils/sessions');
+const { clearLoginFailures, isUsernameLocked } = require('../utils/loginThrottle');
+const { clearTwoFactor } = require('../utils/twoFactor');
+const { recordAudit } = require('../utils/audit');
+
+// Never send password hashes back to the frontend
+const ADMIN_USER_COLUMNS = 'id, username, role, email, must_change_password, password_changed_at, totp_enabled, created_at';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * An admin as it appears in API responses and the activity log (no password hash)
+ */
+function findAdminUser(id) {
+  return db.prepare(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = ?`).get(id);
+}
+
+/**
+ * Check a username/password/role/email from the request body
+ * Only checks the fields that were sent, so it works for both create and update
+ * @returns {string|null} Error message, or null if everything is fine
+ */
+function validateAdminFields({ username, password, role, email }) {
+  if (username !== undefined && !/^[a-zA-Z0-9_.-]{3,50}$/.test(String(username).trim())) {
+    return 'Username must be 3-50 characters: letters, numbers, dots, dashes or underscores';
+  }
+
+  if (password !== undefined) {
+    const passwordError = validatePassword(password);
+    if (passwordError) return passwordError;
+  }
+
+  if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+    return `Role must be one of: ${ADMIN_ROLES.join(', ')}`;
+  }
+
+  // Email is optional (it's where password reset links go), but must look like one
+  if (email && !EMAIL_PATTERN.test(String(email).trim())) {
+    return 'Please enter a valid email address';
+  }
+
+  return null;
+}
+
+/**
+ * Is this email already used by a different admin?
+ * Reset links are looked up by email, so two admins can't share one
+ */
+function emailTaken(email, exceptId = null) {
+  if (!email) return false;
+  return Boolean(db.prepare(`
+    SELECT id FROM admin_users WHERE lower(email) = lower(?) AND id IS NOT ?
+  `).get(String(email).trim(), exceptId));
+}
+
+function countOwners() {
+  return db.prepare(`SELECT COUNT(*) as count FROM admin_users WHERE role = 'owner'`).get().count;
+}
+
+/**
+ * GET ALL ADMIN USERS
+ * Protected - owner only
+ */
+function getAdminUsers(req, res) {
+  try {
+    const admins = db.prepare(`
+      SELECT ${ADMIN_USER_COLUMNS}
+      FROM admin_users
+      ORDER BY created_at ASC, id ASC
+    `).all().map(admin => ({ ...admin, locked: isUsernameLocked(admin.username) }));
+
+    res.json({
+      success: true,
+      count: admins.length,
+      admins
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      error: 'Failed to fetch admins',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * CREATE ADMIN USER
+ * Protected - owner only
+ * Body: { "username": "ada", "password": "at-least-8-chars", "role": "staff", "email": "ada@example.com" }
+ *
+ * The password is temporary - the new admin has to change it when they first log in
+ */
+async function createAdminUser(req, res) {
+  try {
+    const { username, password, role = 'staff', email } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Username and password are required'
+      });
+    }
+
+    const validationError = validateAdminFields({ username, password, role, email });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid admin details',
+        message: validationError
+      });
+    }
+
+    const cleanUsername = String(username).trim();
+
+    if (emailTaken(email)) {
+      return res.status(409).json({
+        error: 'Email taken',
+        message: 'Another admin already uses that email address'
+      });
+    }
+
+    const existing = db.prepare('SELECT id FROM admin_users WHERE username = ?').get(cleanUsername);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Username taken',
+        message: `An admin called "${cleanUsername}" already exists`
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const created = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO admin_users (username, password, role, email, must_change_password)
+        VALUES (?, ?, ?, ?, 1)
+      `).run(cleanUsername, hashedPassword, role, email ? String(email).trim() : null);
+
+      const newAdmin = findAdminUser(result.lastInsertRowid);
+      recordAudit(req, {
+        action: 'admin_user.create',
+        entityType: 'admin_user',
+        entityId: newAdmin.id,
+        after: newAdmin
+      });
+
+      return newAdmin;
+    })();
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      admin: created
+    });
+
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(500).json({
+      error: 'Failed to create admin',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * UPDATE ADMIN USER
+ * Protected - owner only
+ * Body: any of { "username", "password", "role", "email" }
+ *
+ * There must always be at least one owner left, otherwise nobody could manage admins
+ * A password set here for someone else is temporary - they have to change it on their next login
+ */
+async function updateAdminUser(req, res) {
+  try {
+    const { userId } = req.params;
+    const { username, password, role, email } = req.body;
+
+    const admin = db.prepare('SELECT * FROM admin_users WHERE id = ?').get(userId);
+    if (!admin) {
+      return res.status(404).json({
+        error: 'Admin not found',
+        message: `No admin found with ID: ${userId}`
+      });
+    }
+
+    const validationError = validateAdminFields({ username, password, role, email });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid admin details',
+        message: validationError
+      });
+    }
+
+    if (emailTaken(email, admin.id)) {
+      return res.status(409).json({
+        error: 'Email taken',
+        message: 'Another admin already uses that email address'
+      });
+    }
+
+    const cleanUsername = username !== undefined ? String(username).trim() : admin.username;
+
+    if (cleanUsername !== admin.username) {
+      const existing = db.prepare('SELECT id FROM admin_users WHERE username = ?').get(cleanUsername);
+      if (existing) {
+        return res.status(409).json({
+          error: 'Username taken',
+          message: `An admin called "${cleanUsername}" already exists`
+        });
+      }
+    }
+
+    const hashedPassword = password !== undefined ? await bcrypt.hash(password, 10) : admin.password;
+    const cleanEmail = email !== undefined ? (String(email || '').trim() || null) : admin.email;
+
+    // Your own new password is final; one set for someone else is only temporary
+    const mustChangePassword = password !== undefined
+      ? (admin.id === req.admin.id ? 0 : 1)
+      : admin.must_change_password;
+
+    const adminBefore = findAdminUser(admin.id);
+
+    // Count owners and save in one transaction so two demotions can't both slip through
+    const saveAdmin = db.transaction(() => {
+      if (admin.role === 'owner' && role && role !== 'owner' && countOwners() <= 1) {
+        return false;
+      }
+
+      db.prepare(`
+        UPDATE admin_users
+        SET username = ?, password = ?, role = ?, email = ?, must_change_password = ?,
+            password_changed_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE password_changed_at END
+        WHERE id = ?
+      `).run(
+        cleanUsername,
+        hashedPassword,
+        role || admin.role,
+        cleanEmail,
+        mustChangePassword,
+        password !== undefined ? 1 : 0,
+        userId
+      );
+
+      // A new password signs the admin out everywhere (except the owner's own current session)
+      if (password !== undefined) {
+        revokeAdminSessions(admin.id, req.admin.sessionId);
+      }
+
+      // A new password shows up as password_changed_at - the hash itself is never logged
+      recordAudit(req, {
+        action: 'admin_user.update',
+        entityType: 'admin_user',
+        entityId: admin.id,
+        before: adminBefore,
+        after: findAdminUser(admin.id)
+      });
+
+      return true;
+    });
+
+    if (!saveAdmin()) {
+      return res.status(409).json({
+        error: 'Last owner',
+        message: 'There must always be at least one owner - make someone else an owner first'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Admin updated successfully',
+      admin: findAdminUser(userId)
+    });
+
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    res.status(500).json({
+      error: 'Failed to update admin',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * DELETE ADMIN USER
+ * Protected - owner only
+ * You can't delete your own account, or the last owner
+ */
+function deleteAdminUser(req, res) {
+  try {
+    const { userId } = req.params;
+
+    if (Number(userId) === req.admin.id) {
+      return res.status(400).json({
+        error: 'Cannot delete yourself',
+        message: 'Ask another owner to remove your account'
+      });
+    }
+
+    const admin = findAdminUser(userId);
+    if (!admin) {
+      return res.status(404).json({
+        error: 'Admin not found',
+        message: `No admin found with ID: ${userId}`
+      });
+    }
+
+    const removeAdmin = db.transaction(() => {
+      if (admin.role === 'owner' && countOwners() <= 1) {
+        return false;
+      }
+
+      db.prepare('DELETE FROM admin_users WHERE id = ?').run(userId);
+
+      recordAudit(req, {
+        action: 'admin_user.delete',
+        entityType: 'admin_user',
+        entityId: admin.id,
+        before: admin
+      });
+
+      return true;
+    });
+
+    if (!removeAdmin()) {
+      return res.status(409).json({
+        error: 'Last owner',
+        message: 'There must always be at least one owner'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Admin deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting admin user:', error);
+    res.status(500).json({
+      error: 'Failed to delete admin',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * UNLOCK ADMIN USER
+ * Protected - owner only
+ * Clears the failed-login count, so an admin who got locked out can try again straight away
+ * (a lockout of their IP address still runs out on its own)
+ */
+function unlockAdminUser(req, res) {
+  try {
+    const { userId } = req.params;
+
+    const admin = db.prepare('SELECT id, username FROM admin_users WHERE id = ?').get(userId);
+    if (!admin) {
+      return res.status(404).json({
+        error: 'Admin not found',
+        message: `No admin found with ID: ${userId}`
+      });
+    }
+
+    db.transaction(() => {
+      clearLoginFailures(admin.username);
+
+      recordAudit(req, {
+        action: 'admin_user.unlock',
+        entityType: 'admin_user',
+        entityId: admin.id,
+        after: { username: admin.username }
+      });
+    })();
+
+    res.json({
+      success: true,
+      message: `${admin.username} can log in again`
+    });
+
+  } catch (error) {
+    console.error('Error unlocking admin user:', error);
+    res.status(500).json({
+      error: 'Failed to unlock admin',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * RESET TWO-FACTOR
+ * Protected - owner only
+ * For an admin who lost their phone and their recovery codes: turns 2FA off so they can log in
+ * with just their password (and set it up again). Their sessions are ended to be safe.
+ */
+function resetAdminTwoFactor(req, res) {
+  try {
+    const { userId } = req.params;
+
+    const admin = db.prepare('SELECT id, username, totp_enabled FROM admin_users WHERE id = ?').get(userId);
+    if (!admin) {
+      return res.status(404).json({
+        error: 'Admin not found',
+        message: `No admin found with ID: ${userId}`
+      });
+    }
+
+    if (!admin.totp_enabled) {
+      return res.status(400).json({
+        error: 'Two-factor not enabled',
+        message: `${admin.username} doesn't use two-factor authentication`
+      });
+    }
+
+    db.transaction(() => {
+      clearTwoFactor(admin.id);
+      revokeAdminSessions(admin.id, req.admin.sessionId);
+
+      recordAudit(req, {
+        action: 'admin_user.reset_2fa',
+        entityType: 'admin_user',
+        entityId: admin.id,
+        before: { username: admin.username, totp_enabled: true },
+        after: { username: admin.username, totp_enabled: false }
+      });
+    })();
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication turned off for ${admin.username}`
+    });
+
+  } catch (error) {
+    console.error('Error resetting two-factor:', error);
+    res.status(500).json({
+      error: 'Failed to reset two-factor authentication',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  getAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  deleteAdminUser,
+  unlockAdminUser,
+  resetAdminTwoFactor
+};
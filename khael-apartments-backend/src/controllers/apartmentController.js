@@ -3,52 +3,142 @@
 // Think of these as event handlers in React that update state/database
 
 const db = require('../database/db');
-const fs = require('fs').promises;
-const path = require('path');
+const { isValidDate, today } = require('../utils/dates');
+const { BOOKED_ON_DATE_SQL } = require('../utils/bookings');
+const { parseApartmentSearch } = require('../utils/apartmentSearch');
+const { validateCoordinates, toCoordinate } = require('../utils/geo');
+const { RATING_SUMMARY_JOIN, RATING_SUMMARY_SELECT, formatRatings } = require('../utils/reviews');
+const { ROLE_ACCESS, PRICE_FIELDS } = require('../utils/roles');
+const { apartmentSnapshot, recordAudit } = require('../utils/audit');
+const { saveRevision, ensureRevisionHistory } = require('../utils/revisions');
+const { deleteMediaFile, getPosterFile } = require('../storage');
+const { formatImage } = require('../utils/images');
+
+/**
+ * Load images and videos for a list of apartments
+ * Two queries in total (instead of two per apartment), then grouped by apartment_id
+ * @returns {Object} { images: { [apartmentId]: [...] }, videos: { [apartmentId]: [...] } }
+ */
+function getMediaForApartments(apartmentIds) {
+  const media = { images: {}, videos: {} };
+  if (apartmentIds.length === 0) return media;
+
+  const placeholders = apartmentIds.map(() => '?').join(', ');
+
+  db.prepare(`
+    SELECT * FROM apartment_images
+    WHERE apartment_id IN (${placeholders})
+    ORDER BY is_primary DESC, display_order ASC
+  `).all(...apartmentIds).forEach(image => {
+    if (!media.images[image.apartment_id]) media.images[image.apartment_id] = [];
+    media.images[image.apartment_id].push(formatImage(image));
+  });
+
+  db.prepare(`
+    SELECT * FROM apartment_videos
+    WHERE apartment_id IN (${placeholders})
+    ORDER BY display_order ASC, id ASC
+  `).all(...apartmentIds).forEach(video => {
+    if (!media.videos[video.apartment_id]) media.videos[video.apartment_id] = [];
+    media.videos[video.apartment_id].push(video);
+  });
+
+  return media;
+}
+
+/**
+ * How many guest stays haven't finished yet (admin blocks don't count)
+ */
+function countFutureBookings(apartmentId) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM bookings
+    WHERE apartment_id = ? AND status = 'confirmed' AND check_out > ?
+  `).get(apartmentId, today()).count;
+}
 
 /**
  * GET ALL APARTMENTS
  * Public - anyone can view apartments
  * Like fetching data in useEffect() and setting state
+ *
+ * Search, filters, sorting and pagination all come from the query string -
+ * see src/utils/apartmentSearch.js for the full list of parameters
+ *
+ * Availability comes from the bookings table, not a manual flag:
+ * an apartment is "available" when nothing is booked on ?date=YYYY-MM-DD (defaults to today)
  */
 function getAllApartments(req, res) {
   try {
-    // Check if request is from admin (has Authorization header)
-    const isAdmin = req.headers.authorization && req.headers.authorization.startsWith('Bearer');
+    const date = req.query.date || today();
 
-    // If admin, show all apartments; if public, show only available ones
-    const query = isAdmin 
-      ? 'SELECT * FROM apartments ORDER BY created_at DESC'
-      : 'SELECT * FROM apartments WHERE available = 1 ORDER BY created_at DESC';
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'date must be in YYYY-MM-DD format'
+      });
+    }
 
-    const apartments = db.prepare(query).all();
+    const search = parseApartmentSearch(req.query);
+    if (search.error) {
+      return res.status(400).json({
+        error: 'Invalid search',
+        message: search.error
+      });
+    }
 
-    // For each apartment, get its images and videos
-    const apartmentsWithMedia = apartments.map(apt => {
-      const images = db.prepare(`
-        SELECT * FROM apartment_images 
-        WHERE apartment_id = ? 
-        ORDER BY is_primary DESC, display_order ASC
-      `).all(apt.id);
+    const { join, columns, columnValues, where, values, orderBy, page, limit } = search;
+
+    const total = db.prepare(`
+      SELECT COUNT(*) as count FROM apartments a ${join} ${where}
+    `).get(...values).count;
+
+    // When searching (?q=...), each row also gets a highlighted "snippet",
+    // and with ?near=... a "distance_km"
+    const apartments = db.prepare(`
+      SELECT a.*, ${BOOKED_ON_DATE_SQL} AS booked, ${RATING_SUMMARY_SELECT} ${columns}
+      FROM apartments a
+      ${RATING_SUMMARY_JOIN}
+      ${join}
+      ${where}
+      ORDER BY ${orderBy}
+      ${limit ? 'LIMIT ? OFFSET ?' : ''}
+    `).all(date, date, ...columnValues, ...values, ...(limit ? [limit, (page - 1) * limit] : []));
 
-      const videos = db.prepare(`
-        SELECT * FROM apartment_videos 
-        WHERE apartment_id = ?
-      `).all(apt.id);
+    // Price bounds across every listed apartment, so the frontend can size its price slider
+    const priceRange = db.prepare(`
+      SELECT MIN(price_per_night) as min, MAX(price_per_night) as max FROM apartments
+      WHERE deleted_at IS NULL
+    `).get();
+
+    const { images, videos } = getMediaForApartments(apartments.map(apt => apt.id));
+
+    const apartmentsWithMedia = apartments.map(apt => {
+      const { rest, ratings } = formatRatings(apt);
+      const { booked, ...apartment } = rest;
 
       return {
-        ...apt,
-        available: Boolean(apt.available),
+        ...apartment,
+        available: !booked,
+        ratings,
         featured: Boolean(apt.featured),
         amenities: apt.amenities ? JSON.parse(apt.amenities) : [],
-        images,
-        videos
+        images: images[apt.id] || [],
+        videos: videos[apt.id] || []
       };
     });
 
     res.json({
       success: true,
+      date,
       count: apartmentsWithMedia.length,
+      total,
+      page,
+      limit,
+      totalPages: limit ? Math.ceil(total / limit) : 1,
+      priceRange: {
+        min: priceRange.min || 0,
+        max: priceRange.max || 0
+      },
       apartments: apartmentsWithMedia
     });
 
@@ -63,14 +153,20 @@ function getAllApartments(req, res) {
 
 /**
  * GET SINGLE APARTMENT BY ID
- * Public - anyone can view apartment details
+ * Public - anyone can view apartment details (archived ones are a 404)
  */
 function getApartmentById(req, res) {
   try {
     const { id } = req.params;
 
-    // Get apartment details
-    const apartment = db.prepare('SELECT * FROM apartments WHERE id = ?').get(id);
+    // Get apartment details (and whether it's booked today)
+    const date = today();
+    const apartment = db.prepare(`
+      SELECT a.*, ${BOOKED_ON_DATE_SQL} AS booked, ${RATING_SUMMARY_SELECT}
+      FROM apartments a
+      ${RATING_SUMMARY_JOIN}
+      WHERE a.id = ? AND a.deleted_at IS NULL
+    `).get(date, date, id);
 
     if (!apartment) {
       return res.status(404).json({ 
@@ -84,19 +180,24 @@ function getApartmentById(req, res) {
       SELECT * FROM apartment_images 
       WHERE apartment_id = ? 
       ORDER BY is_primary DESC, display_order ASC
-    `).all(id);
+    `).all(id).map(formatImage);
 
     // Get videos
     const videos = db.prepare(`
       SELECT * FROM apartment_videos 
       WHERE apartment_id = ?
+      ORDER BY display_order ASC, id ASC
     `).all(id);
 
+    const { rest, ratings } = formatRatings(apartment);
+    const { booked, ...details } = rest;
+
     res.json({
       success: true,
       apartment: {
-        ...apartment,
-        available: Boolean(apartment.available),
+        ...details,
+        available: !booked,
+        ratings,
         featured: Boolean(apartment.featured),
         amenities: apartment.amenities ? JSON.parse(apartment.amenities) : [],
         images,
@@ -117,6 +218,7 @@ function getApartmentById(req, res) {
  * CREATE NEW APARTMENT
  * Protected - admin only
  * Like adding a new item to an array in state
+ * Written to the activity log (audit_log)
  */
 function createApartment(req, res) {
   try {
@@ -130,9 +232,12 @@ function createApartment(req, res) {
       address,
       city,
       state,
-      available = true,
       featured = false,
-      amenities = []
+      amenities = [],
+      cleaning_fee = 0,
+      caution_deposit = 0,
+      latitude,
+      longitude
     } = req.body;
 
     // Validate required fields
@@ -143,6 +248,14 @@ function createApartment(req, res) {
       });
     }
 
+    const coordinatesError = validateCoordinates(latitude, longitude);
+    if (coordinatesError) {
+      return res.status(400).json({
+        error: 'Invalid location',
+        message: coordinatesError
+      });
+    }
+
     // Convert amenities array to JSON string for storage
     const amenitiesJson = Array.isArray(amenities) ? JSON.stringify(amenities) : null;
 
@@ -150,34 +263,53 @@ function createApartment(req, res) {
     const stmt = db.prepare(`
       INSERT INTO apartments (
         title, description, bedrooms, bathrooms, max_guests,
-        price_per_night, address, city, state, available, featured, amenities
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        price_per_night, address, city, state, featured, amenities,
+        cleaning_fee, caution_deposit, latitude, longitude
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    const result = stmt.run(
-      title,
-      description,
-      bedrooms,
-      bathrooms,
-      max_guests,
-      price_per_night,
-      address,
-      city,
-      state,
-      available ? 1 : 0,
-      featured ? 1 : 0,
-      amenitiesJson
-    );
+    // Insert and log together, so there's never a change without its log entry
+    const newApartment = db.transaction(() => {
+      const result = stmt.run(
+        title,
+        description,
+        bedrooms,
+        bathrooms,
+        max_guests,
+        price_per_night,
+        address,
+        city,
+        state,
+        featured ? 1 : 0,
+        amenitiesJson,
+        cleaning_fee || 0,
+        caution_deposit || 0,
+        toCoordinate(latitude),
+        toCoordinate(longitude)
+      );
+
+      // Get the newly created apartment
+      const created = db.prepare('SELECT * FROM apartments WHERE id = ?').get(result.lastInsertRowid);
+
+      recordAudit(req, {
+        action: 'apartment.create',
+        entityType: 'apartment',
+        entityId: created.id,
+        apartmentId: created.id,
+        after: apartmentSnapshot(created)
+      });
 
-    // Get the newly created apartment
-    const newApartment = db.prepare('SELECT * FROM apartments WHERE id = ?').get(result.lastInsertRowid);
+      saveRevision(req, created.id, { reason: 'create' });
+
+      return created;
+    })();
 
     res.status(201).json({
       success: true,
       message: 'Apartment created successfully',
       apartment: {
         ...newApartment,
-        available: Boolean(newApartment.available),
+        available: true, // A brand new apartment has no bookings yet
         featured: Boolean(newApartment.featured),
         amenities: newApartment.amenities ? JSON.parse(newApartment.amenities) : [],
         images: [],
@@ -198,6 +330,9 @@ function createApartment(req, res) {
  * UPDATE APARTMENT
  * Protected - admin only
  * Like updating an item in an array
+ * The changed fields (old and new values) go to the activity log,
+ * and the whole listing is kept as a new revision (see src/utils/revisions.js)
+ * Archived apartments are turned away before this runs (see src/middleware/archived.js)
  */
 function updateApartment(req, res) {
   try {
@@ -214,11 +349,42 @@ function updateApartment(req, res) {
     }
 
     // Build dynamic UPDATE query based on provided fields
+    // (availability is not editable here - it comes from bookings)
     const allowedFields = [
       'title', 'description', 'bedrooms', 'bathrooms', 'max_guests',
-      'price_per_night', 'address', 'city', 'state', 'available', 'featured', 'amenities'
+      'price_per_night', 'address', 'city', 'state', 'featured', 'amenities',
+      'cleaning_fee', 'caution_deposit', 'latitude', 'longitude'
     ];
 
+    // Location is validated as a pair, using the stored value for whichever one isn't being changed
+    if ('latitude' in updates || 'longitude' in updates) {
+      const coordinatesError = validateCoordinates(
+        'latitude' in updates ? updates.latitude : existing.latitude,
+        'longitude' in updates ? updates.longitude : existing.longitude
+      );
+      if (coordinatesError) {
+        return res.status(400).json({
+          error: 'Invalid location',
+          message: coordinatesError
+        });
+      }
+    }
+
+    // Staff can edit the listing, but not its prices
+    // (the edit form sends every field, so only block prices that actually change)
+    if (!ROLE_ACCESS.bookings.includes(req.admin.role)) {
+      const changedPrices = PRICE_FIELDS.filter(field =>
+        field in updates && Number(updates[field]) !== Number(existing[field])
+      );
+
+      if (changedPrices.length > 0) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Only managers and owners can change prices (${changedPrices.join(', ')})`
+        });
+      }
+    }
+
     const updateFields = [];
     const values = [];
 
@@ -227,10 +393,12 @@ function updateApartment(req, res) {
         updateFields.push(`${key} = ?`);
         
         // Handle special cases
-        if (key === 'available' || key === 'featured') {
+        if (key === 'featured') {
           values.push(updates[key] ? 1 : 0);
         } else if (key === 'amenities') {
           values.push(Array.isArray(updates[key]) ? JSON.stringify(updates[key]) : null);
+        } else if (key === 'latitude' || key === 'longitude') {
+          values.push(toCoordinate(updates[key]));
         } else {
           values.push(updates[key]);
         }
@@ -257,17 +425,38 @@ function updateApartment(req, res) {
       WHERE id = ?
     `);
 
-    stmt.run(...values);
+    // Update, log and keep a revision together
+    db.transaction(() => {
+      ensureRevisionHistory(existing.id);
+
+      stmt.run(...values);
+
+      recordAudit(req, {
+        action: 'apartment.update',
+        entityType: 'apartment',
+        entityId: existing.id,
+        apartmentId: existing.id,
+        before: apartmentSnapshot(existing),
+        after: apartmentSnapshot(db.prepare('SELECT * FROM apartments WHERE id = ?').get(id))
+      });
+
+      saveRevision(req, existing.id, { reason: 'update' });
+    })();
 
     // Get updated apartment
-    const updated = db.prepare('SELECT * FROM apartments WHERE id = ?').get(id);
+    const date = today();
+    const { booked, ...updated } = db.prepare(`
+      SELECT a.*, ${BOOKED_ON_DATE_SQL} AS booked
+      FROM apartments a
+      WHERE a.id = ?
+    `).get(date, date, id);
 
     res.json({
       success: true,
       message: 'Apartment updated successfully',
       apartment: {
         ...updated,
-        available: Boolean(updated.available),
+        available: !booked,
         featured: Boolean(updated.featured),
         amenities: updated.amenities ? JSON.parse(updated.amenities) : []
       }
@@ -283,15 +472,15 @@ function updateApartment(req, res) {
 }
 
 /**
- * DELETE APARTMENT
- * Protected - admin only
- * Like filtering out an item from an array
+ * ARCHIVE APARTMENT (soft delete)
+ * Protected - managers and owners
+ * Hides the listing from the public site but keeps everything (photos, bookings, reviews, history),
+ * so it can be restored. Use purgeApartment to remove it for good.
  */
-async function deleteApartment(req, res) {
+function archiveApartment(req, res) {
   try {
     const { id } = req.params;
 
-    // Check if apartment exists
     const apartment = db.prepare('SELECT * FROM apartments WHERE id = ?').get(id);
     if (!apartment) {
       return res.status(404).json({ 
@@ -300,39 +489,165 @@ async function deleteApartment(req, res) {
       });
     }
 
-    // Get all images and videos to delete files from disk
-    const images = db.prepare('SELECT * FROM apartment_images WHERE apartment_id = ?').all(id);
-    const videos = db.prepare('SELECT * FROM apartment_videos WHERE apartment_id = ?').all(id);
+    if (apartment.deleted_at) {
+      return res.status(409).json({
+        error: 'Already archived',
+        message: 'This apartment is already archived'
+      });
+    }
 
-    // Delete apartment (images and videos will be auto-deleted due to CASCADE)
-    db.prepare('DELETE FROM apartments WHERE id = ?').run(id);
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE apartments SET deleted_at = CURRENT_TIMESTAMP, archived_by = ? WHERE id = ?
+      `).run(req.admin.id, id);
+
+      recordAudit(req, {
+        action: 'apartment.archive',
+        entityType: 'apartment',
+        entityId: apartment.id,
+        apartmentId: apartment.id,
+        before: { archived: false },
+        after: { archived: true }
+      });
+    })();
 
-    // Delete actual files from disk
-    const deletePromises = [];
+    // Guests who are still due to stay need sorting out before a purge
+    const futureBookings = countFutureBookings(id);
 
-    images.forEach(img => {
-      const filePath = path.join(__dirname, '..', img.image_url);
-      deletePromises.push(
-        fs.unlink(filePath).catch(err => console.log(`Could not delete ${filePath}:`, err.message))
-      );
+    res.json({
+      success: true,
+      message: futureBookings > 0
+        ? `Apartment archived. It still has ${futureBookings} upcoming booking(s).`
+        : 'Apartment archived',
+      future_bookings: futureBookings
     });
 
-    videos.forEach(vid => {
-      const filePath = path.join(__dirname, '..', vid.video_url);
-      deletePromises.push(
-        fs.unlink(filePath).catch(err => console.log(`Could not delete ${filePath}:`, err.message))
-      );
+  } catch (error) {
+    console.error('Error archiving apartment:', error);
+    res.status(500).json({ 
+      error: 'Failed to archive apartment',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * RESTORE ARCHIVED APARTMENT
+ * Protected - managers and owners
+ * Puts an archived listing back on the public site, exactly as it was
+ */
+function unarchiveApartment(req, res) {
+  try {
+    const { id } = req.params;
+
+    const apartment = db.prepare('SELECT * FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      return res.status(404).json({ 
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    if (!apartment.deleted_at) {
+      return res.status(409).json({
+        error: 'Not archived',
+        message: 'This apartment is not archived'
+      });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE apartments SET deleted_at = NULL, archived_by = NULL WHERE id = ?').run(id);
+
+      recordAudit(req, {
+        action: 'apartment.unarchive',
+        entityType: 'apartment',
+        entityId: apartment.id,
+        apartmentId: apartment.id,
+        before: { archived: true },
+        after: { archived: false }
+      });
+    })();
+
+    res.json({
+      success: true,
+      message: 'Apartment restored'
     });
 
-    await Promise.all(deletePromises);
+  } catch (error) {
+    console.error('Error restoring apartment:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore apartment',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * PURGE APARTMENT (permanent delete)
+ * Protected - managers and owners
+ * Only archived apartments can be purged - archiving first is the "are you sure?" step
+ * Removes the row (its images, videos, bookings, requests and reviews go with it via CASCADE),
+ * then deletes the photo/video files from wherever they're stored (Cloudinary or local disk)
+ * The whole listing (with its media URLs) is kept in the activity log
+ */
+async function purgeApartment(req, res) {
+  try {
+    const { id } = req.params;
+
+    const apartment = db.prepare('SELECT * FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      return res.status(404).json({ 
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    if (!apartment.deleted_at) {
+      return res.status(409).json({
+        error: 'Not archived',
+        message: 'Archive the apartment before deleting it permanently'
+      });
+    }
+
+    const images = db.prepare('SELECT * FROM apartment_images WHERE apartment_id = ?').all(id);
+    const videos = db.prepare('SELECT * FROM apartment_videos WHERE apartment_id = ?').all(id);
+    const futureBookings = countFutureBookings(id);
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM apartments WHERE id = ?').run(id);
+
+      recordAudit(req, {
+        action: 'apartment.purge',
+        entityType: 'apartment',
+        entityId: apartment.id,
+        apartmentId: apartment.id,
+        before: {
+          ...apartmentSnapshot(apartment),
+          images: images.map(img => img.image_url),
+          videos: videos.map(vid => vid.video_url),
+          future_bookings: futureBookings
+        }
+      });
+    })();
+
+    // The database is already clean, so a file that can't be deleted is only logged
+    const posters = videos.map(getPosterFile).filter(Boolean);
+    const results = await Promise.all([
+      ...images.map(img => deleteMediaFile(img)),
+      ...videos.map(vid => deleteMediaFile(vid)),
+      ...posters.map(poster => deleteMediaFile(poster))
+    ]);
 
     res.json({
       success: true,
-      message: 'Apartment deleted successfully'
+      message: 'Apartment deleted permanently',
+      media_deleted: results.filter(Boolean).length,
+      media_failed: results.filter(deleted => !deleted).length,
+      future_bookings_removed: futureBookings
     });
 
   } catch (error) {
-    console.error('Error deleting apartment:', error);
+    console.error('Error purging apartment:', error);
     res.status(500).json({ 
       error: 'Failed to delete apartment',
       message: error.message
@@ -340,35 +655,98 @@ async function deleteApartment(req, res) {
   }
 }
 
+/**
+ * GET ARCHIVED APARTMENTS
+ * Protected - admin only
+ * Newest archived first, with who archived them
+ * and how many guest stays are still to come (counted in one grouped query, same rule as countFutureBookings)
+ */
+function getArchivedApartments(req, res) {
+  try {
+    const apartments = db.prepare(`
+      SELECT a.*, au.username AS archived_by_username, COALESCE(fb.count, 0) AS future_bookings
+      FROM apartments a
+      LEFT JOIN admin_users au ON au.id = a.archived_by
+      LEFT JOIN (
+        SELECT apartment_id, COUNT(*) AS count FROM bookings
+        WHERE status = 'confirmed' AND check_out > ?
+        GROUP BY apartment_id
+      ) fb ON fb.apartment_id = a.id
+      WHERE a.deleted_at IS NOT NULL
+      ORDER BY a.deleted_at DESC, a.id DESC
+    `).all(today());
+
+    const { images, videos } = getMediaForApartments(apartments.map(apt => apt.id));
+
+    res.json({
+      success: true,
+      count: apartments.length,
+      apartments: apartments.map(apt => ({
+        ...apt,
+        featured: Boolean(apt.featured),
+        amenities: apt.amenities ? JSON.parse(apt.amenities) : [],
+        images: images[apt.id] || [],
+        videos: videos[apt.id] || []
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching archived apartments:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch archived apartments',
+      message: error.message
+    });
+  }
+}
+
 /**
  * GET DASHBOARD STATISTICS
  * Protected - admin only
+ * Available/reserved counts are for ?date=YYYY-MM-DD (defaults to today)
  */
 function getStatistics(req, res) {
   try {
-    // Total apartments
-    const totalApartments = db.prepare('SELECT COUNT(*) as count FROM apartments').get().count;
-    
-    // Available apartments
-    const availableApartments = db.prepare('SELECT COUNT(*) as count FROM apartments WHERE available = 1').get().count;
+    const date = req.query.date || today();
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'date must be in YYYY-MM-DD format'
+      });
+    }
+
+    // Total apartments (archived ones are counted separately)
+    const totalApartments = db.prepare('SELECT COUNT(*) as count FROM apartments WHERE deleted_at IS NULL').get().count;
+    const archivedApartments = db.prepare('SELECT COUNT(*) as count FROM apartments WHERE deleted_at IS NOT NULL').get().count;
     
-    // Reserved apartments
-    const reservedApartments = db.prepare('SELECT COUNT(*) as count FROM apartments WHERE available = 0').get().count;
+    // Reserved apartments (someone is staying, or the admin blocked the date)
+    const reservedApartments = db.prepare(`
+      SELECT COUNT(*) as count FROM apartments a WHERE a.deleted_at IS NULL AND ${BOOKED_ON_DATE_SQL}
+    `).get(date, date).count;
+
+    // Available apartments (everything that isn't reserved)
+    const availableApartments = totalApartments - reservedApartments;
     
     // Total images
-    const totalImages = db.prepare('SELECT COUNT(*) as count FROM apartment_images').get().count;
+    const totalImages = db.prepare(`
+      SELECT COUNT(*) as count FROM apartment_images i
+      JOIN apartments a ON a.id = i.apartment_id
+      WHERE a.deleted_at IS NULL
+    `).get().count;
     
     // Featured apartments
-    const featuredApartments = db.prepare('SELECT COUNT(*) as count FROM apartments WHERE featured = 1').get().count;
+    const featuredApartments = db.prepare('SELECT COUNT(*) as count FROM apartments WHERE featured = 1 AND deleted_at IS NULL').get().count;
 
     res.json({
       success: true,
       statistics: {
+        date,
         totalApartments,
         availableApartments,
         reservedApartments,
         totalImages,
-        featuredApartments
+        featuredApartments,
+        archivedApartments
       }
     });
 
@@ -386,6 +764,9 @@ module.exports = {
   getApartmentById,
   createApartment,
   updateApartment,
-  deleteApartment,
+  archiveApartment,
+  unarchiveApartment,
+  purgeApartment,
+  getArchivedApartments,
   getStatistics
 };
\ No newline at end of file
@@ -0,0 +1,115 @@
+// src/controllers/auditController.js
+// The activity log - who changed which apartment, booking or price, and when
+// Entries are written by recordAudit() (src/utils/audit.js) wherever something changes
+
+const db = require('../database/db');
+const { isValidDate, addDays } = require('../utils/dates');
+const { AUDIT_ACTIONS } = require('../utils/audit');
+
+const AUDIT_LOG_MAX_LIMIT = 200;
+
+/**
+ * GET AUDIT LOG
+ * Protected - managers and owners
+ * Query (all optional):
+ *   ?admin_id=2  ?action=apartment.update  ?entity_type=apartment  ?entity_id=5
+ *   ?apartment_id=5  ?from=YYYY-MM-DD  ?to=YYYY-MM-DD (inclusive)  ?page=1  ?limit=50
+ */
+function getAuditLog(req, res) {
+  try {
+    const { admin_id, action, entity_type, entity_id, apartment_id, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(AUDIT_LOG_MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: `action must be one of: ${AUDIT_ACTIONS.join(', ')}`
+      });
+    }
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from and to must be in YYYY-MM-DD format'
+      });
+    }
+
+    const conditions = [];
+    const values = [];
+
+    // Simple "column = value" filters
+    [
+      ['l.admin_id', admin_id],
+      ['l.action', action],
+      ['l.entity_type', entity_type],
+      ['l.entity_id', entity_id],
+      ['l.apartment_id', apartment_id]
+    ].forEach(([column, value]) => {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        values.push(value);
+      }
+    });
+
+    if (from) {
+      conditions.push('l.created_at >= ?');
+      values.push(from);
+    }
+
+    // "to" includes the whole day
+    if (to) {
+      conditions.push('l.created_at < ?');
+      values.push(addDays(to, 1));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM audit_log l ${where}`).get(...values).count;
+
+    // The apartment's current title, for display (null once the apartment is deleted)
+    const entries = db.prepare(`
+      SELECT l.*, a.title AS apartment_title
+      FROM audit_log l
+      LEFT JOIN apartments a ON a.id = l.apartment_id
+      ${where}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...values, limit, (page - 1) * limit).map(({ before_data, after_data, ...entry }) => ({
+      ...entry,
+      before: before_data ? JSON.parse(before_data) : null,
+      after: after_data ? JSON.parse(after_data) : null
+    }));
+
+    // Everyone who appears in the log, for the "filter by admin" dropdown
+    const admins = db.prepare(`
+      SELECT admin_id AS id, admin_username AS username
+      FROM audit_log
+      WHERE admin_id IS NOT NULL
+      GROUP BY admin_id
+      ORDER BY admin_username
+    `).all();
+
+    res.json({
+      success: true,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      actions: AUDIT_ACTIONS,
+      admins,
+      entries
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit log',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  getAuditLog
+};
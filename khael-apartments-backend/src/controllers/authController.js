@@ -4,17 +4,126 @@
 
 const db = require('../database/db');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { sendMail } = require('../mail');
+const {
+  RESET_TOKEN_TTL_MINUTES,
+  validatePassword,
+  generateResetToken,
+  hashResetToken
+} = require('../utils/passwords');
+const {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeAdminSessions
+} = require('../utils/sessions');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  LOGIN_THROTTLE_CONFIG
+} = require('../utils/loginThrottle');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  replaceRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  useTotpCode,
+  clearTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+} = require('../utils/twoFactor');
+
+const LOGIN_LOG_MAX_LIMIT = 200;
+
+// Compared against when the username doesn't exist, so both cases take as long
+// (otherwise the response time would give away which usernames are real)
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+/**
+ * Write a row to the login log (login_attempts)
+ * reason: success, recovery_code, unknown_user, wrong_password, wrong_2fa_code, backoff or locked_out
+ */
+function recordLoginAttempt(req, { username, adminId = null, success, reason }) {
+  db.prepare(`
+    INSERT INTO login_attempts (username, admin_id, ip_address, user_agent, success, reason)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    username ? String(username).slice(0, 100) : null,
+    adminId,
+    req.ip || null,
+    req.get('user-agent') || null,
+    success ? 1 : 0,
+    reason
+  );
+}
+
+/**
+ * Send a 429 with a Retry-After header (seconds), the standard way to say "slow down"
+ */
+function sendTooManyAttempts(res, retryAfterSeconds) {
+  const minutes = Math.ceil(retryAfterSeconds / 60);
+
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Too many login attempts',
+    message: retryAfterSeconds > 60
+      ? `Too many failed attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}`
+      : `Please wait ${retryAfterSeconds} second${retryAfterSeconds === 1 ? '' : 's'} before trying again`,
+    retry_after: retryAfterSeconds
+  });
+}
+
+/**
+ * Finish a successful login: log it, start a session and send the tokens back
+ * Shared by the password step and the two-factor step
+ */
+function sendLoginSuccess(req, res, admin, extra = {}) {
+  clearLoginFailures(admin.username);
+  recordLoginAttempt(req, {
+    username: admin.username,
+    adminId: admin.id,
+    success: true,
+    reason: extra.recovery_codes_remaining !== undefined ? 'recovery_code' : 'success'
+  });
+
+  // Start a session (see src/utils/sessions.js)
+  // The access token expires after a few minutes; the refresh token gets a new one
+  const { token, refresh_token } = createSession(admin, req);
+
+  // Send success response with token
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token: token,
+    refresh_token,
+    admin: {
+      id: admin.id,
+      username: admin.username,
+      role: admin.role
+    },
+    // true on first login with a default/temporary password - the frontend asks for a new one
+    must_change_password: Boolean(admin.must_change_password),
+    ...extra
+  });
+}
 
 /**
  * Admin Login
  * 
  * Process (like a React form submission):
  * 1. Get username & password from request body
- * 2. Find admin user in database
- * 3. Compare password with stored hash
- * 4. If correct, generate a JWT token
- * 5. Send token back to frontend
+ * 2. Check this IP/username isn't in a backoff or lockout (brute-force protection)
+ * 3. Find admin user in database
+ * 4. Compare password with stored hash
+ * 5. If the admin has two-factor authentication on, send a challenge instead - they finish at /login/2fa
+ * 6. Otherwise start a session: a short-lived JWT access token + a refresh token
+ * 7. Send both back to frontend
+ *
+ * Every attempt is written to the login log
  */
 async function login(req, res) {
   try {
@@ -28,49 +137,53 @@ async function login(req, res) {
       });
     }
 
+    // Too many recent failures from this IP or for this username? Make them wait
+    const throttle = checkLoginAllowed(req.ip, username);
+    if (!throttle.allowed) {
+      recordLoginAttempt(req, { username, success: false, reason: throttle.locked ? 'locked_out' : 'backoff' });
+      return sendTooManyAttempts(res, throttle.retryAfterSeconds);
+    }
+
     // Find admin user in database
     const admin = db.prepare('SELECT * FROM admin_users WHERE username = ?').get(username);
 
-    if (!admin) {
-      // Don't reveal whether username exists (security best practice)
-      return res.status(401).json({ 
-        error: 'Invalid credentials',
-        message: 'Username or password is incorrect'
-      });
-    }
-
     // Compare provided password with stored hash
     // bcrypt.compare is async, so we await it
-    const isPasswordValid = await bcrypt.compare(password, admin.password);
+    const passwordMatches = await bcrypt.compare(password, admin ? admin.password : DUMMY_PASSWORD_HASH);
+    const isPasswordValid = Boolean(admin) && passwordMatches;
 
     if (!isPasswordValid) {
+      recordLoginAttempt(req, {
+        username,
+        adminId: admin?.id,
+        success: false,
+        reason: admin ? 'wrong_password' : 'unknown_user'
+      });
+
+      // This failure was one too many - tell them how long the lockout is
+      if (recordLoginFailure(req.ip, username)) {
+        return sendTooManyAttempts(res, Math.ceil(LOGIN_THROTTLE_CONFIG.lockoutMs / 1000));
+      }
+
+      // Same message whether or not the username exists (security best practice)
       return res.status(401).json({ 
         error: 'Invalid credentials',
         message: 'Username or password is incorrect'
       });
     }
 
-    // Generate JWT token (like creating a session)
-    // Token expires in 24 hours
-    const token = jwt.sign(
-      { 
-        id: admin.id, 
-        username: admin.username 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Right password, but the code from their authenticator app is still needed
+    // (failures aren't cleared yet - wrong codes count towards the same lockout)
+    if (admin.totp_enabled) {
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: createLoginChallenge(admin),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
 
-    // Send success response with token
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token: token,
-      admin: {
-        id: admin.id,
-        username: admin.username
-      }
-    });
+    sendLoginSuccess(req, res, admin);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -81,6 +194,76 @@ async function login(req, res) {
   }
 }
 
+/**
+ * Two-Factor Login - the second step for admins with 2FA on
+ * Body: { "challenge_token": "from /login", "code": "123456" }
+ *   or: { "challenge_token": "from /login", "recovery_code": "1a2b-3c4d-5e6f-7a8b" }
+ *
+ * Wrong codes count towards the same backoff/lockout as wrong passwords
+ */
+function verifyTwoFactorLogin(req, res) {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        error: 'Missing code',
+        message: 'Enter the code from your authenticator app or a recovery code'
+      });
+    }
+
+    const adminId = verifyLoginChallenge(challenge_token);
+    const admin = adminId ? db.prepare('SELECT * FROM admin_users WHERE id = ?').get(adminId) : null;
+
+    if (!admin || !admin.totp_enabled) {
+      return res.status(401).json({
+        error: 'Login expired',
+        message: 'Your login has expired - please enter your password again'
+      });
+    }
+
+    const throttle = checkLoginAllowed(req.ip, admin.username);
+    if (!throttle.allowed) {
+      recordLoginAttempt(req, {
+        username: admin.username,
+        adminId: admin.id,
+        success: false,
+        reason: throttle.locked ? 'locked_out' : 'backoff'
+      });
+      return sendTooManyAttempts(res, throttle.retryAfterSeconds);
+    }
+
+    const isCodeValid = recovery_code
+      ? useRecoveryCode(admin.id, recovery_code)
+      : useTotpCode(admin.id, code);
+
+    if (!isCodeValid) {
+      recordLoginAttempt(req, { username: admin.username, adminId: admin.id, success: false, reason: 'wrong_2fa_code' });
+
+      if (recordLoginFailure(req.ip, admin.username)) {
+        return sendTooManyAttempts(res, Math.ceil(LOGIN_THROTTLE_CONFIG.lockoutMs / 1000));
+      }
+
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: recovery_code
+          ? 'That recovery code is incorrect or has already been used'
+          : 'That code is incorrect - check the time on your phone is set automatically'
+      });
+    }
+
+    // Let them know how many recovery codes are left, so they can make new ones in time
+    sendLoginSuccess(req, res, admin, recovery_code ? { recovery_codes_remaining: countRecoveryCodes(admin.id) } : {});
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Verify Token (optional endpoint to check if token is still valid)
  * Frontend can call this on app load to check if user is still logged in
@@ -95,7 +278,601 @@ function verifyToken(req, res) {
   });
 }
 
+/**
+ * Save a new (already hashed) password for an admin
+ * Clears the "must change" flag and uses up any reset links that are still open
+ * Call it inside a transaction
+ */
+function saveNewPassword(adminId, hashedPassword) {
+  db.prepare(`
+    UPDATE admin_users
+    SET password = ?, must_change_password = 0, password_changed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(hashedPassword, adminId);
+
+  db.prepare(`
+    UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+    WHERE admin_id = ? AND used_at IS NULL
+  `).run(adminId);
+}
+
+/**
+ * Change Password (logged-in admin)
+ * Needs the current password too, so someone at an unlocked computer can't take over the account
+ */
+async function changePassword(req, res) {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Current password and new password are required'
+      });
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({
+        error: 'Invalid password',
+        message: passwordError
+      });
+    }
+
+    const admin = db.prepare('SELECT * FROM admin_users WHERE id = ?').get(req.admin.id);
+
+    // 400 rather than 401 - the admin is still logged in, they just mistyped
+    const isPasswordValid = await bcrypt.compare(current_password, admin.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        error: 'Invalid credentials',
+        message: 'Your current password is incorrect'
+      });
+    }
+
+    if (await bcrypt.compare(new_password, admin.password)) {
+      return res.status(400).json({
+        error: 'Invalid password',
+        message: 'Your new password must be different from the current one'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(new_password, 10);
+
+    // Everyone else using the old password (other devices) gets signed out
+    db.transaction(() => {
+      saveNewPassword(admin.id, hashedPassword);
+      revokeAdminSessions(admin.id, req.admin.sessionId);
+    })();
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully - your other devices have been signed out'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Failed to change password',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Forgot Password - email a reset link
+ * Always gives the same answer, so it can't be used to find out which usernames exist
+ */
+async function requestPasswordReset(req, res) {
+  try {
+    const { username } = req.body;
+
+    if (!username) {
+      return res.status(400).json({
+        error: 'Missing username',
+        message: 'Enter your username or email address'
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'If that account exists and has an email address, a reset link is on its way'
+    };
+
+    const admin = db.prepare(`
+      SELECT * FROM admin_users WHERE username = ? OR (email IS NOT NULL AND lower(email) = lower(?))
+    `).get(username, username);
+
+    if (!admin || !admin.email) {
+      if (admin) console.warn(`⚠️  Password reset requested for "${admin.username}", but they have no email address`);
+      return res.json(genericResponse);
+    }
+
+    const { token, tokenHash } = generateResetToken();
+
+    db.prepare(`
+      INSERT INTO password_reset_tokens (admin_id, token_hash, expires_at)
+      VALUES (?, ?, datetime('now', ?))
+    `).run(admin.id, tokenHash, `+${RESET_TOKEN_TTL_MINUTES} minutes`);
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const resetLink = `${frontendUrl}/admin/reset-password?token=${token}`;
+
+    // A broken mail setup shouldn't reveal that the account exists - log it and move on
+    try {
+      await sendMail({
+        to: admin.email,
+        subject: 'Reset your Khael Apartments admin password',
+        text: [
+          `Hi ${admin.username},`,
+          '',
+          'Someone asked to reset the password for your Khael Apartments admin account.',
+          `Use this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:`,
+          '',
+          resetLink,
+          '',
+          "If this wasn't you, you can ignore this email - your password won't change."
+        ].join('\n')
+      });
+    } catch (mailError) {
+      console.error('Error sending password reset email:', mailError);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({
+      error: 'Failed to request password reset',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Reset Password - with the token from the emailed link
+ */
+async function resetPassword(req, res) {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        error: 'Invalid password',
+        message: passwordError
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Check the token and save the password in one go, so a link can only ever be used once
+    const applyReset = db.transaction(() => {
+      const resetToken = db.prepare(`
+        SELECT * FROM password_reset_tokens
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+      `).get(hashResetToken(token));
+
+      if (!resetToken) return false;
+
+      saveNewPassword(resetToken.admin_id, hashedPassword);
+      revokeAdminSessions(resetToken.admin_id);
+      return true;
+    });
+
+    if (!applyReset()) {
+      return res.status(400).json({
+        error: 'Invalid reset link',
+        message: 'This reset link is invalid or has expired - please request a new one'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset - you can now log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      error: 'Failed to reset password',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Refresh - swap a refresh token for a new access token (and a new refresh token)
+ * The old refresh token stops working straight away
+ */
+function refresh(req, res) {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        error: 'Missing refresh token',
+        message: 'refresh_token is required'
+      });
+    }
+
+    const result = rotateSession(refresh_token);
+
+    if (result.error) {
+      return res.status(401).json({
+        error: result.error,
+        message: 'Your session has ended. Please login again'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refresh_token: result.refresh_token,
+      admin: result.admin
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh session',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Logout - end this device's session
+ * Works with just the refresh token, so it still works after the access token has expired
+ */
+function logout(req, res) {
+  try {
+    const { refresh_token } = req.body;
+
+    if (refresh_token) {
+      revokeSessionByToken(refresh_token);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Logout everywhere - end every session of the logged-in admin, including this one
+ */
+function logoutAll(req, res) {
+  try {
+    const count = revokeAdminSessions(req.admin.id);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${count} ${count === 1 ? 'device' : 'devices'}`,
+      count
+    });
+
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out everywhere',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Two-Factor Status - is 2FA on for the logged-in admin?
+ */
+function getTwoFactorStatus(req, res) {
+  try {
+    const admin = db.prepare('SELECT totp_enabled FROM admin_users WHERE id = ?').get(req.admin.id);
+
+    res.json({
+      success: true,
+      enabled: Boolean(admin.totp_enabled),
+      recovery_codes_remaining: admin.totp_enabled ? countRecoveryCodes(req.admin.id) : 0
+    });
+
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({
+      error: 'Failed to fetch two-factor status',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Two-Factor Setup - step 1: create a secret and the QR code to scan
+ * 2FA isn't switched on until the admin proves their app works (see enableTwoFactor)
+ * The QR code is drawn here on the server - the secret never goes to an outside QR service
+ */
+async function setupTwoFactor(req, res) {
+  try {
+    const admin = db.prepare('SELECT totp_enabled FROM admin_users WHERE id = ?').get(req.admin.id);
+
+    if (admin.totp_enabled) {
+      return res.status(409).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already on - turn it off first to move it to a new device'
+      });
+    }
+
+    const secret = generateTotpSecret();
+
+    db.prepare('UPDATE admin_users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?').run(secret, req.admin.id);
+
+    const otpauthUrl = buildOtpauthUri(secret, req.admin.username);
+
+    res.json({
+      success: true,
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl)
+    });
+
+  } catch (error) {
+    console.error('Error setting up two-factor:', error);
+    res.status(500).json({
+      error: 'Failed to set up two-factor authentication',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Two-Factor Setup - step 2: check a code from the app, switch 2FA on and hand out recovery codes
+ * Body: { "code": "123456" }
+ * Other devices are signed out, since they logged in without a code
+ */
+function enableTwoFactor(req, res) {
+  try {
+    const { code } = req.body;
+    const admin = db.prepare('SELECT totp_secret, totp_enabled FROM admin_users WHERE id = ?').get(req.admin.id);
+
+    if (admin.totp_enabled) {
+      return res.status(409).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    if (!admin.totp_secret) {
+      return res.status(400).json({
+        error: 'Setup not started',
+        message: 'Start the two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(admin.totp_secret, code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: "That code didn't match - check the time on your phone is set automatically and try again"
+      });
+    }
+
+    const recoveryCodes = db.transaction(() => {
+      db.prepare('UPDATE admin_users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?').run(step, req.admin.id);
+      revokeAdminSessions(req.admin.id, req.admin.sessionId);
+      return replaceRecoveryCodes(req.admin.id);
+    })();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error enabling two-factor:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Check the logged-in admin's password before a sensitive 2FA change
+ * 400 rather than 401 when it's wrong - they're still logged in, they just mistyped
+ * @returns {boolean} true if it's right (otherwise the error response has been sent)
+ */
+async function confirmPassword(req, res) {
+  const { password } = req.body;
+  const admin = db.prepare('SELECT password FROM admin_users WHERE id = ?').get(req.admin.id);
+
+  if (!password || !(await bcrypt.compare(password, admin.password))) {
+    res.status(400).json({
+      error: 'Invalid credentials',
+      message: 'Your password is incorrect'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Turn Two-Factor Off
+ * Body: { "password": "current-password", "code": "123456" }
+ *   or: { "password": "current-password", "recovery_code": "1a2b-3c4d-5e6f-7a8b" }
+ * The code proves they still have the phone (or the recovery codes) - a stolen session plus password isn't enough
+ * Wrong codes count towards the same lockout as failed logins, so they can't be guessed here instead
+ */
+async function disableTwoFactor(req, res) {
+  try {
+    const throttle = checkLoginAllowed(req.ip, req.admin.username);
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfterSeconds);
+    }
+
+    if (!(await confirmPassword(req, res))) return;
+
+    const { code, recovery_code } = req.body;
+    const admin = db.prepare('SELECT totp_enabled FROM admin_users WHERE id = ?').get(req.admin.id);
+
+    // Only once it's on - before that there's just an unfinished setup to throw away
+    if (admin.totp_enabled) {
+      if (!code && !recovery_code) {
+        return res.status(400).json({
+          error: 'Missing code',
+          message: 'Enter the code from your authenticator app or a recovery code'
+        });
+      }
+
+      const isCodeValid = recovery_code
+        ? useRecoveryCode(req.admin.id, recovery_code)
+        : useTotpCode(req.admin.id, code);
+
+      if (!isCodeValid) {
+        if (recordLoginFailure(req.ip, req.admin.username)) {
+          return sendTooManyAttempts(res, Math.ceil(LOGIN_THROTTLE_CONFIG.lockoutMs / 1000));
+        }
+
+        return res.status(400).json({
+          error: 'Invalid code',
+          message: recovery_code
+            ? 'That recovery code is incorrect or has already been used'
+            : 'That code is incorrect - check the time on your phone is set automatically'
+        });
+      }
+
+      clearLoginFailures(req.admin.username);
+    }
+
+    clearTwoFactor(req.admin.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+
+  } catch (error) {
+    console.error('Error disabling two-factor:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * New Recovery Codes - the old ones stop working
+ * Body: { "password": "current-password" }
+ */
+async function regenerateRecoveryCodes(req, res) {
+  try {
+    if (!(await confirmPassword(req, res))) return;
+
+    const admin = db.prepare('SELECT totp_enabled FROM admin_users WHERE id = ?').get(req.admin.id);
+    if (!admin.totp_enabled) {
+      return res.status(400).json({
+        error: 'Two-factor not enabled',
+        message: 'Turn on two-factor authentication first'
+      });
+    }
+
+    const recoveryCodes = db.transaction(() => replaceRecoveryCodes(req.admin.id))();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes created - the old ones no longer work',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({
+      error: 'Failed to create recovery codes',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Login Log - every login attempt, newest first
+ * Protected - owner only
+ * Query: ?success=0|1&username=ada&page=1&limit=50
+ */
+function getLoginLog(req, res) {
+  try {
+    const { success, username } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(LOGIN_LOG_MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const conditions = [];
+    const values = [];
+
+    if (success === '0' || success === '1') {
+      conditions.push('success = ?');
+      values.push(Number(success));
+    }
+
+    if (username) {
+      conditions.push('username = ? COLLATE NOCASE');
+      values.push(username);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM login_attempts ${where}`).get(...values).count;
+
+    const attempts = db.prepare(`
+      SELECT * FROM login_attempts
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...values, limit, (page - 1) * limit);
+
+    res.json({
+      success: true,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      attempts
+    });
+
+  } catch (error) {
+    console.error('Error fetching login log:', error);
+    res.status(500).json({
+      error: 'Failed to fetch login log',
+      message: error.message
+    });
+  }
+}
+
 module.exports = {
   login,
-  verifyToken
+  verifyTwoFactorLogin,
+  getLoginLog,
+  verifyToken,
+  refresh,
+  logout,
+  logoutAll,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
\ No newline at end of file
@@ -0,0 +1,402 @@
+// src/controllers/bookingController.js
+// This handles bookings for a single apartment
+// A booking (or an admin block) occupies the apartment for a date range,
+// and two active bookings can never overlap
+
+const db = require('../database/db');
+const {
+  BOOKING_STATUSES,
+  ACTIVE_BOOKING_STATUSES,
+  MAX_AVAILABILITY_DAYS,
+  validateStayDates,
+  findOverlappingBookings,
+  createBookingIfAvailable
+} = require('../utils/bookings');
+const { isValidDate, today, addDays, nightsBetween } = require('../utils/dates');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * GET AVAILABILITY CALENDAR
+ * Public - anyone can check which nights are free
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (to is exclusive, defaults to 90 days after from)
+ *
+ * Returns one entry per night: "open", "booked" (guest stay) or "blocked" (closed by admin)
+ * Guest details are never included - this is a public endpoint
+ */
+function getAvailability(req, res) {
+  try {
+    const { id } = req.params;
+    const from = req.query.from || today();
+
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    // Check what was sent before working out the default end date from it
+    const datesValid = isValidDate(from) && (!req.query.to || isValidDate(req.query.to));
+    const to = datesValid ? (req.query.to || addDays(from, 90)) : null;
+
+    if (!datesValid || to <= from) {
+      return res.status(400).json({
+        error: 'Invalid dates',
+        message: 'from and to must be YYYY-MM-DD dates, with to after from'
+      });
+    }
+
+    if (nightsBetween(from, to) > MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({
+        error: 'Date range too large',
+        message: `Request at most ${MAX_AVAILABILITY_DAYS} days at a time`
+      });
+    }
+
+    const bookings = findOverlappingBookings(id, from, to);
+
+    // Walk through each night and mark it with whatever occupies it
+    const days = [];
+    for (let date = from; date < to; date = addDays(date, 1)) {
+      const booking = bookings.find(b => b.check_in <= date && b.check_out > date);
+      days.push({
+        date,
+        status: booking ? (booking.status === 'blocked' ? 'blocked' : 'booked') : 'open'
+      });
+    }
+
+    res.json({
+      success: true,
+      apartment_id: Number(id),
+      from,
+      to,
+      days
+    });
+
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({
+      error: 'Failed to fetch availability',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET ALL BOOKINGS FOR AN APARTMENT
+ * Protected - admin only
+ * Optional query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&status=confirmed
+ */
+function getBookings(req, res) {
+  try {
+    const { id } = req.params;
+    const { from, to, status } = req.query;
+
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const conditions = ['apartment_id = ?'];
+    const values = [id];
+
+    // Only bookings that touch the requested window
+    if (from) {
+      conditions.push('check_out > ?');
+      values.push(from);
+    }
+    if (to) {
+      conditions.push('check_in < ?');
+      values.push(to);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      values.push(status);
+    }
+
+    const bookings = db.prepare(`
+      SELECT * FROM bookings
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY check_in ASC
+    `).all(...values);
+
+    res.json({
+      success: true,
+      count: bookings.length,
+      bookings
+    });
+
+  } catch (error) {
+    console.error('Error fetching bookings:', error);
+    res.status(500).json({
+      error: 'Failed to fetch bookings',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * CREATE BOOKING
+ * Protected - admin only
+ * Rejects the booking with 409 if the dates overlap an existing one
+ */
+function createBooking(req, res) {
+  try {
+    const { id } = req.params;
+    const {
+      guest_name,
+      guest_email,
+      guest_phone,
+      guests,
+      check_in,
+      check_out,
+      status = 'confirmed',
+      notes
+    } = req.body;
+
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const dateError = validateStayDates(check_in, check_out);
+    if (dateError) {
+      return res.status(400).json({
+        error: 'Invalid dates',
+        message: dateError
+      });
+    }
+
+    if (!BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${BOOKING_STATUSES.join(', ')}`
+      });
+    }
+
+    // Admin blocks don't need a guest, real bookings do
+    if (status === 'confirmed' && !guest_name) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'guest_name is required for confirmed bookings'
+      });
+    }
+
+    const { booking, conflicts } = createBookingIfAvailable({
+      apartment_id: Number(id),
+      guest_name,
+      guest_email,
+      guest_phone,
+      guests,
+      check_in,
+      check_out,
+      status,
+      notes
+    });
+
+    if (conflicts) {
+      return res.status(409).json({
+        error: 'Dates not available',
+        message: 'These dates overlap an existing booking',
+        conflicts
+      });
+    }
+
+    recordAudit(req, {
+      action: 'booking.create',
+      entityType: 'booking',
+      entityId: booking.id,
+      apartmentId: booking.apartment_id,
+      after: booking
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      booking
+    });
+
+  } catch (error) {
+    console.error('Error creating booking:', error);
+    res.status(500).json({
+      error: 'Failed to create booking',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * UPDATE BOOKING
+ * Protected - admin only
+ * Changing dates (or re-activating a cancelled booking) re-runs the overlap check
+ */
+function updateBooking(req, res) {
+  try {
+    const { id, bookingId } = req.params;
+    const updates = req.body;
+
+    const existing = db.prepare(`
+      SELECT * FROM bookings WHERE id = ? AND apartment_id = ?
+    `).get(bookingId, id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Booking not found',
+        message: 'Booking does not exist or does not belong to this apartment'
+      });
+    }
+
+    const allowedFields = [
+      'guest_name', 'guest_email', 'guest_phone', 'guests',
+      'check_in', 'check_out', 'status', 'notes'
+    ];
+
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        error: 'No valid fields to update',
+        message: 'Provide at least one valid field to update'
+      });
+    }
+
+    // Work out what the booking will look like after the update
+    const merged = { ...existing };
+    fields.forEach(key => { merged[key] = updates[key]; });
+
+    const dateError = validateStayDates(merged.check_in, merged.check_out);
+    if (dateError) {
+      return res.status(400).json({
+        error: 'Invalid dates',
+        message: dateError
+      });
+    }
+
+    if (!BOOKING_STATUSES.includes(merged.status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${BOOKING_STATUSES.join(', ')}`
+      });
+    }
+
+    if (merged.status === 'confirmed' && !merged.guest_name) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'guest_name is required for confirmed bookings'
+      });
+    }
+
+    // Check and write in one transaction so nobody books the dates in between
+    const applyUpdate = db.transaction(() => {
+      if (ACTIVE_BOOKING_STATUSES.includes(merged.status)) {
+        const conflicts = findOverlappingBookings(id, merged.check_in, merged.check_out, bookingId);
+        if (conflicts.length > 0) {
+          return { conflicts };
+        }
+      }
+
+      db.prepare(`
+        UPDATE bookings
+        SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...fields.map(key => merged[key]), bookingId);
+
+      const updated = db.prepare('SELECT * FROM bookings WHERE id = ?').get(bookingId);
+
+      recordAudit(req, {
+        action: 'booking.update',
+        entityType: 'booking',
+        entityId: existing.id,
+        apartmentId: existing.apartment_id,
+        before: existing,
+        after: updated
+      });
+
+      return { booking: updated };
+    });
+
+    const { booking, conflicts } = applyUpdate();
+
+    if (conflicts) {
+      return res.status(409).json({
+        error: 'Dates not available',
+        message: 'These dates overlap an existing booking',
+        conflicts
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking updated successfully',
+      booking
+    });
+
+  } catch (error) {
+    console.error('Error updating booking:', error);
+    res.status(500).json({
+      error: 'Failed to update booking',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * DELETE BOOKING
+ * Protected - admin only
+ * Removes the booking completely (use status "cancelled" to keep a record instead)
+ */
+function deleteBooking(req, res) {
+  try {
+    const { id, bookingId } = req.params;
+
+    const booking = db.prepare(`
+      SELECT * FROM bookings WHERE id = ? AND apartment_id = ?
+    `).get(bookingId, id);
+
+    if (!booking) {
+      return res.status(404).json({
+        error: 'Booking not found',
+        message: 'Booking does not exist or does not belong to this apartment'
+      });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM bookings WHERE id = ?').run(booking.id);
+
+      recordAudit(req, {
+        action: 'booking.delete',
+        entityType: 'booking',
+        entityId: booking.id,
+        apartmentId: booking.apartment_id,
+        before: booking
+      });
+    })();
+
+    res.json({
+      success: true,
+      message: 'Booking deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting booking:', error);
+    res.status(500).json({
+      error: 'Failed to delete booking',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  getAvailability,
+  getBookings,
+  createBooking,
+  updateBooking,
+  deleteBooking
+};
@@ -0,0 +1,379 @@
+// src/controllers/bookingRequestController.js
+// Booking requests from guests on the apartment details page
+// Guests submit a request (status "pending"), then an admin approves, declines or expires it
+// Approving creates a real confirmed booking - but only if the dates are still free
+
+const db = require('../database/db');
+const { validateStayDates, validateStayLength, findOverlappingBookings, createBookingIfAvailable } = require('../utils/bookings');
+const { getPricingRules, calculateQuote } = require('../utils/pricing');
+const { today } = require('../utils/dates');
+const { recordAudit } = require('../utils/audit');
+
+const REQUEST_STATUSES = ['pending', 'approved', 'declined', 'expired'];
+
+// Same check the frontend uses (see isValidEmail in formatters.js)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * CREATE BOOKING REQUEST
+ * Public - guests submit this from the apartment page
+ * POST /api/apartments/:id/booking-requests
+ */
+function createBookingRequest(req, res) {
+  try {
+    const { id } = req.params;
+    const {
+      check_in,
+      check_out,
+      guests = 1,
+      guest_name,
+      guest_phone,
+      guest_email,
+      note
+    } = req.body;
+
+    const apartment = db.prepare('SELECT * FROM apartments WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const dateError = validateStayDates(check_in, check_out);
+    if (dateError) {
+      return res.status(400).json({
+        error: 'Invalid dates',
+        message: dateError
+      });
+    }
+
+    if (check_in < today()) {
+      return res.status(400).json({
+        error: 'Invalid dates',
+        message: 'check_in cannot be in the past'
+      });
+    }
+
+    // Same limit as the quote endpoint - the stay is priced night by night below
+    const lengthError = validateStayLength(check_in, check_out);
+    if (lengthError) {
+      return res.status(400).json({
+        error: 'Stay too long',
+        message: lengthError
+      });
+    }
+
+    if (!guest_name || !guest_phone) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Your name and phone number are required'
+      });
+    }
+
+    if (guest_email && !EMAIL_PATTERN.test(guest_email)) {
+      return res.status(400).json({
+        error: 'Invalid email',
+        message: 'Please enter a valid email address'
+      });
+    }
+
+    const guestCount = Number(guests);
+    if (!Number.isInteger(guestCount) || guestCount < 1 || guestCount > apartment.max_guests) {
+      return res.status(400).json({
+        error: 'Invalid guests',
+        message: `This apartment sleeps 1 to ${apartment.max_guests} guests`
+      });
+    }
+
+    // No point queuing a request for dates that are already taken
+    if (findOverlappingBookings(id, check_in, check_out).length > 0) {
+      return res.status(409).json({
+        error: 'Dates not available',
+        message: 'Sorry, some of these nights are already booked. Please pick other dates.'
+      });
+    }
+
+    // Remember what we quoted so the admin sees the same price the guest saw
+    const quote = calculateQuote(apartment, getPricingRules(id), check_in, check_out);
+
+    const result = db.prepare(`
+      INSERT INTO booking_requests (
+        apartment_id, check_in, check_out, guests,
+        guest_name, guest_phone, guest_email, note, quoted_total
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      check_in,
+      check_out,
+      guestCount,
+      guest_name,
+      guest_phone,
+      guest_email || null,
+      note || null,
+      quote.total
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking request sent! We will get back to you shortly.',
+      request: db.prepare('SELECT * FROM booking_requests WHERE id = ?').get(result.lastInsertRowid)
+    });
+
+  } catch (error) {
+    console.error('Error creating booking request:', error);
+    res.status(500).json({
+      error: 'Failed to send booking request',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET BOOKING REQUESTS
+ * Protected - admin only
+ * GET /api/booking-requests?status=pending
+ */
+function getBookingRequests(req, res) {
+  try {
+    const { status } = req.query;
+
+    if (status && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${REQUEST_STATUSES.join(', ')}`
+      });
+    }
+
+    const requests = db.prepare(`
+      SELECT r.*, a.title AS apartment_title
+      FROM booking_requests r
+      JOIN apartments a ON a.id = r.apartment_id
+      ${status ? 'WHERE r.status = ?' : ''}
+      ORDER BY r.created_at DESC, r.id DESC
+    `).all(...(status ? [status] : []));
+
+    const pendingCount = db.prepare(`
+      SELECT COUNT(*) as count FROM booking_requests WHERE status = 'pending'
+    `).get().count;
+
+    res.json({
+      success: true,
+      count: requests.length,
+      pendingCount,
+      requests
+    });
+
+  } catch (error) {
+    console.error('Error fetching booking requests:', error);
+    res.status(500).json({
+      error: 'Failed to fetch booking requests',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Look up a request and make sure it's still waiting for a decision
+ * Sends the error response itself and returns null if it can't be decided on
+ */
+function findPendingRequest(requestId, res) {
+  const request = db.prepare('SELECT * FROM booking_requests WHERE id = ?').get(requestId);
+
+  if (!request) {
+    res.status(404).json({
+      error: 'Booking request not found',
+      message: `No booking request found with ID: ${requestId}`
+    });
+    return null;
+  }
+
+  if (request.status !== 'pending') {
+    res.status(400).json({
+      error: 'Request already handled',
+      message: `This request is already ${request.status}`
+    });
+    return null;
+  }
+
+  return request;
+}
+
+/**
+ * Log a decision on a request (only its status and what came with it change)
+ * Call it inside the same transaction as the UPDATE
+ */
+function recordRequestDecision(req, action, request) {
+  recordAudit(req, {
+    action,
+    entityType: 'booking_request',
+    entityId: request.id,
+    apartmentId: request.apartment_id,
+    before: request,
+    after: db.prepare('SELECT * FROM booking_requests WHERE id = ?').get(request.id)
+  });
+}
+
+/**
+ * APPROVE BOOKING REQUEST
+ * Protected - admin only
+ * Creates a confirmed booking and marks the request approved, all in one transaction
+ * Both show up in the activity log, just like a booking added by hand
+ */
+function approveBookingRequest(req, res) {
+  try {
+    const { requestId } = req.params;
+
+    const request = findPendingRequest(requestId, res);
+    if (!request) return;
+
+    const approve = db.transaction(() => {
+      const { booking, conflicts } = createBookingIfAvailable({
+        apartment_id: request.apartment_id,
+        guest_name: request.guest_name,
+        guest_email: request.guest_email,
+        guest_phone: request.guest_phone,
+        guests: request.guests,
+        check_in: request.check_in,
+        check_out: request.check_out,
+        status: 'confirmed',
+        notes: request.note
+      });
+
+      if (conflicts) {
+        return { conflicts };
+      }
+
+      db.prepare(`
+        UPDATE booking_requests
+        SET status = 'approved', booking_id = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(booking.id, request.id);
+
+      recordAudit(req, {
+        action: 'booking.create',
+        entityType: 'booking',
+        entityId: booking.id,
+        apartmentId: booking.apartment_id,
+        after: booking
+      });
+      recordRequestDecision(req, 'booking_request.approve', request);
+
+      return { booking };
+    });
+
+    const { booking, conflicts } = approve();
+
+    if (conflicts) {
+      return res.status(409).json({
+        error: 'Dates not available',
+        message: 'These dates were booked after the request came in - decline it or contact the guest',
+        conflicts
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Request approved and booking created',
+      request: db.prepare('SELECT * FROM booking_requests WHERE id = ?').get(request.id),
+      booking
+    });
+
+  } catch (error) {
+    console.error('Error approving booking request:', error);
+    res.status(500).json({
+      error: 'Failed to approve booking request',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * DECLINE BOOKING REQUEST
+ * Protected - admin only
+ * Body: { "reason": "Apartment under maintenance" }
+ */
+function declineBookingRequest(req, res) {
+  try {
+    const { requestId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'A reason is required when declining a request'
+      });
+    }
+
+    const request = findPendingRequest(requestId, res);
+    if (!request) return;
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE booking_requests
+        SET status = 'declined', decline_reason = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(reason, request.id);
+
+      recordRequestDecision(req, 'booking_request.decline', request);
+    })();
+
+    res.json({
+      success: true,
+      message: 'Request declined',
+      request: db.prepare('SELECT * FROM booking_requests WHERE id = ?').get(request.id)
+    });
+
+  } catch (error) {
+    console.error('Error declining booking request:', error);
+    res.status(500).json({
+      error: 'Failed to decline booking request',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * EXPIRE BOOKING REQUEST
+ * Protected - admin only
+ * For requests the guest never followed up on
+ */
+function expireBookingRequest(req, res) {
+  try {
+    const { requestId } = req.params;
+
+    const request = findPendingRequest(requestId, res);
+    if (!request) return;
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE booking_requests
+        SET status = 'expired', decided_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(request.id);
+
+      recordRequestDecision(req, 'booking_request.expire', request);
+    })();
+
+    res.json({
+      success: true,
+      message: 'Request marked as expired',
+      request: db.prepare('SELECT * FROM booking_requests WHERE id = ?').get(request.id)
+    });
+
+  } catch (error) {
+    console.error('Error expiring booking request:', error);
+    res.status(500).json({
+      error: 'Failed to expire booking request',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  createBookingRequest,
+  getBookingRequests,
+  approveBookingRequest,
+  declineBookingRequest,
+  expireBookingRequest
+};
@@ -0,0 +1,232 @@
+// src/controllers/calendarController.js
+// iCal sync with other booking platforms
+// - Export: a public .ics feed of our bookings that Airbnb/Booking.com can subscribe to
+// - Import: external .ics URLs per apartment, turned into blocked dates by the sync job
+
+const db = require('../database/db');
+const { buildICal } = require('../utils/ical');
+const { today, addDays } = require('../utils/dates');
+const { ACTIVE_BOOKING_STATUSES } = require('../utils/bookings');
+const { isAllowedFeedUrl, syncFeed } = require('../jobs/calendarSync');
+
+// How far ahead the exported calendar goes. Longer bookings and blocks (e.g. the open-ended ones,
+// which end on 9999-12-31) are cut off here, so platforms get a sensible end date
+const EXPORT_WINDOW_DAYS = 730;
+
+/**
+ * EXPORT CALENDAR
+ * Public - booking platforms fetch this without logging in
+ * GET /api/apartments/:id/calendar.ics
+ *
+ * Guest details are never included - every event is just "Reserved" or "Not available"
+ * Covers the next EXPORT_WINDOW_DAYS: anything that runs past the end is exported up to it
+ */
+function exportCalendar(req, res) {
+  try {
+    const { id } = req.params;
+
+    const apartment = db.prepare('SELECT id, title FROM apartments WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const windowStart = today();
+    const windowEnd = addDays(windowStart, EXPORT_WINDOW_DAYS);
+
+    const placeholders = ACTIVE_BOOKING_STATUSES.map(() => '?').join(', ');
+    const bookings = db.prepare(`
+      SELECT id, check_in, check_out, status FROM bookings
+      WHERE apartment_id = ? AND status IN (${placeholders}) AND check_out >= ? AND check_in < ?
+      ORDER BY check_in ASC
+    `).all(id, ...ACTIVE_BOOKING_STATUSES, windowStart, windowEnd);
+
+    const ics = buildICal({
+      name: `Khael Apartments - ${apartment.title}`,
+      events: bookings.map(booking => ({
+        uid: `booking-${booking.id}@khael-apartments`,
+        start: booking.check_in,
+        end: booking.check_out > windowEnd ? windowEnd : booking.check_out,
+        summary: booking.status === 'confirmed' ? 'Reserved' : 'Not available'
+      }))
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="apartment-${apartment.id}.ics"`);
+    res.send(ics);
+
+  } catch (error) {
+    console.error('Error exporting calendar:', error);
+    res.status(500).json({
+      error: 'Failed to export calendar',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET CALENDAR FEEDS
+ * Protected - admin only
+ * Lists the external iCal feeds for an apartment with their last sync result
+ */
+function getFeeds(req, res) {
+  try {
+    const { id } = req.params;
+
+    const feeds = db.prepare(`
+      SELECT * FROM calendar_feeds WHERE apartment_id = ? ORDER BY created_at ASC
+    `).all(id);
+
+    res.json({
+      success: true,
+      count: feeds.length,
+      feeds
+    });
+
+  } catch (error) {
+    console.error('Error fetching calendar feeds:', error);
+    res.status(500).json({
+      error: 'Failed to fetch calendar feeds',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * ADD CALENDAR FEED
+ * Protected - admin only
+ * Saves the feed and syncs it straight away so the admin sees whether it works
+ */
+async function createFeed(req, res) {
+  try {
+    const { id } = req.params;
+    const { name, url } = req.body;
+
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    if (!name || !url) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'name and url are required'
+      });
+    }
+
+    if (!isAllowedFeedUrl(url)) {
+      return res.status(400).json({
+        error: 'Invalid feed URL',
+        message: 'Feed URL must start with http:// or https://'
+      });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO calendar_feeds (apartment_id, name, url) VALUES (?, ?, ?)
+    `).run(id, name, url);
+
+    const feed = db.prepare('SELECT * FROM calendar_feeds WHERE id = ?').get(result.lastInsertRowid);
+    const sync = await syncFeed(feed);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed added',
+      feed: db.prepare('SELECT * FROM calendar_feeds WHERE id = ?').get(feed.id),
+      sync
+    });
+
+  } catch (error) {
+    console.error('Error adding calendar feed:', error);
+    res.status(500).json({
+      error: 'Failed to add calendar feed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * SYNC CALENDAR FEED NOW
+ * Protected - admin only
+ * Same as the background job, but for one feed and on demand
+ */
+async function syncFeedNow(req, res) {
+  try {
+    const { id, feedId } = req.params;
+
+    const feed = db.prepare(`
+      SELECT * FROM calendar_feeds WHERE id = ? AND apartment_id = ?
+    `).get(feedId, id);
+
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Calendar feed not found',
+        message: 'Feed does not exist or does not belong to this apartment'
+      });
+    }
+
+    const sync = await syncFeed(feed);
+
+    res.status(sync.success ? 200 : 502).json({
+      success: sync.success,
+      message: sync.success
+        ? `Imported ${sync.imported} event(s)${sync.conflicts.length > 0 ? ` - ${sync.conflicts.length} clash with confirmed bookings` : ''}`
+        : 'Calendar sync failed',
+      feed: db.prepare('SELECT * FROM calendar_feeds WHERE id = ?').get(feed.id),
+      sync
+    });
+
+  } catch (error) {
+    console.error('Error syncing calendar feed:', error);
+    res.status(500).json({
+      error: 'Failed to sync calendar feed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * REMOVE CALENDAR FEED
+ * Protected - admin only
+ * Its imported blocks are removed too (ON DELETE CASCADE on bookings.feed_id)
+ */
+function deleteFeed(req, res) {
+  try {
+    const { id, feedId } = req.params;
+
+    const result = db.prepare(`
+      DELETE FROM calendar_feeds WHERE id = ? AND apartment_id = ?
+    `).run(feedId, id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'Calendar feed not found',
+        message: 'Feed does not exist or does not belong to this apartment'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar feed removed'
+    });
+
+  } catch (error) {
+    console.error('Error removing calendar feed:', error);
+    res.status(500).json({
+      error: 'Failed to remove calendar feed',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  exportCalendar,
+  getFeeds,
+  createFeed,
+  syncFeedNow,
+  deleteFeed
+};
@@ -0,0 +1,96 @@
+// src/controllers/mediaController.js
+// Media storage housekeeping - find files nothing uses and rows whose file is gone (see src/jobs/mediaReconciler.js)
+
+const { reconcileMedia, DEFAULT_MIN_AGE_MINUTES } = require('../jobs/mediaReconciler');
+
+/**
+ * Read ?min_age_minutes= / { min_age_minutes }
+ * @returns {number|null} null if it isn't a whole number of minutes
+ */
+function parseMinAge(value) {
+  if (value === undefined || value === '') return DEFAULT_MIN_AGE_MINUTES;
+
+  const minutes = Number(value);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : null;
+}
+
+/**
+ * Run the reconciler and send its report
+ */
+async function sendReconcileReport(req, res, options) {
+  if (options.minAgeMinutes === null) {
+    return res.status(400).json({
+      error: 'Invalid minimum age',
+      message: 'min_age_minutes must be a whole number of minutes (0 or more)'
+    });
+  }
+
+  try {
+    const report = await reconcileMedia(options, req);
+    res.json({ success: true, ...report });
+  } catch (error) {
+    if (error.code === 'RECONCILE_RUNNING') {
+      return res.status(409).json({
+        error: 'Already running',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * GET MEDIA REPORT
+ * Protected - owners
+ * Lists orphaned files and broken references without changing anything
+ * Query: ?min_age_minutes=60 - newer files are skipped (they may be uploads still in progress)
+ */
+async function getMediaReport(req, res) {
+  try {
+    await sendReconcileReport(req, res, {
+      dryRun: true,
+      minAgeMinutes: parseMinAge(req.query.min_age_minutes)
+    });
+  } catch (error) {
+    console.error('Error checking media storage:', error);
+    res.status(500).json({
+      error: 'Failed to check media storage',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * RECONCILE MEDIA
+ * Protected - owners
+ * Body (all optional):
+ *   dry_run          default true - only report what would be done; send false to do it
+ *   delete_orphans   delete files no photo or video uses
+ *   relink           point broken rows at their file when it can be found
+ *   remove_broken    remove broken rows that weren't relinked
+ *   min_age_minutes  files newer than this are left alone (default 60)
+ */
+async function reconcileMediaStorage(req, res) {
+  try {
+    const body = req.body || {};
+
+    await sendReconcileReport(req, res, {
+      dryRun: body.dry_run !== false,
+      deleteOrphans: body.delete_orphans === true,
+      relink: body.relink === true,
+      removeBroken: body.remove_broken === true,
+      minAgeMinutes: parseMinAge(body.min_age_minutes)
+    });
+  } catch (error) {
+    console.error('Error reconciling media storage:', error);
+    res.status(500).json({
+      error: 'Failed to reconcile media storage',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  getMediaReport,
+  reconcileMediaStorage
+};
@@ -0,0 +1,229 @@
+// src/controllers/pricingController.js
+// Pricing rules (seasonal, weekend, long-stay) and stay quotes
+// The maths lives in src/utils/pricing.js - this file is just the HTTP layer
+
+const db = require('../database/db');
+const { validateStayDates, validateStayLength, findOverlappingBookings } = require('../utils/bookings');
+const {
+  getPricingRules,
+  formatRule,
+  validatePricingRule,
+  calculateQuote
+} = require('../utils/pricing');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * GET QUOTE
+ * Public - anyone can price a stay
+ * GET /api/apartments/:id/quote?check_in=YYYY-MM-DD&check_out=YYYY-MM-DD&guests=2
+ */
+function getQuote(req, res) {
+  try {
+    const { id } = req.params;
+    const { check_in, check_out } = req.query;
+    const guests = req.query.guests ? Number(req.query.guests) : 1;
+
+    const apartment = db.prepare('SELECT * FROM apartments WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const dateError = validateStayDates(check_in, check_out);
+    if (dateError) {
+      return res.status(400).json({
+        error: 'Invalid dates',
+        message: dateError
+      });
+    }
+
+    // Checked before pricing - the quote has a line for every night
+    const lengthError = validateStayLength(check_in, check_out);
+    if (lengthError) {
+      return res.status(400).json({
+        error: 'Stay too long',
+        message: lengthError
+      });
+    }
+
+    if (!Number.isInteger(guests) || guests < 1) {
+      return res.status(400).json({
+        error: 'Invalid guests',
+        message: 'guests must be a whole number of at least 1'
+      });
+    }
+
+    if (guests > apartment.max_guests) {
+      return res.status(400).json({
+        error: 'Too many guests',
+        message: `This apartment sleeps at most ${apartment.max_guests} guests`
+      });
+    }
+
+    const quote = calculateQuote(apartment, getPricingRules(id), check_in, check_out);
+
+    res.json({
+      success: true,
+      quote: {
+        apartment_id: apartment.id,
+        guests,
+        available: findOverlappingBookings(id, check_in, check_out).length === 0,
+        ...quote
+      }
+    });
+
+  } catch (error) {
+    console.error('Error calculating quote:', error);
+    res.status(500).json({
+      error: 'Failed to calculate quote',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET PRICING RULES
+ * Protected - admin only
+ */
+function getRules(req, res) {
+  try {
+    const { id } = req.params;
+    const rules = getPricingRules(id);
+
+    res.json({
+      success: true,
+      count: rules.length,
+      rules
+    });
+
+  } catch (error) {
+    console.error('Error fetching pricing rules:', error);
+    res.status(500).json({
+      error: 'Failed to fetch pricing rules',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * CREATE PRICING RULE
+ * Protected - admin only
+ */
+function createRule(req, res) {
+  try {
+    const { id } = req.params;
+    const rule = req.body;
+
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const ruleError = validatePricingRule(rule);
+    if (ruleError) {
+      return res.status(400).json({
+        error: 'Invalid pricing rule',
+        message: ruleError
+      });
+    }
+
+    // Only store the columns that belong to this type of rule
+    const result = db.prepare(`
+      INSERT INTO pricing_rules (
+        apartment_id, type, name, start_date, end_date, nightly_price,
+        days_of_week, multiplier, min_nights, discount_percent
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      rule.type,
+      rule.name || null,
+      rule.type === 'date_range' ? rule.start_date : null,
+      rule.type === 'date_range' ? rule.end_date : null,
+      rule.type === 'date_range' ? Number(rule.nightly_price) : null,
+      rule.type === 'day_of_week' ? rule.days_of_week.map(Number).join(',') : null,
+      rule.type === 'day_of_week' ? Number(rule.multiplier) : null,
+      rule.type === 'length_of_stay' ? Number(rule.min_nights) : null,
+      rule.type === 'length_of_stay' ? Number(rule.discount_percent) : null
+    );
+
+    const created = db.prepare('SELECT * FROM pricing_rules WHERE id = ?').get(result.lastInsertRowid);
+
+    recordAudit(req, {
+      action: 'pricing_rule.create',
+      entityType: 'pricing_rule',
+      entityId: created.id,
+      apartmentId: created.apartment_id,
+      after: formatRule(created)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pricing rule created successfully',
+      rule: formatRule(created)
+    });
+
+  } catch (error) {
+    console.error('Error creating pricing rule:', error);
+    res.status(500).json({
+      error: 'Failed to create pricing rule',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * DELETE PRICING RULE
+ * Protected - admin only
+ */
+function deleteRule(req, res) {
+  try {
+    const { id, ruleId } = req.params;
+
+    const rule = db.prepare(`
+      SELECT * FROM pricing_rules WHERE id = ? AND apartment_id = ?
+    `).get(ruleId, id);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Pricing rule not found',
+        message: 'Rule does not exist or does not belong to this apartment'
+      });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM pricing_rules WHERE id = ?').run(rule.id);
+
+      recordAudit(req, {
+        action: 'pricing_rule.delete',
+        entityType: 'pricing_rule',
+        entityId: rule.id,
+        apartmentId: rule.apartment_id,
+        before: formatRule(rule)
+      });
+    })();
+
+    res.json({
+      success: true,
+      message: 'Pricing rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting pricing rule:', error);
+    res.status(500).json({
+      error: 'Failed to delete pricing rule',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  getQuote,
+  getRules,
+  createRule,
+  deleteRule
+};
@@ -0,0 +1,473 @@
+// src/controllers/reviewController.js
+// Guest reviews and ratings
+// Anyone can read approved reviews, but only real guests can write one:
+// either with the reference of a completed booking, or with a one-time review link from an admin
+// New reviews wait in a moderation queue until an admin approves them
+
+const db = require('../database/db');
+const { today, isValidDate } = require('../utils/dates');
+const { recordAudit } = require('../utils/audit');
+const {
+  RATING_CATEGORIES,
+  REVIEW_STATUSES,
+  RATING_SUMMARY_JOIN,
+  RATING_SUMMARY_SELECT,
+  validateRatings,
+  generateReviewToken,
+  hashReviewToken,
+  formatRatings
+} = require('../utils/reviews');
+
+// Columns that are safe to show on the public site
+const PUBLIC_REVIEW_COLUMNS = `
+  id, guest_name, stay_date, ${RATING_CATEGORIES.join(', ')}, comment, created_at
+`;
+
+/**
+ * Does the email/phone the guest typed match the one on their booking?
+ * Phones are compared on their last 10 digits so "0803..." matches "+234 803..."
+ */
+function matchesBookingContact(booking, contact) {
+  const value = String(contact || '').trim().toLowerCase();
+  if (!value) return false;
+
+  if (booking.guest_email && value === booking.guest_email.trim().toLowerCase()) {
+    return true;
+  }
+
+  const digits = value.replace(/\D/g, '');
+  const bookingDigits = String(booking.guest_phone || '').replace(/\D/g, '');
+  return digits.length >= 7 && bookingDigits.length >= 7 && digits.slice(-10) === bookingDigits.slice(-10);
+}
+
+/**
+ * GET APPROVED REVIEWS FOR AN APARTMENT
+ * Public
+ */
+function getApartmentReviews(req, res) {
+  try {
+    const { id } = req.params;
+
+    const summary = db.prepare(`
+      SELECT a.id, ${RATING_SUMMARY_SELECT}
+      FROM apartments a
+      ${RATING_SUMMARY_JOIN}
+      WHERE a.id = ? AND a.deleted_at IS NULL
+    `).get(id);
+
+    if (!summary) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const reviews = db.prepare(`
+      SELECT ${PUBLIC_REVIEW_COLUMNS}
+      FROM reviews
+      WHERE apartment_id = ? AND status = 'approved'
+      ORDER BY created_at DESC, id DESC
+    `).all(id);
+
+    res.json({
+      success: true,
+      ratings: formatRatings(summary).ratings,
+      count: reviews.length,
+      reviews
+    });
+
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reviews',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * SUBMIT A REVIEW
+ * Public - but needs proof of a stay, one of:
+ * - { "token": "..." } from an admin-issued review link
+ * - { "booking_id": 12, "contact": "guest@email.com or phone" } for a completed booking
+ *
+ * Plus the review itself:
+ * { "guest_name", "cleanliness", "location", "value", "communication", "comment" }
+ */
+function submitReview(req, res) {
+  try {
+    const { id } = req.params;
+    const { token, booking_id, contact, guest_name, comment } = req.body;
+
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const ratingsError = validateRatings(req.body);
+    if (ratingsError) {
+      return res.status(400).json({
+        error: 'Invalid ratings',
+        message: ratingsError
+      });
+    }
+
+    // Work out who is allowed to review, and for which stay
+    let source;
+
+    if (token) {
+      const reviewToken = db.prepare(`
+        SELECT * FROM review_tokens WHERE token_hash = ? AND apartment_id = ?
+      `).get(hashReviewToken(token), id);
+
+      if (!reviewToken || reviewToken.used_at) {
+        return res.status(403).json({
+          error: 'Invalid review link',
+          message: 'This review link is invalid or has already been used'
+        });
+      }
+
+      source = {
+        booking_id: null,
+        review_token_id: reviewToken.id,
+        guest_name: guest_name || reviewToken.guest_name,
+        stay_date: reviewToken.stay_date
+      };
+    } else if (booking_id) {
+      const booking = db.prepare(`
+        SELECT * FROM bookings WHERE id = ? AND apartment_id = ?
+      `).get(booking_id, id);
+
+      // Same message for "no such booking" and "wrong contact" so booking numbers can't be probed
+      if (!booking || booking.status !== 'confirmed' || !matchesBookingContact(booking, contact)) {
+        return res.status(403).json({
+          error: 'Booking not verified',
+          message: 'We could not match that booking reference with your email or phone number'
+        });
+      }
+
+      if (booking.check_out > today()) {
+        return res.status(403).json({
+          error: 'Stay not completed',
+          message: 'You can leave a review once your stay has ended'
+        });
+      }
+
+      source = {
+        booking_id: booking.id,
+        review_token_id: null,
+        guest_name: guest_name || booking.guest_name,
+        stay_date: booking.check_in
+      };
+    } else {
+      return res.status(403).json({
+        error: 'Proof of stay required',
+        message: 'Provide your booking reference and contact, or use the review link we sent you'
+      });
+    }
+
+    if (!source.guest_name) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please tell us your name'
+      });
+    }
+
+    // Save the review and use up the token in one go
+    const saveReview = db.transaction(() => {
+      if (source.booking_id) {
+        const existing = db.prepare('SELECT id FROM reviews WHERE booking_id = ?').get(source.booking_id);
+        if (existing) return null;
+      }
+
+      if (source.review_token_id) {
+        // Guard against two submissions racing with the same link
+        const claimed = db.prepare(`
+          UPDATE review_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL
+        `).run(source.review_token_id);
+        if (claimed.changes === 0) return null;
+      }
+
+      const result = db.prepare(`
+        INSERT INTO reviews (
+          apartment_id, booking_id, review_token_id, guest_name, stay_date,
+          ${RATING_CATEGORIES.join(', ')}, comment
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        source.booking_id,
+        source.review_token_id,
+        source.guest_name,
+        source.stay_date,
+        ...RATING_CATEGORIES.map(category => Number(req.body[category])),
+        comment || null
+      );
+
+      return db.prepare('SELECT * FROM reviews WHERE id = ?').get(result.lastInsertRowid);
+    });
+
+    const review = saveReview();
+
+    if (!review) {
+      return res.status(409).json({
+        error: 'Already reviewed',
+        message: 'A review has already been submitted for this stay'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you! Your review will appear once it has been approved.',
+      review
+    });
+
+  } catch (error) {
+    console.error('Error submitting review:', error);
+    res.status(500).json({
+      error: 'Failed to submit review',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET REVIEWS (moderation queue)
+ * Protected - admin only
+ * GET /api/reviews?status=pending
+ */
+function getReviews(req, res) {
+  try {
+    const { status } = req.query;
+
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const reviews = db.prepare(`
+      SELECT rv.*, a.title AS apartment_title
+      FROM reviews rv
+      JOIN apartments a ON a.id = rv.apartment_id
+      ${status ? 'WHERE rv.status = ?' : ''}
+      ORDER BY rv.created_at DESC, rv.id DESC
+    `).all(...(status ? [status] : []));
+
+    const pendingCount = db.prepare(`
+      SELECT COUNT(*) as count FROM reviews WHERE status = 'pending'
+    `).get().count;
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      pendingCount,
+      reviews
+    });
+
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reviews',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Approve or reject a review
+ * Returns a route handler so both endpoints share the same code
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {string} action - What goes in the activity log
+ */
+function moderateReview(status, action) {
+  return (req, res) => {
+    try {
+      const { reviewId } = req.params;
+
+      const review = db.prepare('SELECT * FROM reviews WHERE id = ?').get(reviewId);
+      if (!review) {
+        return res.status(404).json({
+          error: 'Review not found',
+          message: `No review found with ID: ${reviewId}`
+        });
+      }
+
+      db.transaction(() => {
+        db.prepare(`
+          UPDATE reviews SET status = ?, moderated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(status, review.id);
+
+        recordAudit(req, {
+          action,
+          entityType: 'review',
+          entityId: review.id,
+          apartmentId: review.apartment_id,
+          before: review,
+          after: db.prepare('SELECT * FROM reviews WHERE id = ?').get(review.id)
+        });
+      })();
+
+      res.json({
+        success: true,
+        message: `Review ${status}`,
+        review: db.prepare('SELECT * FROM reviews WHERE id = ?').get(reviewId)
+      });
+
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      res.status(500).json({
+        error: 'Failed to update review',
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * APPROVE / REJECT REVIEW
+ * Protected - admin only
+ */
+const approveReview = moderateReview('approved', 'review.approve');
+const rejectReview = moderateReview('rejected', 'review.reject');
+
+/**
+ * DELETE REVIEW
+ * Protected - admin only
+ */
+function deleteReview(req, res) {
+  try {
+    const { reviewId } = req.params;
+
+    const review = db.prepare('SELECT * FROM reviews WHERE id = ?').get(reviewId);
+    if (!review) {
+      return res.status(404).json({
+        error: 'Review not found',
+        message: `No review found with ID: ${reviewId}`
+      });
+    }
+
+    // The whole review goes in the log, so a deleted one can still be read there
+    db.transaction(() => {
+      db.prepare('DELETE FROM reviews WHERE id = ?').run(review.id);
+
+      recordAudit(req, {
+        action: 'review.delete',
+        entityType: 'review',
+        entityId: review.id,
+        apartmentId: review.apartment_id,
+        before: review
+      });
+    })();
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({
+      error: 'Failed to delete review',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * CREATE REVIEW TOKEN
+ * Protected - admin only
+ * For guests who booked outside the system (WhatsApp, phone...)
+ * Body: { "guest_name": "Ada", "stay_date": "2026-01-15" } (both optional)
+ *
+ * The token is only returned here - we store its hash, so it can't be shown again
+ */
+function createReviewToken(req, res) {
+  try {
+    const { id } = req.params;
+    const { guest_name, stay_date } = req.body;
+
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    if (stay_date && !isValidDate(stay_date)) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'stay_date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const { token, tokenHash } = generateReviewToken();
+
+    const result = db.prepare(`
+      INSERT INTO review_tokens (apartment_id, token_hash, guest_name, stay_date)
+      VALUES (?, ?, ?, ?)
+    `).run(id, tokenHash, guest_name || null, stay_date || null);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review link created - send it to the guest, it cannot be shown again',
+      token,
+      reviewToken: db.prepare(`
+        SELECT id, apartment_id, guest_name, stay_date, used_at, created_at
+        FROM review_tokens WHERE id = ?
+      `).get(result.lastInsertRowid)
+    });
+
+  } catch (error) {
+    console.error('Error creating review token:', error);
+    res.status(500).json({
+      error: 'Failed to create review link',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET REVIEW TOKENS FOR AN APARTMENT
+ * Protected - admin only
+ */
+function getReviewTokens(req, res) {
+  try {
+    const { id } = req.params;
+
+    const reviewTokens = db.prepare(`
+      SELECT id, apartment_id, guest_name, stay_date, used_at, created_at
+      FROM review_tokens
+      WHERE apartment_id = ?
+      ORDER BY created_at DESC, id DESC
+    `).all(id);
+
+    res.json({
+      success: true,
+      count: reviewTokens.length,
+      reviewTokens
+    });
+
+  } catch (error) {
+    console.error('Error fetching review tokens:', error);
+    res.status(500).json({
+      error: 'Failed to fetch review links',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  getApartmentReviews,
+  submitReview,
+  getReviews,
+  approveReview,
+  rejectReview,
+  deleteReview,
+  createReviewToken,
+  getReviewTokens
+};
@@ -0,0 +1,155 @@
+// src/controllers/revisionController.js
+// Revision history for a listing - every saved version, and putting an old one back
+// Revisions are written by saveRevision() (src/utils/revisions.js) whenever a listing changes
+
+const db = require('../database/db');
+const { today } = require('../utils/dates');
+const { BOOKED_ON_DATE_SQL } = require('../utils/bookings');
+const { ROLE_ACCESS, PRICE_FIELDS } = require('../utils/roles');
+const { apartmentSnapshot, recordAudit } = require('../utils/audit');
+const {
+  formatRevision,
+  getLatestRevision,
+  saveRevision,
+  ensureRevisionHistory,
+  applySnapshot
+} = require('../utils/revisions');
+
+/**
+ * GET REVISIONS
+ * Protected - anyone who can edit listings
+ * Newest first, each with the full snapshot (so the dashboard can diff any two without another request)
+ */
+function getRevisions(req, res) {
+  try {
+    const { id } = req.params;
+
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const revisions = db.prepare(`
+      SELECT * FROM apartment_revisions
+      WHERE apartment_id = ?
+      ORDER BY revision DESC
+    `).all(id).map(formatRevision);
+
+    res.json({
+      success: true,
+      current_revision: revisions[0]?.revision ?? null,
+      count: revisions.length,
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revisions',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * RESTORE REVISION
+ * Protected - anyone who can edit listings (but staff can't bring back different prices)
+ * Puts the revision's fields and photo order back, then saves the result as a new revision -
+ * history is never rewritten, so a restore can itself be undone
+ */
+function restoreRevision(req, res) {
+  try {
+    const { id, rev } = req.params;
+
+    const existing = db.prepare('SELECT * FROM apartments WHERE id = ?').get(id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    const row = db.prepare(`
+      SELECT * FROM apartment_revisions WHERE apartment_id = ? AND revision = ?
+    `).get(id, rev);
+
+    if (!row) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        message: `Apartment ${id} has no revision ${rev}`
+      });
+    }
+
+    const { snapshot } = formatRevision(row);
+
+    // Same rule as editing: staff can't change prices, so they can't restore old ones either
+    if (!ROLE_ACCESS.bookings.includes(req.admin.role)) {
+      const changedPrices = PRICE_FIELDS.filter(field =>
+        Number(snapshot[field]) !== Number(existing[field])
+      );
+
+      if (changedPrices.length > 0) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Only managers and owners can change prices (${changedPrices.join(', ')})`
+        });
+      }
+    }
+
+    const result = db.transaction(() => {
+      ensureRevisionHistory(existing.id);
+
+      const { missingImages } = applySnapshot(existing.id, snapshot);
+
+      recordAudit(req, {
+        action: 'apartment.restore',
+        entityType: 'apartment',
+        entityId: existing.id,
+        apartmentId: existing.id,
+        before: apartmentSnapshot(existing),
+        after: apartmentSnapshot(db.prepare('SELECT * FROM apartments WHERE id = ?').get(id))
+      });
+
+      saveRevision(req, existing.id, { reason: 'restore', restoredFrom: row.revision });
+
+      return { missingImages, revision: getLatestRevision(existing.id).revision };
+    })();
+
+    const date = today();
+    const { booked, ...restored } = db.prepare(`
+      SELECT a.*, ${BOOKED_ON_DATE_SQL} AS booked
+      FROM apartments a
+      WHERE a.id = ?
+    `).get(date, date, id);
+
+    res.json({
+      success: true,
+      message: result.missingImages > 0
+        ? `Revision ${row.revision} restored (${result.missingImages} photo(s) from it have since been deleted)`
+        : `Revision ${row.revision} restored`,
+      current_revision: result.revision,
+      missing_images: result.missingImages,
+      apartment: {
+        ...restored,
+        available: !booked,
+        featured: Boolean(restored.featured),
+        amenities: restored.amenities ? JSON.parse(restored.amenities) : []
+      }
+    });
+
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({
+      error: 'Failed to restore revision',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  getRevisions,
+  restoreRevision
+};
@@ -0,0 +1,425 @@
+// src/controllers/videoController.js
+// Video tours for an apartment - upload, change (title, file, poster), delete and reorder
+//
+// The files themselves arrive through multer (see the video routes in src/routes/apartments.js):
+//   req.files.video[0]   the video
+//   req.files.poster[0]  an optional poster image - without one, the storage backend makes one from the
+//                        video where it can (Cloudinary, or ffmpeg on local disk), otherwise the browser
+//                        shows the first frame
+// Every response includes the apartment's full, ordered video list, so the dashboard can just swap it in
+
+const db = require('../database/db');
+const { recordAudit } = require('../utils/audit');
+const {
+  getUploadMetadata,
+  generatePosterUrl,
+  getPosterFile,
+  deleteMediaFile,
+  discardUpload
+} = require('../storage');
+
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * An apartment's videos in the order guests see them
+ */
+function getVideos(apartmentId) {
+  return db.prepare(`
+    SELECT * FROM apartment_videos
+    WHERE apartment_id = ?
+    ORDER BY display_order ASC, id ASC
+  `).all(apartmentId);
+}
+
+/**
+ * What the activity log records about a video
+ */
+function videoSnapshot(video) {
+  return {
+    title: video.title,
+    video_url: video.video_url,
+    poster_url: video.poster_url
+  };
+}
+
+/**
+ * The files multer saved for this request
+ */
+function getUploadedFiles(req) {
+  return {
+    videoFile: req.files?.video?.[0] || null,
+    posterFile: req.files?.poster?.[0] || null
+  };
+}
+
+/**
+ * Throw away this request's uploads - used when the request is rejected after multer already stored them
+ */
+async function discardUploads(req) {
+  const { videoFile, posterFile } = getUploadedFiles(req);
+  await Promise.all([videoFile, posterFile].filter(Boolean).map(discardUpload));
+}
+
+/**
+ * Check a title from the form
+ * @returns {{ title: string|null } | { error: string }} empty titles are stored as null
+ */
+function parseTitle(value) {
+  const title = String(value ?? '').trim();
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `Title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+  return { title: title || null };
+}
+
+/**
+ * The poster columns for a video
+ * An uploaded poster wins; otherwise one is generated from the video (null if the backend can't)
+ */
+function posterColumns(videoMetadata, posterFile) {
+  if (posterFile) {
+    const poster = getUploadMetadata(posterFile);
+    return {
+      poster_url: posterFile.path,
+      poster_public_id: poster.public_id,
+      poster_storage_backend: poster.storage_backend
+    };
+  }
+
+  return {
+    poster_url: generatePosterUrl(videoMetadata),
+    poster_public_id: null,
+    poster_storage_backend: null
+  };
+}
+
+/**
+ * UPLOAD VIDEO
+ * Protected - anyone who can edit listings
+ * Multipart form: video (required), poster (optional image), title (optional)
+ * New videos go to the end of the list
+ */
+async function uploadVideo(req, res) {
+  try {
+    const { id } = req.params;
+    const { videoFile, posterFile } = getUploadedFiles(req);
+
+    // Check if apartment exists
+    const apartment = db.prepare('SELECT * FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      await discardUploads(req);
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    // Check if file was uploaded
+    if (!videoFile) {
+      await discardUploads(req);
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please select a video to upload'
+      });
+    }
+
+    const { title, error: titleError } = parseTitle(req.body.title);
+    if (titleError) {
+      await discardUploads(req);
+      return res.status(400).json({
+        error: 'Invalid title',
+        message: titleError
+      });
+    }
+
+    const videoUrl = videoFile.path; // Public URL from the storage backend
+    const metadata = getUploadMetadata(videoFile);
+    const poster = posterColumns(metadata, posterFile);
+
+    const maxOrder = db.prepare(`
+      SELECT MAX(display_order) as max_order FROM apartment_videos WHERE apartment_id = ?
+    `).get(id);
+
+    // Insert video record into database
+    const stmt = db.prepare(`
+      INSERT INTO apartment_videos (
+        apartment_id, video_url, title, display_order,
+        poster_url, poster_public_id, poster_storage_backend,
+        public_id, storage_backend, resource_type, format, bytes, width, height
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const video = db.transaction(() => {
+      const result = stmt.run(
+        id, videoUrl, title, (maxOrder?.max_order ?? -1) + 1,
+        poster.poster_url, poster.poster_public_id, poster.poster_storage_backend,
+        metadata.public_id, metadata.storage_backend, metadata.resource_type,
+        metadata.format, metadata.bytes, metadata.width, metadata.height
+      );
+
+      const created = db.prepare('SELECT * FROM apartment_videos WHERE id = ?').get(result.lastInsertRowid);
+
+      recordAudit(req, {
+        action: 'video.upload',
+        entityType: 'video',
+        entityId: created.id,
+        apartmentId: apartment.id,
+        after: videoSnapshot(created)
+      });
+
+      return created;
+    })();
+
+    res.json({
+      success: true,
+      message: 'Video uploaded successfully',
+      video,
+      videos: getVideos(apartment.id)
+    });
+
+  } catch (error) {
+    console.error('Error uploading video:', error);
+    res.status(500).json({
+      error: 'Failed to upload video',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * UPDATE VIDEO
+ * Protected - anyone who can edit listings
+ * Multipart form, every field optional:
+ *   title          new title ('' clears it)
+ *   video          a replacement video file - the old one is deleted from storage
+ *   poster         a new poster image - an old uploaded poster is deleted from storage
+ *   remove_poster  'true' to drop an uploaded poster and go back to a generated one
+ */
+async function updateVideo(req, res) {
+  try {
+    const { apartmentId, videoId } = req.params;
+    const { videoFile, posterFile } = getUploadedFiles(req);
+
+    const existing = db.prepare(`
+      SELECT * FROM apartment_videos WHERE id = ? AND apartment_id = ?
+    `).get(videoId, apartmentId);
+
+    if (!existing) {
+      await discardUploads(req);
+      return res.status(404).json({
+        error: 'Video not found',
+        message: 'Video does not exist or does not belong to this apartment'
+      });
+    }
+
+    const changes = {};
+
+    if (req.body.title !== undefined) {
+      const { title, error: titleError } = parseTitle(req.body.title);
+      if (titleError) {
+        await discardUploads(req);
+        return res.status(400).json({
+          error: 'Invalid title',
+          message: titleError
+        });
+      }
+      changes.title = title;
+    }
+
+    if (videoFile) {
+      const metadata = getUploadMetadata(videoFile);
+      Object.assign(changes, { video_url: videoFile.path, ...metadata });
+    }
+
+    // Work out the poster: a new upload wins; otherwise an uploaded poster stays unless it's removed,
+    // and a generated one is regenerated (it came from the old video)
+    const removePoster = req.body.remove_poster === 'true';
+    if (posterFile || removePoster || (videoFile && !existing.poster_public_id)) {
+      const videoMetadata = videoFile ? getUploadMetadata(videoFile) : existing;
+      Object.assign(changes, posterColumns(videoMetadata, posterFile));
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        message: 'Send a new title, video or poster'
+      });
+    }
+
+    const columns = Object.keys(changes);
+    const video = db.transaction(() => {
+      db.prepare(`
+        UPDATE apartment_videos
+        SET ${columns.map(column => `${column} = ?`).join(', ')}
+        WHERE id = ?
+      `).run(...columns.map(column => changes[column]), existing.id);
+
+      const updated = db.prepare('SELECT * FROM apartment_videos WHERE id = ?').get(existing.id);
+
+      recordAudit(req, {
+        action: 'video.update',
+        entityType: 'video',
+        entityId: existing.id,
+        apartmentId: existing.apartment_id,
+        before: videoSnapshot(existing),
+        after: videoSnapshot(updated)
+      });
+
+      return updated;
+    })();
+
+    // The row points at the new files now - remove the ones it no longer uses
+    // (failures are logged; the database is already right)
+    const oldPoster = getPosterFile(existing);
+    await Promise.all([
+      videoFile ? deleteMediaFile(existing) : null,
+      oldPoster && oldPoster.public_id !== video.poster_public_id ? deleteMediaFile(oldPoster) : null
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Video updated successfully',
+      video,
+      videos: getVideos(existing.apartment_id)
+    });
+
+  } catch (error) {
+    console.error('Error updating video:', error);
+    res.status(500).json({
+      error: 'Failed to update video',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * DELETE VIDEO
+ * Protected - anyone who can edit listings
+ * Removes the row, then the video (and any uploaded poster) from storage
+ */
+async function deleteVideo(req, res) {
+  try {
+    const { apartmentId, videoId } = req.params;
+
+    const video = db.prepare(`
+      SELECT * FROM apartment_videos WHERE id = ? AND apartment_id = ?
+    `).get(videoId, apartmentId);
+
+    if (!video) {
+      return res.status(404).json({
+        error: 'Video not found',
+        message: 'Video does not exist or does not belong to this apartment'
+      });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM apartment_videos WHERE id = ?').run(video.id);
+
+      recordAudit(req, {
+        action: 'video.delete',
+        entityType: 'video',
+        entityId: video.id,
+        apartmentId: video.apartment_id,
+        before: videoSnapshot(video)
+      });
+    })();
+
+    // Same as images: a file that can't be deleted is logged, the row is gone either way
+    const poster = getPosterFile(video);
+    const [fileDeleted] = await Promise.all([
+      deleteMediaFile(video),
+      poster ? deleteMediaFile(poster) : null
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Video deleted successfully',
+      file_deleted: fileDeleted,
+      videos: getVideos(video.apartment_id)
+    });
+
+  } catch (error) {
+    console.error('Error deleting video:', error);
+    res.status(500).json({
+      error: 'Failed to delete video',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * REORDER VIDEOS
+ * Protected - anyone who can edit listings
+ * Body: { video_ids: [2, 1] } - every video of the apartment, exactly once, first to last
+ * Applied in one transaction, like the photo order
+ */
+function reorderVideos(req, res) {
+  try {
+    const { id } = req.params;
+    const { video_ids: videoIds } = req.body;
+
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ?').get(id);
+    if (!apartment) {
+      return res.status(404).json({
+        error: 'Apartment not found',
+        message: `No apartment found with ID: ${id}`
+      });
+    }
+
+    if (!Array.isArray(videoIds) || !videoIds.every(Number.isInteger)) {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: 'video_ids must be a list of video IDs'
+      });
+    }
+
+    const videos = getVideos(apartment.id);
+    const existingIds = new Set(videos.map(video => video.id));
+    const sameVideos = videoIds.length === existingIds.size
+      && new Set(videoIds).size === videoIds.length
+      && videoIds.every(videoId => existingIds.has(videoId));
+
+    if (!sameVideos) {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: 'video_ids must list every video of this apartment exactly once'
+      });
+    }
+
+    const updateOrder = db.prepare('UPDATE apartment_videos SET display_order = ? WHERE id = ?');
+
+    db.transaction(() => {
+      videoIds.forEach((videoId, index) => updateOrder.run(index, videoId));
+
+      recordAudit(req, {
+        action: 'video.reorder',
+        entityType: 'apartment',
+        entityId: apartment.id,
+        apartmentId: apartment.id,
+        before: { video_order: videos.map(video => video.id) },
+        after: { video_order: videoIds }
+      });
+    })();
+
+    res.json({
+      success: true,
+      message: 'Video order updated successfully',
+      videos: getVideos(apartment.id)
+    });
+
+  } catch (error) {
+    console.error('Error reordering videos:', error);
+    res.status(500).json({
+      error: 'Failed to reorder videos',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  uploadVideo,
+  updateVideo,
+  deleteVideo,
+  reorderVideos
+};
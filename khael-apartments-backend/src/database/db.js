@@ -4,6 +4,7 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { haversineKm } = require('../utils/geo');
 
 // Create database file path (stores in src/database folder)
 const dbPath = path.join(__dirname, 'apartments.db');
@@ -16,5 +17,9 @@ const db = new Database(dbPath, { verbose: console.log });
 // This is like cascading deletes in React - when parent is removed, children follow
 db.pragma('foreign_keys = ON');
 
+// Make haversine_km(lat1, lng1, lat2, lng2) available inside SQL queries
+// (used by the "near" filter on GET /api/apartments)
+db.function('haversine_km', { deterministic: true }, haversineKm);
+
 // Export the database so other files can use it
 module.exports = db;
\ No newline at end of file
@@ -1,32 +1,84 @@
 // src/database/migrate.js
-// Run this ONCE to add new columns to existing database
+// Command line for schema migrations (see src/database/migrator.js)
+//
+//   node src/database/migrate.js up [--to 3]      apply pending migrations        (npm run migrate)
+//   node src/database/migrate.js down [--steps 1] undo the latest migration(s)    (npm run migrate:down)
+//   node src/database/migrate.js status           list migrations, applied or not (npm run migrate:status)
+//   node src/database/migrate.js create <name>    start a new migration file      (npm run migrate:create -- <name>)
 
-const db = require('./db');
+require('dotenv').config();
 
-function migrate() {
-  console.log('🔄 Running database migration...');
+const {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration
+} = require('./migrator');
 
-  try {
-    // Check if columns already exist
-    const tableInfo = db.prepare('PRAGMA table_info(apartments)').all();
-    const columnNames = tableInfo.map(col => col.name);
+/**
+ * Read a "--flag value" option as a positive whole number
+ */
+function getNumberOption(args, flag, fallback) {
+  const index = args.indexOf(flag);
+  if (index === -1) return fallback;
 
-    // Add featured column if it doesn't exist
-    if (!columnNames.includes('featured')) {
-      db.exec('ALTER TABLE apartments ADD COLUMN featured INTEGER DEFAULT 0');
-      console.log('✅ Added "featured" column');
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${flag} must be a positive whole number`);
+  }
+  return value;
+}
+
+function printStatus() {
+  const { migrations, missing } = getMigrationStatus();
+
+  migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.applied_at}` : 'PENDING';
+    console.log(`  ${migration.applied ? '✅' : '⏳'} ${migration.file.padEnd(40)} ${state}`);
+  });
+
+  missing.forEach(row => {
+    console.log(`  ⚠️  ${`${row.version}_${row.name}`.padEnd(40)} applied ${row.applied_at}, but the file is missing`);
+  });
+
+  const pending = migrations.filter(migration => !migration.applied).length;
+  console.log(pending > 0 ? `\n${pending} pending migration(s)` : '\nDatabase schema is up to date');
+}
+
+function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = migrateUp({ to: getNumberOption(args, '--to', Infinity) });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to migrate');
+      break;
+    }
+
+    case 'down': {
+      const undone = migrateDown({ steps: getNumberOption(args, '--steps', 1) });
+      console.log(undone.length > 0 ? `↩️  Undid ${undone.length} migration(s)` : 'Nothing to undo');
+      break;
     }
 
-    // Add amenities column if it doesn't exist
-    if (!columnNames.includes('amenities')) {
-      db.exec('ALTER TABLE apartments ADD COLUMN amenities TEXT');
-      console.log('✅ Added "amenities" column');
+    case 'status':
+      printStatus();
+      break;
+
+    case 'create': {
+      const filePath = createMigration(args.join(' '));
+      console.log(`✅ Created ${filePath}`);
+      break;
     }
 
-    console.log('✅ Migration completed successfully');
-  } catch (error) {
-    console.error('❌ Migration failed:', error.message);
+    default:
+      throw new Error(`Unknown command "${command}" - use up, down, status or create`);
   }
 }
 
-migrate();
\ No newline at end of file
+try {
+  main();
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+}
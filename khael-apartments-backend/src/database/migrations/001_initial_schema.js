@@ -0,0 +1,499 @@
+// src/database/migrations/001_initial_schema.js
+// The schema as it was when versioned migrations were introduced
+//
+// On a new database this simply creates every table.
+// On a database set up by the old init.js/migrate.js, the tables already exist (IF NOT EXISTS),
+// and any columns an older copy is missing are added - so both end up the same
+
+const bcrypt = require('bcryptjs');
+
+/**
+ * Add the columns a table doesn't have yet
+ * @param {Object} columns - { column_name: 'TYPE DEFAULT ...' }
+ * @returns {string[]} The columns that were added
+ */
+function addMissingColumns(db, table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+  const missing = Object.keys(columns).filter(column => !existing.includes(column));
+
+  missing.forEach(column => {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${columns[column]}`);
+  });
+
+  return missing;
+}
+
+module.exports = {
+  up(db) {
+    // Create apartments table
+    // This is like defining: interface Apartment { id, title, bedrooms, ... }
+    // deleted_at/archived_by are set when a listing is archived (soft deleted) - it's hidden from
+    // the public site but can be restored; only a purge removes the row for good
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS apartments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        bedrooms INTEGER NOT NULL,
+        bathrooms INTEGER NOT NULL,
+        max_guests INTEGER NOT NULL,
+        price_per_night REAL NOT NULL,
+        address TEXT NOT NULL,
+        city TEXT NOT NULL,
+        state TEXT NOT NULL,
+        available INTEGER DEFAULT 1,
+        featured INTEGER DEFAULT 0,
+        amenities TEXT,
+        cleaning_fee REAL DEFAULT 0,
+        caution_deposit REAL DEFAULT 0,
+        latitude REAL,
+        longitude REAL,
+        deleted_at DATETIME,
+        archived_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (archived_by) REFERENCES admin_users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Databases from before migrations may have an older apartments table
+    addMissingColumns(db, 'apartments', {
+      featured: 'INTEGER DEFAULT 0',
+      amenities: 'TEXT',
+      cleaning_fee: 'REAL DEFAULT 0',
+      caution_deposit: 'REAL DEFAULT 0',
+      latitude: 'REAL',
+      longitude: 'REAL',
+      deleted_at: 'DATETIME',
+      archived_by: 'INTEGER REFERENCES admin_users(id) ON DELETE SET NULL'
+    });
+
+    // Create apartments_fts table (full-text search index)
+    // A separate FTS5 table holding a searchable copy of each apartment's text,
+    // kept in sync by the triggers below - so the controllers never have to touch it
+    // Amenities are stored as "WiFi, Swimming Pool" instead of the raw JSON array
+    const ftsExists = db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'apartments_fts'
+    `).get();
+
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS apartments_fts USING fts5(
+        title,
+        description,
+        address,
+        city,
+        state,
+        amenities,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+
+    const ftsValues = (row) => `
+      ${row}.id, ${row}.title, ${row}.description, ${row}.address, ${row}.city, ${row}.state,
+      (SELECT group_concat(value, ', ') FROM json_each(COALESCE(${row}.amenities, '[]')))
+    `;
+
+    db.exec(`
+      CREATE TRIGGER IF NOT EXISTS apartments_fts_insert AFTER INSERT ON apartments BEGIN
+        INSERT INTO apartments_fts (rowid, title, description, address, city, state, amenities)
+        VALUES (${ftsValues('new')});
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS apartments_fts_delete AFTER DELETE ON apartments BEGIN
+        DELETE FROM apartments_fts WHERE rowid = old.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS apartments_fts_update AFTER UPDATE ON apartments BEGIN
+        DELETE FROM apartments_fts WHERE rowid = old.id;
+        INSERT INTO apartments_fts (rowid, title, description, address, city, state, amenities)
+        VALUES (${ftsValues('new')});
+      END;
+    `);
+
+    // First run with an existing database: index the apartments that are already there
+    if (!ftsExists) {
+      db.exec(`
+        INSERT INTO apartments_fts (rowid, title, description, address, city, state, amenities)
+        SELECT ${ftsValues('a')} FROM apartments a
+      `);
+    }
+
+    // Create apartment_images table
+    // One apartment can have many images (one-to-many relationship)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS apartment_images (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        apartment_id INTEGER NOT NULL,
+        image_url TEXT NOT NULL,
+        is_primary INTEGER DEFAULT 0,
+        display_order INTEGER DEFAULT 0,
+        FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create apartment_videos table
+    // Optional videos for apartments
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS apartment_videos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        apartment_id INTEGER NOT NULL,
+        video_url TEXT NOT NULL,
+        FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create bookings table
+    // Each row occupies an apartment from check_in up to (not including) check_out
+    // Dates are stored as 'YYYY-MM-DD' strings so they compare correctly as text
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS bookings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        apartment_id INTEGER NOT NULL,
+        guest_name TEXT,
+        guest_email TEXT,
+        guest_phone TEXT,
+        guests INTEGER,
+        check_in TEXT NOT NULL,
+        check_out TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'confirmed',
+        notes TEXT,
+        feed_id INTEGER,
+        external_uid TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+        FOREIGN KEY (feed_id) REFERENCES calendar_feeds(id) ON DELETE CASCADE
+      )
+    `);
+
+    // iCal import columns
+    addMissingColumns(db, 'bookings', {
+      feed_id: 'INTEGER REFERENCES calendar_feeds(id) ON DELETE CASCADE',
+      external_uid: 'TEXT'
+    });
+
+    // Speeds up the overlap checks (we always search by apartment + date range)
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_bookings_apartment_dates
+      ON bookings (apartment_id, check_in, check_out)
+    `);
+
+    // Create booking_requests table
+    // Enquiries from the public booking form, waiting for an admin to approve or decline
+    // Approving one creates a confirmed booking and links it via booking_id
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS booking_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        apartment_id INTEGER NOT NULL,
+        check_in TEXT NOT NULL,
+        check_out TEXT NOT NULL,
+        guests INTEGER NOT NULL DEFAULT 1,
+        guest_name TEXT NOT NULL,
+        guest_phone TEXT NOT NULL,
+        guest_email TEXT,
+        note TEXT,
+        quoted_total REAL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        decline_reason TEXT,
+        booking_id INTEGER,
+        decided_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create review_tokens table
+    // One-time links an admin hands to a guest so they can leave a review
+    // Only a SHA-256 hash of the token is stored - the link itself is shown once when it's created
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS review_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        apartment_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        guest_name TEXT,
+        stay_date TEXT,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create reviews table
+    // Each review comes either from a completed booking (booking_id) or a review token (review_token_id)
+    // Ratings are 1-5; only "approved" reviews are shown publicly or counted in averages
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        apartment_id INTEGER NOT NULL,
+        booking_id INTEGER UNIQUE,
+        review_token_id INTEGER UNIQUE,
+        guest_name TEXT NOT NULL,
+        stay_date TEXT,
+        cleanliness INTEGER NOT NULL CHECK (cleanliness BETWEEN 1 AND 5),
+        location INTEGER NOT NULL CHECK (location BETWEEN 1 AND 5),
+        value INTEGER NOT NULL CHECK (value BETWEEN 1 AND 5),
+        communication INTEGER NOT NULL CHECK (communication BETWEEN 1 AND 5),
+        comment TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        moderated_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL,
+        FOREIGN KEY (review_token_id) REFERENCES review_tokens(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create calendar_feeds table
+    // External iCal URLs (Airbnb, Booking.com...) whose events we import as blocked dates
+    // Imported blocks live in bookings with feed_id pointing back here
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        apartment_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        last_synced_at DATETIME,
+        last_error TEXT,
+        last_event_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create pricing_rules table
+    // Adjustments on top of price_per_night - see src/utils/pricing.js for how they combine
+    // Only the columns for the rule's type are filled in:
+    // - date_range:     start_date, end_date (both nights included), nightly_price
+    // - day_of_week:    days_of_week ("5,6" = Fri, Sat), multiplier
+    // - length_of_stay: min_nights, discount_percent
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS pricing_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        apartment_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        name TEXT,
+        start_date TEXT,
+        end_date TEXT,
+        nightly_price REAL,
+        days_of_week TEXT,
+        multiplier REAL,
+        min_nights INTEGER,
+        discount_percent REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create admin_users table
+    // role: owner (everything, incl. managing admins), manager (bookings & pricing) or staff (listings & media)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'staff' CHECK (role IN ('owner', 'manager', 'staff')),
+        email TEXT,
+        must_change_password INTEGER DEFAULT 0,
+        password_changed_at DATETIME,
+        totp_secret TEXT,
+        totp_enabled INTEGER NOT NULL DEFAULT 0,
+        totp_last_step INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Admins that existed before roles keep full access as owners
+    const addedAdminColumns = addMissingColumns(db, 'admin_users', {
+      role: "TEXT NOT NULL DEFAULT 'owner' CHECK (role IN ('owner', 'manager', 'staff'))",
+      email: 'TEXT',
+      must_change_password: 'INTEGER DEFAULT 0',
+      password_changed_at: 'DATETIME',
+      totp_secret: 'TEXT',
+      totp_enabled: 'INTEGER NOT NULL DEFAULT 0',
+      totp_last_step: 'INTEGER'
+    });
+
+    // Anyone still using the built-in default password has to change it on their next login
+    if (addedAdminColumns.includes('must_change_password')) {
+      db.prepare('SELECT id, password FROM admin_users').all()
+        .filter(admin => bcrypt.compareSync('admin123', admin.password))
+        .forEach(admin => {
+          db.prepare('UPDATE admin_users SET must_change_password = 1 WHERE id = ?').run(admin.id);
+          console.log(`⚠️  Admin #${admin.id} still uses the default password - they will be asked to change it`);
+        });
+    }
+
+    // Create admin_recovery_codes table
+    // One-time codes for logging in when the authenticator app is lost - only SHA-256 hashes are stored
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin
+      ON admin_recovery_codes(admin_id, code_hash)
+    `);
+
+    // Create admin_sessions table
+    // One row per logged-in device. The refresh token rotates on every use: we keep the hash of
+    // the current one, plus the previous one so a stolen (already used) token can be spotted
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL,
+        refresh_token_hash TEXT UNIQUE NOT NULL,
+        previous_token_hash TEXT,
+        user_agent TEXT,
+        ip_address TEXT,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_admin_sessions_previous_token
+      ON admin_sessions(previous_token_hash)
+    `);
+
+    // Create login_attempts table
+    // Every admin login attempt (successful or not) - shown to owners as the login log
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT,
+        admin_id INTEGER,
+        ip_address TEXT,
+        user_agent TEXT,
+        success INTEGER NOT NULL,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE SET NULL
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_created
+      ON login_attempts(created_at)
+    `);
+
+    // Create login_throttle table
+    // Failed-login counters per IP/username (used when LOGIN_THROTTLE_STORE is "sqlite", the default)
+    // Times are milliseconds since 1970 (Date.now())
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS login_throttle (
+        key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL,
+        last_failure_at INTEGER NOT NULL,
+        locked_until INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    // Create audit_log table
+    // Who changed what and when - every admin change to apartments, their photos/videos,
+    // bookings/blocks and pricing rules
+    // before/after hold only the fields that changed (JSON), so a price change shows up as
+    // { "price_per_night": 40000 } -> { "price_per_night": 45000 }
+    // admin_username is copied in, so the log still makes sense after an admin is removed
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER,
+        admin_username TEXT,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id INTEGER,
+        apartment_id INTEGER,
+        before_data TEXT,
+        after_data TEXT,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE SET NULL
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created
+      ON audit_log(created_at)
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_apartment
+      ON audit_log(apartment_id)
+    `);
+
+    // Create apartment_revisions table
+    // A full copy of the listing after every change, so an old version can be looked at or restored
+    // (the audit log only keeps what changed - this keeps everything, including the photo order)
+    // snapshot is JSON: the editable fields, amenities as an array, and images as [{ id, image_url, display_order, is_primary }]
+    // reason: 'initial' (the listing as it was before history started), 'create', 'update', 'restore' or 'images'
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS apartment_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        apartment_id INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        restored_from INTEGER,
+        snapshot TEXT NOT NULL,
+        admin_id INTEGER,
+        admin_username TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (apartment_id, revision),
+        FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+        FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create password_reset_tokens table
+    // "Forgot password" links emailed to admins - only a SHA-256 hash of the token is stored
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down(db) {
+    // Children before parents, so no foreign key is left pointing at a dropped table
+    db.exec(`
+      DROP TRIGGER IF EXISTS apartments_fts_insert;
+      DROP TRIGGER IF EXISTS apartments_fts_delete;
+      DROP TRIGGER IF EXISTS apartments_fts_update;
+      DROP TABLE IF EXISTS apartments_fts;
+
+      DROP TABLE IF EXISTS apartment_revisions;
+      DROP TABLE IF EXISTS audit_log;
+      DROP TABLE IF EXISTS password_reset_tokens;
+      DROP TABLE IF EXISTS login_throttle;
+      DROP TABLE IF EXISTS login_attempts;
+      DROP TABLE IF EXISTS admin_sessions;
+      DROP TABLE IF EXISTS admin_recovery_codes;
+      DROP TABLE IF EXISTS reviews;
+      DROP TABLE IF EXISTS review_tokens;
+      DROP TABLE IF EXISTS booking_requests;
+      DROP TABLE IF EXISTS bookings;
+      DROP TABLE IF EXISTS calendar_feeds;
+      DROP TABLE IF EXISTS pricing_rules;
+      DROP TABLE IF EXISTS apartment_videos;
+      DROP TABLE IF EXISTS apartment_images;
+      DROP TABLE IF EXISTS apartments;
+      DROP TABLE IF EXISTS admin_users;
+    `);
+  }
+};
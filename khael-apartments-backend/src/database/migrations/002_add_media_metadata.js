@@ -0,0 +1,206 @@
+// src/database/migrations/002_add_media_metadata.js
+// Remember where each photo/video is stored and what it is, instead of working it out from the URL
+//
+//   public_id        the file's key in its storage backend (Cloudinary public_id, or "images/abc.jpg" on disk)
+//   storage_backend  which backend stored it ('cloudinary', 'local', ...)
+//   resource_type    'image' or 'video'
+//   format, bytes, width, height
+//
+// Existing rows are backfilled from their URLs. Cloudinary rows only get what the URL tells us (id and format);
+// width/height/bytes stay empty for them, since a migration shouldn't depend on the network.
+// Rows whose URL no backend recognises (e.g. a photo hosted on another website) are left empty too.
+
+const fs = require('fs');
+const path = require('path');
+
+// Everything this needs from the storage code is copied in below, rather than required from src/storage,
+// so later changes to the app can't change what this migration did
+
+// Where local uploads live, and the URL they're served under (as in storage/backends/local.js)
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const LOCAL_URL_PREFIX = '/uploads/';
+
+// A Cloudinary delivery URL: the key is what follows the transformations and version, minus the extension
+const CLOUDINARY_URL_PATTERN =
+  /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(?:image|video|raw)\/upload\/(?:[a-z]{1,3}_[^/]*\/)*(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i;
+
+// Only the first part of an image is read for its size (a JPEG's can come after a big EXIF block)
+const HEADER_BYTES = 256 * 1024;
+
+const METADATA_COLUMNS = {
+  public_id: 'TEXT',
+  storage_backend: 'TEXT',
+  resource_type: 'TEXT',
+  format: 'TEXT',
+  bytes: 'INTEGER',
+  width: 'INTEGER',
+  height: 'INTEGER'
+};
+
+const MEDIA_TABLES = [
+  { table: 'apartment_images', urlColumn: 'image_url', kind: 'image' },
+  { table: 'apartment_videos', urlColumn: 'video_url', kind: 'video' }
+];
+
+/**
+ * Which backend a URL belongs to, and the file's key there
+ * @returns {{ backend: string, key: string } | null}
+ */
+function findStoredFile(fileUrl) {
+  const value = String(fileUrl || '');
+
+  const match = value.match(CLOUDINARY_URL_PATTERN);
+  if (match) return { backend: 'cloudinary', key: match[1] };
+
+  if (value.startsWith(LOCAL_URL_PREFIX)) {
+    return { backend: 'local', key: decodeURIComponent(value.slice(LOCAL_URL_PREFIX.length)) };
+  }
+
+  return null;
+}
+
+/**
+ * Path of a local upload, refusing keys that point outside the uploads folder
+ */
+function resolveLocalKey(key) {
+  const filePath = path.resolve(UPLOADS_DIR, key);
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+}
+
+function pngSize(buffer) {
+  // Signature, then the IHDR chunk: width and height are its first two 4-byte numbers
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function jpegSize(buffer) {
+  let offset = 2; // skip the FFD8 start marker
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // SOF0-SOF15 hold the size (C4, C8 and CC are other segment types that share the range)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+function webpSize(buffer) {
+  if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    return null;
+  }
+
+  switch (buffer.toString('ascii', 12, 16)) {
+    case 'VP8 ': // lossy
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': { // lossless - 14 bits each, packed
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X': // extended - 24 bits each
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Width and height of a JPEG, PNG or WebP from its file header
+ * @returns {{ width: number, height: number } | null} null if the format isn't recognised
+ */
+function readImageSize(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const header = buffer.subarray(0, fs.readSync(fd, buffer, 0, HEADER_BYTES, 0));
+
+    if (header[0] === 0x89 && header.toString('ascii', 1, 4) === 'PNG') return pngSize(header);
+    if (header[0] === 0xff && header[1] === 0xd8) return jpegSize(header);
+    return webpSize(header);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * What we can tell about a stored file from its URL (plus the file itself, for local uploads)
+ */
+function describeFile(fileUrl, kind) {
+  const stored = findStoredFile(fileUrl);
+  if (!stored) return null;
+
+  const extension = path.extname(new URL(fileUrl, 'http://localhost').pathname).slice(1).toLowerCase();
+  const metadata = {
+    public_id: stored.key,
+    storage_backend: stored.backend,
+    resource_type: kind,
+    format: extension || null,
+    bytes: null,
+    width: null,
+    height: null
+  };
+
+  if (stored.backend === 'local') {
+    try {
+      const filePath = resolveLocalKey(stored.key);
+      metadata.bytes = fs.statSync(filePath).size;
+      if (kind === 'image') Object.assign(metadata, readImageSize(filePath));
+    } catch (error) {
+      // The file is missing or unreadable - keep what the URL told us
+    }
+  }
+
+  return metadata;
+}
+
+module.exports = {
+  up(db) {
+    MEDIA_TABLES.forEach(({ table, urlColumn, kind }) => {
+      Object.entries(METADATA_COLUMNS).forEach(([column, type]) => {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      });
+
+      const update = db.prepare(`
+        UPDATE ${table}
+        SET public_id = ?, storage_backend = ?, resource_type = ?, format = ?, bytes = ?, width = ?, height = ?
+        WHERE id = ?
+      `);
+
+      db.prepare(`SELECT id, ${urlColumn} AS url FROM ${table}`).all().forEach(row => {
+        const metadata = describeFile(row.url, kind);
+        if (!metadata) return;
+
+        update.run(
+          metadata.public_id,
+          metadata.storage_backend,
+          metadata.resource_type,
+          metadata.format,
+          metadata.bytes,
+          metadata.width,
+          metadata.height,
+          row.id
+        );
+      });
+    });
+  },
+
+  down(db) {
+    MEDIA_TABLES.forEach(({ table }) => {
+      Object.keys(METADATA_COLUMNS).forEach(column => {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      });
+    });
+  }
+};
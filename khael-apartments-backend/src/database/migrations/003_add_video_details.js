@@ -0,0 +1,80 @@
+// src/database/migrations/003_add_video_details.js
+// Apartments can have several video tours, each with a title, a place in the order and a poster image
+//
+//   title                    shown above the video on the apartment page
+//   display_order            like apartment_images.display_order
+//   poster_url               the still shown before the video plays - either uploaded by an admin,
+//                            or made by the storage backend from the video itself
+//                            (Cloudinary on the fly, local disk with ffmpeg when the video is uploaded)
+//   poster_public_id         only set for uploaded posters (generated ones aren't separate files),
+//   poster_storage_backend   so they can be deleted with the video
+//
+// Existing videos keep their current order (oldest first) and get a generated poster where possible
+
+const fs = require('fs');
+const path = require('path');
+
+// How the storage backends made posters when this was written, copied in rather than required from
+// src/storage so later changes to the app can't change what this migration did
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const CLOUDINARY_CLOUD_PATTERN = /^https?:\/\/res\.cloudinary\.com\/([^/]+)\//i;
+
+/**
+ * The generated poster for an existing video, or null if there isn't one
+ * - Cloudinary: a frame picked on the fly (so_auto), in the same cloud as the video
+ * - Local disk: videos/posters/<name>.jpg, if ffmpeg made one when the video was uploaded
+ * Relies on the public_id / storage_backend columns migration 002 filled in
+ */
+function generatePosterUrl(video) {
+  if (!video.public_id) return null;
+
+  if (video.storage_backend === 'cloudinary') {
+    const match = String(video.video_url || '').match(CLOUDINARY_CLOUD_PATTERN);
+    if (!match) return null;
+
+    // Cloudinary's SDK adds a version to keys inside folders
+    const version = video.public_id.includes('/') ? 'v1/' : '';
+    return `https://res.cloudinary.com/${match[1]}/video/upload/so_auto/${version}${video.public_id}.jpg`;
+  }
+
+  if (video.storage_backend === 'local') {
+    const { dir, name } = path.posix.parse(video.public_id);
+    const posterKey = `${dir}/posters/${name}.jpg`;
+    const posterPath = path.resolve(UPLOADS_DIR, posterKey);
+
+    if (!posterPath.startsWith(UPLOADS_DIR + path.sep)) return null;
+    return fs.existsSync(posterPath) ? `/uploads/${posterKey}` : null;
+  }
+
+  return null;
+}
+
+const NEW_COLUMNS = {
+  title: 'TEXT',
+  display_order: 'INTEGER DEFAULT 0',
+  poster_url: 'TEXT',
+  poster_public_id: 'TEXT',
+  poster_storage_backend: 'TEXT'
+};
+
+module.exports = {
+  up(db) {
+    Object.entries(NEW_COLUMNS).forEach(([column, type]) => {
+      db.exec(`ALTER TABLE apartment_videos ADD COLUMN ${column} ${type}`);
+    });
+
+    const update = db.prepare('UPDATE apartment_videos SET display_order = ?, poster_url = ? WHERE id = ?');
+    const positions = {};
+
+    db.prepare('SELECT * FROM apartment_videos ORDER BY apartment_id, id').all().forEach(video => {
+      positions[video.apartment_id] = (positions[video.apartment_id] ?? -1) + 1;
+      update.run(positions[video.apartment_id], generatePosterUrl(video), video.id);
+    });
+  },
+
+  down(db) {
+    Object.keys(NEW_COLUMNS).forEach(column => {
+      db.exec(`ALTER TABLE apartment_videos DROP COLUMN ${column}`);
+    });
+  }
+};
@@ -0,0 +1,28 @@
+// src/database/migrations/004_add_image_details.js
+// Captions, alt text and room tags for photos (see src/utils/images.js)
+//
+//   caption   shown under the photo on the apartment page
+//   alt_text  describes the photo for screen readers and search engines
+//   room      bedroom, kitchen, living_room, bathroom or exterior - lets guests filter the gallery
+//
+// Existing photos start with all three empty
+
+const NEW_COLUMNS = {
+  caption: 'TEXT',
+  alt_text: 'TEXT',
+  room: "TEXT CHECK (room IN ('bedroom', 'kitchen', 'living_room', 'bathroom', 'exterior'))"
+};
+
+module.exports = {
+  up(db) {
+    Object.entries(NEW_COLUMNS).forEach(([column, type]) => {
+      db.exec(`ALTER TABLE apartment_images ADD COLUMN ${column} ${type}`);
+    });
+  },
+
+  down(db) {
+    Object.keys(NEW_COLUMNS).forEach(column => {
+      db.exec(`ALTER TABLE apartment_images DROP COLUMN ${column}`);
+    });
+  }
+};
@@ -0,0 +1,29 @@
+// src/database/migrations/005_add_image_variants.js
+// Remember which resized copies were made of each photo (see src/storage/variants.js)
+//
+//   variant_widths  JSON { thumbnail: 200, card: 600, full: 1200 } - the actual width of each copy
+//                   (a small photo's copies are never enlarged). Only the local backend fills it -
+//                   Cloudinary makes its copies on request, so there's nothing to remember
+//   placeholder     a tiny blurred version as a data: URL, shown while the photo loads
+//
+// Existing photos start without copies (they'd need sharp, which is async - migrations can't wait for it).
+// Until then they're served at their original size; run "npm run media:variants" to make the copies.
+
+const NEW_COLUMNS = {
+  variant_widths: 'TEXT',
+  placeholder: 'TEXT'
+};
+
+module.exports = {
+  up(db) {
+    Object.entries(NEW_COLUMNS).forEach(([column, type]) => {
+      db.exec(`ALTER TABLE apartment_images ADD COLUMN ${column} ${type}`);
+    });
+  },
+
+  down(db) {
+    Object.keys(NEW_COLUMNS).forEach(column => {
+      db.exec(`ALTER TABLE apartment_images DROP COLUMN ${column}`);
+    });
+  }
+};
@@ -0,0 +1,51 @@
+// src/database/migrations/006_convert_unavailable_flag.js
+// Carry the old manual "available" switch over to bookings-based availability
+//
+// Availability now comes only from the bookings table (an apartment is available when nothing is booked),
+// and apartments.available is no longer read. Listings an admin had switched off (available = 0) would
+// otherwise show up as available after upgrading, so each one gets an open-ended block instead:
+// from today until OPEN_ENDED_CHECK_OUT. Deleting the block in the dashboard opens the apartment up again.
+//
+// down() removes those blocks (the ones still there) and switches the apartments back off
+
+// As good as "never" - a real booking can't start after this
+const OPEN_ENDED_CHECK_OUT = '9999-12-31';
+
+const BLOCK_NOTE = 'Marked unavailable before bookings decided availability - delete this block to reopen';
+
+/**
+ * Today's date on the server, as 'YYYY-MM-DD' (the same as utils/dates today())
+ */
+function today() {
+  const now = new Date();
+  const pad = number => String(number).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+module.exports = {
+  up(db) {
+    const insertBlock = db.prepare(`
+      INSERT INTO bookings (apartment_id, check_in, check_out, status, notes)
+      VALUES (?, ?, ?, 'blocked', ?)
+    `);
+
+    db.prepare('SELECT id FROM apartments WHERE available = 0').all().forEach(apartment => {
+      insertBlock.run(apartment.id, today(), OPEN_ENDED_CHECK_OUT, BLOCK_NOTE);
+    });
+
+    // The block holds the meaning now - the old flag is left at its default so it can't disagree
+    db.prepare('UPDATE apartments SET available = 1 WHERE available = 0').run();
+  },
+
+  down(db) {
+    const blocks = db.prepare(`
+      SELECT id, apartment_id FROM bookings
+      WHERE status = 'blocked' AND check_out = ? AND notes = ? AND feed_id IS NULL
+    `).all(OPEN_ENDED_CHECK_OUT, BLOCK_NOTE);
+
+    blocks.forEach(block => {
+      db.prepare('UPDATE apartments SET available = 0 WHERE id = ?').run(block.apartment_id);
+      db.prepare('DELETE FROM bookings WHERE id = ?').run(block.id);
+    });
+  }
+};
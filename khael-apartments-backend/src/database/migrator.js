@@ -0,0 +1,238 @@
+// src/database/migrator.js
+// Versioned schema migrations
+//
+// Each file in src/database/migrations is one step, named NNN_what_it_does.js, exporting:
+//   up(db)   - make the change
+//   down(db) - undo it
+// The versions that have been applied are recorded in the schema_migrations table, so every step
+// runs exactly once per database - like replaying a reducer's actions in order to rebuild state.
+// Each migration runs in its own transaction: it either fully applies (and is recorded) or not at all.
+// Migrations don't require app code (storage, utils, ...): an old step has to keep doing exactly what
+// it did when it was written, so anything it needs is copied into its file.
+//
+// Day to day use is through the command line (src/database/migrate.js, or the npm run migrate:* scripts);
+// the server also checks for pending migrations when it starts (see runMigrationsOnStartup)
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+function ensureMigrationsTable() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Read every migration file, oldest first
+ * Throws on a badly named file or two files with the same version, so mistakes show up straight away
+ * @returns {Array} [{ version, name, file, up, down }]
+ */
+function loadMigrations() {
+  const filesByVersion = new Map();
+
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        throw new Error(`Migration file names must look like 002_add_something.js (got ${file})`);
+      }
+
+      const version = Number(match[1]);
+      if (filesByVersion.has(version)) {
+        throw new Error(`Two migrations have version ${version}: ${filesByVersion.get(version)} and ${file}`);
+      }
+      filesByVersion.set(version, file);
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+
+      return { version, name: match[2], file, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * @returns {Map} version → schema_migrations row
+ */
+function getAppliedVersions() {
+  ensureMigrationsTable();
+  const rows = db.prepare('SELECT * FROM schema_migrations ORDER BY version').all();
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Every migration and whether it has been applied
+ * @returns {{ migrations: Array, missing: Array }} missing = applied in the database but no file for it
+ *   (usually older code running against a newer database)
+ */
+function getMigrationStatus() {
+  const applied = getAppliedVersions();
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return {
+    migrations: migrations.map(({ version, name, file }) => ({
+      version,
+      name,
+      file,
+      applied: applied.has(version),
+      applied_at: applied.get(version)?.applied_at ?? null
+    })),
+    missing: [...applied.values()].filter(row => !known.has(row.version))
+  };
+}
+
+function getPendingMigrations() {
+  return getMigrationStatus().migrations.filter(migration => !migration.applied);
+}
+
+/**
+ * Apply pending migrations, oldest first
+ * Stops at the first one that fails (that one is rolled back; the ones before it stay applied)
+ * @param {Object} options
+ * @param {number} [options.to] - Stop after this version
+ * @returns {Array} The migrations that were applied
+ */
+function migrateUp({ to = Infinity } = {}) {
+  const applied = getAppliedVersions();
+  const pending = loadMigrations().filter(migration =>
+    !applied.has(migration.version) && migration.version <= to
+  );
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+  pending.forEach(migration => {
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      })();
+    } catch (error) {
+      throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+    }
+
+    console.log(`✅ Applied migration ${migration.file}`);
+  });
+
+  return pending;
+}
+
+/**
+ * Undo the most recently applied migrations, newest first
+ * @param {Object} options
+ * @param {number} [options.steps=1] - How many to undo
+ * @returns {Array} The migrations that were undone
+ */
+function migrateDown({ steps = 1 } = {}) {
+  const applied = getAppliedVersions();
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+  const unrecord = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+  return versions.map(version => {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`Can't undo version ${version} (${applied.get(version).name}) - its migration file is missing`);
+    }
+
+    try {
+      db.transaction(() => {
+        migration.down(db);
+        unrecord.run(version);
+      })();
+    } catch (error) {
+      throw new Error(`Undoing migration ${migration.file} failed: ${error.message}`);
+    }
+
+    console.log(`↩️  Undid migration ${migration.file}`);
+    return migration;
+  });
+}
+
+/**
+ * Start a new, empty migration file with the next version number
+ * @param {string} name - e.g. "add image metadata" → 002_add_image_metadata.js
+ * @returns {string} Path of the new file
+ */
+function createMigration(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new Error('Give the migration a name, e.g. "add image metadata"');
+  }
+
+  const lastVersion = loadMigrations().reduce((max, migration) => Math.max(max, migration.version), 0);
+  const file = `${String(lastVersion + 1).padStart(3, '0')}_${slug}.js`;
+  const filePath = path.join(MIGRATIONS_DIR, file);
+
+  fs.writeFileSync(filePath, `// src/database/migrations/${file}
+// What this migration changes, and why
+
+module.exports = {
+  up(db) {
+    // db.exec('ALTER TABLE apartments ADD COLUMN ...');
+  },
+
+  down(db) {
+    // Undo everything up() did
+  }
+};
+`);
+
+  return filePath;
+}
+
+/**
+ * Called once when the server starts, so a deploy can never run with columns missing
+ * - Nothing pending: carry on
+ * - Pending and MIGRATE_ON_START=true (the default outside production): apply them
+ * - Pending in production without MIGRATE_ON_START=true: throw, so the server refuses to start
+ *   until "npm run migrate" has been run
+ */
+function runMigrationsOnStartup() {
+  const { migrations, missing } = getMigrationStatus();
+  const pending = migrations.filter(migration => !migration.applied);
+
+  if (missing.length > 0) {
+    console.warn(`⚠️  The database has migrations this code doesn't know about: ${missing.map(row => `${row.version}_${row.name}`).join(', ')}`);
+  }
+
+  if (pending.length === 0) {
+    console.log('✅ Database schema is up to date');
+    return;
+  }
+
+  const autoMigrate = process.env.MIGRATE_ON_START
+    ? process.env.MIGRATE_ON_START === 'true'
+    : process.env.NODE_ENV !== 'production';
+
+  if (!autoMigrate) {
+    throw new Error(
+      `${pending.length} pending migration(s): ${pending.map(migration => migration.file).join(', ')}. ` +
+      'Run "npm run migrate" (or set MIGRATE_ON_START=true) before starting the server.'
+    );
+  }
+
+  console.log(`🔄 Applying ${pending.length} pending migration(s)...`);
+  migrateUp();
+}
+
+module.exports = {
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown,
+  createMigration,
+  runMigrationsOnStartup
+};
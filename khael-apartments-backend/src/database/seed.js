@@ -0,0 +1,114 @@
+// src/database/seed.js
+// Data the app needs to be usable: the first admin user (and optional sample data for testing)
+// The tables themselves come from the migrations in src/database/migrations
+
+const db = require('./db');
+const bcrypt = require('bcryptjs');
+
+/**
+ * Create Default Admin User
+ * This runs automatically on first server start
+ */
+function createDefaultAdmin() {
+  try {
+    // Check if any admin exists
+    const existingAdmin = db.prepare('SELECT * FROM admin_users LIMIT 1').get();
+
+    if (existingAdmin) {
+      console.log('👤 Admin user already exists');
+      return;
+    }
+
+    // Get admin credentials from environment variables
+    // Without ADMIN_PASSWORD we fall back to a well-known password, so the admin
+    // has to pick a new one the first time they log in
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const usingDefaultPassword = !process.env.ADMIN_PASSWORD;
+    const password = process.env.ADMIN_PASSWORD || 'admin123';
+    const email = process.env.ADMIN_EMAIL || null;
+
+    // Hash the password (never store plain text passwords!)
+    // This is like encrypting sensitive data before storing
+    const hashedPassword = bcrypt.hashSync(password, 10);
+
+    // Insert admin user - the first admin is the owner, so they can add everyone else
+    const stmt = db.prepare(`
+      INSERT INTO admin_users (username, password, role, email, must_change_password)
+      VALUES (?, ?, 'owner', ?, ?)
+    `);
+
+    stmt.run(username, hashedPassword, email, usingDefaultPassword ? 1 : 0);
+
+    console.log('✅ Default admin user created');
+    console.log(`   Username: ${username}`);
+
+    // Only print the password when it's the built-in default - never echo a real one into logs
+    if (usingDefaultPassword) {
+      console.log(`   Password: ${password}`);
+      console.log('   ⚠️  You will be asked to change this password on first login');
+    } else {
+      console.log('   Password: (from ADMIN_PASSWORD)');
+    }
+
+  } catch (error) {
+    console.error('❌ Error creating admin user:', error.message);
+  }
+}
+
+/**
+ * Add Sample Apartment (Optional - for testing)
+ * Uncomment this if you want some initial data to work with
+ */
+function addSampleData() {
+  try {
+    // Check if apartments already exist
+    const existingApartment = db.prepare('SELECT * FROM apartments LIMIT 1').get();
+    
+    if (existingApartment) {
+      console.log('📦 Sample data already exists');
+      return;
+    }
+
+    // Insert a sample apartment
+    const stmt = db.prepare(`
+      INSERT INTO apartments (
+        title, description, bedrooms, bathrooms, max_guests,
+        price_per_night, address, city, state, available
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const apartmentId = stmt.run(
+      'Luxury 2-Bedroom Apartment in Abuja',
+      'Beautiful modern apartment with stunning city views. Fully furnished with high-speed internet, Smart TV, and modern kitchen appliances.',
+      2,
+      2,
+      4,
+      35000.00,
+      '123 Cadastral Zone, Maitama',
+      'Abuja',
+      'FCT',
+      1
+    ).lastInsertRowid;
+
+    // Add sample images (you can add real image URLs later)
+    // (kept on local disk - public_id is the path inside the uploads folder)
+    const imageStmt = db.prepare(`
+      INSERT INTO apartment_images (
+        apartment_id, image_url, is_primary, display_order,
+        public_id, storage_backend, resource_type, format
+      )
+      VALUES (?, ?, ?, ?, ?, 'local', 'image', 'jpg')
+    `);
+
+    imageStmt.run(apartmentId, '/uploads/images/sample1.jpg', 1, 0, 'images/sample1.jpg');
+    imageStmt.run(apartmentId, '/uploads/images/sample2.jpg', 0, 1, 'images/sample2.jpg');
+    imageStmt.run(apartmentId, '/uploads/images/sample3.jpg', 0, 2, 'images/sample3.jpg');
+
+    console.log('✅ Sample apartment added successfully');
+
+  } catch (error) {
+    console.error('❌ Error adding sample data:', error.message);
+  }
+}
+
+module.exports = { createDefaultAdmin, addSampleData };
\ No newline at end of file
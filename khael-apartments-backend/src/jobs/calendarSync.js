@@ -0,0 +1,181 @@
+// src/jobs/calendarSync.js
+// Background job that pulls external iCal feeds (Airbnb, Booking.com...) into our bookings
+// Every event in a feed becomes a "blocked" booking, so the dates can't be double booked here
+
+const fs = require('fs').promises;
+const { fileURLToPath } = require('url');
+const db = require('../database/db');
+const { parseICal } = require('../utils/ical');
+const { today } = require('../utils/dates');
+
+// How often to sync all feeds (set ICAL_SYNC_INTERVAL_MINUTES=0 to turn the job off)
+const SYNC_INTERVAL_MINUTES = Number(process.env.ICAL_SYNC_INTERVAL_MINUTES ?? 30);
+
+// Give up on a slow feed after this long
+const FETCH_TIMEOUT_MS = 15000;
+
+// file:// feeds read straight from the server's disk, so they're off unless you ask for them
+// (set ICAL_ALLOW_FILE_URLS=true to try the importer offline against a local .ics file)
+const ALLOW_FILE_URLS = process.env.ICAL_ALLOW_FILE_URLS === 'true';
+
+/**
+ * Only allow feed URLs we know how to fetch (and are allowed to)
+ */
+function isAllowedFeedUrl(url) {
+  if (/^https?:\/\//i.test(url)) return true;
+  return ALLOW_FILE_URLS && url.startsWith('file://');
+}
+
+/**
+ * Download a feed
+ * Supports http(s):// URLs, plus file:// URLs when ICAL_ALLOW_FILE_URLS is on
+ * (a feed saved while it was on stops syncing once it's turned off)
+ */
+async function fetchFeed(url) {
+  if (!isAllowedFeedUrl(url)) {
+    throw new Error('Feed URL must start with http:// or https://');
+  }
+
+  if (url.startsWith('file://')) {
+    return fs.readFile(fileURLToPath(url), 'utf8');
+  }
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Feed returned HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Swap out every block previously imported from a feed for the new set of events
+ * Runs in a transaction so the calendar is never half-synced
+ *
+ * An event that lands on one of our confirmed guest stays is a double booking.
+ * It's still blocked (the other platform has those nights taken), but it's reported
+ * so the admin can sort it out with one of the guests
+ * @returns {Array<string>} One message per clash
+ */
+const replaceImportedBlocks = db.transaction((feed, events) => {
+  db.prepare('DELETE FROM bookings WHERE feed_id = ?').run(feed.id);
+
+  const insert = db.prepare(`
+    INSERT INTO bookings (apartment_id, check_in, check_out, status, notes, feed_id, external_uid)
+    VALUES (?, ?, ?, 'blocked', ?, ?, ?)
+  `);
+
+  const findConfirmedOverlaps = db.prepare(`
+    SELECT id, guest_name, check_in, check_out FROM bookings
+    WHERE apartment_id = ? AND status = 'confirmed' AND check_in < ? AND check_out > ?
+    ORDER BY check_in ASC
+  `);
+
+  const conflicts = [];
+
+  events.forEach(event => {
+    findConfirmedOverlaps.all(feed.apartment_id, event.end, event.start).forEach(booking => {
+      conflicts.push(
+        `Double booking: ${event.start} to ${event.end}${event.summary ? ` (${event.summary})` : ''} ` +
+        `overlaps booking #${booking.id}${booking.guest_name ? ` for ${booking.guest_name}` : ''} ` +
+        `(${booking.check_in} to ${booking.check_out})`
+      );
+    });
+
+    insert.run(
+      feed.apartment_id,
+      event.start,
+      event.end,
+      event.summary ? `${feed.name}: ${event.summary}` : feed.name,
+      feed.id,
+      event.uid
+    );
+  });
+
+  return conflicts;
+});
+
+/**
+ * Sync one feed and record the outcome on its calendar_feeds row
+ * Never throws - failures are stored in last_error so the admin can see them
+ * @param {Object} feed - calendar_feeds row
+ * @returns {Promise<{ success: boolean, imported?: number, errors?: Array<string>, conflicts?: Array<string>, error?: string }>}
+ */
+async function syncFeed(feed) {
+  try {
+    const text = await fetchFeed(feed.url);
+    const { events, errors } = parseICal(text);
+
+    // Past stays don't matter, and our own exported events shouldn't echo back to us
+    const upcoming = events.filter(event =>
+      event.end > today() && !(event.uid || '').endsWith('@khael-apartments')
+    );
+
+    const conflicts = replaceImportedBlocks(feed, upcoming);
+    if (conflicts.length > 0) {
+      console.warn(`⚠️  Calendar feed ${feed.id} (${feed.name}) clashes with ${conflicts.length} confirmed booking(s)`);
+    }
+
+    // Double bookings are listed first - they need someone to act on them
+    const problems = [...conflicts, ...errors];
+
+    db.prepare(`
+      UPDATE calendar_feeds
+      SET last_synced_at = CURRENT_TIMESTAMP, last_error = ?, last_event_count = ?
+      WHERE id = ?
+    `).run(problems.length > 0 ? problems.join('\n') : null, upcoming.length, feed.id);
+
+    return { success: true, imported: upcoming.length, errors, conflicts };
+
+  } catch (error) {
+    console.error(`❌ Calendar sync failed for feed ${feed.id} (${feed.name}):`, error.message);
+
+    // Keep the previously imported blocks - a flaky feed shouldn't suddenly free up dates
+    db.prepare('UPDATE calendar_feeds SET last_error = ? WHERE id = ?').run(error.message, feed.id);
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Sync every feed, one after another
+ */
+async function syncAllFeeds() {
+  try {
+    // Archived apartments aren't taking bookings, so their feeds are left alone until they're restored
+    const feeds = db.prepare(`
+      SELECT f.* FROM calendar_feeds f
+      JOIN apartments a ON a.id = f.apartment_id
+      WHERE a.deleted_at IS NULL
+    `).all();
+
+    for (const feed of feeds) {
+      await syncFeed(feed);
+    }
+
+    if (feeds.length > 0) {
+      console.log(`📅 Synced ${feeds.length} calendar feed(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Calendar sync failed:', error.message);
+  }
+}
+
+/**
+ * Start the background sync (called once from server.js)
+ */
+function startCalendarSync() {
+  if (!SYNC_INTERVAL_MINUTES) {
+    console.log('📅 Calendar sync disabled');
+    return;
+  }
+
+  syncAllFeeds();
+  setInterval(syncAllFeeds, SYNC_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  isAllowedFeedUrl,
+  syncFeed,
+  syncAllFeeds,
+  startCalendarSync
+};
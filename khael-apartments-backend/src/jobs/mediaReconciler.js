@@ -0,0 +1,445 @@
+// src/jobs/mediaReconciler.js
+// Compare what's in media storage with what the database points at, and optionally tidy up
+//
+// Uploads and deletes touch two places (the storage backend and the database), and they can drift apart:
+//   orphans  files in storage that no apartment_images / apartment_videos row uses
+//            (an upload whose request failed, a delete that removed the row but not the file, ...)
+//   broken   rows pointing at a file that isn't in storage any more
+//
+// A run lists every scanned backend's files (Cloudinary: the khael-apartments/ folders, local disk: src/uploads),
+// plus resized copies whose photo is gone (local disk keeps those as separate files), then, depending on the options:
+//   relink         point a broken row at an orphan that is clearly its file - same file name, or the file its
+//                  URL still points to (e.g. the row has a stale public_id after switching backends)
+//   removeBroken   drop broken rows that couldn't be relinked (a video whose poster is missing goes back to
+//                  a generated poster instead)
+//   deleteOrphans  delete the remaining orphans from storage
+// With dryRun (the default) nothing is changed - the report says what would be done.
+//
+// Files newer than minAgeMinutes are never treated as orphans: they may belong to an upload whose row
+// is still being written.
+//
+// Used by the admin endpoint (src/controllers/mediaController.js) and the command line (src/jobs/reconcileMedia.js)
+
+const path = require('path');
+const db = require('../database/db');
+const { recordAudit } = require('../utils/audit');
+const {
+  getStorage,
+  getAllStorages,
+  getStoredFile,
+  findStoredFile,
+  getPosterFile,
+  generatePosterUrl,
+  deleteMediaFile
+} = require('../storage');
+const localStorage = require('../storage/backends/local');
+
+const MEDIA_KINDS = ['image', 'video'];
+
+const DEFAULT_MIN_AGE_MINUTES = 60;
+
+// Which columns hold a file's location, for each kind of reference
+const REFERENCE_COLUMNS = {
+  image: { url: 'image_url', key: 'public_id', backend: 'storage_backend' },
+  video: { url: 'video_url', key: 'public_id', backend: 'storage_backend' },
+  poster: { url: 'poster_url', key: 'poster_public_id', backend: 'poster_storage_backend' }
+};
+
+// Only one run at a time - two overlapping runs could both act on the same files
+let running = false;
+
+/**
+ * "local:images/abc.jpg" - identifies a file across backends
+ */
+function fileId(backendName, key) {
+  return `${backendName}:${key}`;
+}
+
+/**
+ * A key's file name without folder or extension - "khael-apartments/images/abc" and "images/abc.jpg" both give "abc"
+ */
+function baseName(key) {
+  return path.posix.basename(key).replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Every file the database points at: photos, videos, and the posters admins uploaded for videos
+ * (generated posters belong to their video's file - the backend removes them together - so they're not included)
+ */
+function getReferences() {
+  const references = [];
+
+  db.prepare('SELECT * FROM apartment_images ORDER BY id').all().forEach(image => {
+    references.push({ field: 'image', kind: 'image', table: 'apartment_images', row: image, media: image });
+  });
+
+  db.prepare('SELECT * FROM apartment_videos ORDER BY id').all().forEach(video => {
+    references.push({ field: 'video', kind: 'video', table: 'apartment_videos', row: video, media: video });
+
+    const poster = getPosterFile(video);
+    if (poster) {
+      references.push({ field: 'poster', kind: 'image', table: 'apartment_videos', row: video, media: poster });
+    }
+  });
+
+  return references.map(reference => ({
+    ...reference,
+    url: reference.media.image_url || reference.media.video_url,
+    stored: getStoredFile(reference.media)
+  }));
+}
+
+/**
+ * The backends worth listing: the active one, any the database points at, and local disk (listing it is free)
+ */
+function getBackendsToScan(references) {
+  const backends = new Set([getStorage(), localStorage]);
+  references.forEach(reference => {
+    if (reference.stored) backends.add(reference.stored.storage);
+  });
+  return getAllStorages().filter(backend => backends.has(backend));
+}
+
+/**
+ * List every file of every kind in the given backends
+ * A backend that can't be listed (e.g. Cloudinary without credentials) is reported, not fatal -
+ * rows stored there just can't be checked
+ * @returns {{ files: Map, variants: Array, scanned: Set, errors: Array }}
+ *   files by fileId; variants = resized copies kept as separate files; scanned holds "backend:kind"
+ */
+async function listStoredFiles(backends) {
+  const files = new Map();
+  const variants = [];
+  const scanned = new Set();
+  const errors = [];
+
+  for (const backend of backends) {
+    for (const kind of MEDIA_KINDS) {
+      try {
+        const listed = await backend.list({ kind });
+        listed.forEach(file => files.set(fileId(backend.name, file.key), { ...file, backend, kind }));
+
+        if (kind === 'image' && typeof backend.listVariants === 'function') {
+          const copies = await backend.listVariants({ kind });
+          copies.forEach(file => variants.push({ ...file, backend, kind }));
+        }
+
+        scanned.add(`${backend.name}:${kind}`);
+      } catch (error) {
+        errors.push({ backend: backend.name, kind, message: error.message });
+      }
+    }
+  }
+
+  return { files, variants, scanned, errors };
+}
+
+/**
+ * The orphan a broken reference should point at instead, if there's exactly one obvious candidate
+ * @param {Object} reference
+ * @param {Map} orphans - Unclaimed orphans by fileId
+ */
+function findRelinkTarget(reference, orphans) {
+  // The URL still points at a file that exists - only the stored public_id / backend went stale
+  const byUrl = findStoredFile(reference.url);
+  if (byUrl) {
+    const orphan = orphans.get(fileId(byUrl.storage.name, byUrl.key));
+    if (orphan && orphan.kind === reference.kind) return orphan;
+  }
+
+  // Otherwise: the one orphan with the same file name (e.g. moved to another folder or backend)
+  const name = baseName(reference.stored.key);
+  const sameName = [...orphans.values()].filter(orphan =>
+    orphan.kind === reference.kind && !orphan.original && baseName(orphan.key) === name
+  );
+  return sameName.length === 1 ? sameName[0] : null;
+}
+
+/**
+ * Point a row at a different stored file
+ */
+function relinkReference(req, reference, target) {
+  const columns = REFERENCE_COLUMNS[reference.field];
+  const changes = {
+    [columns.url]: target.url,
+    [columns.key]: target.key,
+    [columns.backend]: target.backend.name
+  };
+
+  // The old file's details don't describe the new one
+  if (reference.field !== 'poster') changes.bytes = target.bytes ?? null;
+  if (reference.field === 'image') {
+    changes.variant_widths = null;
+    changes.placeholder = null;
+  }
+
+  const names = Object.keys(changes);
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE ${reference.table}
+      SET ${names.map(name => `${name} = ?`).join(', ')}
+      WHERE id = ?
+    `).run(...names.map(name => changes[name]), reference.row.id);
+
+    recordAudit(req, {
+      action: 'media.relink',
+      entityType: reference.field === 'image' ? 'image' : 'video',
+      entityId: reference.row.id,
+      apartmentId: reference.row.apartment_id,
+      before: {
+        [columns.url]: reference.row[columns.url],
+        [columns.key]: reference.row[columns.key],
+        [columns.backend]: reference.row[columns.backend]
+      },
+      after: {
+        [columns.url]: target.url,
+        [columns.key]: target.key,
+        [columns.backend]: target.backend.name
+      }
+    });
+  })();
+}
+
+/**
+ * Drop a reference whose file is gone
+ * Photos and videos lose their row; a missing uploaded poster is swapped for a generated one
+ */
+async function removeReference(req, reference) {
+  const { row } = reference;
+
+  if (reference.field === 'poster') {
+    const posterUrl = generatePosterUrl(row);
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE apartment_videos
+        SET poster_url = ?, poster_public_id = NULL, poster_storage_backend = NULL
+        WHERE id = ?
+      `).run(posterUrl, row.id);
+
+      recordAudit(req, {
+        action: 'video.update',
+        entityType: 'video',
+        entityId: row.id,
+        apartmentId: row.apartment_id,
+        before: { poster_url: row.poster_url },
+        after: { poster_url: posterUrl }
+      });
+    })();
+    return;
+  }
+
+  db.transaction(() => {
+    db.prepare(`DELETE FROM ${reference.table} WHERE id = ?`).run(row.id);
+
+    recordAudit(req, {
+      action: `${reference.field}.delete`,
+      entityType: reference.field,
+      entityId: row.id,
+      apartmentId: row.apartment_id,
+      before: { [REFERENCE_COLUMNS[reference.field].url]: reference.url }
+    });
+  })();
+
+  // A removed video's uploaded poster would be left behind otherwise
+  const poster = reference.field === 'video' ? getPosterFile(row) : null;
+  if (poster) await deleteMediaFile(poster);
+}
+
+/**
+ * How a file appears in the report
+ */
+function describeFile(file) {
+  return {
+    backend: file.backend.name,
+    kind: file.kind,
+    key: file.key,
+    url: file.url,
+    bytes: file.bytes ?? null,
+    created_at: file.created_at ?? null,
+    ...(file.original && { variant_of: file.original })
+  };
+}
+
+/**
+ * Check (and optionally fix) media storage against the database
+ * @param {Object} options
+ *   dryRun         true (default) to only report
+ *   deleteOrphans  delete files no row uses
+ *   relink         point broken rows at their file when it can be found
+ *   removeBroken   remove broken rows that weren't relinked
+ *   minAgeMinutes  files newer than this are left alone (default 60)
+ * @param {Object} [req] - The request, for the activity log (the command line has none)
+ * @returns {Promise<Object>} { dry_run, backends, errors, orphans, broken, unchecked, summary }
+ */
+async function reconcileMedia(options = {}, req = {}) {
+  if (running) {
+    const error = new Error('A media reconciliation is already running');
+    error.code = 'RECONCILE_RUNNING';
+    throw error;
+  }
+  running = true;
+
+  try {
+    return await runReconcile(options, req);
+  } finally {
+    running = false;
+  }
+}
+
+async function runReconcile({
+  dryRun = true,
+  deleteOrphans = false,
+  relink = false,
+  removeBroken = false,
+  minAgeMinutes = DEFAULT_MIN_AGE_MINUTES
+}, req) {
+  const references = getReferences();
+  const backends = getBackendsToScan(references);
+  const { files, variants, scanned, errors } = await listStoredFiles(backends);
+
+  // Files some row uses
+  const referenced = new Set(references
+    .filter(reference => reference.stored)
+    .map(reference => fileId(reference.stored.storage.name, reference.stored.key)));
+
+  // Orphans - unused and old enough that they aren't an upload still in progress
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+  const orphans = new Map();
+  let recent = 0;
+
+  const isRecent = file => file.created_at && new Date(file.created_at).getTime() > cutoff;
+
+  files.forEach((file, id) => {
+    if (referenced.has(id)) return;
+    if (isRecent(file)) {
+      recent++;
+      return;
+    }
+    orphans.set(id, file);
+  });
+
+  // Resized copies of a photo that's neither stored nor in the database
+  // (copies of a broken row's photo are left to that row - relinking or removing it clears them)
+  variants.forEach(file => {
+    const original = fileId(file.backend.name, file.original);
+    if (files.has(original) || referenced.has(original)) return;
+    if (isRecent(file)) {
+      recent++;
+      return;
+    }
+    orphans.set(fileId(file.backend.name, file.key), file);
+  });
+
+  // Broken references - the backend was listed, and the file isn't in it
+  const broken = [];
+  let unchecked = 0;
+
+  references.forEach(reference => {
+    if (!reference.stored || !scanned.has(`${reference.stored.storage.name}:${reference.kind}`)) {
+      unchecked++; // another website's URL, or a backend we couldn't list
+      return;
+    }
+    if (!files.has(fileId(reference.stored.storage.name, reference.stored.key))) {
+      broken.push(reference);
+    }
+  });
+
+  // Claim relink targets first, so they aren't deleted as orphans
+  const brokenReport = [];
+  const removedVideoIds = new Set();
+  for (const reference of broken) {
+    const target = findRelinkTarget(reference, orphans);
+    if (target) orphans.delete(fileId(target.backend.name, target.key));
+
+    const action = target && relink ? 'relink' : (removeBroken ? 'remove' : null);
+    const entry = {
+      table: reference.table,
+      id: reference.row.id,
+      apartment_id: reference.row.apartment_id,
+      field: reference.field,
+      backend: reference.stored.storage.name,
+      key: reference.stored.key,
+      url: reference.url,
+      relink_to: target ? describeFile(target) : null,
+      action
+    };
+
+    if (!dryRun && action) {
+      try {
+        if (action === 'relink') {
+          relinkReference(req, reference, target);
+        } else if (!(reference.field === 'poster' && removedVideoIds.has(reference.row.id))) {
+          // (a poster whose video was just removed went with it)
+          await removeReference(req, reference);
+          if (reference.field === 'video') removedVideoIds.add(reference.row.id);
+        }
+        entry.done = true;
+
+        // Clear up whatever is left of the missing file (e.g. its resized copies on local disk)
+        await deleteMediaFile(reference.media);
+      } catch (error) {
+        entry.error = error.message;
+      }
+    }
+
+    // A target that wasn't used stays an orphan
+    if (target && action !== 'relink') orphans.set(fileId(target.backend.name, target.key), target);
+
+    brokenReport.push(entry);
+  }
+
+  const orphanReport = [];
+  const deleted = [];
+  for (const orphan of orphans.values()) {
+    const entry = { ...describeFile(orphan), action: deleteOrphans ? 'delete' : null };
+
+    if (!dryRun && deleteOrphans) {
+      try {
+        entry.done = await orphan.backend.delete(orphan.key, { kind: orphan.kind });
+        if (entry.done) deleted.push(fileId(orphan.backend.name, orphan.key));
+      } catch (error) {
+        entry.error = error.message;
+      }
+    }
+
+    orphanReport.push(entry);
+  }
+
+  // Deleted files have no row to hang an entry on, so they're logged together
+  if (deleted.length > 0) {
+    recordAudit(req, {
+      action: 'media.delete_orphans',
+      entityType: 'media',
+      after: { files: deleted }
+    });
+  }
+
+  return {
+    dry_run: dryRun,
+    backends: backends.map(backend => backend.name),
+    errors,
+    orphans: orphanReport,
+    broken: brokenReport,
+    unchecked,
+    summary: {
+      files: files.size,
+      references: references.length,
+      orphans: orphanReport.length,
+      orphan_bytes: orphanReport.reduce((total, orphan) => total + (orphan.bytes || 0), 0),
+      recent_files_skipped: recent,
+      broken: brokenReport.length,
+      relinkable: brokenReport.filter(entry => entry.relink_to).length,
+      unchecked,
+      relinked: brokenReport.filter(entry => entry.done && entry.action === 'relink').length,
+      removed: brokenReport.filter(entry => entry.done && entry.action === 'remove').length,
+      deleted: deleted.length
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_AGE_MINUTES,
+  reconcileMedia
+};
@@ -0,0 +1,93 @@
+// src/jobs/reconcileMedia.js
+// Command line for the media reconciler (see src/jobs/mediaReconciler.js)
+//
+//   node src/jobs/reconcileMedia.js                      report only                    (npm run media:reconcile)
+//   node src/jobs/reconcileMedia.js --relink             show what relinking would do
+//   node src/jobs/reconcileMedia.js --relink --apply     ...and do it
+//
+// Options:
+//   --delete-orphans   delete files no photo or video uses
+//   --relink           point broken rows at their file when it can be found
+//   --remove-broken    remove broken rows that weren't relinked
+//   --min-age 60       leave files newer than this many minutes alone
+//   --apply            actually make the changes (without it, nothing is touched)
+
+require('dotenv').config();
+
+const { reconcileMedia, DEFAULT_MIN_AGE_MINUTES } = require('./mediaReconciler');
+
+/**
+ * Read "--min-age 30" as a whole number of minutes
+ */
+function getMinAge(args) {
+  const index = args.indexOf('--min-age');
+  if (index === -1) return DEFAULT_MIN_AGE_MINUTES;
+
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error('--min-age must be a whole number of minutes');
+  }
+  return value;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * What happened (or would happen) to one report entry
+ */
+function describeAction(entry, dryRun) {
+  if (!entry.action) return '';
+  if (entry.error) return `  ❌ ${entry.action} failed: ${entry.error}`;
+  return dryRun ? `  → would ${entry.action}` : `  ✅ ${entry.action}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  const report = await reconcileMedia({
+    dryRun: !args.includes('--apply'),
+    deleteOrphans: args.includes('--delete-orphans'),
+    relink: args.includes('--relink'),
+    removeBroken: args.includes('--remove-broken'),
+    minAgeMinutes: getMinAge(args)
+  });
+
+  console.log(`\nScanned: ${report.backends.join(', ')}`);
+  report.errors.forEach(error => {
+    console.log(`  ⚠️  Could not list ${error.backend} ${error.kind}s: ${error.message}`);
+  });
+
+  console.log(`\nOrphaned files (${report.orphans.length}, ${formatBytes(report.summary.orphan_bytes)}):`);
+  report.orphans.forEach(orphan => {
+    console.log(`  ${orphan.backend}:${orphan.key}${describeAction(orphan, report.dry_run)}`);
+  });
+
+  console.log(`\nBroken references (${report.broken.length}):`);
+  report.broken.forEach(entry => {
+    const relinkTo = entry.relink_to ? ` (found as ${entry.relink_to.backend}:${entry.relink_to.key})` : '';
+    console.log(
+      `  ${entry.field === 'poster' ? 'poster of video' : entry.field} #${entry.id} of apartment #${entry.apartment_id}` +
+      ` → ${entry.backend}:${entry.key}` +
+      `${relinkTo}${describeAction(entry, report.dry_run)}`
+    );
+  });
+
+  if (report.unchecked > 0) {
+    console.log(`\n${report.unchecked} reference(s) couldn't be checked (other websites, or a backend that couldn't be listed)`);
+  }
+  if (report.summary.recent_files_skipped > 0) {
+    console.log(`${report.summary.recent_files_skipped} recent file(s) skipped`);
+  }
+
+  const acting = report.orphans.some(entry => entry.action) || report.broken.some(entry => entry.action);
+  if (report.dry_run && acting) {
+    console.log('\nDry run - nothing was changed. Add --apply to make these changes.');
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Media reconciliation failed:', error.message);
+  process.exit(1);
+});
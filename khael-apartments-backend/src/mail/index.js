@@ -0,0 +1,73 @@
+// src/mail/index.js
+// Sends emails through a pluggable "transport"
+// The rest of the app only ever calls sendMail() - it doesn't care where the email ends up
+//
+// Pick the transport with MAIL_TRANSPORT:
+//   console (default)  print emails to the server console - handy for local development
+//   file               write each email to a file in MAIL_OUTBOX_DIR (default: src/mail/outbox)
+//   ./path/to/module   any module exporting { send(message) } - e.g. an SMTP or Mailgun wrapper
+//                      (relative paths are resolved from the backend folder)
+//
+// MAIL_FROM sets the sender address
+
+const path = require('path');
+const consoleTransport = require('./transports/console');
+const fileTransport = require('./transports/file');
+
+const BUILT_IN_TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+const DEFAULT_FROM = 'Khael Apartments <no-reply@khaelapartments.com>';
+
+let transport = null;
+
+/**
+ * Work out which transport to use from MAIL_TRANSPORT
+ * Loaded lazily so env variables from .env are already in place
+ */
+function loadTransport() {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+
+  if (BUILT_IN_TRANSPORTS[name]) {
+    return BUILT_IN_TRANSPORTS[name];
+  }
+
+  const custom = require(path.resolve(__dirname, '../..', name));
+  if (typeof custom.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must export a send(message) function`);
+  }
+  return custom;
+}
+
+/**
+ * Swap the transport at runtime (e.g. from a script, or to capture emails)
+ * @param {{ send: Function }} customTransport
+ */
+function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text }
+ */
+async function sendMail({ to, subject, text }) {
+  if (!transport) {
+    transport = loadTransport();
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    date: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  sendMail,
+  setMailTransport
+};
@@ -0,0 +1,16 @@
+// src/mail/transports/console.js
+// Prints emails to the server console instead of sending them (local development)
+
+async function send(message) {
+  console.log('');
+  console.log('📧 ====================================');
+  console.log(`   From:    ${message.from}`);
+  console.log(`   To:      ${message.to}`);
+  console.log(`   Subject: ${message.subject}`);
+  console.log('   ------------------------------------');
+  message.text.split('\n').forEach(line => console.log(`   ${line}`));
+  console.log('   ====================================');
+  console.log('');
+}
+
+module.exports = { send };
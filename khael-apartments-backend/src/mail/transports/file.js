@@ -0,0 +1,29 @@
+// src/mail/transports/file.js
+// Writes each email to its own .txt file (local development, or to inspect emails in tests)
+// Folder: MAIL_OUTBOX_DIR, or src/mail/outbox by default
+
+const fs = require('fs').promises;
+const path = require('path');
+
+async function send(message) {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../outbox');
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  // e.g. 2026-03-01T10-15-30-123Z-admin@example.com.txt
+  const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+  const fileName = `${message.date.replace(/[:.]/g, '-')}-${safeRecipient}.txt`;
+
+  const contents = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Date: ${message.date}`,
+    `Subject: ${message.subject}`,
+    '',
+    message.text
+  ].join('\n');
+
+  await fs.writeFile(path.join(outboxDir, fileName), contents, 'utf8');
+  console.log(`📧 Email to ${message.to} saved to ${path.join(outboxDir, fileName)}`);
+}
+
+module.exports = { send };
@@ -0,0 +1,38 @@
+// src/middleware/archived.js
+// Archived apartments are read-only: the listing, its revisions and its photos/videos
+// can't be changed until the apartment is restored
+// (bookings are left alone, so upcoming stays can still be moved or cancelled)
+
+const db = require('../database/db');
+
+/**
+ * Refuse changes to an archived apartment with a 409
+ * Works with routes that name the apartment :id or :apartmentId
+ * An apartment that doesn't exist is let through, so the route sends its usual 404
+ *
+ * Put it before any upload middleware, so nothing is stored for a request that's refused
+ */
+function rejectArchivedApartment(req, res, next) {
+  try {
+    const id = req.params.apartmentId ?? req.params.id;
+    const apartment = db.prepare('SELECT deleted_at FROM apartments WHERE id = ?').get(id);
+
+    if (apartment?.deleted_at) {
+      return res.status(409).json({
+        error: 'Archived',
+        message: 'Restore the apartment before editing it'
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    console.error('Error checking apartment:', error);
+    res.status(500).json({
+      error: 'Failed to check apartment',
+      message: error.message
+    });
+  }
+}
+
+module.exports = { rejectArchivedApartment };
@@ -3,6 +3,7 @@
 // It checks if the user is authenticated before allowing access to protected routes
 
 const jwt = require('jsonwebtoken');
+const db = require('../database/db');
 
 /**
  * Authentication Middleware
@@ -14,8 +15,23 @@ const jwt = require('jsonwebtoken');
  * 4. If invalid, send error response
  * 
  * Think of it like: if (!isLoggedIn) return <Redirect to="/login" />
+ *
+ * Admins on a temporary password (must_change_password) are turned away with a 403 and
+ * code PASSWORD_CHANGE_REQUIRED - except on the few routes that use authenticateAdminPendingPassword
  */
 function authenticateAdmin(req, res, next) {
+  authenticate(req, res, next, { allowPendingPassword: false });
+}
+
+/**
+ * Same as authenticateAdmin, but also lets in admins who still have to change their password
+ * Only for what they need to do that: check who they are, change the password, and sign out
+ */
+function authenticateAdminPendingPassword(req, res, next) {
+  authenticate(req, res, next, { allowPendingPassword: true });
+}
+
+function authenticate(req, res, next, { allowPendingPassword }) {
   try {
     // Get token from Authorization header
     // Format: "Bearer eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
@@ -42,13 +58,41 @@ function authenticateAdmin(req, res, next) {
     // This is like checking if a password hash matches
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Look the admin and their session up again, so a removed admin, a changed role
+    // or a logout/"sign out everywhere" takes effect straight away, not when the token runs out
+    const admin = db.prepare(`
+      SELECT a.id, a.username, a.role, a.must_change_password
+      FROM admin_sessions s
+      JOIN admin_users a ON a.id = s.admin_id
+      WHERE s.id = ? AND s.admin_id = ? AND s.revoked_at IS NULL AND s.expires_at > datetime('now')
+    `).get(decoded.sid ?? null, decoded.id);
+
+    if (!admin) {
+      return res.status(401).json({
+        error: 'Session ended',
+        message: 'You have been signed out. Please login again'
+      });
+    }
+
     // Attach user info to request object (so routes can access it)
     // Like setting state that's accessible to child components
     req.admin = {
-      id: decoded.id,
-      username: decoded.username
+      id: admin.id,
+      username: admin.username,
+      role: admin.role,
+      must_change_password: Boolean(admin.must_change_password),
+      sessionId: decoded.sid
     };
 
+    // A temporary password (the seeded one, or one an owner set) has to be replaced before anything else
+    if (req.admin.must_change_password && !allowPendingPassword) {
+      return res.status(403).json({
+        error: 'Password change required',
+        code: 'PASSWORD_CHANGE_REQUIRED',
+        message: 'You are using a temporary password. Please change it before continuing'
+      });
+    }
+
     // Continue to the actual route handler
     next();
 
@@ -76,4 +120,33 @@ function authenticateAdmin(req, res, next) {
   }
 }
 
-module.exports = { authenticateAdmin };
\ No newline at end of file
+/**
+ * Role Guard Middleware
+ * Use AFTER authenticateAdmin - it needs req.admin
+ *
+ * Usage:
+ *   router.post('/', authenticateAdmin, requireRole('owner', 'manager'), handler)
+ *
+ * Think of it like: if (!allowedRoles.includes(user.role)) return <NoAccess />
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        message: 'Please login first'
+      });
+    }
+
+    if (!roles.includes(req.admin.role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires one of these roles: ${roles.join(', ')}`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { authenticateAdmin, authenticateAdminPendingPassword, requireRole };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// src/routes/adminUsers.js
+// Admin accounts and their roles - owners only
+
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { ROLE_ACCESS } = require('../utils/roles');
+const {
+  getAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  deleteAdminUser,
+  unlockAdminUser,
+  resetAdminTwoFactor
+} = require('../controllers/adminUserController');
+
+// Every route in this file needs an owner
+router.use(authenticateAdmin, requireRole(...ROLE_ACCESS.users));
+
+/**
+ * GET /api/admin/users
+ * List every admin (never includes password hashes)
+ */
+router.get('/', getAdminUsers);
+
+/**
+ * POST /api/admin/users
+ * Add an admin
+ *
+ * Request body:
+ * {
+ *   "username": "ada",
+ *   "password": "at-least-8-chars",
+ *   "role": "owner" | "manager" | "staff"   (defaults to staff)
+ * }
+ */
+router.post('/', createAdminUser);
+
+/**
+ * PUT /api/admin/users/:userId
+ * Change an admin's username, password and/or role
+ */
+router.put('/:userId', updateAdminUser);
+
+/**
+ * POST /api/admin/users/:userId/unlock
+ * Clear the failed-login lockout for an admin who locked themselves out
+ */
+router.post('/:userId/unlock', unlockAdminUser);
+
+/**
+ * DELETE /api/admin/users/:userId/2fa
+ * Turn off two-factor authentication for an admin who lost their authenticator app and recovery codes
+ */
+router.delete('/:userId/2fa', resetAdminTwoFactor);
+
+/**
+ * DELETE /api/admin/users/:userId
+ * Remove an admin (not yourself, and not the last owner)
+ */
+router.delete('/:userId', deleteAdminUser);
+
+module.exports = router;
@@ -1,71 +1,97 @@
 // src/routes/apartments.js
-// Apartment routes with Cloudinary cloud storage
+// Apartment routes (media goes to the configured storage backend - Cloudinary or local disk)
 
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const db = require('../database/db');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { rejectArchivedApartment } = require('../middleware/archived');
+const { ROLE_ACCESS } = require('../utils/roles');
+const { recordAudit } = require('../utils/audit');
+const { saveRevision, ensureRevisionHistory } = require('../utils/revisions');
+const { IMAGE_DETAIL_FIELDS, validateImageDetails, formatImage } = require('../utils/images');
+const { createUploadStorage, deleteMediaFile, getUploadMetadata, getUploadVariants, getResponsiveImage, discardUpload } = require('../storage');
 const {
   getAllApartments,
   getApartmentById,
   createApartment,
   updateApartment,
-  deleteApartment,
+  archiveApartment,
+  unarchiveApartment,
+  purgeApartment,
+  getArchivedApartments,
   getStatistics
 } = require('../controllers/apartmentController');
+const {
+  getAvailability,
+  getBookings,
+  createBooking,
+  updateBooking,
+  deleteBooking
+} = require('../controllers/bookingController');
+const {
+  exportCalendar,
+  getFeeds,
+  createFeed,
+  syncFeedNow,
+  deleteFeed
+} = require('../controllers/calendarController');
+const {
+  uploadVideo,
+  updateVideo,
+  deleteVideo,
+  reorderVideos
+} = require('../controllers/videoController');
+const {
+  getQuote,
+  getRules,
+  createRule,
+  deleteRule
+} = require('../controllers/pricingController');
+const { createBookingRequest } = require('../controllers/bookingRequestController');
+const { getRevisions, restoreRevision } = require('../controllers/revisionController');
+const {
+  getApartmentReviews,
+  submitReview,
+  createReviewToken,
+  getReviewTokens
+} = require('../controllers/reviewController');
 
 // ===========================
-// CLOUDINARY CONFIGURATION
+// FILE UPLOAD CONFIGURATION
 // ===========================
+// Files are streamed to the storage backend picked by MEDIA_STORAGE (Cloudinary or local disk) -
+// see src/storage/index.js
 
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// ===========================
-// FILE UPLOAD CONFIGURATION (CLOUDINARY)
-// ===========================
+// File filter - only allow images and videos
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const ALLOWED_VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/ogg'];
 
-// Configure Cloudinary storage for images
-const imageStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'khael-apartments/images', // Folder in Cloudinary
-    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
-    transformation: [{ width: 1200, height: 900, crop: 'limit' }] // Auto-resize large images
+const fileFilter = (req, file, cb) => {
+  if (ALLOWED_IMAGE_TYPES.includes(file.mimetype) || ALLOWED_VIDEO_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only JPEG, PNG, WEBP images and MP4, WEBM, OGG videos are allowed.'), false);
   }
-});
+};
 
-// Configure Cloudinary storage for videos
-const videoStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'khael-apartments/videos',
-    allowed_formats: ['mp4', 'webm', 'ogg'],
-    resource_type: 'video'
-  }
-});
+// Video forms carry the video itself plus an optional poster image - each field only takes its own kind
+const videoFileFilter = (req, file, cb) => {
+  const isPoster = file.fieldname === 'poster';
 
-// File filter - only allow images and videos
-const fileFilter = (req, file, cb) => {
-  const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-  const allowedVideoTypes = ['video/mp4', 'video/webm', 'video/ogg'];
-  
-  if (allowedImageTypes.includes(file.mimetype) || allowedVideoTypes.includes(file.mimetype)) {
+  if ((isPoster ? ALLOWED_IMAGE_TYPES : ALLOWED_VIDEO_TYPES).includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only JPEG, PNG, WEBP images and MP4, WEBM, OGG videos are allowed.'), false);
+    cb(new Error(isPoster
+      ? 'Invalid poster type. Only JPEG, PNG and WEBP images are allowed.'
+      : 'Invalid video type. Only MP4, WEBM and OGG videos are allowed.'), false);
   }
 };
 
 // Create multer upload instances
 const imageUpload = multer({
-  storage: imageStorage,
+  storage: createUploadStorage('image'),
   fileFilter: fileFilter,
   limits: {
     fileSize: 10 * 1024 * 1024 // 10MB max for images
@@ -73,12 +99,15 @@ const imageUpload = multer({
 });
 
 const videoUpload = multer({
-  storage: videoStorage,
-  fileFilter: fileFilter,
+  storage: createUploadStorage(file => (file.fieldname === 'poster' ? 'image' : 'video')),
+  fileFilter: videoFileFilter,
   limits: {
     fileSize: 50 * 1024 * 1024 // 50MB max for videos
   }
-});
+}).fields([
+  { name: 'video', maxCount: 1 },
+  { name: 'poster', maxCount: 1 }
+]);
 
 // ===========================
 // PUBLIC ROUTES (No authentication required)
@@ -86,59 +115,252 @@ const videoUpload = multer({
 
 /**
  * GET /api/apartments
- * Get all available apartments
+ * Get all apartments (?date=YYYY-MM-DD decides which ones count as available)
  */
 router.get('/', getAllApartments);
 
+/**
+ * GET /api/apartments/statistics
+ * Get dashboard statistics (admin only)
+ * Registered before /:id so "statistics" isn't treated as an apartment ID
+ */
+router.get('/statistics', authenticateAdmin, getStatistics);
+
+/**
+ * GET /api/apartments/archived
+ * Archived (soft-deleted) apartments, for the dashboard's "Archived" filter (admin only)
+ * Registered before /:id for the same reason
+ */
+router.get('/archived', authenticateAdmin, getArchivedApartments);
+
 /**
  * GET /api/apartments/:id
  * Get single apartment by ID
  */
 router.get('/:id', getApartmentById);
 
+/**
+ * GET /api/apartments/:id/availability
+ * Night-by-night availability calendar (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+ */
+router.get('/:id/availability', getAvailability);
+
+/**
+ * GET /api/apartments/:id/calendar.ics
+ * iCal feed of bookings and blocks, for Airbnb / Booking.com to subscribe to
+ */
+router.get('/:id/calendar.ics', exportCalendar);
+
+/**
+ * GET /api/apartments/:id/quote
+ * Itemised price for a stay (?check_in=YYYY-MM-DD&check_out=YYYY-MM-DD&guests=2), at most 366 nights
+ */
+router.get('/:id/quote', getQuote);
+
+/**
+ * POST /api/apartments/:id/booking-requests
+ * Guest booking request (stored as "pending" for an admin to review)
+ */
+router.post('/:id/booking-requests', createBookingRequest);
+
+/**
+ * GET /api/apartments/:id/reviews
+ * Approved reviews plus average ratings
+ */
+router.get('/:id/reviews', getApartmentReviews);
+
+/**
+ * POST /api/apartments/:id/reviews
+ * Guest review - needs a review link token, or a completed booking's reference + email/phone
+ *
+ * Request body:
+ * {
+ *   "booking_id": 12,
+ *   "contact": "ada@example.com",
+ *   "guest_name": "Ada",
+ *   "cleanliness": 5, "location": 4, "value": 5, "communication": 5,
+ *   "comment": "Lovely stay!"
+ * }
+ */
+router.post('/:id/reviews', submitReview);
+
 // ===========================
 // PROTECTED ROUTES (Admin only)
 // ===========================
 
-/**
- * GET /api/apartments/statistics
- * Get dashboard statistics
- */
-router.get('/statistics', authenticateAdmin, getStatistics);
+// Role guards (see src/utils/roles.js)
+// Staff look after listings and media, managers also handle bookings, pricing and reviews
+// Changes to the listing itself and its media also go through rejectArchivedApartment (409 once archived)
+const canEditListings = requireRole(...ROLE_ACCESS.listings);
+const canManageBookings = requireRole(...ROLE_ACCESS.bookings);
 
 /**
  * POST /api/apartments
  * Create new apartment
  */
-router.post('/', authenticateAdmin, createApartment);
+router.post('/', authenticateAdmin, canEditListings, createApartment);
 
 /**
  * PUT /api/apartments/:id
  * Update existing apartment
  */
-router.put('/:id', authenticateAdmin, updateApartment);
+router.put('/:id', authenticateAdmin, canEditListings, rejectArchivedApartment, updateApartment);
 
 /**
  * DELETE /api/apartments/:id
- * Delete apartment
+ * Archive apartment - hidden from the public site, but nothing is lost (managers and owners)
+ */
+router.delete('/:id', authenticateAdmin, canManageBookings, archiveApartment);
+
+/**
+ * POST /api/apartments/:id/unarchive
+ * Put an archived apartment back on the site
+ */
+router.post('/:id/unarchive', authenticateAdmin, canManageBookings, unarchiveApartment);
+
+/**
+ * DELETE /api/apartments/:id/purge
+ * Delete an archived apartment for good - with its stored photos/videos and its bookings
+ */
+router.delete('/:id/purge', authenticateAdmin, canManageBookings, purgeApartment);
+
+// ===========================
+// REVISION HISTORY ROUTES (Admin only)
+// ===========================
+
+/**
+ * GET /api/apartments/:id/revisions
+ * Every saved version of the listing, newest first (full snapshots)
+ */
+router.get('/:id/revisions', authenticateAdmin, canEditListings, getRevisions);
+
+/**
+ * POST /api/apartments/:id/revisions/:rev/restore
+ * Put an old version back (saved as a new revision, so it can be undone too)
  */
-router.delete('/:id', authenticateAdmin, deleteApartment);
+router.post('/:id/revisions/:rev/restore', authenticateAdmin, canEditListings, rejectArchivedApartment, restoreRevision);
 
 // ===========================
-// FILE UPLOAD ROUTES (CLOUDINARY)
+// BOOKING ROUTES (Admin only)
 // ===========================
 
+/**
+ * GET /api/apartments/:id/bookings
+ * List bookings for an apartment (?from=&to=&status= to narrow down)
+ */
+router.get('/:id/bookings', authenticateAdmin, canManageBookings, getBookings);
+
+/**
+ * POST /api/apartments/:id/bookings
+ * Create a booking or admin block - rejected with 409 if the dates overlap
+ */
+router.post('/:id/bookings', authenticateAdmin, canManageBookings, createBooking);
+
+/**
+ * PUT /api/apartments/:id/bookings/:bookingId
+ * Update a booking (dates, guest details or status)
+ */
+router.put('/:id/bookings/:bookingId', authenticateAdmin, canManageBookings, updateBooking);
+
+/**
+ * DELETE /api/apartments/:id/bookings/:bookingId
+ * Delete a booking
+ */
+router.delete('/:id/bookings/:bookingId', authenticateAdmin, canManageBookings, deleteBooking);
+
+// ===========================
+// REVIEW LINK ROUTES (Admin only)
+// ===========================
+
+/**
+ * GET /api/apartments/:id/review-tokens
+ * List review links issued for an apartment (used or not)
+ */
+router.get('/:id/review-tokens', authenticateAdmin, canManageBookings, getReviewTokens);
+
+/**
+ * POST /api/apartments/:id/review-tokens
+ * Issue a one-time review link for a guest
+ *
+ * Request body:
+ * {
+ *   "guest_name": "Ada",
+ *   "stay_date": "2026-01-15"
+ * }
+ */
+router.post('/:id/review-tokens', authenticateAdmin, canManageBookings, createReviewToken);
+
+// ===========================
+// PRICING RULE ROUTES (Admin only)
+// ===========================
+
+/**
+ * GET /api/apartments/:id/pricing-rules
+ * List seasonal, weekday and long-stay pricing rules
+ */
+router.get('/:id/pricing-rules', authenticateAdmin, canManageBookings, getRules);
+
+/**
+ * POST /api/apartments/:id/pricing-rules
+ * Add a pricing rule
+ */
+router.post('/:id/pricing-rules', authenticateAdmin, canManageBookings, createRule);
+
+/**
+ * DELETE /api/apartments/:id/pricing-rules/:ruleId
+ * Remove a pricing rule
+ */
+router.delete('/:id/pricing-rules/:ruleId', authenticateAdmin, canManageBookings, deleteRule);
+
+// ===========================
+// CALENDAR SYNC ROUTES (Admin only)
+// ===========================
+
+/**
+ * GET /api/apartments/:id/calendar-feeds
+ * List external iCal feeds imported for this apartment
+ */
+router.get('/:id/calendar-feeds', authenticateAdmin, canManageBookings, getFeeds);
+
+/**
+ * POST /api/apartments/:id/calendar-feeds
+ * Add an external iCal feed (synced immediately, then by the background job)
+ */
+router.post('/:id/calendar-feeds', authenticateAdmin, canManageBookings, createFeed);
+
+/**
+ * POST /api/apartments/:id/calendar-feeds/:feedId/sync
+ * Sync one feed right now
+ */
+router.post('/:id/calendar-feeds/:feedId/sync', authenticateAdmin, canManageBookings, syncFeedNow);
+
+/**
+ * DELETE /api/apartments/:id/calendar-feeds/:feedId
+ * Remove a feed and the blocks it imported
+ */
+router.delete('/:id/calendar-feeds/:feedId', authenticateAdmin, canManageBookings, deleteFeed);
+
+// ===========================
+// FILE UPLOAD ROUTES
+// ===========================
+// Every media change is written to the activity log (see src/utils/audit.js)
+
 /**
  * POST /api/apartments/:id/images
- * Upload images to Cloudinary
+ * Upload images (to the configured storage backend)
  */
-router.post('/:id/images', authenticateAdmin, imageUpload.array('images', 10), async (req, res) => {
+router.post('/:id/images', authenticateAdmin, canEditListings, rejectArchivedApartment, imageUpload.array('images', 10), async (req, res) => {
+  // multer has already stored the files - a request that fails before they're saved has to remove them again
+  let saved = false;
+  const discardUploads = () => (saved ? null : Promise.all((req.files || []).map(discardUpload)));
+
   try {
     const { id } = req.params;
 
     // Check if apartment exists
     const apartment = db.prepare('SELECT * FROM apartments WHERE id = ?').get(id);
     if (!apartment) {
+      await discardUploads();
       return res.status(404).json({ 
         error: 'Apartment not found',
         message: `No apartment found with ID: ${id}`
@@ -147,6 +369,7 @@ router.post('/:id/images', authenticateAdmin, imageUpload.array('images', 10), a
 
     // Check if files were uploaded
     if (!req.files || req.files.length === 0) {
+      await discardUploads();
       return res.status(400).json({ 
         error: 'No files uploaded',
         message: 'Please select at least one image to upload'
@@ -160,33 +383,72 @@ router.post('/:id/images', authenticateAdmin, imageUpload.array('images', 10), a
       WHERE apartment_id = ?
     `).get(id);
 
-    let currentOrder = (maxOrder?.max_order || -1) + 1;
+    // ?? not || - an existing max of 0 is a real position
+    let currentOrder = (maxOrder?.max_order ?? -1) + 1;
 
-    // Insert image records into database with Cloudinary URLs
+    // Insert image records into database with their storage URLs
+    // plus where they're stored (public_id, storage_backend) so deletes never have to guess from the URL,
+    // and which resized copies the backend made (variant_widths, placeholder)
     const stmt = db.prepare(`
-      INSERT INTO apartment_images (apartment_id, image_url, display_order)
-      VALUES (?, ?, ?)
+      INSERT INTO apartment_images (
+        apartment_id, image_url, display_order,
+        public_id, storage_backend, resource_type, format, bytes, width, height,
+        variant_widths, placeholder
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    const uploadedImages = req.files.map((file, index) => {
-      // Cloudinary returns the URL in file.path
-      const imageUrl = file.path;
-      stmt.run(id, imageUrl, currentOrder + index);
-      return {
-        url: imageUrl,
-        filename: file.filename,
-        size: file.size
-      };
-    });
+    const uploadedImages = db.transaction(() => {
+      ensureRevisionHistory(apartment.id);
+
+      const images = req.files.map((file, index) => {
+        // The storage engine puts the public URL in file.path
+        const imageUrl = file.path;
+        const metadata = getUploadMetadata(file);
+        const variants = getUploadVariants(file);
+        const result = stmt.run(
+          id, imageUrl, currentOrder + index,
+          metadata.public_id, metadata.storage_backend, metadata.resource_type,
+          metadata.format, metadata.bytes, metadata.width, metadata.height,
+          variants.variant_widths, variants.placeholder
+        );
+
+        recordAudit(req, {
+          action: 'image.upload',
+          entityType: 'image',
+          entityId: result.lastInsertRowid,
+          apartmentId: apartment.id,
+          after: { image_url: imageUrl, display_order: currentOrder + index }
+        });
+
+        const row = db.prepare('SELECT * FROM apartment_images WHERE id = ?').get(result.lastInsertRowid);
+
+        return {
+          id: result.lastInsertRowid,
+          url: imageUrl,
+          filename: file.filename,
+          size: file.size,
+          ...metadata,
+          ...getResponsiveImage(row)
+        };
+      });
+
+      // New photos change the listing's photo list, so it gets a revision like a reorder or an edit
+      saveRevision(req, apartment.id, { reason: 'images' });
+
+      return images;
+    })();
+    saved = true;
 
     res.json({
       success: true,
-      message: `${uploadedImages.length} image(s) uploaded successfully to Cloudinary`,
+      message: `${uploadedImages.length} image(s) uploaded successfully`,
       images: uploadedImages
     });
 
   } catch (error) {
     console.error('Error uploading images:', error);
+    await discardUploads();
     res.status(500).json({ 
       error: 'Failed to upload images',
       message: error.message
@@ -196,14 +458,102 @@ router.post('/:id/images', authenticateAdmin, imageUpload.array('images', 10), a
 
 /**
  * POST /api/apartments/:id/videos
- * Upload video to Cloudinary
+ * Upload a video tour (to the configured storage backend), with an optional poster image and title
+ */
+router.post('/:id/videos', authenticateAdmin, canEditListings, rejectArchivedApartment, videoUpload, uploadVideo);
+
+/**
+ * PUT /api/apartments/:id/videos/order
+ * Put an apartment's videos in a new order
+ * Registered before /:apartmentId/videos/:videoId so "order" isn't treated as a video ID
  */
-router.post('/:id/videos', authenticateAdmin, videoUpload.single('video'), async (req, res) => {
+router.put('/:id/videos/order', authenticateAdmin, canEditListings, rejectArchivedApartment, reorderVideos);
+
+/**
+ * PUT /api/apartments/:apartmentId/videos/:videoId
+ * Change a video's title, replace its file or its poster (the replaced files are removed from storage)
+ */
+router.put('/:apartmentId/videos/:videoId', authenticateAdmin, canEditListings, rejectArchivedApartment, videoUpload, updateVideo);
+
+/**
+ * DELETE /api/apartments/:apartmentId/videos/:videoId
+ * Delete a video from storage and database
+ */
+router.delete('/:apartmentId/videos/:videoId', authenticateAdmin, canEditListings, rejectArchivedApartment, deleteVideo);
+
+/**
+ * DELETE /api/apartments/:apartmentId/images/:imageId
+ * Delete image from storage and database
+ */
+router.delete('/:apartmentId/images/:imageId', authenticateAdmin, canEditListings, rejectArchivedApartment, async (req, res) => {
+  try {
+    const { apartmentId, imageId } = req.params;
+
+    // Get image record
+    const image = db.prepare(`
+      SELECT * FROM apartment_images 
+      WHERE id = ? AND apartment_id = ?
+    `).get(imageId, apartmentId);
+
+    if (!image) {
+      return res.status(404).json({ 
+        error: 'Image not found',
+        message: 'Image does not exist or does not belong to this apartment'
+      });
+    }
+
+    // Delete the file from the backend that stored it, by its stored public_id
+    // (failures are logged - continue anyway, at least delete from database)
+    await deleteMediaFile(image);
+
+    // Delete from database
+    db.transaction(() => {
+      ensureRevisionHistory(image.apartment_id);
+
+      db.prepare('DELETE FROM apartment_images WHERE id = ?').run(imageId);
+
+      recordAudit(req, {
+        action: 'image.delete',
+        entityType: 'image',
+        entityId: image.id,
+        apartmentId: image.apartment_id,
+        before: {
+          image_url: image.image_url,
+          is_primary: Boolean(image.is_primary),
+          display_order: image.display_order
+        }
+      });
+
+      saveRevision(req, image.apartment_id, { reason: 'images' });
+    })();
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting image:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete image',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/apartments/:id/images/order
+ * Put an apartment's photos in a new order
+ * Body: { image_ids: [3, 1, 2] } - every photo of the apartment, exactly once, in the order they should appear
+ * All or nothing: the whole list is applied in one transaction
+ * Registered before /:apartmentId/images/:imageId so "order" isn't treated as an image ID
+ */
+router.put('/:id/images/order', authenticateAdmin, canEditListings, rejectArchivedApartment, (req, res) => {
   try {
     const { id } = req.params;
+    const { image_ids: imageIds } = req.body;
 
-    // Check if apartment exists
-    const apartment = db.prepare('SELECT * FROM apartments WHERE id = ?').get(id);
+    const apartment = db.prepare('SELECT id FROM apartments WHERE id = ?').get(id);
     if (!apartment) {
       return res.status(404).json({ 
         error: 'Apartment not found',
@@ -211,52 +561,75 @@ router.post('/:id/videos', authenticateAdmin, videoUpload.single('video'), async
       });
     }
 
-    // Check if file was uploaded
-    if (!req.file) {
-      return res.status(400).json({ 
-        error: 'No file uploaded',
-        message: 'Please select a video to upload'
+    if (!Array.isArray(imageIds) || !imageIds.every(Number.isInteger)) {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: 'image_ids must be a list of image IDs'
+      });
+    }
+
+    const images = db.prepare(`
+      SELECT id, display_order FROM apartment_images
+      WHERE apartment_id = ?
+      ORDER BY display_order ASC, id ASC
+    `).all(id);
+
+    // A partial list would leave the missing photos with clashing positions, so insist on all of them
+    const existingIds = new Set(images.map(image => image.id));
+    const sameImages = imageIds.length === existingIds.size
+      && new Set(imageIds).size === imageIds.length
+      && imageIds.every(imageId => existingIds.has(imageId));
+
+    if (!sameImages) {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: 'image_ids must list every photo of this apartment exactly once'
       });
     }
 
-    const videoUrl = req.file.path; // Cloudinary URL
+    const updateOrder = db.prepare('UPDATE apartment_images SET display_order = ? WHERE id = ?');
 
-    // Insert video record into database
-    const stmt = db.prepare(`
-      INSERT INTO apartment_videos (apartment_id, video_url)
-      VALUES (?, ?)
-    `);
+    db.transaction(() => {
+      ensureRevisionHistory(apartment.id);
+
+      imageIds.forEach((imageId, index) => updateOrder.run(index, imageId));
 
-    stmt.run(id, videoUrl);
+      recordAudit(req, {
+        action: 'image.reorder',
+        entityType: 'apartment',
+        entityId: apartment.id,
+        apartmentId: apartment.id,
+        before: { image_order: images.map(image => image.id) },
+        after: { image_order: imageIds }
+      });
+
+      saveRevision(req, apartment.id, { reason: 'images' });
+    })();
 
     res.json({
       success: true,
-      message: 'Video uploaded successfully to Cloudinary',
-      video: {
-        url: videoUrl,
-        filename: req.file.filename,
-        size: req.file.size
-      }
+      message: 'Photo order updated successfully',
+      image_ids: imageIds
     });
 
   } catch (error) {
-    console.error('Error uploading video:', error);
+    console.error('Error reordering images:', error);
     res.status(500).json({ 
-      error: 'Failed to upload video',
+      error: 'Failed to reorder images',
       message: error.message
     });
   }
 });
 
 /**
- * DELETE /api/apartments/:apartmentId/images/:imageId
- * Delete image from Cloudinary and database
+ * PUT /api/apartments/:apartmentId/images/:imageId
+ * Edit a photo's caption, alt text and room tag
+ * Body: any of { caption, alt_text, room } - fields left out stay as they are, '' clears one
  */
-router.delete('/:apartmentId/images/:imageId', authenticateAdmin, async (req, res) => {
+router.put('/:apartmentId/images/:imageId', authenticateAdmin, canEditListings, rejectArchivedApartment, (req, res) => {
   try {
     const { apartmentId, imageId } = req.params;
 
-    // Get image record
     const image = db.prepare(`
       SELECT * FROM apartment_images 
       WHERE id = ? AND apartment_id = ?
@@ -269,34 +642,53 @@ router.delete('/:apartmentId/images/:imageId', authenticateAdmin, async (req, re
       });
     }
 
-    // Extract public_id from Cloudinary URL
-    // URL format: https://res.cloudinary.com/cloud_name/image/upload/v1234567890/folder/filename.jpg
-    const urlParts = image.image_url.split('/');
-    const filenameWithExt = urlParts[urlParts.length - 1];
-    const filename = filenameWithExt.split('.')[0];
-    const folder = urlParts[urlParts.length - 2];
-    const publicId = `${folder}/${filename}`;
-
-    // Delete from Cloudinary
-    try {
-      await cloudinary.uploader.destroy(publicId);
-    } catch (cloudinaryError) {
-      console.log('Could not delete from Cloudinary:', cloudinaryError.message);
-      // Continue anyway - at least delete from database
+    const { changes, error } = validateImageDetails(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid photo details',
+        message: error
+      });
     }
 
-    // Delete from database
-    db.prepare('DELETE FROM apartment_images WHERE id = ?').run(imageId);
+    const columns = Object.keys(changes);
+    const pick = row => Object.fromEntries(Object.keys(IMAGE_DETAIL_FIELDS).map(field => [field, row[field]]));
+
+    const updated = db.transaction(() => {
+      ensureRevisionHistory(image.apartment_id);
+
+      db.prepare(`
+        UPDATE apartment_images
+        SET ${columns.map(column => `${column} = ?`).join(', ')}
+        WHERE id = ?
+      `).run(...columns.map(column => changes[column]), image.id);
+
+      const row = db.prepare('SELECT * FROM apartment_images WHERE id = ?').get(image.id);
+
+      recordAudit(req, {
+        action: 'image.update',
+        entityType: 'image',
+        entityId: image.id,
+        apartmentId: image.apartment_id,
+        before: pick(image),
+        after: pick(row)
+      });
+
+      // Captions and alt text are part of the listing, so they're kept in its revision history too
+      saveRevision(req, image.apartment_id, { reason: 'images' });
+
+      return row;
+    })();
 
     res.json({
       success: true,
-      message: 'Image deleted successfully'
+      message: 'Photo details updated successfully',
+      image: formatImage(updated)
     });
 
   } catch (error) {
-    console.error('Error deleting image:', error);
+    console.error('Error updating image details:', error);
     res.status(500).json({ 
-      error: 'Failed to delete image',
+      error: 'Failed to update photo details',
       message: error.message
     });
   }
@@ -306,7 +698,7 @@ router.delete('/:apartmentId/images/:imageId', authenticateAdmin, async (req, re
  * PUT /api/apartments/:apartmentId/images/:imageId/primary
  * Set an image as the primary image
  */
-router.put('/:apartmentId/images/:imageId/primary', authenticateAdmin, (req, res) => {
+router.put('/:apartmentId/images/:imageId/primary', authenticateAdmin, canEditListings, rejectArchivedApartment, (req, res) => {
   try {
     const { apartmentId, imageId } = req.params;
 
@@ -323,19 +715,39 @@ router.put('/:apartmentId/images/:imageId/primary', authenticateAdmin, (req, res
       });
     }
 
-    // Remove primary flag from all images of this apartment
-    db.prepare(`
-      UPDATE apartment_images 
-      SET is_primary = 0 
-      WHERE apartment_id = ?
-    `).run(apartmentId);
-
-    // Set this image as primary
-    db.prepare(`
-      UPDATE apartment_images 
-      SET is_primary = 1 
-      WHERE id = ?
-    `).run(imageId);
+    const previousPrimary = db.prepare(`
+      SELECT id FROM apartment_images WHERE apartment_id = ? AND is_primary = 1
+    `).get(apartmentId);
+
+    db.transaction(() => {
+      ensureRevisionHistory(image.apartment_id);
+
+      // Remove primary flag from all images of this apartment
+      db.prepare(`
+        UPDATE apartment_images 
+        SET is_primary = 0 
+        WHERE apartment_id = ?
+      `).run(apartmentId);
+
+      // Set this image as primary
+      db.prepare(`
+        UPDATE apartment_images 
+        SET is_primary = 1 
+        WHERE id = ?
+      `).run(imageId);
+
+      recordAudit(req, {
+        action: 'image.set_primary',
+        entityType: 'apartment',
+        entityId: image.apartment_id,
+        apartmentId: image.apartment_id,
+        before: { primary_image_id: previousPrimary?.id ?? null },
+        after: { primary_image_id: image.id }
+      });
+
+      // The photo order is part of the listing's revision history
+      saveRevision(req, image.apartment_id, { reason: 'images' });
+    })();
 
     res.json({
       success: true,
@@ -0,0 +1,33 @@
+// src/routes/audit.js
+// The activity log of admin changes - managers and owners
+
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { ROLE_ACCESS } = require('../utils/roles');
+const { getAuditLog } = require('../controllers/auditController');
+
+/**
+ * GET /api/admin/audit
+ * Newest first, with only the fields that changed in "before"/"after"
+ * Filters: ?admin_id= ?action= ?entity_type= ?entity_id= ?apartment_id= ?from=YYYY-MM-DD ?to=YYYY-MM-DD
+ * Pagination: ?page= ?limit= (default 50, max 200)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "total": 120, "page": 1, "limit": 50, "totalPages": 3,
+ *   "actions": ["apartment.create", ...],
+ *   "admins": [{ "id": 1, "username": "admin" }],
+ *   "entries": [{
+ *     "id": 7, "admin_id": 1, "admin_username": "admin",
+ *     "action": "apartment.update", "entity_type": "apartment", "entity_id": 5,
+ *     "apartment_id": 5, "apartment_title": "Cosy 2-bed in Wuse",
+ *     "before": { "price_per_night": 40000 }, "after": { "price_per_night": 45000 },
+ *     "ip_address": "203.0.113.7", "created_at": "2026-01-15 14:30:00"
+ *   }]
+ * }
+ */
+router.get('/', authenticateAdmin, requireRole(...ROLE_ACCESS.audit), getAuditLog);
+
+module.exports = router;
@@ -4,12 +4,31 @@
 
 const express = require('express');
 const router = express.Router();
-const { login, verifyToken } = require('../controllers/authController');
-const { authenticateAdmin } = require('../middleware/auth');
+const {
+  login,
+  verifyTwoFactorLogin,
+  getLoginLog,
+  verifyToken,
+  refresh,
+  logout,
+  logoutAll,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/authController');
+const { authenticateAdmin, authenticateAdminPendingPassword, requireRole } = require('../middleware/auth');
+const { ROLE_ACCESS } = require('../utils/roles');
 
 /**
  * POST /api/admin/login
  * Public route - anyone can access
+ * Repeated failures are slowed down, then locked out for a while:
+ * the response is then 429 with a Retry-After header (seconds) - see src/utils/loginThrottle.js
  * 
  * Request body:
  * {
@@ -20,15 +39,36 @@ const { authenticateAdmin } = require('../middleware/auth');
  * Response:
  * {
  *   "success": true,
- *   "token": "eyJhbGciOiJIUzI1NiIsInR...",
- *   "admin": { "id": 1, "username": "admin" }
+ *   "token": "eyJhbGciOiJIUzI1NiIsInR...",       (access token - expires after ACCESS_TOKEN_TTL, default 15m)
+ *   "refresh_token": "9f86d081884c7d65...",      (swap it for a new access token at /refresh)
+ *   "admin": { "id": 1, "username": "admin", "role": "owner" },
+ *   "must_change_password": false   (true = ask for a new password before going on)
  * }
+ *
+ * If the admin has two-factor authentication on, there are no tokens yet:
+ * { "success": true, "two_factor_required": true, "challenge_token": "eyJhbGciOi..." }
+ * Send the challenge token and a code to /login/2fa within 5 minutes
  */
 router.post('/login', login);
 
+/**
+ * POST /api/admin/login/2fa
+ * Public route - second login step for admins with two-factor authentication
+ *
+ * Request body:
+ * {
+ *   "challenge_token": "eyJhbGciOi...",   (from /login)
+ *   "code": "123456"                     (from the authenticator app)
+ * }
+ * or instead of "code": "recovery_code": "1a2b-3c4d-5e6f-7a8b"   (each one works once)
+ *
+ * Response: same as a successful /login (plus recovery_codes_remaining when a recovery code was used)
+ */
+router.post('/login/2fa', verifyTwoFactorLogin);
+
 /**
  * GET /api/admin/verify
- * Protected route - requires valid token
+ * Protected route - requires valid token (a temporary password is fine here - check must_change_password)
  * 
  * Headers required:
  * Authorization: Bearer <token>
@@ -36,9 +76,143 @@ router.post('/login', login);
  * Response:
  * {
  *   "success": true,
- *   "admin": { "id": 1, "username": "admin" }
+ *   "admin": { "id": 1, "username": "admin", "role": "owner", "must_change_password": false }
+ * }
+ *
+ * Every other protected route answers 403 { "code": "PASSWORD_CHANGE_REQUIRED" } until a temporary
+ * password has been changed - only /verify, /password and /logout-all still work
+ */
+router.get('/verify', authenticateAdminPendingPassword, verifyToken);
+
+/**
+ * GET /api/admin/login-log
+ * Owner only - every login attempt with its IP address and user agent
+ * Query: ?success=0 (failed only) or 1 (successful only), ?username=, ?page=, ?limit=
+ */
+router.get('/login-log', authenticateAdmin, requireRole(...ROLE_ACCESS.users), getLoginLog);
+
+/**
+ * POST /api/admin/refresh
+ * Public route - get a new access token when the old one has expired
+ * The refresh token is single-use: the response contains its replacement
+ *
+ * Request body:
+ * { "refresh_token": "9f86d081884c7d65..." }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "token": "eyJhbGciOiJIUzI1NiIsInR...",
+ *   "refresh_token": "b5bb9d8014a0f9b1...",
+ *   "admin": { "id": 1, "username": "admin", "role": "owner" }
  * }
  */
-router.get('/verify', authenticateAdmin, verifyToken);
+router.post('/refresh', refresh);
+
+/**
+ * POST /api/admin/logout
+ * Public route - ends the session that owns this refresh token
+ *
+ * Request body:
+ * { "refresh_token": "9f86d081884c7d65..." }
+ */
+router.post('/logout', logout);
+
+/**
+ * POST /api/admin/logout-all
+ * Protected route - "sign out all devices": ends every session of the logged-in admin
+ */
+router.post('/logout-all', authenticateAdminPendingPassword, logoutAll);
+
+/**
+ * POST /api/admin/password
+ * Protected route - change your own password (also with a temporary password)
+ *
+ * Request body:
+ * {
+ *   "current_password": "old-password",
+ *   "new_password": "at-least-8-chars"
+ * }
+ */
+router.post('/password', authenticateAdminPendingPassword, changePassword);
+
+/**
+ * POST /api/admin/password/forgot
+ * Public route - emails a reset link (through the mail transport, see src/mail)
+ *
+ * Request body:
+ * { "username": "admin" }   (username or email address)
+ */
+router.post('/password/forgot', requestPasswordReset);
+
+/**
+ * POST /api/admin/password/reset
+ * Public route - set a new password using the token from the reset link
+ *
+ * Request body:
+ * {
+ *   "token": "from-the-emailed-link",
+ *   "password": "at-least-8-chars"
+ * }
+ */
+router.post('/password/reset', resetPassword);
+
+/**
+ * GET /api/admin/2fa
+ * Protected route - is two-factor authentication on for you?
+ *
+ * Response:
+ * { "success": true, "enabled": true, "recovery_codes_remaining": 8 }
+ */
+router.get('/2fa', authenticateAdmin, getTwoFactorStatus);
+
+/**
+ * POST /api/admin/2fa/setup
+ * Protected route - start setting up 2FA: returns a new secret and its QR code
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "secret": "JBSWY3DPEHPK3PXP...",                 (to type in if the QR code can't be scanned)
+ *   "otpauth_url": "otpauth://totp/Khael%20Apartments:admin?secret=...",
+ *   "qr_code": "data:image/png;base64,..."          (show it as an <img>)
+ * }
+ */
+router.post('/2fa/setup', authenticateAdmin, setupTwoFactor);
+
+/**
+ * POST /api/admin/2fa/enable
+ * Protected route - finish setup with a code from the app, which switches 2FA on
+ *
+ * Request body:
+ * { "code": "123456" }
+ *
+ * Response includes "recovery_codes" - shown only this once
+ */
+router.post('/2fa/enable', authenticateAdmin, enableTwoFactor);
+
+/**
+ * POST /api/admin/2fa/disable
+ * Protected route - switch 2FA off (needs your password and a code)
+ *
+ * Request body:
+ * {
+ *   "password": "your-password",
+ *   "code": "123456"                     (from the authenticator app)
+ * }
+ * or instead of "code": "recovery_code": "1a2b-3c4d-5e6f-7a8b"   (uses it up)
+ *
+ * Wrong codes count as failed logins - too many and you get a 429 like on /login
+ */
+router.post('/2fa/disable', authenticateAdmin, disableTwoFactor);
+
+/**
+ * POST /api/admin/2fa/recovery-codes
+ * Protected route - replace your recovery codes with new ones (needs your password)
+ *
+ * Request body:
+ * { "password": "your-password" }
+ */
+router.post('/2fa/recovery-codes', authenticateAdmin, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
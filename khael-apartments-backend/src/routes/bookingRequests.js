@@ -0,0 +1,48 @@
+// src/routes/bookingRequests.js
+// Admin queue for guest booking requests
+// (Guests submit requests through POST /api/apartments/:id/booking-requests)
+
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { ROLE_ACCESS } = require('../utils/roles');
+const {
+  getBookingRequests,
+  approveBookingRequest,
+  declineBookingRequest,
+  expireBookingRequest
+} = require('../controllers/bookingRequestController');
+
+// Managers and owners only
+const canManageBookings = requireRole(...ROLE_ACCESS.bookings);
+
+/**
+ * GET /api/booking-requests
+ * List requests across all apartments (?status=pending to filter)
+ */
+router.get('/', authenticateAdmin, canManageBookings, getBookingRequests);
+
+/**
+ * PUT /api/booking-requests/:requestId/approve
+ * Approve a request - creates a confirmed booking if the dates are still free
+ */
+router.put('/:requestId/approve', authenticateAdmin, canManageBookings, approveBookingRequest);
+
+/**
+ * PUT /api/booking-requests/:requestId/decline
+ * Decline a request
+ *
+ * Request body:
+ * {
+ *   "reason": "Apartment under maintenance that week"
+ * }
+ */
+router.put('/:requestId/decline', authenticateAdmin, canManageBookings, declineBookingRequest);
+
+/**
+ * PUT /api/booking-requests/:requestId/expire
+ * Mark a request as expired
+ */
+router.put('/:requestId/expire', authenticateAdmin, canManageBookings, expireBookingRequest);
+
+module.exports = router;
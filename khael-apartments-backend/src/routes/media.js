@@ -0,0 +1,45 @@
+// src/routes/media.js
+// Media storage housekeeping - owners only
+
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { ROLE_ACCESS } = require('../utils/roles');
+const { getMediaReport, reconcileMediaStorage } = require('../controllers/mediaController');
+
+// Every route in this file needs an owner
+router.use(authenticateAdmin, requireRole(...ROLE_ACCESS.media));
+
+/**
+ * GET /api/admin/media/reconcile
+ * Compare storage with the database, without changing anything
+ * Query: ?min_age_minutes=60
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "dry_run": true,
+ *   "backends": ["local"],
+ *   "errors": [{ "backend": "cloudinary", "kind": "image", "message": "..." }],
+ *   "orphans": [{ "backend": "local", "kind": "image", "key": "images/abc.jpg", "url": "/uploads/images/abc.jpg",
+ *                 "bytes": 52311, "created_at": "2026-01-15T14:30:00.000Z", "action": null }],
+ *   "broken": [{ "table": "apartment_images", "id": 7, "apartment_id": 2, "field": "image",
+ *                "backend": "local", "key": "images/def.jpg", "url": "/uploads/images/def.jpg",
+ *                "relink_to": null, "action": null }],
+ *   "unchecked": 0,
+ *   "summary": { "files": 12, "references": 11, "orphans": 1, "orphan_bytes": 52311, "recent_files_skipped": 0,
+ *                "broken": 1, "relinkable": 0, "unchecked": 0, "relinked": 0, "removed": 0, "deleted": 0 }
+ * }
+ */
+router.get('/reconcile', getMediaReport);
+
+/**
+ * POST /api/admin/media/reconcile
+ * Fix what the report finds
+ * Body: { "dry_run": false, "delete_orphans": true, "relink": true, "remove_broken": false, "min_age_minutes": 60 }
+ * dry_run defaults to true, so a bare POST only shows what the chosen options would do
+ * Same response as GET, with "action" set on each entry and "done": true once it has been carried out
+ */
+router.post('/reconcile', reconcileMediaStorage);
+
+module.exports = router;
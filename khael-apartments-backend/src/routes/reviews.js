@@ -0,0 +1,43 @@
+// src/routes/reviews.js
+// Admin moderation queue for guest reviews
+// (Guests submit and read reviews through /api/apartments/:id/reviews)
+
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { ROLE_ACCESS } = require('../utils/roles');
+const {
+  getReviews,
+  approveReview,
+  rejectReview,
+  deleteReview
+} = require('../controllers/reviewController');
+
+// Managers and owners only
+const canManageBookings = requireRole(...ROLE_ACCESS.bookings);
+
+/**
+ * GET /api/reviews
+ * List reviews across all apartments (?status=pending to filter)
+ */
+router.get('/', authenticateAdmin, canManageBookings, getReviews);
+
+/**
+ * PUT /api/reviews/:reviewId/approve
+ * Publish a review (it starts counting towards the apartment's ratings)
+ */
+router.put('/:reviewId/approve', authenticateAdmin, canManageBookings, approveReview);
+
+/**
+ * PUT /api/reviews/:reviewId/reject
+ * Hide a review
+ */
+router.put('/:reviewId/reject', authenticateAdmin, canManageBookings, rejectReview);
+
+/**
+ * DELETE /api/reviews/:reviewId
+ * Remove a review completely
+ */
+router.delete('/:reviewId', authenticateAdmin, canManageBookings, deleteReview);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+// src/storage/backends/cloudinary.js
+// Keeps uploads on Cloudinary (needs CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET)
+//
+// Keys are Cloudinary public_ids: "khael-apartments/images/abc123"
+// Images are resized on upload so nothing bigger than 1200×900 is stored
+
+const cloudinary = require('cloudinary').v2;
+const { IMAGE_VARIANTS, PLACEHOLDER_WIDTH } = require('../variants');
+
+// Folders in Cloudinary
+const FOLDERS = {
+  image: 'khael-apartments/images',
+  video: 'khael-apartments/videos'
+};
+
+const ALLOWED_FORMATS = {
+  image: ['jpg', 'jpeg', 'png', 'webp'],
+  video: ['mp4', 'webm', 'ogg']
+};
+
+let configured = false;
+
+// Configured on first use, so env variables from .env are already in place
+function getClient() {
+  if (!configured) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+      secure: true
+    });
+    configured = true;
+  }
+  return cloudinary;
+}
+
+/**
+ * Cloudinary rejects with { error: { message } } objects rather than Errors - turn them into real ones
+ */
+function toError(error) {
+  return error instanceof Error ? error : new Error(error?.error?.message || error?.message || 'Cloudinary request failed');
+}
+
+/**
+ * Delivery URL for a public_id
+ * @param {Object} [options] - { kind, transformation } where transformation is Cloudinary's own,
+ *   e.g. { width: 400, crop: 'fill' } or an array of them
+ */
+function url(key, { kind = 'image', transformation } = {}) {
+  return getClient().url(key, { resource_type: kind, secure: true, ...(transformation && { transformation }) });
+}
+
+/**
+ * A JPEG still of a video, picked by Cloudinary from a representative moment (so_auto)
+ * Made on the fly the first time it's requested - nothing extra is uploaded
+ */
+function posterUrl(key) {
+  return getClient().url(key, {
+    resource_type: 'video',
+    format: 'jpg',
+    secure: true,
+    transformation: [{ start_offset: 'auto' }]
+  });
+}
+
+/**
+ * Resized copies of a photo - just URLs, Cloudinary makes (and caches) them on first request
+ * f_auto/q_auto let it pick the best format and quality for each browser
+ * @param {string} key
+ * @param {Object} image - The apartment_images row (its width, when known, caps the variant widths)
+ * @returns {{ variants, placeholder }}
+ */
+function imageVariants(key, image) {
+  const variants = Object.fromEntries(Object.entries(IMAGE_VARIANTS).map(([name, width]) => [
+    name,
+    {
+      url: url(key, { transformation: [{ width, crop: 'limit', fetch_format: 'auto', quality: 'auto' }] }),
+      width: image.width ? Math.min(width, image.width) : width
+    }
+  ]));
+
+  const placeholder = url(key, {
+    transformation: [{ width: PLACEHOLDER_WIDTH, crop: 'scale', effect: 'blur:1000', quality: 'auto:low', fetch_format: 'auto' }]
+  });
+
+  return { variants, placeholder };
+}
+
+/**
+ * Work out a public_id from a delivery URL
+ * https://res.cloudinary.com/<cloud>/image/upload/c_limit,w_1200/v1234567890/khael-apartments/images/abc.jpg
+ *   → khael-apartments/images/abc
+ * (transformations, the version and the file extension are not part of the id)
+ * @returns {string|null} null if it isn't a Cloudinary URL
+ */
+function keyFromUrl(fileUrl) {
+  const match = String(fileUrl || '').match(
+    /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(?:image|video|raw)\/upload\/(?:[a-z]{1,3}_[^/]*\/)*(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * Stream an uploaded file to Cloudinary
+ * @param {ReadableStream} stream - The file contents
+ * @param {Object} options - { kind: 'image' | 'video' }
+ */
+function upload(stream, { kind }) {
+  return new Promise((resolve, reject) => {
+    const uploadStream = getClient().uploader.upload_stream({
+      folder: FOLDERS[kind],
+      resource_type: kind,
+      allowed_formats: ALLOWED_FORMATS[kind],
+      ...(kind === 'image' && { transformation: [{ width: 1200, height: 900, crop: 'limit' }] })
+    }, (error, result) => {
+      if (error) return reject(toError(error));
+
+      resolve({
+        key: result.public_id,
+        url: result.secure_url,
+        bytes: result.bytes,
+        format: result.format,
+        width: result.width,
+        height: result.height
+      });
+    });
+
+    stream.on('error', reject);
+    stream.pipe(uploadStream);
+  });
+}
+
+/**
+ * @returns {Promise<boolean>} true if the file was deleted, false if Cloudinary didn't have it
+ */
+async function deleteFile(key, { kind = 'image' } = {}) {
+  try {
+    const result = await getClient().uploader.destroy(key, { resource_type: kind });
+    return result.result === 'ok';
+  } catch (error) {
+    throw toError(error);
+  }
+}
+
+/**
+ * Every stored file of one kind (follows Cloudinary's pages of 500)
+ * @returns {Promise<Array>} [{ key, url, bytes, created_at }]
+ */
+async function list({ kind }) {
+  const files = [];
+  let nextCursor;
+
+  try {
+    do {
+      const page = await getClient().api.resources({
+        type: 'upload',
+        resource_type: kind,
+        prefix: `${FOLDERS[kind]}/`,
+        max_results: 500,
+        next_cursor: nextCursor
+      });
+
+      page.resources.forEach(resource => files.push({
+        key: resource.public_id,
+        url: resource.secure_url,
+        bytes: resource.bytes,
+        created_at: resource.created_at
+      }));
+
+      nextCursor = page.next_cursor;
+    } while (nextCursor);
+  } catch (error) {
+    throw toError(error);
+  }
+
+  return files;
+}
+
+module.exports = {
+  name: 'cloudinary',
+  upload,
+  delete: deleteFile,
+  url,
+  list,
+  keyFromUrl,
+  posterUrl,
+  imageVariants
+};
@@ -0,0 +1,297 @@
+// src/storage/backends/local.js
+// Keeps uploads on this server's disk, in src/uploads (served by server.js at /uploads)
+// Works completely offline - the default for development when Cloudinary isn't configured
+//
+// Keys are paths inside the uploads folder: "images/3f9c...e1.jpg" → URL /uploads/images/3f9c...e1.jpg
+// Images are stored as uploaded, plus resized copies (see src/storage/variants.js) in a variants folder:
+//   images/variants/3f9c...e1-card.jpg
+// Videos get a poster - a still picked from the video by ffmpeg - in a posters folder:
+//   videos/posters/3f9c...e1.jpg
+// ffmpeg is optional (set FFMPEG_PATH if it isn't on the PATH). Without it videos have no generated poster,
+// and the browser shows the video's first frame instead - admins can still upload a poster themselves.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const { readImageSize } = require('../imageSize');
+const { IMAGE_VARIANTS, PLACEHOLDER_WIDTH } = require('../variants');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const URL_PREFIX = '/uploads/';
+
+// Give up on a poster if ffmpeg takes longer than this (e.g. a huge or broken file)
+const FFMPEG_TIMEOUT_MS = 30000;
+
+const execFileAsync = promisify(execFile);
+
+// "image" → images/, "video" → videos/
+const FOLDERS = { image: 'images', video: 'videos' };
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/ogg': 'ogg'
+};
+
+/**
+ * Full path for a key - refuses anything that would land outside the uploads folder ("../../server.js")
+ */
+function resolveKey(key) {
+  const filePath = path.resolve(UPLOADS_DIR, key);
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+}
+
+// Files are served exactly as stored, so transformations are ignored
+function url(key) {
+  return `${URL_PREFIX}${key}`;
+}
+
+/**
+ * Key of a video's generated poster: videos/abc.mp4 → videos/posters/abc.jpg
+ */
+function posterKey(key) {
+  const { dir, name } = path.posix.parse(key);
+  return `${dir}/posters/${name}.jpg`;
+}
+
+/**
+ * Pick a representative still from a stored video and save it as its poster
+ * ffmpeg's thumbnail filter skips black/blank frames, like Cloudinary's so_auto
+ */
+async function createPoster(key) {
+  const posterPath = resolveKey(posterKey(key));
+  await fs.promises.mkdir(path.dirname(posterPath), { recursive: true });
+
+  await execFileAsync(process.env.FFMPEG_PATH || 'ffmpeg', [
+    '-y',
+    '-loglevel', 'error',
+    '-i', resolveKey(key),
+    '-vf', 'thumbnail,scale=min(1200\\,iw):-2',
+    '-frames:v', '1',
+    posterPath
+  ], { timeout: FFMPEG_TIMEOUT_MS });
+}
+
+/**
+ * URL of a video's generated poster, or null when there isn't one (no ffmpeg, or it failed)
+ */
+function posterUrl(key) {
+  const poster = posterKey(key);
+  return fs.existsSync(resolveKey(poster)) ? url(poster) : null;
+}
+
+/**
+ * Key of one resized copy of an image: images/abc.jpg → images/variants/abc-card.jpg
+ */
+function variantKey(key, name) {
+  const { dir, name: base, ext } = path.posix.parse(key);
+  return `${dir}/variants/${base}-${name}${ext}`;
+}
+
+/**
+ * Write the resized copies of a stored image, and make its blurred placeholder
+ * sharp is loaded here rather than at the top, so the server still starts if its native build is missing
+ * @returns {Promise<{ variants: Object, placeholder: string }>} variants = actual width of each copy,
+ *   placeholder = a data: URL small enough to store in the database
+ */
+async function createVariants(key) {
+  const sharp = require('sharp');
+  const filePath = resolveKey(key);
+  const variants = {};
+
+  await fs.promises.mkdir(path.dirname(resolveKey(variantKey(key, 'full'))), { recursive: true });
+
+  for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+    const info = await sharp(filePath)
+      .rotate() // respect the camera's orientation
+      .resize({ width, withoutEnlargement: true })
+      .toFile(resolveKey(variantKey(key, name)));
+    variants[name] = info.width;
+  }
+
+  const placeholder = await sharp(filePath)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return { variants, placeholder: `data:image/webp;base64,${placeholder.toString('base64')}` };
+}
+
+/**
+ * The resized copies of a photo, for the API
+ * @param {string} key
+ * @param {Object} image - The apartment_images row (variant_widths says which copies were written)
+ * @returns {{ variants, placeholder } | null} null for photos without copies yet (run "npm run media:variants")
+ */
+function imageVariants(key, image) {
+  if (!image.variant_widths) return null;
+
+  const widths = JSON.parse(image.variant_widths);
+  return {
+    variants: Object.fromEntries(Object.keys(widths).map(name => [
+      name,
+      { url: url(variantKey(key, name)), width: widths[name] }
+    ])),
+    placeholder: image.placeholder || null
+  };
+}
+
+/**
+ * Which key a stored URL points to, or null if it isn't one of ours
+ */
+function keyFromUrl(fileUrl) {
+  const value = String(fileUrl || '');
+  return value.startsWith(URL_PREFIX) ? decodeURIComponent(value.slice(URL_PREFIX.length)) : null;
+}
+
+/**
+ * Save an uploaded file
+ * @param {ReadableStream} stream - The file contents
+ * @param {Object} options - { kind: 'image' | 'video', mimetype }
+ */
+async function upload(stream, { kind, mimetype }) {
+  const format = EXTENSIONS[mimetype] || 'bin';
+  const key = `${FOLDERS[kind]}/${crypto.randomBytes(16).toString('hex')}.${format}`;
+  const filePath = resolveKey(key);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    await pipeline(stream, fs.createWriteStream(filePath));
+  } catch (error) {
+    // Don't leave half-written files behind (e.g. the upload was too big and got cut off)
+    await fs.promises.unlink(filePath).catch(() => {});
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  if (kind !== 'image') {
+    // A video without a poster is still kept - the browser shows its first frame instead
+    try {
+      await createPoster(key);
+    } catch (error) {
+      const reason = error.code === 'ENOENT' ? 'ffmpeg is not installed (set FFMPEG_PATH)' : error.message;
+      console.log(`Could not make a poster for ${key}:`, reason);
+    }
+
+    return { key, url: url(key), bytes: size, format };
+  }
+
+  // A photo sharp can't read is still kept - it just won't have smaller copies
+  let resized = null;
+  try {
+    resized = await createVariants(key);
+  } catch (error) {
+    console.log(`Could not make resized copies of ${key}:`, error.message);
+  }
+
+  return { key, url: url(key), bytes: size, format, ...readImageSize(filePath), ...resized };
+}
+
+/**
+ * @returns {Promise<boolean>} true if the file was deleted, false if it wasn't there
+ */
+async function deleteFile(key) {
+  // Resized copies and generated posters go too (only photos / videos have them, but trying costs nothing)
+  await Promise.all([
+    ...Object.keys(IMAGE_VARIANTS).map(name => variantKey(key, name)),
+    posterKey(key)
+  ].map(copy => fs.promises.unlink(resolveKey(copy)).catch(() => {})));
+
+  try {
+    await fs.promises.unlink(resolveKey(key));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * Every stored file of one kind
+ * @returns {Promise<Array>} [{ key, url, bytes, created_at }]
+ */
+async function list({ kind }) {
+  const folder = path.join(UPLOADS_DIR, FOLDERS[kind]);
+
+  let names;
+  try {
+    names = await fs.promises.readdir(folder);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  // Only the uploads themselves - the variants folder is skipped (it isn't a file)
+  const files = await Promise.all(names
+    .filter(name => !name.startsWith('.')) // .gitkeep and friends
+    .map(async name => {
+      const key = `${FOLDERS[kind]}/${name}`;
+      const stats = await fs.promises.stat(resolveKey(key));
+      return stats.isFile()
+        ? { key, url: url(key), bytes: stats.size, created_at: stats.birthtime.toISOString() }
+        : null;
+    }));
+
+  return files.filter(Boolean);
+}
+
+/**
+ * Every resized copy on disk, with the key of the photo it was made from
+ * (the media reconciler uses this to find copies whose photo is gone)
+ * @returns {Promise<Array>} [{ key, url, bytes, created_at, original }]
+ */
+async function listVariants({ kind }) {
+  const folder = `${FOLDERS[kind]}/variants`;
+  const pattern = new RegExp(`^(.+)-(${Object.keys(IMAGE_VARIANTS).join('|')})(\\.[a-z0-9]+)$`);
+
+  let names;
+  try {
+    names = await fs.promises.readdir(resolveKey(folder));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return Promise.all(names
+    .map(name => ({ name, match: name.match(pattern) }))
+    .filter(({ match }) => match)
+    .map(async ({ name, match }) => {
+      const key = `${folder}/${name}`;
+      const stats = await fs.promises.stat(resolveKey(key));
+      return {
+        key,
+        url: url(key),
+        bytes: stats.size,
+        created_at: stats.birthtime.toISOString(),
+        original: `${FOLDERS[kind]}/${match[1]}${match[3]}`
+      };
+    }));
+}
+
+module.exports = {
+  name: 'local',
+  UPLOADS_DIR,
+  resolveKey,
+  createVariants,
+  imageVariants,
+  upload,
+  delete: deleteFile,
+  url,
+  list,
+  listVariants,
+  keyFromUrl,
+  posterUrl
+};
@@ -0,0 +1,42 @@
+// src/storage/generateVariants.js
+// Make the resized copies (and blurred placeholder) for photos stored on local disk that don't have them yet -
+// photos uploaded before variants existed, or ones sharp failed on at upload time
+//
+//   node src/storage/generateVariants.js          (npm run media:variants)
+//   node src/storage/generateVariants.js --all    remake every photo's copies (e.g. after changing IMAGE_VARIANTS)
+//
+// Cloudinary photos are skipped - Cloudinary makes its copies on request
+
+require('dotenv').config();
+
+const db = require('../database/db');
+const localStorage = require('./backends/local');
+
+async function main() {
+  const all = process.argv.includes('--all');
+
+  const images = db.prepare(`
+    SELECT id, public_id FROM apartment_images
+    WHERE storage_backend = ? AND public_id IS NOT NULL
+    ${all ? '' : 'AND variant_widths IS NULL'}
+  `).all(localStorage.name);
+
+  const update = db.prepare('UPDATE apartment_images SET variant_widths = ?, placeholder = ? WHERE id = ?');
+  let failed = 0;
+
+  // One at a time - resizing is heavy, and there's no rush
+  for (const image of images) {
+    try {
+      const { variants, placeholder } = await localStorage.createVariants(image.public_id);
+      update.run(JSON.stringify(variants), placeholder, image.id);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${image.public_id}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Resized ${images.length - failed} photo(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main();
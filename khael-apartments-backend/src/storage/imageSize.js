@@ -0,0 +1,76 @@
+// src/storage/imageSize.js
+// Read an image's width and height from its file header, without an image library
+// Cloudinary tells us the size of every upload; files kept on local disk need this instead
+// Understands JPEG, PNG and WebP (the formats uploads are limited to)
+
+const fs = require('fs');
+
+// JPEG dimensions live in a "start of frame" segment, which can come after a big EXIF block
+const HEADER_BYTES = 256 * 1024;
+
+function pngSize(buffer) {
+  // Signature, then the IHDR chunk: width and height are its first two 4-byte numbers
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function jpegSize(buffer) {
+  let offset = 2; // skip the FFD8 start marker
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // SOF0-SOF15 hold the size (C4, C8 and CC are other segment types that share the range)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+function webpSize(buffer) {
+  if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    return null;
+  }
+
+  switch (buffer.toString('ascii', 12, 16)) {
+    case 'VP8 ': // lossy
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': { // lossless - 14 bits each, packed
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X': // extended - 24 bits each
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Only reads the start of the file
+ * @param {string} filePath
+ * @returns {{ width: number, height: number } | null} null if the format isn't recognised
+ */
+function readImageSize(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const header = buffer.subarray(0, fs.readSync(fd, buffer, 0, HEADER_BYTES, 0));
+
+    if (header[0] === 0x89 && header.toString('ascii', 1, 4) === 'PNG') return pngSize(header);
+    if (header[0] === 0xff && header[1] === 0xd8) return jpegSize(header);
+    return webpSize(header);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { readImageSize };
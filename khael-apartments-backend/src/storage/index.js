@@ -0,0 +1,314 @@
+// src/storage/index.js
+// Where uploaded photos and videos are kept, behind one small interface
+// The rest of the app never talks to Cloudinary or the disk directly
+//
+// Pick the backend for new uploads with MEDIA_STORAGE:
+//   cloudinary        Cloudinary (the default when CLOUDINARY_CLOUD_NAME is set)
+//   local             files in src/uploads, served at /uploads (the default otherwise - works offline)
+//   ./path/to/module  any module with the same interface (relative paths are resolved from the backend folder)
+//
+// Every backend exports:
+//   name                                   'cloudinary', 'local', ...
+//   upload(stream, { kind, mimetype })     → { key, url, bytes, format, width?, height? }
+//   delete(key, { kind })                  → true if deleted, false if it wasn't there
+//   url(key, { kind, transformation? })    → public URL for a key (backends that can't transform ignore it)
+//   list({ kind })                         → [{ key, url, bytes, created_at }]
+//   keyFromUrl(url)                        → the key, or null if the URL isn't one of this backend's
+// and optionally:
+//   posterUrl(key)                         → a still frame of a stored video, as an image URL
+//   imageVariants(key, image)              → { variants: { name: { url, width } }, placeholder } - the resized
+//                                            copies of a photo (see variants.js), or null if it has none
+//   listVariants({ kind })                 → [{ key, url, bytes, created_at, original }] - resized copies kept
+//                                            as separate files, with the key of the photo they were made from
+// kind is 'image' or 'video'
+//
+// apartment_images / apartment_videos rows remember which backend stored each file (storage_backend) and its
+// key there (public_id), so files are always deleted through the backend that stored them and switching
+// MEDIA_STORAGE doesn't strand older uploads. Rows from before those columns existed fall back to working
+// the key out from the URL.
+
+const path = require('path');
+const { IMAGE_VARIANTS } = require('./variants');
+const cloudinaryStorage = require('./backends/cloudinary');
+const localStorage = require('./backends/local');
+
+const BUILT_IN_BACKENDS = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage
+};
+
+const REQUIRED_METHODS = ['upload', 'delete', 'url', 'list', 'keyFromUrl'];
+
+let storage = null;
+
+/**
+ * Work out which backend to use from MEDIA_STORAGE
+ * Loaded lazily so env variables from .env are already in place
+ */
+function loadStorage() {
+  const name = process.env.MEDIA_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+  if (BUILT_IN_BACKENDS[name]) {
+    return BUILT_IN_BACKENDS[name];
+  }
+
+  const custom = require(path.resolve(__dirname, '../..', name));
+  const missing = REQUIRED_METHODS.filter(method => typeof custom[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Media storage "${name}" is missing: ${missing.join(', ')}`);
+  }
+  return custom;
+}
+
+/**
+ * The backend new uploads go to
+ */
+function getStorage() {
+  if (!storage) {
+    storage = loadStorage();
+  }
+  return storage;
+}
+
+/**
+ * Swap the backend at runtime (e.g. from a script, or to keep files in memory)
+ */
+function setStorage(customStorage) {
+  storage = customStorage;
+}
+
+/**
+ * Every backend a stored URL could belong to - the active one first
+ */
+function getAllStorages() {
+  const active = getStorage();
+  return [active, ...Object.values(BUILT_IN_BACKENDS).filter(backend => backend !== active)];
+}
+
+/**
+ * Which backend stored a file, and its key there, worked out from its URL
+ * @returns {{ storage, key } | null} null for URLs no backend recognises (e.g. another website)
+ */
+function findStoredFile(fileUrl) {
+  for (const backend of getAllStorages()) {
+    const key = backend.keyFromUrl(fileUrl);
+    if (key) return { storage: backend, key };
+  }
+  return null;
+}
+
+/**
+ * Which backend stored a media row's file, and its key there
+ * Uses the stored public_id / storage_backend, and only falls back to the URL for rows without them
+ * @param {Object} media - An apartment_images or apartment_videos row
+ * @returns {{ storage, key } | null}
+ */
+function getStoredFile(media) {
+  const fileUrl = media.image_url || media.video_url;
+
+  if (media.public_id) {
+    const backend = getAllStorages().find(candidate => candidate.name === media.storage_backend);
+    if (backend) return { storage: backend, key: media.public_id };
+  }
+
+  return findStoredFile(fileUrl);
+}
+
+/**
+ * 'image' or 'video' for a media row
+ */
+function getMediaKind(media) {
+  return media.resource_type || (media.video_url ? 'video' : 'image');
+}
+
+/**
+ * Public URL for a media row, optionally transformed (e.g. { width: 400, crop: 'fill' } on Cloudinary)
+ * Falls back to the stored URL when the backend that stored the file isn't known
+ * @param {Object} media - An apartment_images or apartment_videos row
+ * @param {Object} [transformation]
+ */
+function getMediaUrl(media, transformation) {
+  const stored = getStoredFile(media);
+  if (!stored) return media.image_url || media.video_url;
+
+  return stored.storage.url(stored.key, { kind: getMediaKind(media), transformation });
+}
+
+/**
+ * Everything a browser needs to pick the right size of a photo
+ * Photos without resized copies (old uploads, other websites, backends that can't resize) get the original
+ * for every variant, so the API shape is always the same
+ * @param {Object} image - An apartment_images row
+ * @returns {{ variants: Object, srcset: Array, placeholder: string|null }}
+ *   variants    { thumbnail, card, full } - each { url, width } (width is null when unknown)
+ *   srcset      the distinct sizes, smallest first - [{ url, width }], ready for <img srcset>
+ *   placeholder a tiny blurred image (data: URL or URL) to show while loading, or null
+ */
+function getResponsiveImage(image) {
+  const stored = getStoredFile(image);
+  let resized = null;
+
+  if (stored && typeof stored.storage.imageVariants === 'function') {
+    try {
+      resized = stored.storage.imageVariants(stored.key, image);
+    } catch (error) {
+      console.log(`Could not work out sizes for ${image.image_url}:`, error.message);
+    }
+  }
+
+  const original = { url: image.image_url, width: image.width ?? null };
+  const variants = Object.fromEntries(Object.keys(IMAGE_VARIANTS).map(name => [
+    name,
+    resized?.variants?.[name] || original
+  ]));
+
+  // One entry per width - small photos end up with the same width for several variants
+  const byWidth = new Map();
+  Object.values(variants)
+    .filter(variant => variant.width)
+    .forEach(variant => byWidth.set(variant.width, variant));
+  const srcset = [...byWidth.values()].sort((a, b) => a.width - b.width);
+
+  return { variants, srcset, placeholder: resized?.placeholder ?? null };
+}
+
+/**
+ * A still image for a video, made by the backend that stored it
+ * @param {Object} video - An apartment_videos row (or upload metadata with public_id / storage_backend)
+ * @returns {string|null} null when the backend can't make one
+ *   (local disk only has a poster if ffmpeg made one when the video was uploaded)
+ */
+function generatePosterUrl(video) {
+  const stored = getStoredFile(video);
+  if (!stored || typeof stored.storage.posterUrl !== 'function') return null;
+
+  try {
+    return stored.storage.posterUrl(stored.key);
+  } catch (error) {
+    console.log(`Could not make a poster for ${video.video_url || video.public_id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * A video's uploaded poster, shaped like a media row (so it can go to deleteMediaFile)
+ * @returns {Object|null} null when the poster was generated (or there is none) - deleting the video removes it
+ */
+function getPosterFile(video) {
+  if (!video.poster_public_id) return null;
+
+  return {
+    image_url: video.poster_url,
+    public_id: video.poster_public_id,
+    storage_backend: video.poster_storage_backend,
+    resource_type: 'image'
+  };
+}
+
+/**
+ * Delete one media row's file, from whichever backend stored it
+ * Failures are logged, not thrown - a file that's already gone shouldn't block removing the database row
+ * @param {Object} media - An apartment_images or apartment_videos row
+ * @returns {Promise<boolean>} true if the file was deleted
+ */
+async function deleteMediaFile(media) {
+  const stored = getStoredFile(media);
+  if (!stored) return false;
+
+  try {
+    return await stored.storage.delete(stored.key, { kind: getMediaKind(media) });
+  } catch (error) {
+    console.log(`Could not delete ${media.image_url || media.video_url}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * The metadata columns for a file multer just uploaded (see createUploadStorage)
+ * @returns {Object} { public_id, storage_backend, resource_type, format, bytes, width, height }
+ */
+function getUploadMetadata(file) {
+  const { key, backend, kind, format, bytes, width, height } = file.storage;
+
+  return {
+    public_id: key,
+    storage_backend: backend,
+    resource_type: kind,
+    format: format ?? null,
+    bytes: bytes ?? null,
+    width: width ?? null,
+    height: height ?? null
+  };
+}
+
+/**
+ * The resized-copy columns of apartment_images for a photo multer just uploaded
+ * Only the local backend fills these; Cloudinary works its variants out from the key
+ * @returns {Object} { variant_widths (JSON of { name: width }), placeholder }
+ */
+function getUploadVariants(file) {
+  const { variants, placeholder } = file.storage;
+
+  return {
+    variant_widths: variants ? JSON.stringify(variants) : null,
+    placeholder: placeholder ?? null
+  };
+}
+
+/**
+ * Delete a file multer uploaded earlier in this request - for when the request fails afterwards
+ * (e.g. the apartment doesn't exist), so the file doesn't linger in storage with no row pointing at it
+ */
+function discardUpload(file) {
+  return deleteMediaFile(getUploadMetadata(file));
+}
+
+/**
+ * A multer storage engine that streams uploads to the active backend
+ * After upload, req.file(s) has: path (the public URL), filename (the storage key), size, and
+ * storage (the backend's full result plus its name and the kind - read it with getUploadMetadata)
+ * @param {'image'|'video'|Function} kind - or (file) => kind, for forms that take both (a video and its poster)
+ */
+function createUploadStorage(kind) {
+  const kindOf = file => (typeof kind === 'function' ? kind(file) : kind);
+
+  return {
+    _handleFile(req, file, cb) {
+      const backend = getStorage();
+      const fileKind = kindOf(file);
+
+      backend.upload(file.stream, { kind: fileKind, mimetype: file.mimetype })
+        .then(result => cb(null, {
+          path: result.url,
+          filename: result.key,
+          size: result.bytes,
+          storage: { ...result, backend: backend.name, kind: fileKind }
+        }))
+        .catch(cb);
+    },
+
+    // multer calls this when a later file in the same request fails, to clean up the earlier ones
+    _removeFile(req, file, cb) {
+      getStorage().delete(file.filename, { kind: kindOf(file) })
+        .then(() => cb(null))
+        .catch(cb);
+    }
+  };
+}
+
+module.exports = {
+  getStorage,
+  setStorage,
+  getAllStorages,
+  findStoredFile,
+  getStoredFile,
+  getMediaUrl,
+  getResponsiveImage,
+  generatePosterUrl,
+  getPosterFile,
+  deleteMediaFile,
+  getUploadMetadata,
+  getUploadVariants,
+  discardUpload,
+  createUploadStorage
+};
@@ -0,0 +1,24 @@
+// src/storage/variants.js
+// Smaller copies of each photo, so a 200px thumbnail doesn't download the full 1200px upload
+//
+// Every photo has three variants, each at most this many pixels wide (never enlarged):
+//   thumbnail  gallery strips and the admin dashboard
+//   card       apartment cards on the home page
+//   full       the big carousel image
+// Cloudinary makes them on the fly from URL transformations; the local backend writes them to disk at
+// upload time (with sharp) and keeps a tiny blurred copy in the database to show while the real one loads.
+// The API turns them into a srcset-ready list with getResponsiveImage() (src/storage/index.js)
+
+const IMAGE_VARIANTS = {
+  thumbnail: 200,
+  card: 600,
+  full: 1200
+};
+
+// Width of the blurred placeholder - it's stretched to fill the space, so tiny is fine
+const PLACEHOLDER_WIDTH = 16;
+
+module.exports = {
+  IMAGE_VARIANTS,
+  PLACEHOLDER_WIDTH
+};
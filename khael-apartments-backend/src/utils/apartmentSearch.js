@@ -0,0 +1,214 @@
+// src/utils/apartmentSearch.js
+// Turns the query string of GET /api/apartments into SQL
+// Every filter is optional - leaving them all out returns every apartment
+//
+// Supported parameters:
+//   q                           full-text search over title, description, address and amenities
+//   city, state                 exact match (case-insensitive)
+//   min_price, max_price        price_per_night range
+//   bedrooms, bathrooms         at least this many
+//   guests                      sleeps at least this many (max_guests)
+//   amenities                   comma-separated, apartment must have ALL of them
+//   featured                    "true" for featured apartments only
+//   check_in, check_out         only apartments free for that whole stay
+//   near, radius_km             near=lat,lng - only apartments within radius_km (default 10) of that point
+//   sort                        featured (default), newest, price_asc, price_desc,
+//                               relevance (default when q is given),
+//                               distance (default when near is given)
+//   page, limit                 pagination (no limit = everything on one page)
+
+const { BOOKED_DURING_STAY_SQL, validateStayDates } = require('./bookings');
+const { validateCoordinates } = require('./geo');
+
+const SORT_OPTIONS = {
+  // Column weights: title matters most, then location, then amenities, then description
+  relevance: 'bm25(apartments_fts, 10.0, 1.0, 5.0, 5.0, 5.0, 3.0)',
+  distance: 'distance_km ASC, a.id ASC',
+  featured: 'a.featured DESC, a.created_at DESC, a.id DESC',
+  newest: 'a.created_at DESC, a.id DESC',
+  price_asc: 'a.price_per_night ASC, a.id ASC',
+  price_desc: 'a.price_per_night DESC, a.id DESC'
+};
+
+// Every parameter above - each one must be given at most once
+const SEARCH_PARAMS = [
+  'q', 'city', 'state', 'min_price', 'max_price', 'bedrooms', 'bathrooms', 'guests',
+  'amenities', 'featured', 'check_in', 'check_out', 'near', 'radius_km', 'sort', 'page', 'limit'
+];
+
+const MAX_LIMIT = 100;
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 500;
+
+/**
+ * Turn what the guest typed into an FTS5 query
+ * "Maitama pool generator" → "maitama"* OR "pool"* OR "generator"*
+ * Every word is quoted so FTS5 operators and punctuation in the input can't break the query,
+ * and prefix-matched so "gen" finds "generator". Apartments matching more words rank higher.
+ * @returns {string|null} MATCH expression, or null if there are no searchable words
+ */
+function buildMatchQuery(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+
+  return words.map(word => `"${word}"*`).join(' OR ');
+}
+
+/**
+ * Read a numeric query parameter
+ * @returns {number|undefined|null} The number, undefined if not given, null if invalid
+ */
+function readNumber(value, { integer = false, min = 0 } = {}) {
+  if (value === undefined || value === '') return undefined;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    return null;
+  }
+  return number;
+}
+
+/**
+ * Parse the search query into SQL pieces
+ * @param {Object} query - req.query
+ * @returns {{ error: string } | { join, columns, columnValues, where, values, orderBy, page, limit }}
+ *   columnValues are the parameters for `columns`, values are the parameters for `where`
+ */
+function parseApartmentSearch(query) {
+  // ?city=a&city=b arrives as an array, which can't be bound as one SQL value
+  const repeated = SEARCH_PARAMS.find(param => query[param] !== undefined && typeof query[param] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} can only be given once` };
+  }
+
+  // Archived listings never show up on the public site
+  const conditions = ['a.deleted_at IS NULL'];
+  const values = [];
+  let join = '';
+  let columns = '';
+  const columnValues = [];
+
+  const matchQuery = query.q ? buildMatchQuery(query.q) : null;
+  if (matchQuery) {
+    join = 'JOIN apartments_fts ON apartments_fts.rowid = a.id';
+    // Best-matching bit of text with the search words wrapped in <mark></mark>
+    columns = `, snippet(apartments_fts, -1, '<mark>', '</mark>', '…', 16) AS snippet`;
+    conditions.push('apartments_fts MATCH ?');
+    values.push(matchQuery);
+  }
+
+  if (query.city) {
+    conditions.push('a.city = ? COLLATE NOCASE');
+    values.push(query.city);
+  }
+
+  if (query.state) {
+    conditions.push('a.state = ? COLLATE NOCASE');
+    values.push(query.state);
+  }
+
+  // Numeric "at least" / "at most" filters: [query param, column, operator, integer?]
+  const numberFilters = [
+    ['min_price', 'a.price_per_night', '>=', false],
+    ['max_price', 'a.price_per_night', '<=', false],
+    ['bedrooms', 'a.bedrooms', '>=', true],
+    ['bathrooms', 'a.bathrooms', '>=', true],
+    ['guests', 'a.max_guests', '>=', true]
+  ];
+
+  for (const [param, column, operator, integer] of numberFilters) {
+    const value = readNumber(query[param], { integer });
+    if (value === null) {
+      return { error: `${param} must be a ${integer ? 'whole ' : ''}number of 0 or more` };
+    }
+    if (value !== undefined) {
+      conditions.push(`${column} ${operator} ?`);
+      values.push(value);
+    }
+  }
+
+  // Amenities are stored as a JSON array, so look inside it with json_each
+  if (query.amenities) {
+    const amenities = String(query.amenities).split(',').map(a => a.trim()).filter(Boolean);
+    amenities.forEach(amenity => {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(a.amenities) WHERE value = ?)');
+      values.push(amenity);
+    });
+  }
+
+  if (query.featured === 'true' || query.featured === '1') {
+    conditions.push('a.featured = 1');
+  }
+
+  // Free for the whole stay = no active booking overlaps it
+  if (query.check_in || query.check_out) {
+    const dateError = validateStayDates(query.check_in, query.check_out);
+    if (dateError) {
+      return { error: dateError };
+    }
+    conditions.push(`NOT ${BOOKED_DURING_STAY_SQL}`);
+    values.push(query.check_out, query.check_in);
+  }
+
+  // Distance from a point - apartments without coordinates never match
+  const near = query.near ? String(query.near).split(',') : null;
+  if (near) {
+    const [lat, lng] = near.map(part => part.trim());
+
+    // Both parts must be there - validateCoordinates treats two empty values as "no location" (fine on a form,
+    // but here it would search around 0,0); it rejects anything that isn't a number
+    if (near.length !== 2 || !lat || !lng) {
+      return { error: 'near must be "lat,lng"' };
+    }
+
+    const coordinatesError = validateCoordinates(lat, lng);
+    if (coordinatesError) {
+      return { error: coordinatesError };
+    }
+
+    const radius = readNumber(query.radius_km);
+    if (radius === null || radius > MAX_RADIUS_KM) {
+      return { error: `radius_km must be between 0 and ${MAX_RADIUS_KM}` };
+    }
+
+    columns += ', ROUND(haversine_km(a.latitude, a.longitude, ?, ?), 2) AS distance_km';
+    columnValues.push(Number(lat), Number(lng));
+    conditions.push('a.latitude IS NOT NULL AND a.longitude IS NOT NULL');
+    conditions.push('haversine_km(a.latitude, a.longitude, ?, ?) <= ?');
+    values.push(Number(lat), Number(lng), radius ?? DEFAULT_RADIUS_KM);
+  }
+
+  const sort = query.sort || (matchQuery ? 'relevance' : near ? 'distance' : 'featured');
+  if (!SORT_OPTIONS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}` };
+  }
+  if (sort === 'relevance' && !matchQuery) {
+    return { error: 'sort=relevance needs a search query (q)' };
+  }
+  if (sort === 'distance' && !near) {
+    return { error: 'sort=distance needs a location (near)' };
+  }
+
+  const page = readNumber(query.page, { integer: true, min: 1 });
+  const limit = readNumber(query.limit, { integer: true, min: 1 });
+  if (page === null || limit === null || limit > MAX_LIMIT) {
+    return { error: `page must be 1 or more and limit between 1 and ${MAX_LIMIT}` };
+  }
+
+  return {
+    join,
+    columns,
+    columnValues,
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values,
+    orderBy: SORT_OPTIONS[sort],
+    page: page || 1,
+    limit: limit || null
+  };
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  parseApartmentSearch
+};
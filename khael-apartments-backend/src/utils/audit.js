@@ -0,0 +1,140 @@
+// src/utils/audit.js
+// The activity log: who changed what, and when (the audit_log table)
+// Covers apartments, their photos/videos, bookings/blocks (availability), pricing rules,
+// booking request decisions, review moderation and admin accounts
+//
+// Usage, right after a change (ideally in the same transaction):
+//   recordAudit(req, {
+//     action: 'apartment.update',
+//     entityType: 'apartment',
+//     entityId: apartment.id,
+//     apartmentId: apartment.id,
+//     before: apartmentSnapshot(existing),
+//     after: apartmentSnapshot(updated)
+//   });
+//
+// Only the fields that actually changed are stored, and nothing is written when nothing changed
+
+const db = require('../database/db');
+
+// Every action the log knows about (used to validate the ?action= filter too)
+const AUDIT_ACTIONS = [
+  'apartment.create',
+  'apartment.update',
+  'apartment.delete',
+  'apartment.restore',
+  'apartment.archive',
+  'apartment.unarchive',
+  'apartment.purge',
+  'image.upload',
+  'image.delete',
+  'image.set_primary',
+  'image.update',
+  'image.reorder',
+  'video.upload',
+  'video.update',
+  'video.delete',
+  'video.reorder',
+  'media.relink',
+  'media.delete_orphans',
+  'booking.create',
+  'booking.update',
+  'booking.delete',
+  'pricing_rule.create',
+  'pricing_rule.delete',
+  'booking_request.approve',
+  'booking_request.decline',
+  'booking_request.expire',
+  'review.approve',
+  'review.reject',
+  'review.delete',
+  'admin_user.create',
+  'admin_user.update',
+  'admin_user.delete',
+  'admin_user.unlock',
+  'admin_user.reset_2fa'
+];
+
+// Bookkeeping columns that change on every save - not worth logging
+const IGNORED_FIELDS = ['updated_at', 'created_at'];
+
+/**
+ * An apartment row as it should appear in the log
+ * (amenities as a real array and featured as true/false, so diffs read naturally)
+ */
+function apartmentSnapshot(apartment) {
+  if (!apartment) return null;
+
+  return {
+    ...apartment,
+    featured: Boolean(apartment.featured),
+    amenities: typeof apartment.amenities === 'string' ? JSON.parse(apartment.amenities) : (apartment.amenities || [])
+  };
+}
+
+/**
+ * Keep only the fields that differ between two snapshots
+ * @returns {{ before: Object|null, after: Object|null }} null on a side that doesn't exist (create/delete)
+ */
+function diffSnapshots(before, after) {
+  if (!before || !after) {
+    const strip = (snapshot) => snapshot && Object.fromEntries(
+      Object.entries(snapshot).filter(([key]) => !IGNORED_FIELDS.includes(key))
+    );
+    return { before: strip(before), after: strip(after) };
+  }
+
+  const changedBefore = {};
+  const changedAfter = {};
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    if (IGNORED_FIELDS.includes(key)) return;
+
+    // Compare as JSON so arrays (amenities) and numbers-vs-strings ("45000" vs 45000) behave
+    const oldValue = before[key] ?? null;
+    const newValue = after[key] ?? null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue) || String(oldValue) === String(newValue)) return;
+
+    changedBefore[key] = oldValue;
+    changedAfter[key] = newValue;
+  });
+
+  return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Write one entry to the activity log
+ * @returns {boolean} false if nothing changed (so nothing was written)
+ */
+function recordAudit(req, { action, entityType, entityId = null, apartmentId = null, before = null, after = null }) {
+  const diff = diffSnapshots(before, after);
+
+  if (before && after && Object.keys(diff.after).length === 0) {
+    return false;
+  }
+
+  db.prepare(`
+    INSERT INTO audit_log (
+      admin_id, admin_username, action, entity_type, entity_id, apartment_id,
+      before_data, after_data, ip_address
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    req.admin?.id ?? null,
+    req.admin?.username ?? null,
+    action,
+    entityType,
+    entityId,
+    apartmentId,
+    diff.before ? JSON.stringify(diff.before) : null,
+    diff.after ? JSON.stringify(diff.after) : null,
+    req.ip || null
+  );
+
+  return true;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  apartmentSnapshot,
+  recordAudit
+};
@@ -0,0 +1,150 @@
+// src/utils/bookings.js
+// Shared booking logic: date validation and overlap checks
+// A stay runs from check_in (first night) up to, but not including, check_out (departure day),
+// so a guest can check in on the same day the previous guest checks out
+
+const db = require('../database/db');
+const { isValidDate, nightsBetween } = require('./dates');
+
+// Every status a booking can have
+// - confirmed: a real guest stay
+// - blocked:   dates closed by an admin (maintenance, owner use, etc.)
+// - cancelled: kept for history, no longer occupies the dates
+const BOOKING_STATUSES = ['confirmed', 'blocked', 'cancelled'];
+
+// Statuses that actually occupy the calendar
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'blocked'];
+
+// Longest date range the public endpoints will work through night by night
+// (the availability calendar, and the stays guests can quote or request)
+const MAX_AVAILABILITY_DAYS = 366;
+
+/**
+ * Validate a check-in / check-out pair
+ * @param {string} checkIn - 'YYYY-MM-DD'
+ * @param {string} checkOut - 'YYYY-MM-DD'
+ * @returns {string|null} Error message, or null if the dates are fine
+ */
+function validateStayDates(checkIn, checkOut) {
+  if (!checkIn || !checkOut) {
+    return 'check_in and check_out are required';
+  }
+
+  if (!isValidDate(checkIn) || !isValidDate(checkOut)) {
+    return 'Dates must be in YYYY-MM-DD format';
+  }
+
+  if (checkOut <= checkIn) {
+    return 'check_out must be after check_in';
+  }
+
+  return null;
+}
+
+/**
+ * Check a guest's stay isn't longer than the public endpoints allow
+ * Quotes are priced night by night, so a stay years long would tie up the server
+ * Call it after validateStayDates, so both dates are known to be valid
+ * @returns {string|null} Error message, or null if the stay is short enough
+ */
+function validateStayLength(checkIn, checkOut) {
+  if (nightsBetween(checkIn, checkOut) > MAX_AVAILABILITY_DAYS) {
+    return `A stay can be at most ${MAX_AVAILABILITY_DAYS} nights`;
+  }
+
+  return null;
+}
+
+/**
+ * Find active bookings that overlap a date range
+ * Two stays overlap when each one starts before the other one ends
+ * @param {number|string} apartmentId
+ * @param {string} checkIn
+ * @param {string} checkOut
+ * @param {number|string|null} excludeBookingId - Ignore this booking (used when editing it)
+ * @returns {Array} Overlapping booking rows
+ */
+function findOverlappingBookings(apartmentId, checkIn, checkOut, excludeBookingId = null) {
+  const placeholders = ACTIVE_BOOKING_STATUSES.map(() => '?').join(', ');
+
+  return db.prepare(`
+    SELECT * FROM bookings
+    WHERE apartment_id = ?
+      AND status IN (${placeholders})
+      AND check_in < ?
+      AND check_out > ?
+      AND id != ?
+    ORDER BY check_in ASC
+  `).all(apartmentId, ...ACTIVE_BOOKING_STATUSES, checkOut, checkIn, excludeBookingId || 0);
+}
+
+/**
+ * Insert a booking, but only if its dates are still free
+ * Runs inside a transaction so two admins can't grab the same dates at once
+ * @returns {{ booking?: object, conflicts?: Array }}
+ */
+const createBookingIfAvailable = db.transaction((booking) => {
+  if (ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+    const conflicts = findOverlappingBookings(booking.apartment_id, booking.check_in, booking.check_out);
+    if (conflicts.length > 0) {
+      return { conflicts };
+    }
+  }
+
+  const result = db.prepare(`
+    INSERT INTO bookings (
+      apartment_id, guest_name, guest_email, guest_phone, guests,
+      check_in, check_out, status, notes
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    booking.apartment_id,
+    booking.guest_name || null,
+    booking.guest_email || null,
+    booking.guest_phone || null,
+    booking.guests || null,
+    booking.check_in,
+    booking.check_out,
+    booking.status,
+    booking.notes || null
+  );
+
+  return {
+    booking: db.prepare('SELECT * FROM bookings WHERE id = ?').get(result.lastInsertRowid)
+  };
+});
+
+/**
+ * SQL snippet that is true when an apartment has an active booking on a given date
+ * Expects the apartments table to be aliased as "a" and takes the date twice as parameters
+ */
+const BOOKED_ON_DATE_SQL = `EXISTS (
+  SELECT 1 FROM bookings b
+  WHERE b.apartment_id = a.id
+    AND b.status IN (${ACTIVE_BOOKING_STATUSES.map(s => `'${s}'`).join(', ')})
+    AND b.check_in <= ?
+    AND b.check_out > ?
+)`;
+
+/**
+ * SQL snippet that is true when an apartment has an active booking overlapping a stay
+ * Expects the apartments table to be aliased as "a" and takes (check_out, check_in) as parameters
+ */
+const BOOKED_DURING_STAY_SQL = `EXISTS (
+  SELECT 1 FROM bookings b
+  WHERE b.apartment_id = a.id
+    AND b.status IN (${ACTIVE_BOOKING_STATUSES.map(s => `'${s}'`).join(', ')})
+    AND b.check_in < ?
+    AND b.check_out > ?
+)`;
+
+module.exports = {
+  BOOKING_STATUSES,
+  ACTIVE_BOOKING_STATUSES,
+  MAX_AVAILABILITY_DAYS,
+  BOOKED_ON_DATE_SQL,
+  BOOKED_DURING_STAY_SQL,
+  validateStayDates,
+  validateStayLength,
+  findOverlappingBookings,
+  createBookingIfAvailable
+};
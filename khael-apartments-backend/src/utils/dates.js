@@ -0,0 +1,77 @@
+// src/utils/dates.js
+// Small helpers for working with booking dates
+// Every booking date is stored as a plain 'YYYY-MM-DD' string (no time, no timezone),
+// so comparing two dates is just comparing two strings
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a value is a real calendar date in 'YYYY-MM-DD' format
+ * @param {string} value - Date string to check
+ * @returns {boolean} True for dates like "2026-01-15", false for "2026-02-30" or "tomorrow"
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+
+  // Round-trip through Date to reject impossible dates like 2026-02-30
+  return toDateString(parseDate(value)) === value;
+}
+
+/**
+ * Turn a 'YYYY-MM-DD' string into a Date at midnight UTC
+ * @param {string} value - Date string
+ * @returns {Date}
+ */
+function parseDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+/**
+ * Turn a Date back into a 'YYYY-MM-DD' string (using its UTC calendar day)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Today's date on the server, as 'YYYY-MM-DD'
+ * @returns {string}
+ */
+function today() {
+  const now = new Date();
+  return toDateString(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+/**
+ * Move a date forwards (or backwards with a negative number) by whole days
+ * @param {string} value - Date string
+ * @param {number} days - Number of days to add
+ * @returns {string} New date string
+ */
+function addDays(value, days) {
+  return toDateString(new Date(parseDate(value).getTime() + days * DAY_IN_MS));
+}
+
+/**
+ * Number of nights between check-in and check-out
+ * @param {string} checkIn - First night of the stay
+ * @param {string} checkOut - Departure day (not a night of the stay)
+ * @returns {number} e.g. 2026-01-10 → 2026-01-13 is 3 nights
+ */
+function nightsBetween(checkIn, checkOut) {
+  return Math.round((parseDate(checkOut) - parseDate(checkIn)) / DAY_IN_MS);
+}
+
+module.exports = {
+  isValidDate,
+  parseDate,
+  toDateString,
+  today,
+  addDays,
+  nightsBetween
+};
@@ -0,0 +1,61 @@
+// src/utils/geo.js
+// Small helpers for apartment coordinates (latitude/longitude in decimal degrees)
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Straight-line ("as the crow flies") distance between two points, in kilometres
+ * Uses the haversine formula - plenty accurate for "apartments within 5 km"
+ */
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Check a latitude/longitude pair
+ * Both must be given together (or both left empty to clear the location)
+ * @returns {string|null} Error message, or null if the coordinates are fine
+ */
+function validateCoordinates(latitude, longitude) {
+  const latMissing = latitude === null || latitude === undefined || latitude === '';
+  const lngMissing = longitude === null || longitude === undefined || longitude === '';
+
+  if (latMissing && lngMissing) return null;
+
+  if (latMissing || lngMissing) {
+    return 'latitude and longitude must be set together';
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return 'latitude must be a number between -90 and 90';
+  }
+
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return 'longitude must be a number between -180 and 180';
+  }
+
+  return null;
+}
+
+/**
+ * Normalise a coordinate from the request body for storage ('' → null)
+ */
+const toCoordinate = (value) =>
+  value === null || value === undefined || value === '' ? null : Number(value);
+
+module.exports = {
+  haversineKm,
+  validateCoordinates,
+  toCoordinate
+};
@@ -0,0 +1,192 @@
+// src/utils/ical.js
+// Minimal iCalendar (RFC 5545) reader and writer
+// Only handles what booking platforms actually exchange: all-day VEVENTs with a start, end and summary
+
+const { isValidDate, addDays } = require('./dates');
+
+/**
+ * Escape text for an iCal property value
+ * Backslashes, commas, semicolons and newlines all need escaping
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+/**
+ * Undo escapeText() when reading a feed
+ */
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Lines longer than 75 characters must be "folded" onto continuation lines
+ * that start with a single space
+ */
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ' ' + rest.slice(75);
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+}
+
+/**
+ * 'YYYY-MM-DD' → 'YYYYMMDD' (iCal DATE value)
+ */
+function toICalDate(value) {
+  return value.replace(/-/g, '');
+}
+
+/**
+ * Read the date part of an iCal DATE or DATE-TIME value
+ * '20260115' and '20260115T140000Z' both become '2026-01-15'
+ * @returns {string|null} Date string, or null if it can't be read
+ */
+function fromICalDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  return isValidDate(date) ? date : null;
+}
+
+/**
+ * Build an iCal feed
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by the importing platform
+ * @param {Array} options.events - [{ uid, start, end, summary }] with 'YYYY-MM-DD' dates (end is exclusive)
+ * @returns {string} The .ics file contents
+ */
+function buildICal({ name, events }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Khael Apartments//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toICalDate(event.start)}`,
+      `DTEND;VALUE=DATE:${toICalDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse an iCal feed into date ranges
+ * Broken events are skipped and reported in `errors` instead of failing the whole feed
+ * @param {string} text - Raw .ics contents
+ * @returns {{ events: Array, errors: Array<string> }}
+ * @throws {Error} If the text isn't an iCal calendar at all
+ */
+function parseICal(text) {
+  if (typeof text !== 'string' || !text.includes('BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCal feed (missing BEGIN:VCALENDAR)');
+  }
+
+  // Unfold continuation lines, then split into logical lines
+  const lines = text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  const events = [];
+  const errors = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (current) {
+        const event = toEvent(current);
+        if (event.error) {
+          errors.push(event.error);
+        } else if (event.start) {
+          events.push(event);
+        }
+      }
+      current = null;
+      return;
+    }
+
+    if (!current) return;
+
+    // "DTSTART;VALUE=DATE:20260115" → name "DTSTART", value "20260115"
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+
+    const name = line.slice(0, colon).split(';')[0].toUpperCase();
+    current[name] = line.slice(colon + 1);
+  });
+
+  return { events, errors };
+}
+
+/**
+ * Turn the raw properties of one VEVENT into { uid, start, end, summary }
+ */
+function toEvent(properties) {
+  const uid = properties.UID || null;
+  const label = uid ? `Event ${uid}` : 'Event without UID';
+
+  // Cancelled events don't block anything
+  if ((properties.STATUS || '').toUpperCase() === 'CANCELLED') {
+    return {};
+  }
+
+  const start = fromICalDate(properties.DTSTART);
+  if (!start) {
+    return { error: `${label}: missing or invalid DTSTART` };
+  }
+
+  // No DTEND means a single day
+  let end = properties.DTEND ? fromICalDate(properties.DTEND) : addDays(start, 1);
+  if (!end) {
+    return { error: `${label}: invalid DTEND` };
+  }
+
+  // A timed event ending on the same day still occupies that night
+  if (end <= start) {
+    end = addDays(start, 1);
+  }
+
+  return {
+    uid,
+    start,
+    end,
+    summary: properties.SUMMARY ? unescapeText(properties.SUMMARY) : ''
+  };
+}
+
+module.exports = {
+  buildICal,
+  parseICal
+};
@@ -0,0 +1,70 @@
+// src/utils/images.js
+// Shared photo logic: the rooms a photo can be tagged with, checking caption / alt text / room edits,
+// and the shape photos are sent to the frontend in
+
+const { getResponsiveImage } = require('../storage');
+
+// Guests can filter an apartment's photos by these (stored as-is in apartment_images.room)
+const IMAGE_ROOMS = ['bedroom', 'kitchen', 'living_room', 'bathroom', 'exterior'];
+
+const MAX_CAPTION_LENGTH = 200;
+const MAX_ALT_TEXT_LENGTH = 250;
+
+// The editable details of a photo, and the longest each can be (room is checked against IMAGE_ROOMS instead)
+const IMAGE_DETAIL_FIELDS = {
+  caption: MAX_CAPTION_LENGTH,
+  alt_text: MAX_ALT_TEXT_LENGTH,
+  room: null
+};
+
+/**
+ * Check an edit to a photo's details
+ * Only the fields present in the body are changed; '' or null clears a field
+ * @returns {{ changes: Object } | { error: string }}
+ */
+function validateImageDetails(body) {
+  const changes = {};
+
+  for (const [field, maxLength] of Object.entries(IMAGE_DETAIL_FIELDS)) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `${field} must be text` };
+    }
+
+    const value = (body[field] || '').trim() || null;
+
+    if (field === 'room' && value !== null && !IMAGE_ROOMS.includes(value)) {
+      return { error: `room must be one of: ${IMAGE_ROOMS.join(', ')}` };
+    }
+    if (maxLength && value && value.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+
+    changes[field] = value;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Send a caption, alt_text or room to change' };
+  }
+
+  return { changes };
+}
+
+/**
+ * A photo as the API returns it: the row plus its sizes for srcset (see getResponsiveImage)
+ * variant_widths is storage bookkeeping, so it's left out
+ * @param {Object} image - An apartment_images row
+ */
+function formatImage(image) {
+  const row = { ...image, ...getResponsiveImage(image) };
+  delete row.variant_widths;
+  return row;
+}
+
+module.exports = {
+  IMAGE_ROOMS,
+  IMAGE_DETAIL_FIELDS,
+  validateImageDetails,
+  formatImage
+};
@@ -0,0 +1,188 @@
+// src/utils/loginThrottle.js
+// Slows down and then locks out repeated failed logins
+//
+// Failures are counted per IP address and per username:
+// - after each failure for a username, its next attempt has to wait a bit longer (1s, 2s, 4s, 8s...)
+// - after too many failures the username/IP is locked out for a while
+//   (IPs only get the lockout, not the backoff, so a few typos in a shared office don't slow everyone down)
+// - a successful login clears the username's count
+//
+// Settings (environment variables):
+//   LOGIN_MAX_ATTEMPTS        failures per username before lockout (default 5)
+//   LOGIN_IP_MAX_ATTEMPTS     failures per IP before lockout (default 20 - offices share IPs)
+//   LOGIN_LOCKOUT_MINUTES     how long a lockout lasts (default 15)
+//   LOGIN_BACKOFF_BASE_MS     first backoff delay, doubled after every failure (default 1000)
+//   LOGIN_BACKOFF_MAX_MS      longest backoff delay (default 60000)
+//   LOGIN_ATTEMPT_WINDOW_MINUTES  failures older than this are forgotten (default 15)
+//   LOGIN_THROTTLE_STORE      "sqlite" (default - survives restarts) or "memory"
+
+const db = require('../database/db');
+
+const config = {
+  maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS || 5),
+  ipMaxAttempts: Number(process.env.LOGIN_IP_MAX_ATTEMPTS || 20),
+  lockoutMs: Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000,
+  backoffBaseMs: Number(process.env.LOGIN_BACKOFF_BASE_MS || 1000),
+  backoffMaxMs: Number(process.env.LOGIN_BACKOFF_MAX_MS || 60000),
+  windowMs: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15) * 60 * 1000
+};
+
+// ===========================
+// STORES
+// ===========================
+// Both stores keep one record per key: { failures, lastFailureAt, lockedUntil } (times in ms)
+
+/**
+ * In-memory store - fast, but forgets everything on restart
+ * and isn't shared between several server processes
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    get: (key) => records.get(key) || null,
+    set: (key, record) => {
+      records.set(key, record);
+
+      // Don't grow forever - drop records nobody has touched for a while
+      if (records.size > 10000) {
+        const cutoff = Date.now() - Math.max(config.windowMs, config.lockoutMs);
+        for (const [oldKey, oldRecord] of records) {
+          if (oldRecord.lastFailureAt < cutoff && oldRecord.lockedUntil < Date.now()) {
+            records.delete(oldKey);
+          }
+        }
+      }
+    },
+    delete: (key) => records.delete(key)
+  };
+}
+
+/**
+ * SQLite store - survives restarts (uses the login_throttle table)
+ */
+function createSqliteStore() {
+  return {
+    get: (key) => {
+      const row = db.prepare('SELECT * FROM login_throttle WHERE key = ?').get(key);
+      return row
+        ? { failures: row.failures, lastFailureAt: row.last_failure_at, lockedUntil: row.locked_until }
+        : null;
+    },
+    set: (key, record) => {
+      db.prepare(`
+        INSERT INTO login_throttle (key, failures, last_failure_at, locked_until)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET
+          failures = excluded.failures,
+          last_failure_at = excluded.last_failure_at,
+          locked_until = excluded.locked_until
+      `).run(key, record.failures, record.lastFailureAt, record.lockedUntil);
+    },
+    delete: (key) => {
+      db.prepare('DELETE FROM login_throttle WHERE key = ?').run(key);
+    }
+  };
+}
+
+const store = process.env.LOGIN_THROTTLE_STORE === 'memory'
+  ? createMemoryStore()
+  : createSqliteStore();
+
+// ===========================
+// THROTTLE
+// ===========================
+
+function ipKey(ip) {
+  return `ip:${ip || 'unknown'}`;
+}
+
+function usernameKey(username) {
+  return `user:${String(username).trim().toLowerCase()}`;
+}
+
+/**
+ * How long (ms) until this key may try again? 0 = go ahead
+ */
+function getWaitMs(key, now, { backoff }) {
+  const record = store.get(key);
+  if (!record) return 0;
+
+  if (record.lockedUntil > now) {
+    return record.lockedUntil - now;
+  }
+
+  if (!backoff) return 0;
+
+  // Backoff: 1s after the 1st failure, 2s after the 2nd, 4s after the 3rd...
+  const backoffMs = Math.min(config.backoffBaseMs * 2 ** (record.failures - 1), config.backoffMaxMs);
+  return Math.max(0, record.lastFailureAt + backoffMs - now);
+}
+
+/**
+ * Is this login attempt allowed right now?
+ * @returns {{ allowed: boolean, retryAfterSeconds: number, locked: boolean }}
+ */
+function checkLoginAllowed(ip, username) {
+  const now = Date.now();
+  const waitMs = Math.max(
+    getWaitMs(ipKey(ip), now, { backoff: false }),
+    getWaitMs(usernameKey(username), now, { backoff: true })
+  );
+  const locked = [ipKey(ip), usernameKey(username)].some(key => (store.get(key)?.lockedUntil || 0) > now);
+
+  return {
+    allowed: waitMs === 0,
+    retryAfterSeconds: Math.ceil(waitMs / 1000),
+    locked
+  };
+}
+
+/**
+ * Count a failed login against the IP and the username
+ * @returns {boolean} true if this failure triggered a lockout
+ */
+function recordLoginFailure(ip, username) {
+  const now = Date.now();
+  let lockedOut = false;
+
+  [[ipKey(ip), config.ipMaxAttempts], [usernameKey(username), config.maxAttempts]].forEach(([key, maxAttempts]) => {
+    const previous = store.get(key);
+
+    // Start counting again once the last failure is old enough
+    const failures = previous && now - previous.lastFailureAt < config.windowMs
+      ? previous.failures + 1
+      : 1;
+
+    const lockedUntil = failures >= maxAttempts ? now + config.lockoutMs : 0;
+    if (lockedUntil) lockedOut = true;
+
+    store.set(key, { failures, lastFailureAt: now, lockedUntil });
+  });
+
+  return lockedOut;
+}
+
+/**
+ * Forget the failures for a username (after a successful login, or when an owner unlocks it)
+ * The IP count is left to expire on its own, so one valid account can't be used
+ * to reset the counter while guessing other usernames from the same IP
+ */
+function clearLoginFailures(username) {
+  store.delete(usernameKey(username));
+}
+
+/**
+ * Is a username locked out right now? (for the admin list)
+ */
+function isUsernameLocked(username) {
+  return (store.get(usernameKey(username))?.lockedUntil || 0) > Date.now();
+}
+
+module.exports = {
+  LOGIN_THROTTLE_CONFIG: config,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  isUsernameLocked
+};
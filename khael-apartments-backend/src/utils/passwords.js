@@ -0,0 +1,45 @@
+// src/utils/passwords.js
+// Shared password rules and password-reset tokens
+
+const crypto = require('crypto');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// How long a reset link works for (minutes)
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+
+/**
+ * Check a new password
+ * @returns {string|null} Error message, or null if the password is fine
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Hash a reset token for storage/lookup
+ * Tokens are random, so a plain SHA-256 is enough (no need for bcrypt)
+ */
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a new random reset token
+ * @returns {{ token: string, tokenHash: string }} token goes in the email, tokenHash goes in the database
+ */
+function generateResetToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashResetToken(token) };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  RESET_TOKEN_TTL_MINUTES,
+  validatePassword,
+  generateResetToken,
+  hashResetToken
+};
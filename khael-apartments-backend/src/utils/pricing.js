@@ -0,0 +1,164 @@
+// src/utils/pricing.js
+// Works out what a stay actually costs
+// price_per_night is only the starting point - pricing rules adjust it:
+//
+// 1. date_range      → replaces the nightly price for those dates (e.g. December holidays)
+// 2. day_of_week     → multiplies the nightly price on certain weekdays (e.g. Fri/Sat × 1.2)
+// 3. length_of_stay  → percentage off the nightly subtotal for long stays (e.g. 7+ nights → 10%)
+//
+// Then the apartment's cleaning fee is added, and the refundable caution deposit is listed separately
+
+const db = require('../database/db');
+const { isValidDate, addDays, parseDate, nightsBetween } = require('./dates');
+
+const PRICING_RULE_TYPES = ['date_range', 'day_of_week', 'length_of_stay'];
+
+/**
+ * Get all pricing rules for an apartment (newest first, so newer rules win ties)
+ */
+function getPricingRules(apartmentId) {
+  return db.prepare(`
+    SELECT * FROM pricing_rules
+    WHERE apartment_id = ?
+    ORDER BY created_at DESC, id DESC
+  `).all(apartmentId).map(formatRule);
+}
+
+/**
+ * Convert a pricing_rules row for the API (days_of_week stored as "5,6" → [5, 6])
+ */
+function formatRule(rule) {
+  return {
+    ...rule,
+    days_of_week: rule.days_of_week
+      ? rule.days_of_week.split(',').map(Number)
+      : []
+  };
+}
+
+/**
+ * Check a pricing rule from the request body
+ * @returns {string|null} Error message, or null if the rule is fine
+ */
+function validatePricingRule(rule) {
+  if (!PRICING_RULE_TYPES.includes(rule.type)) {
+    return `type must be one of: ${PRICING_RULE_TYPES.join(', ')}`;
+  }
+
+  if (rule.type === 'date_range') {
+    if (!isValidDate(rule.start_date) || !isValidDate(rule.end_date) || rule.end_date < rule.start_date) {
+      return 'date_range rules need start_date and end_date (end on or after start)';
+    }
+    if (!(Number(rule.nightly_price) > 0)) {
+      return 'date_range rules need a nightly_price above 0';
+    }
+  }
+
+  if (rule.type === 'day_of_week') {
+    const days = Array.isArray(rule.days_of_week) ? rule.days_of_week.map(Number) : [];
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return 'day_of_week rules need days_of_week as numbers 0 (Sunday) to 6 (Saturday)';
+    }
+    if (!(Number(rule.multiplier) > 0)) {
+      return 'day_of_week rules need a multiplier above 0';
+    }
+  }
+
+  if (rule.type === 'length_of_stay') {
+    if (!(Number(rule.min_nights) > 1)) {
+      return 'length_of_stay rules need min_nights of at least 2';
+    }
+    if (!(Number(rule.discount_percent) > 0 && Number(rule.discount_percent) < 100)) {
+      return 'length_of_stay rules need a discount_percent between 0 and 100';
+    }
+  }
+
+  return null;
+}
+
+// Round to whole Naira - we never charge kobo
+const roundAmount = (amount) => Math.round(amount);
+
+/**
+ * Price a stay night by night
+ * @param {Object} apartment - apartments row (price_per_night, cleaning_fee, caution_deposit)
+ * @param {Array} rules - Output of getPricingRules()
+ * @param {string} checkIn - 'YYYY-MM-DD'
+ * @param {string} checkOut - 'YYYY-MM-DD' (departure day, not charged)
+ * @returns {Object} Itemised quote
+ */
+function calculateQuote(apartment, rules, checkIn, checkOut) {
+  const nights = [];
+
+  for (let date = checkIn; date < checkOut; date = addDays(date, 1)) {
+    const dayOfWeek = parseDate(date).getUTCDay();
+    let price = apartment.price_per_night;
+    const adjustments = [];
+
+    // Seasonal override - first (newest) matching rule wins
+    const seasonal = rules.find(rule =>
+      rule.type === 'date_range' && rule.start_date <= date && rule.end_date >= date
+    );
+    if (seasonal) {
+      price = seasonal.nightly_price;
+      adjustments.push(seasonal.name || 'Seasonal rate');
+    }
+
+    // Weekday multiplier - if several match, the biggest one applies
+    const weekday = rules
+      .filter(rule => rule.type === 'day_of_week' && rule.days_of_week.includes(dayOfWeek))
+      .sort((a, b) => b.multiplier - a.multiplier)[0];
+    if (weekday) {
+      price = price * weekday.multiplier;
+      adjustments.push(weekday.name || `× ${weekday.multiplier}`);
+    }
+
+    nights.push({
+      date,
+      price: roundAmount(price),
+      adjustments
+    });
+  }
+
+  const subtotal = nights.reduce((sum, night) => sum + night.price, 0);
+
+  // Long-stay discount - the rule with the highest min_nights the stay qualifies for
+  const longStay = rules
+    .filter(rule => rule.type === 'length_of_stay' && nights.length >= rule.min_nights)
+    .sort((a, b) => b.min_nights - a.min_nights)[0];
+
+  const discount = longStay
+    ? {
+        name: longStay.name || `${longStay.min_nights}+ nights`,
+        percent: longStay.discount_percent,
+        amount: roundAmount(subtotal * longStay.discount_percent / 100)
+      }
+    : null;
+
+  const cleaningFee = apartment.cleaning_fee || 0;
+  const cautionDeposit = apartment.caution_deposit || 0;
+  const total = subtotal - (discount ? discount.amount : 0) + cleaningFee;
+
+  return {
+    check_in: checkIn,
+    check_out: checkOut,
+    number_of_nights: nightsBetween(checkIn, checkOut),
+    base_price_per_night: apartment.price_per_night,
+    nights,
+    subtotal,
+    discount,
+    cleaning_fee: cleaningFee,
+    total,
+    caution_deposit: cautionDeposit,
+    total_due: total + cautionDeposit,
+    currency: 'NGN'
+  };
+}
+
+module.exports = {
+  PRICING_RULE_TYPES,
+  getPricingRules,
+  formatRule,
+  validatePricingRule,
+  calculateQuote
+};
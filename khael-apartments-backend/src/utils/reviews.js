@@ -0,0 +1,92 @@
+// src/utils/reviews.js
+// Shared review logic: rating validation, review tokens and the average-rating summary
+
+const crypto = require('crypto');
+
+// Every review rates these four things from 1 to 5
+const RATING_CATEGORIES = ['cleanliness', 'location', 'value', 'communication'];
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Check the four ratings in a review submission
+ * @returns {string|null} Error message, or null if every rating is a whole number 1-5
+ */
+function validateRatings(body) {
+  const invalid = RATING_CATEGORIES.filter(category => {
+    const rating = Number(body[category]);
+    return !Number.isInteger(rating) || rating < 1 || rating > 5;
+  });
+
+  return invalid.length > 0
+    ? `Please rate ${invalid.join(', ')} from 1 to 5`
+    : null;
+}
+
+/**
+ * Create a new random review token
+ * @returns {{ token: string, tokenHash: string }} token goes in the link, tokenHash goes in the database
+ */
+function generateReviewToken() {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, tokenHash: hashReviewToken(token) };
+}
+
+const hashReviewToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * SQL that joins approved-review averages onto apartments (aliased as "a")
+ * Select RATING_SUMMARY_SELECT to get rating_count, rating_average and rating_<category>,
+ * then pass the row to formatRatings()
+ */
+const RATING_SUMMARY_JOIN = `
+  LEFT JOIN (
+    SELECT
+      apartment_id,
+      COUNT(*) AS rating_count,
+      AVG((${RATING_CATEGORIES.join(' + ')}) / ${RATING_CATEGORIES.length}.0) AS rating_average,
+      ${RATING_CATEGORIES.map(category => `AVG(${category}) AS rating_${category}`).join(',\n      ')}
+    FROM reviews
+    WHERE status = 'approved'
+    GROUP BY apartment_id
+  ) r ON r.apartment_id = a.id
+`;
+
+const RATING_SUMMARY_COLUMNS = ['rating_count', 'rating_average', ...RATING_CATEGORIES.map(c => `rating_${c}`)];
+
+const RATING_SUMMARY_SELECT = RATING_SUMMARY_COLUMNS.map(column => `r.${column}`).join(', ');
+
+const roundRating = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Pull the rating columns off an apartment row and group them
+ * @returns {{ rest: Object, ratings: Object }} rest is the row without the rating columns
+ *   ratings is { count, average, cleanliness, location, value, communication } (averages are null with no reviews)
+ */
+function formatRatings(row) {
+  const rest = { ...row };
+  RATING_SUMMARY_COLUMNS.forEach(column => delete rest[column]);
+
+  const count = row.rating_count || 0;
+  const ratings = {
+    count,
+    average: count ? roundRating(row.rating_average) : null
+  };
+  RATING_CATEGORIES.forEach(category => {
+    ratings[category] = count ? roundRating(row[`rating_${category}`]) : null;
+  });
+
+  return { rest, ratings };
+}
+
+module.exports = {
+  RATING_CATEGORIES,
+  REVIEW_STATUSES,
+  RATING_SUMMARY_JOIN,
+  RATING_SUMMARY_SELECT,
+  validateRatings,
+  generateReviewToken,
+  hashReviewToken,
+  formatRatings
+};
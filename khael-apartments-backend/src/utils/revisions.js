@@ -0,0 +1,181 @@
+// src/utils/revisions.js
+// Revision history for apartment listings (the apartment_revisions table)
+// Every save keeps a full copy of the listing - like keeping every version of a state object
+// instead of only the latest one - so an accidental edit can be undone from the dashboard
+//
+// A snapshot holds the editable fields, amenities as an array, and the photos in display order:
+//   { title, description, ..., amenities: ['WiFi'],
+//     images: [{ id, image_url, display_order, is_primary, caption, alt_text, room }] }
+//
+// Usage, inside the same transaction as the change:
+//   ensureRevisionHistory(apartmentId);   // before - keeps the pre-history version as revision 1
+//   ...change the apartment...
+//   saveRevision(req, apartmentId, { reason: 'update' });
+
+const db = require('../database/db');
+
+// The apartment columns a revision keeps (and a restore puts back)
+const REVISION_FIELDS = [
+  'title', 'description', 'bedrooms', 'bathrooms', 'max_guests',
+  'price_per_night', 'address', 'city', 'state', 'featured', 'amenities',
+  'cleaning_fee', 'caution_deposit', 'latitude', 'longitude'
+];
+
+// Oldest revisions beyond this are dropped, so a busy listing doesn't grow forever
+const MAX_REVISIONS_PER_APARTMENT = Number(process.env.MAX_APARTMENT_REVISIONS) || 100;
+
+/**
+ * The listing as it is right now, in snapshot form
+ * @returns {Object|null} null if the apartment doesn't exist
+ */
+function buildApartmentSnapshot(apartmentId) {
+  const apartment = db.prepare('SELECT * FROM apartments WHERE id = ?').get(apartmentId);
+  if (!apartment) return null;
+
+  const snapshot = Object.fromEntries(REVISION_FIELDS.map(field => [field, apartment[field] ?? null]));
+  snapshot.featured = Boolean(apartment.featured);
+  snapshot.amenities = apartment.amenities ? JSON.parse(apartment.amenities) : [];
+
+  // Same order the public site shows them in
+  snapshot.images = db.prepare(`
+    SELECT id, image_url, display_order, is_primary, caption, alt_text, room FROM apartment_images
+    WHERE apartment_id = ?
+    ORDER BY is_primary DESC, display_order ASC, id ASC
+  `).all(apartmentId).map(image => ({ ...image, is_primary: Boolean(image.is_primary) }));
+
+  return snapshot;
+}
+
+/**
+ * Convert an apartment_revisions row for the API (snapshot stored as JSON text)
+ */
+function formatRevision(row) {
+  return {
+    ...row,
+    snapshot: JSON.parse(row.snapshot)
+  };
+}
+
+function getLatestRevision(apartmentId) {
+  return db.prepare(`
+    SELECT * FROM apartment_revisions
+    WHERE apartment_id = ?
+    ORDER BY revision DESC
+    LIMIT 1
+  `).get(apartmentId);
+}
+
+/**
+ * Save the listing as it is now as a new revision
+ * Nothing is written when it's identical to the latest revision (e.g. saving the form without changes)
+ * Call it inside the same transaction as the change
+ * @returns {number|null} The new revision number, or null if nothing changed
+ */
+function saveRevision(req, apartmentId, { reason, restoredFrom = null }) {
+  const snapshot = buildApartmentSnapshot(apartmentId);
+  if (!snapshot) return null;
+
+  const snapshotJson = JSON.stringify(snapshot);
+  const latest = getLatestRevision(apartmentId);
+
+  if (latest && latest.snapshot === snapshotJson) {
+    return null;
+  }
+
+  const revision = (latest?.revision || 0) + 1;
+
+  db.prepare(`
+    INSERT INTO apartment_revisions (
+      apartment_id, revision, reason, restored_from, snapshot, admin_id, admin_username
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    apartmentId,
+    revision,
+    reason,
+    restoredFrom,
+    snapshotJson,
+    req?.admin?.id ?? null,
+    req?.admin?.username ?? null
+  );
+
+  // Keep only the newest ones (revision numbers keep counting up, so gaps just mean "pruned")
+  db.prepare(`
+    DELETE FROM apartment_revisions
+    WHERE apartment_id = ? AND revision <= ?
+  `).run(apartmentId, revision - MAX_REVISIONS_PER_APARTMENT);
+
+  return revision;
+}
+
+/**
+ * Listings created before revisions existed have no history yet -
+ * save how they look now (as 'initial') before the first change, so that version can be restored too
+ */
+function ensureRevisionHistory(apartmentId) {
+  if (getLatestRevision(apartmentId)) return;
+  saveRevision(null, apartmentId, { reason: 'initial' });
+}
+
+/**
+ * Put a snapshot back onto the listing: its fields, and the order/primary photo of images that still exist
+ * Photos deleted since then can't come back (the files are gone), and photos added since
+ * are kept, after the restored ones
+ * Call it inside a transaction
+ * @returns {{ missingImages: number }} How many of the snapshot's photos no longer exist
+ */
+function applySnapshot(apartmentId, snapshot) {
+  const values = REVISION_FIELDS.map(field => {
+    if (field === 'featured') return snapshot.featured ? 1 : 0;
+    if (field === 'amenities') return JSON.stringify(snapshot.amenities || []);
+    return snapshot[field] ?? null;
+  });
+
+  db.prepare(`
+    UPDATE apartments
+    SET ${REVISION_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(...values, apartmentId);
+
+  const currentImages = db.prepare(`
+    SELECT id FROM apartment_images
+    WHERE apartment_id = ?
+    ORDER BY is_primary DESC, display_order ASC, id ASC
+  `).all(apartmentId);
+
+  const currentIds = new Set(currentImages.map(image => image.id));
+  const snapshotImages = (snapshot.images || []).filter(image => currentIds.has(image.id));
+  const snapshotIds = new Set(snapshotImages.map(image => image.id));
+  const newerImages = currentImages.filter(image => !snapshotIds.has(image.id));
+
+  // Only move the primary flag if the old primary photo is still there
+  const restorePrimary = snapshotImages.some(image => image.is_primary);
+
+  const updateImage = db.prepare(`
+    UPDATE apartment_images
+    SET display_order = ?, is_primary = CASE WHEN ? THEN ? ELSE is_primary END
+    WHERE id = ?
+  `);
+
+  [...snapshotImages, ...newerImages].forEach((image, index) => {
+    const isPrimary = snapshotIds.has(image.id) ? Boolean(image.is_primary) : false;
+    updateImage.run(index, restorePrimary ? 1 : 0, isPrimary ? 1 : 0, image.id);
+  });
+
+  // Captions, alt text and room tags - snapshots from before photos had them leave the current ones alone
+  const updateDetails = db.prepare('UPDATE apartment_images SET caption = ?, alt_text = ?, room = ? WHERE id = ?');
+  snapshotImages
+    .filter(image => 'caption' in image)
+    .forEach(image => updateDetails.run(image.caption, image.alt_text, image.room, image.id));
+
+  return { missingImages: (snapshot.images || []).length - snapshotImages.length };
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  buildApartmentSnapshot,
+  formatRevision,
+  getLatestRevision,
+  saveRevision,
+  ensureRevisionHistory,
+  applySnapshot
+};
@@ -0,0 +1,29 @@
+// src/utils/roles.js
+// Admin roles and what each one is for
+//
+// owner   - everything, plus adding/removing admins and changing their roles, and cleaning up media storage
+// manager - bookings, booking requests, pricing, calendar sync, reviews and the activity log
+//           (plus everything staff can do)
+// staff   - apartment listings and their photos/videos
+
+const ADMIN_ROLES = ['owner', 'manager', 'staff'];
+
+// Which roles may use each area of the admin API
+// Routes use these with requireRole(...ROLE_ACCESS.bookings)
+const ROLE_ACCESS = {
+  listings: ['owner', 'manager', 'staff'],
+  bookings: ['owner', 'manager'],
+  audit: ['owner', 'manager'],
+  users: ['owner'],
+  media: ['owner']
+};
+
+// Prices are part of "pricing", so only roles with bookings access can change them on an existing listing
+// (staff can still edit everything else - see updateApartment and restoreRevision)
+const PRICE_FIELDS = ['price_per_night', 'cleaning_fee', 'caution_deposit'];
+
+module.exports = {
+  ADMIN_ROLES,
+  ROLE_ACCESS,
+  PRICE_FIELDS
+};
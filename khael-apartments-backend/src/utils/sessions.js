@@ -0,0 +1,170 @@
+// src/utils/sessions.js
+// Admin sessions: short-lived access tokens (JWT) + long-lived refresh tokens
+//
+// - The access token goes in the Authorization header and only lives for a few minutes
+// - The refresh token is swapped for a new access token when that runs out, and is replaced
+//   by a brand new refresh token every time it's used (rotation)
+// - Sessions live in the admin_sessions table, so they can be revoked (logout, sign out everywhere)
+//
+// Lifetimes can be changed with ACCESS_TOKEN_TTL (e.g. "15m", "1h") and REFRESH_TOKEN_TTL_DAYS
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Two tabs can refresh at the same moment with the same token - the loser presents a token
+// that was rotated a moment ago. Within this window that's treated as a race, not a theft
+const ROTATION_GRACE_SECONDS = 30;
+
+/**
+ * Hash a refresh token for storage/lookup
+ * Tokens are random, so a plain SHA-256 is enough (no need for bcrypt)
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a new random refresh token
+ * @returns {{ token: string, tokenHash: string }}
+ */
+function generateRefreshToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashRefreshToken(token) };
+}
+
+/**
+ * Sign an access token for an admin's session
+ * sid ties the token to its admin_sessions row, so revoking the session kills the token too
+ */
+function signAccessToken(admin, sessionId) {
+  return jwt.sign(
+    {
+      id: admin.id,
+      username: admin.username,
+      role: admin.role,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Start a new session after a successful login
+ * @returns {{ token: string, refresh_token: string }}
+ */
+function createSession(admin, req) {
+  const { token: refreshToken, tokenHash } = generateRefreshToken();
+
+  // Tidy up sessions that ended a while ago
+  db.prepare(`
+    DELETE FROM admin_sessions
+    WHERE expires_at < datetime('now', '-7 days') OR revoked_at < datetime('now', '-7 days')
+  `).run();
+
+  const result = db.prepare(`
+    INSERT INTO admin_sessions (admin_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now', ?))
+  `).run(
+    admin.id,
+    tokenHash,
+    req.get('user-agent') || null,
+    req.ip || null,
+    `+${REFRESH_TOKEN_TTL_DAYS} days`
+  );
+
+  return {
+    token: signAccessToken(admin, result.lastInsertRowid),
+    refresh_token: refreshToken
+  };
+}
+
+/**
+ * Swap a refresh token for a new access token + refresh token
+ * @returns {{ token, refresh_token, admin } | { error: string }}
+ */
+const rotateSession = db.transaction((refreshToken) => {
+  const tokenHash = hashRefreshToken(refreshToken);
+
+  const session = db.prepare(`
+    SELECT *, expires_at <= datetime('now') AS expired
+    FROM admin_sessions
+    WHERE refresh_token_hash = ?
+  `).get(tokenHash);
+
+  if (!session) {
+    // An old token from a session that has already moved on?
+    const rotated = db.prepare(`
+      SELECT *, last_used_at > datetime('now', ?) AS within_grace
+      FROM admin_sessions
+      WHERE previous_token_hash = ? AND revoked_at IS NULL
+    `).get(`-${ROTATION_GRACE_SECONDS} seconds`, tokenHash);
+
+    // Used again long after it was replaced - someone else has a copy, so end the session
+    if (rotated && !rotated.within_grace) {
+      db.prepare('UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(rotated.id);
+      console.warn(`⚠️  Refresh token reused for admin session #${rotated.id} - session revoked`);
+    }
+
+    return { error: rotated?.within_grace ? 'Refresh token already used' : 'Invalid refresh token' };
+  }
+
+  if (session.revoked_at || session.expired) {
+    return { error: 'Session ended' };
+  }
+
+  const admin = db.prepare('SELECT id, username, role FROM admin_users WHERE id = ?').get(session.admin_id);
+  if (!admin) {
+    return { error: 'Account not found' };
+  }
+
+  const { token: newRefreshToken, tokenHash: newTokenHash } = generateRefreshToken();
+
+  db.prepare(`
+    UPDATE admin_sessions
+    SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = CURRENT_TIMESTAMP,
+        expires_at = datetime('now', ?)
+    WHERE id = ?
+  `).run(newTokenHash, tokenHash, `+${REFRESH_TOKEN_TTL_DAYS} days`, session.id);
+
+  return {
+    token: signAccessToken(admin, session.id),
+    refresh_token: newRefreshToken,
+    admin
+  };
+});
+
+/**
+ * End one session by its refresh token
+ * @returns {boolean} true if a session was found
+ */
+function revokeSessionByToken(refreshToken) {
+  const result = db.prepare(`
+    UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE refresh_token_hash = ? AND revoked_at IS NULL
+  `).run(hashRefreshToken(refreshToken));
+  return result.changes > 0;
+}
+
+/**
+ * End every session of an admin (optionally keeping the one they're using right now)
+ * @returns {number} How many sessions were ended
+ */
+function revokeAdminSessions(adminId, exceptSessionId = null) {
+  const result = db.prepare(`
+    UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE admin_id = ? AND revoked_at IS NULL AND id IS NOT ?
+  `).run(adminId, exceptSessionId);
+  return result.changes;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeAdminSessions
+};
@@ -0,0 +1,278 @@
+// src/utils/twoFactor.js
+// Two-factor authentication for admins: TOTP codes (RFC 6238), recovery codes and login challenges
+//
+// TOTP is what Google Authenticator, 1Password, Authy etc. use: the app and the server share a
+// secret, and both turn "secret + current 30-second time step" into a 6-digit code.
+// Everything is computed here with Node's crypto - no outside service is ever contacted.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+// Accept the code from one step before/after the current one, for clocks that are a little off
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// How long someone has to type their code after entering the right password
+const CHALLENGE_TTL = '5m';
+
+// Challenge tokens are JWTs too - the audience stops them being accepted as access tokens (and vice versa)
+const CHALLENGE_AUDIENCE = 'admin-two-factor';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Khael Apartments';
+
+// ===========================
+// BASE32 (RFC 4648)
+// ===========================
+// Authenticator apps expect the secret in base32
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// ===========================
+// TOTP
+// ===========================
+
+/**
+ * Create a new random secret (160 bits, as RFC 4226 recommends), base32-encoded
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP (RFC 4226): the code for one counter value
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // "Dynamic truncation" - the last nibble picks which 4 bytes become the code
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Which 30-second time step are we in?
+ */
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Check a 6-digit code against a secret
+ * lastStep is the step of the last code that was accepted - codes from it (or earlier)
+ * are refused, so a code someone shoulder-surfed can't be used a second time
+ * @returns {number|null} The time step the code belongs to (save it as the new lastStep), or null if wrong
+ */
+function verifyTotp(secret, code, lastStep = null) {
+  const cleanCode = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(cleanCode)) return null;
+
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleanCode))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The otpauth:// link an authenticator app reads from the QR code
+ * Format: https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+function buildOtpauthUri(secret, accountName) {
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ===========================
+// RECOVERY CODES
+// ===========================
+
+/**
+ * Hash a recovery code for storage/lookup
+ * Codes are random (64 bits each), so a plain SHA-256 is enough - same as reset tokens
+ * Dashes, spaces and case are ignored, so "ABCD-1234..." and "abcd1234..." match
+ */
+function hashRecoveryCode(code) {
+  const clean = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+/**
+ * Create a fresh set of recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} codes are shown to the admin once, hashes go in the database
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-')
+  );
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Replace an admin's recovery codes with a fresh set (the old ones stop working)
+ * Call it inside a transaction
+ * @returns {string[]} The new codes - show them once, they can't be read back later
+ */
+function replaceRecoveryCodes(adminId) {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  db.prepare('DELETE FROM admin_recovery_codes WHERE admin_id = ?').run(adminId);
+
+  const insertCode = db.prepare('INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES (?, ?)');
+  hashes.forEach(hash => insertCode.run(adminId, hash));
+
+  return codes;
+}
+
+/**
+ * Use up a recovery code
+ * @returns {boolean} true if the code was valid (and is now spent)
+ */
+function useRecoveryCode(adminId, code) {
+  const result = db.prepare(`
+    UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+    WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(adminId, hashRecoveryCode(code));
+  return result.changes > 0;
+}
+
+function countRecoveryCodes(adminId) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM admin_recovery_codes WHERE admin_id = ? AND used_at IS NULL
+  `).get(adminId).count;
+}
+
+/**
+ * Accept a 6-digit code for an admin and remember its time step (so it can't be replayed)
+ * @returns {boolean} true if the code was right
+ */
+const useTotpCode = db.transaction((adminId, code) => {
+  // Read the secret inside the transaction, so two requests with the same code can't both get in
+  const admin = db.prepare('SELECT totp_secret, totp_last_step FROM admin_users WHERE id = ?').get(adminId);
+  if (!admin?.totp_secret) return false;
+
+  const step = verifyTotp(admin.totp_secret, code, admin.totp_last_step);
+  if (step === null) return false;
+
+  db.prepare('UPDATE admin_users SET totp_last_step = ? WHERE id = ?').run(step, adminId);
+  return true;
+});
+
+/**
+ * Turn two-factor authentication off for an admin and throw away their secret and recovery codes
+ */
+const clearTwoFactor = db.transaction((adminId) => {
+  db.prepare(`
+    UPDATE admin_users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?
+  `).run(adminId);
+  db.prepare('DELETE FROM admin_recovery_codes WHERE admin_id = ?').run(adminId);
+});
+
+// ===========================
+// LOGIN CHALLENGES
+// ===========================
+// After the right password, an admin with 2FA gets a challenge token instead of a session.
+// They send it back with their code to finish logging in.
+
+function createLoginChallenge(admin) {
+  return jwt.sign(
+    { id: admin.id },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL, audience: CHALLENGE_AUDIENCE }
+  );
+}
+
+/**
+ * @returns {number|null} The admin id, or null if the challenge is invalid or has expired
+ */
+function verifyLoginChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(String(challengeToken), process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return decoded.id;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  replaceRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  useTotpCode,
+  clearTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+};
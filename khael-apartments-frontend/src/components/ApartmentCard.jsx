@@ -2,12 +2,28 @@
 // Reusable apartment card component for displaying apartment previews
 
 import { Link } from 'react-router-dom';
-import { formatPrice, getImageUrl } from '../utils/formatters';
+import { formatPrice } from '../utils/formatters';
+import ResponsiveImage from './ResponsiveImage';
+
+// Search results come with a snippet like "backup <mark>generator</mark> and..."
+// Split on the <mark> tags and render the pieces as text (never as raw HTML)
+function HighlightedSnippet({ text }) {
+  const parts = text.split(/<mark>(.*?)<\/mark>/g);
+
+  return (
+    <p className="text-sm text-gray-600 mb-3 line-clamp-2">
+      {parts.map((part, index) =>
+        index % 2 === 1
+          ? <mark key={index} className="bg-yellow-200 text-dark rounded px-0.5">{part}</mark>
+          : part
+      )}
+    </p>
+  );
+}
 
 function ApartmentCard({ apartment }) {
   // Get primary image or first image
   const primaryImage = apartment.images?.find(img => img.is_primary) || apartment.images?.[0];
-  const imageUrl = primaryImage ? getImageUrl(primaryImage.image_url) : '/placeholder.jpg';
 
   return (
     <Link 
@@ -17,14 +33,22 @@ function ApartmentCard({ apartment }) {
       <div className="bg-white rounded-xl shadow-md overflow-hidden hover:shadow-xl transition-shadow duration-300">
         {/* Image */}
         <div className="relative h-64 overflow-hidden">
-          <img
-            src={imageUrl}
-            alt={apartment.title}
-            className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300"
-            onError={(e) => {
-              e.target.src = 'https://via.placeholder.com/400x300?text=No+Image';
-            }}
-          />
+          {primaryImage ? (
+            <ResponsiveImage
+              image={primaryImage}
+              variant="card"
+              sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
+              alt={primaryImage.alt_text || apartment.title}
+              className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300"
+              fallbackUrl="https://via.placeholder.com/400x300?text=No+Image"
+            />
+          ) : (
+            <img
+              src="/placeholder.jpg"
+              alt={apartment.title}
+              className="w-full h-full object-cover"
+            />
+          )}
           
           {/* Badges */}
           {apartment.featured && (
@@ -42,16 +66,28 @@ function ApartmentCard({ apartment }) {
 
         {/* Content */}
         <div className="p-5">
-          {/* Title */}
-          <h3 className="text-xl font-semibold text-dark mb-2 line-clamp-1">
-            {apartment.title}
-          </h3>
+          {/* Title + Rating */}
+          <div className="flex items-start justify-between gap-2 mb-2">
+            <h3 className="text-xl font-semibold text-dark line-clamp-1">
+              {apartment.title}
+            </h3>
+            {apartment.ratings?.count > 0 && (
+              <span className="shrink-0 text-sm font-semibold text-dark" title={`${apartment.ratings.count} reviews`}>
+                ★ {apartment.ratings.average.toFixed(1)}
+                <span className="font-normal text-gray-500"> ({apartment.ratings.count})</span>
+              </span>
+            )}
+          </div>
 
           {/* Location */}
           <p className="text-gray-600 text-sm mb-3">
             📍 {apartment.city}, {apartment.state}
+            {apartment.distance_km != null && ` · ${apartment.distance_km} km away`}
           </p>
 
+          {/* Search Match */}
+          {apartment.snippet && <HighlightedSnippet text={apartment.snippet} />}
+
           {/* Details */}
           <div className="flex items-center gap-4 text-sm text-gray-600 mb-4">
             <span>🛏️ {apartment.bedrooms} BR</span>
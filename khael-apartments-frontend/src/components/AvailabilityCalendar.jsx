@@ -0,0 +1,190 @@
+// src/components/AvailabilityCalendar.jsx
+// Month-grid calendar that shows which nights are free and lets guests pick a stay
+// Unavailable nights are greyed out; first click picks check-in, second click picks check-out
+
+import { useState, useEffect } from 'react';
+import { apartmentAPI } from '../services/api';
+import { toISODate } from '../utils/formatters';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function AvailabilityCalendar({ apartmentId, checkIn, checkOut, onChange }) {
+  const todayString = toISODate(new Date());
+
+  // First day of the month currently on screen
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+
+  // Every night we've loaded so far: { '2026-01-15': 'open' | 'booked' | 'blocked' }
+  const [nights, setNights] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchMonth = async () => {
+      try {
+        setLoading(true);
+        const from = toISODate(month);
+        const to = toISODate(new Date(month.getFullYear(), month.getMonth() + 1, 1));
+        const data = await apartmentAPI.getAvailability(apartmentId, from, to);
+
+        setNights(prev => {
+          const next = { ...prev };
+          data.days.forEach(day => { next[day.date] = day.status; });
+          return next;
+        });
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching availability:', err);
+        setError('Could not load availability');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMonth();
+  }, [apartmentId, month]);
+
+  const isOpen = (date) => date >= todayString && nights[date] === 'open';
+
+  // Every night from check-in up to (not including) check-out must be free
+  const isRangeOpen = (start, end) => {
+    const cursor = new Date(`${start}T00:00:00`);
+    while (toISODate(cursor) < end) {
+      if (!isOpen(toISODate(cursor))) return false;
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    return true;
+  };
+
+  const handleDayClick = (date) => {
+    // Picking check-out: any later day works as long as the nights in between are free
+    // (the departure day itself may be the start of someone else's booking)
+    if (checkIn && !checkOut && date > checkIn && isRangeOpen(checkIn, date)) {
+      onChange(checkIn, date);
+      return;
+    }
+
+    // Otherwise start a new selection
+    if (isOpen(date)) {
+      onChange(date, null);
+    }
+  };
+
+  const changeMonth = (offset) => {
+    setMonth(new Date(month.getFullYear(), month.getMonth() + offset, 1));
+  };
+
+  // Build the grid: blank cells before the 1st, then one cell per day
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const cells = [
+    ...Array(month.getDay()).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) =>
+      toISODate(new Date(month.getFullYear(), month.getMonth(), i + 1))
+    )
+  ];
+
+  const isCurrentMonth = toISODate(month) <= todayString.slice(0, 8) + '01';
+
+  const getDayClassName = (date) => {
+    const selected = date === checkIn || date === checkOut;
+    const inRange = checkIn && checkOut && date > checkIn && date < checkOut;
+    const selectable = isOpen(date) || (checkIn && !checkOut && date > checkIn);
+
+    if (selected) return 'bg-primary text-white font-semibold';
+    if (inRange) return 'bg-primary/20 text-dark';
+    if (date < todayString) return 'text-gray-300 cursor-not-allowed';
+    if (nights[date] && nights[date] !== 'open') {
+      return `bg-gray-100 text-gray-400 line-through ${selectable ? 'hover:bg-gray-200' : 'cursor-not-allowed'}`;
+    }
+    return 'text-dark hover:bg-primary/10';
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-xl p-4">
+      {/* Month Navigation */}
+      <div className="flex items-center justify-between mb-4">
+        <button
+          type="button"
+          onClick={() => changeMonth(-1)}
+          disabled={isCurrentMonth}
+          className="p-2 rounded-full hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"
+          aria-label="Previous month"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+        </button>
+        <span className="font-semibold text-dark">
+          {month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+        </span>
+        <button
+          type="button"
+          onClick={() => changeMonth(1)}
+          className="p-2 rounded-full hover:bg-gray-100"
+          aria-label="Next month"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Weekday Headers */}
+      <div className="grid grid-cols-7 gap-1 mb-1">
+        {WEEKDAYS.map((day) => (
+          <div key={day} className="text-center text-xs font-medium text-gray-500 py-1">
+            {day}
+          </div>
+        ))}
+      </div>
+
+      {/* Days */}
+      <div className={`grid grid-cols-7 gap-1 ${loading ? 'opacity-50' : ''}`}>
+        {cells.map((date, index) =>
+          date ? (
+            <button
+              key={date}
+              type="button"
+              onClick={() => handleDayClick(date)}
+              className={`h-10 rounded-lg text-sm transition ${getDayClassName(date)}`}
+              aria-label={`${date}${nights[date] && nights[date] !== 'open' ? ' (unavailable)' : ''}`}
+              aria-pressed={date === checkIn || date === checkOut}
+            >
+              {Number(date.slice(8))}
+            </button>
+          ) : (
+            <div key={`blank-${index}`} />
+          )
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+
+      {/* Legend + Clear */}
+      <div className="flex items-center justify-between mt-4 text-xs text-gray-600">
+        <div className="flex items-center gap-4">
+          <span className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded bg-primary inline-block"></span> Selected
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded bg-gray-100 border border-gray-300 inline-block"></span> Unavailable
+          </span>
+        </div>
+        {checkIn && (
+          <button
+            type="button"
+            onClick={() => onChange(null, null)}
+            className="text-primary hover:text-red-600 font-semibold"
+          >
+            Clear dates
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AvailabilityCalendar;
@@ -0,0 +1,144 @@
+// src/components/BookingRequestForm.jsx
+// "Request to book" form on the apartment details page
+// Uses the dates picked on the availability calendar; the request waits for an admin to approve it
+
+import { useState } from 'react';
+import { bookingRequestAPI } from '../services/api';
+import { formatDate, getNights, getNightText, isValidEmail } from '../utils/formatters';
+
+const emptyForm = {
+  guests: 1,
+  guest_name: '',
+  guest_phone: '',
+  guest_email: '',
+  note: ''
+};
+
+function BookingRequestForm({ apartment, checkIn, checkOut }) {
+  const [form, setForm] = useState(emptyForm);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [sentMessage, setSentMessage] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (form.guest_email && !isValidEmail(form.guest_email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    try {
+      setSending(true);
+      const data = await bookingRequestAPI.create(apartment.id, {
+        ...form,
+        guests: Number(form.guests),
+        check_in: checkIn,
+        check_out: checkOut
+      });
+      setSentMessage(data.message);
+      setForm(emptyForm);
+    } catch (err) {
+      console.error('Error sending booking request:', err);
+      setError(err.response?.data?.message || 'Failed to send your request. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (sentMessage) {
+    return (
+      <div className="p-4 bg-green-50 border border-green-200 rounded-xl text-green-800">
+        <p className="font-semibold">✅ {sentMessage}</p>
+        <button
+          type="button"
+          onClick={() => setSentMessage(null)}
+          className="mt-2 text-sm text-primary font-semibold hover:underline"
+        >
+          Send another request
+        </button>
+      </div>
+    );
+  }
+
+  const hasDates = checkIn && checkOut;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <p className="text-sm text-gray-600">
+        {hasDates
+          ? `${formatDate(checkIn)} → ${formatDate(checkOut)} · ${getNightText(getNights(checkIn, checkOut))}`
+          : 'Pick your dates on the calendar above to request a booking.'}
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <input
+          type="text"
+          name="guest_name"
+          value={form.guest_name}
+          onChange={handleChange}
+          required
+          placeholder="Full name *"
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+        />
+        <input
+          type="tel"
+          name="guest_phone"
+          value={form.guest_phone}
+          onChange={handleChange}
+          required
+          placeholder="Phone number *"
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+        />
+        <input
+          type="email"
+          name="guest_email"
+          value={form.guest_email}
+          onChange={handleChange}
+          placeholder="Email (optional)"
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+        />
+        <label className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg">
+          <span className="text-gray-600 text-sm">Guests</span>
+          <input
+            type="number"
+            name="guests"
+            value={form.guests}
+            onChange={handleChange}
+            min="1"
+            max={apartment.max_guests}
+            required
+            className="w-full outline-none"
+          />
+        </label>
+      </div>
+
+      <textarea
+        name="note"
+        value={form.note}
+        onChange={handleChange}
+        rows="3"
+        placeholder="Anything we should know? (arrival time, special requests...)"
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+      />
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={!hasDates || sending}
+        className="w-full px-6 py-3 bg-primary text-white rounded-lg hover:bg-red-600 transition font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {sending ? 'Sending...' : 'Request to Book'}
+      </button>
+    </form>
+  );
+}
+
+export default BookingRequestForm;
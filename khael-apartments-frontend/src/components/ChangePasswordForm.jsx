@@ -0,0 +1,126 @@
+// src/components/ChangePasswordForm.jsx
+// New password + confirmation form, used for:
+// - the forced change after logging in with a default/temporary password (AdminLogin, AdminDashboard)
+// - a normal "Change Password" from the dashboard
+// Pass currentPassword when we already know it (right after login) so the admin isn't asked twice
+
+import { useState } from 'react';
+import { authAPI } from '../services/api';
+import { MIN_PASSWORD_LENGTH } from '../utils/constants';
+
+function ChangePasswordForm({ currentPassword, onChanged, onCancel }) {
+  const [form, setForm] = useState({ current: '', next: '', confirm: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    if (error) setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (form.next.length < MIN_PASSWORD_LENGTH) {
+      setError(`Your new password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    if (form.next !== form.confirm) {
+      setError('The new passwords do not match');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const data = await authAPI.changePassword(currentPassword ?? form.current, form.next);
+      onChanged(data.message);
+    } catch (err) {
+      console.error('Error changing password:', err);
+      setError(err.response?.data?.message || 'Failed to change password. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent transition';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {currentPassword === undefined && (
+        <div>
+          <label htmlFor="current-password" className="block text-sm font-medium text-gray-700 mb-2">
+            Current Password
+          </label>
+          <input
+            id="current-password"
+            name="current"
+            type="password"
+            autoComplete="current-password"
+            required
+            value={form.current}
+            onChange={handleChange}
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="new-password" className="block text-sm font-medium text-gray-700 mb-2">
+          New Password
+        </label>
+        <input
+          id="new-password"
+          name="next"
+          type="password"
+          autoComplete="new-password"
+          required
+          value={form.next}
+          onChange={handleChange}
+          className={inputClass}
+          placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+        />
+      </div>
+
+      <div>
+        <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700 mb-2">
+          Confirm New Password
+        </label>
+        <input
+          id="confirm-password"
+          name="confirm"
+          type="password"
+          autoComplete="new-password"
+          required
+          value={form.confirm}
+          onChange={handleChange}
+          className={inputClass}
+        />
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 py-3 px-4 bg-primary text-white font-semibold rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Change Password'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default ChangePasswordForm;
@@ -1,10 +1,15 @@
 // src/components/ImageCarousel.jsx
 // Image carousel/slider component for apartment images
+// Photos are described by their alt text (set in the admin dashboard), falling back to the apartment title
 
 import { useState } from 'react';
-import { getImageUrl } from '../utils/formatters';
+import ResponsiveImage from './ResponsiveImage';
 
-function ImageCarousel({ images }) {
+// What a screen reader says for a photo
+const getImageAlt = (image, title, index) =>
+  image.alt_text || image.caption || `${title || 'Apartment'} - photo ${index + 1}`;
+
+function ImageCarousel({ images, title }) {
   const [currentIndex, setCurrentIndex] = useState(0);
 
   if (!images || images.length === 0) {
@@ -31,17 +36,22 @@ function ImageCarousel({ images }) {
     setCurrentIndex(index);
   };
 
+  const currentImage = images[currentIndex];
+
   return (
     <div className="relative w-full">
       {/* Main Image */}
       <div className="relative h-96 md:h-[500px] overflow-hidden rounded-xl">
-        <img
-          src={getImageUrl(images[currentIndex].image_url)}
-          alt={`Apartment image ${currentIndex + 1}`}
+        {/* Keyed by photo so each one shows its own placeholder while it loads */}
+        <ResponsiveImage
+          key={currentImage.id}
+          image={currentImage}
+          variant="full"
+          sizes="(min-width: 1024px) 50vw, 100vw"
+          eager
+          alt={getImageAlt(currentImage, title, currentIndex)}
           className="w-full h-full object-cover"
-          onError={(e) => {
-            e.target.src = 'https://via.placeholder.com/800x500?text=Image+Not+Found';
-          }}
+          fallbackUrl="https://via.placeholder.com/800x500?text=Image+Not+Found"
         />
 
         {/* Navigation Arrows */}
@@ -75,6 +85,11 @@ function ImageCarousel({ images }) {
         </div>
       </div>
 
+      {/* Caption */}
+      {currentImage.caption && (
+        <p className="mt-2 text-sm text-gray-600">{currentImage.caption}</p>
+      )}
+
       {/* Thumbnail Navigation */}
       {images.length > 1 && (
         <div className="mt-4 flex gap-2 overflow-x-auto pb-2">
@@ -82,19 +97,21 @@ function ImageCarousel({ images }) {
             <button
               key={image.id}
               onClick={() => goToSlide(index)}
+              aria-label={`Show ${getImageAlt(image, title, index)}`}
+              aria-current={index === currentIndex}
               className={`flex-shrink-0 w-20 h-20 rounded-lg overflow-hidden border-2 transition ${
                 index === currentIndex
                   ? 'border-primary'
                   : 'border-transparent hover:border-gray-300'
               }`}
             >
-              <img
-                src={getImageUrl(image.image_url)}
-                alt={`Thumbnail ${index + 1}`}
+              <ResponsiveImage
+                image={image}
+                variant="thumbnail"
+                sizes="80px"
+                alt=""
                 className="w-full h-full object-cover"
-                onError={(e) => {
-                  e.target.src = 'https://via.placeholder.com/80x80?text=No+Image';
-                }}
+                fallbackUrl="https://via.placeholder.com/80x80?text=No+Image"
               />
             </button>
           ))}
@@ -10,8 +10,22 @@ function Navbar() {
   const isAdminRoute = location.pathname.startsWith('/admin');
   const token = localStorage.getItem('adminToken');
 
-  const handleLogout = () => {
-    authAPI.logout();
+  const handleLogout = async () => {
+    await authAPI.logout();
+    navigate('/admin/login');
+  };
+
+  // Ends every session of this admin - e.g. after using a shared or lost device
+  const handleLogoutAll = async () => {
+    if (!confirm('Sign out of every device, including this one?')) return;
+
+    try {
+      await authAPI.logoutAll();
+    } catch (err) {
+      console.error('Error signing out everywhere:', err);
+      alert('Failed to sign out of all devices');
+      return;
+    }
     navigate('/admin/login');
   };
 
@@ -42,6 +56,12 @@ function Navbar() {
                     >
                       Dashboard
                     </Link>
+                    <button
+                      onClick={handleLogoutAll}
+                      className="text-sm text-gray-600 hover:text-primary transition"
+                    >
+                      Sign out all devices
+                    </button>
                     <button
                       onClick={handleLogout}
                       className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition"
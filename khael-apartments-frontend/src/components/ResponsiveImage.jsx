@@ -0,0 +1,50 @@
+// src/components/ResponsiveImage.jsx
+// A photo from the API, at the right size for where it's shown
+// - srcset/sizes let the browser pick the smallest variant that still looks sharp
+// - a tiny blurred placeholder fills the space until the real photo arrives
+// - off-screen photos aren't downloaded until they're scrolled near (native lazy loading)
+
+import { useState } from 'react';
+import { getImageUrl, getImageSrcSet } from '../utils/formatters';
+
+/**
+ * @param {Object} image - A photo from the API ({ image_url, variants, srcset, placeholder })
+ * @param {string} variant - Fallback size for browsers without srcset: 'thumbnail', 'card' or 'full'
+ * @param {string} sizes - How wide the photo is shown, e.g. "(min-width: 1024px) 33vw, 100vw"
+ * @param {string} fallbackUrl - Shown if the photo fails to load
+ * @param {boolean} eager - Load straight away (for the first photo people see)
+ * Anything else (alt, className, draggable, ...) goes to the <img>
+ */
+function ResponsiveImage({ image, variant = 'full', sizes, fallbackUrl, eager = false, className = '', ...props }) {
+  const [loaded, setLoaded] = useState(false);
+  const srcSet = getImageSrcSet(image);
+
+  const placeholderStyle = image.placeholder && !loaded
+    ? {
+        backgroundImage: `url("${getImageUrl(image.placeholder)}")`,
+        backgroundSize: 'cover',
+        backgroundPosition: 'center'
+      }
+    : undefined;
+
+  return (
+    <img
+      {...props}
+      src={getImageUrl(image, variant)}
+      srcSet={srcSet}
+      sizes={srcSet ? sizes : undefined}
+      loading={eager ? 'eager' : 'lazy'}
+      decoding="async"
+      style={placeholderStyle}
+      className={`${className} ${loaded ? '' : 'bg-gray-100'}`}
+      onLoad={() => setLoaded(true)}
+      onError={(e) => {
+        if (!fallbackUrl || e.target.src === fallbackUrl) return;
+        e.target.removeAttribute('srcset');
+        e.target.src = fallbackUrl;
+      }}
+    />
+  );
+}
+
+export default ResponsiveImage;
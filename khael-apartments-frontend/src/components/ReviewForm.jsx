@@ -0,0 +1,148 @@
+// src/components/ReviewForm.jsx
+// "Leave a review" form on the apartment details page
+// Guests prove they stayed either with the review link we sent them (token)
+// or with their booking reference + the email/phone they booked with
+
+import { useState } from 'react';
+import { reviewAPI } from '../services/api';
+import { RATING_CATEGORIES } from '../utils/constants';
+
+// Row of 5 clickable stars
+function StarInput({ label, value, onChange }) {
+  return (
+    <div className="flex items-center justify-between">
+      <span className="text-sm text-gray-700">{label}</span>
+      <div className="flex" role="radiogroup" aria-label={label}>
+        {[1, 2, 3, 4, 5].map((star) => (
+          <button
+            key={star}
+            type="button"
+            onClick={() => onChange(star)}
+            className={`text-2xl leading-none px-0.5 ${star <= value ? 'text-yellow-400' : 'text-gray-300'} hover:text-yellow-500`}
+            role="radio"
+            aria-checked={star === value}
+            aria-label={`${star} star${star === 1 ? '' : 's'}`}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ReviewForm({ apartmentId, token, onSubmitted }) {
+  const [form, setForm] = useState({
+    booking_id: '',
+    contact: '',
+    guest_name: '',
+    comment: '',
+    cleanliness: 0,
+    location: 0,
+    value: 0,
+    communication: 0
+  });
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (RATING_CATEGORIES.some(({ key }) => !form[key])) {
+      setError('Please give a star rating for every category');
+      return;
+    }
+
+    try {
+      setSending(true);
+      const { booking_id, contact, ...review } = form;
+      const proof = token ? { token } : { booking_id, contact };
+      const data = await reviewAPI.submit(apartmentId, { ...review, ...proof });
+      onSubmitted(data.message);
+    } catch (err) {
+      console.error('Error submitting review:', err);
+      setError(err.response?.data?.message || 'Failed to submit your review. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 p-4 bg-gray-50 rounded-xl">
+      {/* Proof of Stay */}
+      {token ? (
+        <p className="text-sm text-green-700">✅ Thanks for staying with us - your review link is ready to use.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <input
+            type="number"
+            name="booking_id"
+            value={form.booking_id}
+            onChange={handleChange}
+            required
+            min="1"
+            placeholder="Booking reference *"
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+          />
+          <input
+            type="text"
+            name="contact"
+            value={form.contact}
+            onChange={handleChange}
+            required
+            placeholder="Email or phone you booked with *"
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+          />
+        </div>
+      )}
+
+      <input
+        type="text"
+        name="guest_name"
+        value={form.guest_name}
+        onChange={handleChange}
+        placeholder="Your name (as it should appear)"
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+      />
+
+      {/* Ratings */}
+      <div className="space-y-2">
+        {RATING_CATEGORIES.map(({ key, label }) => (
+          <StarInput
+            key={key}
+            label={label}
+            value={form[key]}
+            onChange={(stars) => setForm(prev => ({ ...prev, [key]: stars }))}
+          />
+        ))}
+      </div>
+
+      <textarea
+        name="comment"
+        value={form.comment}
+        onChange={handleChange}
+        rows="4"
+        placeholder="Tell other guests about your stay"
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+      />
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={sending}
+        className="w-full px-6 py-3 bg-primary text-white rounded-lg hover:bg-red-600 transition font-semibold disabled:opacity-50"
+      >
+        {sending ? 'Submitting...' : 'Submit Review'}
+      </button>
+    </form>
+  );
+}
+
+export default ReviewForm;
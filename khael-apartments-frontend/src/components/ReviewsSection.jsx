@@ -0,0 +1,120 @@
+// src/components/ReviewsSection.jsx
+// Average ratings, approved guest reviews and the "Leave a review" form for one apartment
+
+import { useState, useEffect, useCallback } from 'react';
+import { reviewAPI } from '../services/api';
+import ReviewForm from './ReviewForm';
+import { formatDate } from '../utils/formatters';
+import { RATING_CATEGORIES } from '../utils/constants';
+
+function ReviewsSection({ apartmentId, reviewToken }) {
+  const [reviews, setReviews] = useState([]);
+  const [ratings, setRatings] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Open the form straight away when the guest arrived through a review link
+  const [showForm, setShowForm] = useState(Boolean(reviewToken));
+  const [thankYou, setThankYou] = useState(null);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await reviewAPI.getForApartment(apartmentId);
+      setReviews(data.reviews || []);
+      setRatings(data.ratings);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [apartmentId]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const handleSubmitted = (message) => {
+    setShowForm(false);
+    setThankYou(message);
+  };
+
+  return (
+    <div id="reviews" className="mb-6 pb-6 border-b">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-2xl font-semibold">
+          {ratings?.count > 0
+            ? `★ ${ratings.average.toFixed(1)} · ${ratings.count} ${ratings.count === 1 ? 'review' : 'reviews'}`
+            : 'Reviews'}
+        </h2>
+        {!showForm && !thankYou && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="text-sm text-primary font-semibold hover:underline"
+          >
+            Leave a review
+          </button>
+        )}
+      </div>
+
+      {thankYou && (
+        <p className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+          ✅ {thankYou}
+        </p>
+      )}
+
+      {showForm && (
+        <div className="mb-6">
+          <ReviewForm apartmentId={apartmentId} token={reviewToken} onSubmitted={handleSubmitted} />
+        </div>
+      )}
+
+      {/* Category Averages */}
+      {ratings?.count > 0 && (
+        <div className="grid grid-cols-2 gap-x-6 gap-y-2 mb-6">
+          {RATING_CATEGORIES.map(({ key, label }) => (
+            <div key={key} className="flex items-center gap-3 text-sm">
+              <span className="w-28 text-gray-700">{label}</span>
+              <div className="flex-1 h-1.5 bg-gray-200 rounded-full">
+                <div
+                  className="h-1.5 bg-dark rounded-full"
+                  style={{ width: `${(ratings[key] / 5) * 100}%` }}
+                ></div>
+              </div>
+              <span className="w-8 text-right font-semibold">{ratings[key].toFixed(1)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Review List */}
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading reviews...</p>
+      ) : reviews.length === 0 ? (
+        <p className="text-sm text-gray-500">No reviews yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map((review) => {
+            const average = RATING_CATEGORIES.reduce((sum, { key }) => sum + review[key], 0) / RATING_CATEGORIES.length;
+
+            return (
+              <div key={review.id}>
+                <div className="flex items-center justify-between">
+                  <p className="font-semibold">{review.guest_name}</p>
+                  <span className="text-sm">★ {average.toFixed(1)}</span>
+                </div>
+                <p className="text-xs text-gray-500 mb-1">
+                  {review.stay_date ? `Stayed ${formatDate(review.stay_date)}` : `Reviewed ${formatDate(review.created_at)}`}
+                </p>
+                {review.comment && (
+                  <p className="text-gray-700 whitespace-pre-line">{review.comment}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReviewsSection;
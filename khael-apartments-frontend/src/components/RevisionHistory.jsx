@@ -0,0 +1,274 @@
+// src/components/RevisionHistory.jsx
+// Every saved version of a listing, shown inside the edit modal
+// Pick a revision to see it side by side with the current version, then restore it if needed
+//
+// Restoring doesn't rewrite history - the server saves the result as a new revision,
+// so a restore can be undone the same way
+
+import { useState, useEffect, useCallback } from 'react';
+import { apartmentAPI } from '../services/api';
+import { formatPrice, formatDateTime, getImageUrl } from '../utils/formatters';
+
+// The fields a revision keeps, in the order the edit form shows them
+const REVISION_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'bedrooms', label: 'Bedrooms' },
+  { key: 'bathrooms', label: 'Bathrooms' },
+  { key: 'max_guests', label: 'Max Guests' },
+  { key: 'price_per_night', label: 'Price per Night', price: true },
+  { key: 'cleaning_fee', label: 'Cleaning Fee', price: true },
+  { key: 'caution_deposit', label: 'Caution Deposit', price: true },
+  { key: 'address', label: 'Address' },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State' },
+  { key: 'latitude', label: 'Latitude' },
+  { key: 'longitude', label: 'Longitude' },
+  { key: 'amenities', label: 'Amenities' },
+  { key: 'featured', label: 'Featured' },
+];
+
+const PRICE_FIELDS = REVISION_FIELDS.filter(field => field.price).map(field => field.key);
+
+const REASON_LABELS = {
+  initial: 'Before history started',
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored',
+  images: 'Photos',
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field.price) return formatPrice(value);
+  if (field.key === 'featured') return value ? 'Yes' : 'No';
+  if (field.key === 'amenities') return value.length > 0 ? value.join(', ') : '—';
+  return String(value);
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null) || String(a ?? '') === String(b ?? '');
+
+/**
+ * Word-by-word diff of two texts (longest common subsequence)
+ * @returns {Array} [{ text, type: 'same' | 'removed' | 'added' }]
+ */
+const diffWords = (oldText, newText) => {
+  const oldWords = String(oldText || '').split(/(\s+)/);
+  const newWords = String(newText || '').split(/(\s+)/);
+
+  // lengths[i][j] = LCS length of oldWords[i..] and newWords[j..]
+  const lengths = Array.from({ length: oldWords.length + 1 }, () => new Array(newWords.length + 1).fill(0));
+  for (let i = oldWords.length - 1; i >= 0; i--) {
+    for (let j = newWords.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldWords[i] === newWords[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldWords.length && j < newWords.length) {
+    if (oldWords[i] === newWords[j]) {
+      parts.push({ text: oldWords[i], type: 'same' });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      parts.push({ text: oldWords[i++], type: 'removed' });
+    } else {
+      parts.push({ text: newWords[j++], type: 'added' });
+    }
+  }
+  oldWords.slice(i).forEach(text => parts.push({ text, type: 'removed' }));
+  newWords.slice(j).forEach(text => parts.push({ text, type: 'added' }));
+
+  return parts;
+};
+
+// One side of the description diff: the revision side shows removed words, the current side added ones
+function DescriptionDiff({ parts, side }) {
+  const hidden = side === 'old' ? 'added' : 'removed';
+  const highlight = side === 'old' ? 'bg-red-100 text-red-800 line-through' : 'bg-green-100 text-green-800';
+
+  return (
+    <span className="whitespace-pre-wrap">
+      {parts.filter(part => part.type !== hidden).map((part, index) => (
+        <span key={index} className={part.type === 'same' ? '' : highlight}>{part.text}</span>
+      ))}
+    </span>
+  );
+}
+
+function PhotoStrip({ images }) {
+  if (!images || images.length === 0) return <span className="text-gray-400">No photos</span>;
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {images.map((image) => (
+        <img
+          key={image.id}
+          src={getImageUrl(image.image_url)}
+          alt={image.alt_text || ''}
+          title={[image.caption, image.room?.replace('_', ' ')].filter(Boolean).join(' · ') || undefined}
+          className={`w-10 h-10 object-cover rounded ${image.is_primary ? 'ring-2 ring-primary' : ''}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+function RevisionHistory({ apartmentId, canManageBookings, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null); // revision number being compared
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await apartmentAPI.getRevisions(apartmentId);
+      setRevisions(data.revisions || []);
+    } catch (err) {
+      console.error('Error fetching revisions:', err);
+      setError('Failed to load revision history');
+    } finally {
+      setLoading(false);
+    }
+  }, [apartmentId]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  // Newest revision = what's saved right now
+  const current = revisions[0];
+  const revision = revisions.find(r => r.revision === selected);
+
+  // Staff can't bring back different prices (same rule as editing them)
+  const pricesDiffer = revision && PRICE_FIELDS.some(key => !isSameValue(revision.snapshot[key], current.snapshot[key]));
+  const canRestore = revision && revision !== current && (canManageBookings || !pricesDiffer);
+
+  const handleRestore = async () => {
+    if (!confirm(`Restore revision ${revision.revision}? Unsaved changes in this form will be lost.`)) return;
+
+    try {
+      setRestoring(true);
+      const data = await apartmentAPI.restoreRevision(apartmentId, revision.revision);
+      alert(data.message);
+      setSelected(null);
+      await fetchRevisions();
+      onRestored(data.apartment);
+    } catch (err) {
+      console.error('Error restoring revision:', err);
+      alert(err.response?.data?.message || 'Failed to restore revision');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (loading) return <p className="text-sm text-gray-500">Loading history...</p>;
+  if (error) return <p className="text-sm text-red-600">{error}</p>;
+  if (revisions.length === 0) {
+    return <p className="text-sm text-gray-500">No saved versions yet - one is kept every time this listing is saved.</p>;
+  }
+
+  const imagesChanged = revision && !isSameValue(
+    revision.snapshot.images.map(image => [image.id, image.is_primary, image.caption, image.alt_text, image.room]),
+    current.snapshot.images.map(image => [image.id, image.is_primary, image.caption, image.alt_text, image.room])
+  );
+
+  return (
+    <div className="space-y-4">
+      <ul className="max-h-48 overflow-y-auto divide-y border border-gray-200 rounded-lg">
+        {revisions.map((r) => (
+          <li key={r.revision}>
+            <button
+              type="button"
+              onClick={() => setSelected(r.revision === selected ? null : r.revision)}
+              aria-pressed={r.revision === selected}
+              className={`w-full text-left px-3 py-2 text-sm flex justify-between gap-3 hover:bg-gray-50 ${r.revision === selected ? 'bg-blue-50' : ''}`}
+            >
+              <span>
+                <span className="font-semibold">#{r.revision}</span>{' '}
+                {REASON_LABELS[r.reason] || r.reason}
+                {r.restored_from && ` (from #${r.restored_from})`}
+                {r === current && <span className="ml-2 text-xs text-green-700">current</span>}
+              </span>
+              <span className="text-gray-500 whitespace-nowrap">
+                {r.admin_username || 'system'} · {formatDateTime(r.created_at)}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {revision && (
+        <div className="space-y-3">
+          {revision === current ? (
+            <p className="text-sm text-gray-500">This is the current version.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border border-gray-200">
+                <thead className="bg-gray-50 text-left">
+                  <tr>
+                    <th className="px-3 py-2 w-32">Field</th>
+                    <th className="px-3 py-2">Revision #{revision.revision}</th>
+                    <th className="px-3 py-2">Current</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y align-top">
+                  {REVISION_FIELDS.map((field) => {
+                    const oldValue = revision.snapshot[field.key];
+                    const newValue = current.snapshot[field.key];
+                    const changed = !isSameValue(oldValue, newValue);
+                    const descriptionParts = changed && field.key === 'description' ? diffWords(oldValue, newValue) : null;
+
+                    return (
+                      <tr key={field.key} className={changed ? 'bg-yellow-50' : ''}>
+                        <td className="px-3 py-2 font-medium text-gray-700">{field.label}</td>
+                        <td className="px-3 py-2">
+                          {descriptionParts ? <DescriptionDiff parts={descriptionParts} side="old" /> : formatValue(field, oldValue)}
+                        </td>
+                        <td className="px-3 py-2">
+                          {descriptionParts ? <DescriptionDiff parts={descriptionParts} side="new" /> : formatValue(field, newValue)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  <tr className={imagesChanged ? 'bg-yellow-50' : ''}>
+                    <td className="px-3 py-2 font-medium text-gray-700">Photos</td>
+                    <td className="px-3 py-2"><PhotoStrip images={revision.snapshot.images} /></td>
+                    <td className="px-3 py-2"><PhotoStrip images={current.snapshot.images} /></td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {revision !== current && (
+            <>
+              {!canManageBookings && pricesDiffer && (
+                <p className="text-xs text-gray-500">
+                  This version has different prices - ask a manager to restore it.
+                </p>
+              )}
+              <button
+                type="button"
+                onClick={handleRestore}
+                disabled={!canRestore || restoring}
+                className="px-4 py-2 bg-dark text-white rounded-lg hover:bg-gray-800 transition text-sm font-semibold disabled:opacity-50"
+              >
+                {restoring ? 'Restoring...' : `Restore Revision #${revision.revision}`}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RevisionHistory;
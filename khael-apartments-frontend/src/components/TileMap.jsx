@@ -0,0 +1,221 @@
+// src/components/TileMap.jsx
+// Lightweight slippy map: draws map tiles around a centre point and pins markers on top
+// Supports dragging to pan and +/- buttons to zoom; fits itself to the markers on first render
+//
+// Where the tiles come from is configurable with Vite env variables:
+//   VITE_MAP_TILE_URL     tile URL template, e.g. http://localhost:8080/tiles/{z}/{x}/{y}.png
+//                         (defaults to OpenStreetMap; set it to "none" for a plain placeholder
+//                         background with no network requests - handy for tests and offline dev)
+//   VITE_MAP_ATTRIBUTION  credit line shown in the corner (required by most tile providers)
+//
+// To re-fit after the markers change, give the map a new `key` so it starts fresh
+
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 2;
+const MAX_ZOOM = 18;
+
+const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const ATTRIBUTION = import.meta.env.VITE_MAP_ATTRIBUTION || '© OpenStreetMap contributors';
+const SHOW_TILES = TILE_URL !== 'none';
+
+// Where the map opens when there's nothing to show (Abuja)
+const DEFAULT_VIEW = { lat: 9.0765, lng: 7.3986, zoom: 11 };
+
+// Latitude/longitude → pixel position on the whole-world map at this zoom (Web Mercator)
+function project(lat, lng, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: (lng + 180) / 360 * scale,
+    y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale
+  };
+}
+
+// Pixel position → latitude/longitude (the reverse of project)
+function unproject(x, y, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - 2 * Math.PI * y / scale;
+  return {
+    lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+    lng: x / scale * 360 - 180
+  };
+}
+
+// Pick the closest zoom that still shows every marker (with some padding)
+function fitView(markers, width, height, singleZoom) {
+  if (markers.length === 0) return DEFAULT_VIEW;
+  if (markers.length === 1) return { lat: markers[0].lat, lng: markers[0].lng, zoom: singleZoom };
+
+  for (let zoom = MAX_ZOOM - 2; zoom >= MIN_ZOOM; zoom--) {
+    const points = markers.map(m => project(m.lat, m.lng, zoom));
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const fits = Math.max(...xs) - Math.min(...xs) < width - 80 &&
+      Math.max(...ys) - Math.min(...ys) < height - 80;
+
+    if (fits || zoom === MIN_ZOOM) {
+      const center = unproject(
+        (Math.max(...xs) + Math.min(...xs)) / 2,
+        (Math.max(...ys) + Math.min(...ys)) / 2,
+        zoom
+      );
+      return { ...center, zoom };
+    }
+  }
+}
+
+/**
+ * @param {Array} markers - [{ id, lat, lng, label, to }] - `to` makes the marker a link
+ * @param {number} height - Map height in pixels
+ * @param {number} zoom - Zoom used when there is only one marker
+ */
+function TileMap({ markers = [], height = 400, zoom = 15 }) {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  // null until the user pans or zooms - until then the view is fitted to the markers
+  const [view, setView] = useState(null);
+
+  // Track the container width so tiles fill it on any screen size
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const current = view || fitView(markers, width || 600, height, zoom);
+  const center = project(current.lat, current.lng, current.zoom);
+  const left = center.x - width / 2;
+  const top = center.y - height / 2;
+
+  // Every tile that overlaps the visible area
+  const tiles = [];
+  if (SHOW_TILES && width > 0) {
+    const count = 2 ** current.zoom;
+    for (let ty = Math.floor(top / TILE_SIZE); ty * TILE_SIZE < top + height; ty++) {
+      if (ty < 0 || ty >= count) continue;
+      for (let tx = Math.floor(left / TILE_SIZE); tx * TILE_SIZE < left + width; tx++) {
+        const wrappedX = ((tx % count) + count) % count;
+        tiles.push({
+          key: `${current.zoom}/${tx}/${ty}`,
+          url: TILE_URL
+            .replace('{z}', current.zoom)
+            .replace('{x}', wrappedX)
+            .replace('{y}', ty),
+          x: tx * TILE_SIZE - left,
+          y: ty * TILE_SIZE - top
+        });
+      }
+    }
+  }
+
+  const changeZoom = (offset) => {
+    const zoomLevel = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current.zoom + offset));
+    setView({ lat: current.lat, lng: current.lng, zoom: zoomLevel });
+  };
+
+  // Drag to pan - pointer capture only starts once the pointer has actually moved,
+  // so a plain click on a marker link still works
+  const handlePointerDown = (e) => {
+    dragRef.current = { x: e.clientX, y: e.clientY, center, zoom: current.zoom, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+
+    if (!drag.moved) {
+      drag.moved = true;
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+
+    setView({ ...unproject(drag.center.x - dx, drag.center.y - dy, drag.zoom), zoom: drag.zoom });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative overflow-hidden rounded-xl bg-gray-100 select-none touch-none cursor-grab active:cursor-grabbing"
+      style={{
+        height,
+        // Placeholder grid when tiles are turned off
+        backgroundImage: SHOW_TILES ? undefined : 'linear-gradient(#e5e7eb 1px, transparent 1px), linear-gradient(90deg, #e5e7eb 1px, transparent 1px)',
+        backgroundSize: SHOW_TILES ? undefined : '40px 40px'
+      }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {/* Tiles */}
+      {tiles.map((tile) => (
+        <img
+          key={tile.key}
+          src={tile.url}
+          alt=""
+          draggable={false}
+          className="absolute pointer-events-none"
+          style={{ left: tile.x, top: tile.y, width: TILE_SIZE, height: TILE_SIZE }}
+        />
+      ))}
+
+      {/* Markers */}
+      {width > 0 && markers.map((marker) => {
+        const point = project(marker.lat, marker.lng, current.zoom);
+        const style = { left: point.x - left, top: point.y - top, transform: 'translate(-50%, -100%)' };
+        const className = 'absolute px-2 py-1 bg-white text-dark text-sm font-semibold rounded-full shadow-md border border-gray-200 whitespace-nowrap';
+
+        return marker.to ? (
+          <Link key={marker.id} to={marker.to} style={style} className={`${className} hover:bg-primary hover:text-white transition`}>
+            {marker.label}
+          </Link>
+        ) : (
+          <div key={marker.id} style={style} className={className}>
+            📍 {marker.label}
+          </div>
+        );
+      })}
+
+      {/* Zoom Controls */}
+      <div className="absolute top-3 right-3 flex flex-col bg-white rounded-lg shadow-md overflow-hidden">
+        <button
+          type="button"
+          onClick={() => changeZoom(1)}
+          className="w-8 h-8 text-lg hover:bg-gray-100 border-b"
+          aria-label="Zoom in"
+        >
+          +
+        </button>
+        <button
+          type="button"
+          onClick={() => changeZoom(-1)}
+          className="w-8 h-8 text-lg hover:bg-gray-100"
+          aria-label="Zoom out"
+        >
+          −
+        </button>
+      </div>
+
+      {/* Attribution */}
+      {SHOW_TILES && (
+        <div className="absolute bottom-0 right-0 px-2 py-0.5 bg-white/80 text-[10px] text-gray-600">
+          {ATTRIBUTION}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TileMap;
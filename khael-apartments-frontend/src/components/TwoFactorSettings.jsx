@@ -0,0 +1,239 @@
+// src/components/TwoFactorSettings.jsx
+// Turn two-factor authentication on/off for your own admin account, and manage recovery codes
+//
+// Setting it up is two steps:
+// 1. Scan the QR code (drawn by our server - the secret never leaves it for a QR service)
+// 2. Type the code the app shows, which proves it's set up right - only then is 2FA switched on
+
+import { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../services/api';
+
+function TwoFactorSettings({ onClose }) {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null); // { secret, qr_code } while setting up
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // shown once, right after they're made
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const data = await twoFactorAPI.getStatus();
+      setStatus(data);
+    } catch (err) {
+      console.error('Error fetching two-factor status:', err);
+      setError('Failed to load two-factor settings');
+    }
+  };
+
+  // Wraps each action: shows "saving", catches the error message from the server
+  const run = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+    } catch (err) {
+      console.error('Two-factor error:', err);
+      setError(err.response?.data?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    const data = await twoFactorAPI.setup();
+    setSetup(data);
+    setCode('');
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await twoFactorAPI.enable(code);
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(data.recovery_codes);
+      await fetchStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    if (!confirm('Turn off two-factor authentication? Your password alone will be enough to log in.')) return;
+
+    run(async () => {
+      await twoFactorAPI.disable(password, code.trim());
+      setPassword('');
+      setCode('');
+      setRecoveryCodes(null);
+      await fetchStatus();
+    });
+  };
+
+  const handleRegenerate = () => run(async () => {
+    const data = await twoFactorAPI.regenerateRecoveryCodes(password);
+    setPassword('');
+    setRecoveryCodes(data.recovery_codes);
+    await fetchStatus();
+  });
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent transition';
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {!status ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : recoveryCodes ? (
+        /* Fresh recovery codes - this is the only time they can be seen */
+        <div>
+          <p className="text-sm text-gray-700 mb-3">
+            Save these recovery codes somewhere safe (a password manager, or printed out).
+            Each one lets you log in once if you lose your phone. <strong>They won't be shown again.</strong>
+          </p>
+          <ul className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm mb-4">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => navigator.clipboard?.writeText(recoveryCodes.join('\n'))}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
+            >
+              Copy
+            </button>
+            <button
+              type="button"
+              onClick={() => setRecoveryCodes(null)}
+              className="flex-1 px-4 py-2 bg-primary text-white rounded-lg hover:bg-red-600 transition font-semibold"
+            >
+              I've saved them
+            </button>
+          </div>
+        </div>
+      ) : status.enabled ? (
+        /* 2FA is on */
+        <div className="space-y-4">
+          <p className="text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg p-3">
+            ✅ Two-factor authentication is on. You have {status.recovery_codes_remaining} unused recovery code(s).
+          </p>
+          <form onSubmit={handleDisable} className="space-y-3">
+            <label htmlFor="two-factor-password" className="block text-sm font-medium text-gray-700">
+              Confirm your password to make changes
+            </label>
+            <input
+              id="two-factor-password"
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClass}
+            />
+            <label htmlFor="two-factor-disable-code" className="block text-sm font-medium text-gray-700">
+              To turn it off, also enter a code from your app (or a recovery code)
+            </label>
+            <input
+              id="two-factor-disable-code"
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className={`${inputClass} font-mono`}
+            />
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={handleRegenerate}
+                disabled={saving || !password}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+              >
+                New Recovery Codes
+              </button>
+              <button
+                type="submit"
+                disabled={saving || !code.trim()}
+                className="flex-1 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+              >
+                Turn Off
+              </button>
+            </div>
+          </form>
+        </div>
+      ) : setup ? (
+        /* Setting up - scan, then confirm with a code */
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy...),
+            then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qr_code} alt="QR code for your authenticator app" className="mx-auto w-48 h-48" />
+          <p className="text-xs text-gray-500 text-center">
+            Can't scan it? Enter this key instead:
+            <span className="block font-mono text-sm text-dark mt-1 break-all">{setup.secret}</span>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            placeholder="123456"
+            aria-label="Code from your authenticator app"
+            className={`${inputClass} text-center text-xl tracking-widest font-mono`}
+          />
+          <button
+            type="submit"
+            disabled={saving || code.length !== 6}
+            className="w-full px-4 py-2 bg-primary text-white rounded-lg hover:bg-red-600 transition font-semibold disabled:opacity-50"
+          >
+            {saving ? 'Checking...' : 'Turn On'}
+          </button>
+        </form>
+      ) : (
+        /* 2FA is off */
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Two-factor authentication asks for a code from your phone as well as your password,
+            so a stolen password isn't enough to get into the dashboard.
+          </p>
+          <button
+            type="button"
+            onClick={handleStartSetup}
+            disabled={saving}
+            className="w-full px-4 py-2 bg-primary text-white rounded-lg hover:bg-red-600 transition font-semibold disabled:opacity-50"
+          >
+            Set Up Two-Factor Authentication
+          </button>
+        </div>
+      )}
+
+      {!recoveryCodes && (
+        <button
+          type="button"
+          onClick={onClose}
+          className="w-full px-4 py-2 text-gray-600 hover:text-dark transition text-sm"
+        >
+          Close
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -1,9 +1,15 @@
 // src/pages/AdminDashboard.jsx
 // Admin dashboard for managing apartments
 
-import { useState, useEffect } from 'react';
-import { apartmentAPI } from '../services/api';
-import { formatPrice, getImageUrl } from '../utils/formatters';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { adminUserAPI, apartmentAPI, auditAPI, authAPI, bookingAPI, bookingRequestAPI, calendarAPI, pricingAPI, reviewAPI } from '../services/api';
+import { formatPrice, formatDate, formatDateTime, getImageUrl } from '../utils/formatters';
+import TileMap from '../components/TileMap';
+import ChangePasswordForm from '../components/ChangePasswordForm';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import RevisionHistory from '../components/RevisionHistory';
+import ResponsiveImage from '../components/ResponsiveImage';
+import { ADMIN_ROLES, IMAGE_ROOMS, MIN_PASSWORD_LENGTH, RATING_CATEGORIES, ROLE_ACCESS } from '../utils/constants';
 
 function AdminDashboard() {
   const [apartments, setApartments] = useState([]);
@@ -13,6 +19,21 @@ function AdminDashboard() {
   const [uploadingImages, setUploadingImages] = useState(false);
   const [statistics, setStatistics] = useState(null);
 
+  // Who is logged in - their role decides which tabs and buttons they see
+  const [currentAdmin, setCurrentAdmin] = useState(null);
+  const canManageBookings = ROLE_ACCESS.bookings.includes(currentAdmin?.role);
+  const canViewActivity = ROLE_ACCESS.audit.includes(currentAdmin?.role);
+  const canManageAdmins = ROLE_ACCESS.users.includes(currentAdmin?.role);
+  const [showPasswordModal, setShowPasswordModal] = useState(false);
+  const [showTwoFactorModal, setShowTwoFactorModal] = useState(false);
+
+  // Which screen is showing: 'apartments', 'requests', 'reviews', 'activity' or 'admins'
+  const [activeTab, setActiveTab] = useState('apartments');
+  // On the Apartments tab: 'active' listings or 'archived' ones
+  const [apartmentFilter, setApartmentFilter] = useState('active');
+  const [pendingRequestCount, setPendingRequestCount] = useState(0);
+  const [pendingReviewCount, setPendingReviewCount] = useState(0);
+
   // Available amenities
   const availableAmenities = [
     'WiFi',
@@ -43,26 +64,59 @@ function AdminDashboard() {
     address: '',
     city: 'Abuja',
     state: 'FCT',
-    available: true,
     featured: false,
-    amenities: []
+    amenities: [],
+    cleaning_fee: 0,
+    caution_deposit: 0,
+    latitude: '',
+    longitude: ''
   });
 
-  useEffect(() => {
-    fetchApartments();
-    fetchStatistics();
+  // Just the number for the badge on the Requests tab
+  const fetchPendingRequestCount = useCallback(async () => {
+    try {
+      const data = await bookingRequestAPI.getAll('pending');
+      setPendingRequestCount(data.pendingCount);
+    } catch (err) {
+      console.error('Error fetching booking requests:', err);
+    }
   }, []);
 
-  const fetchStatistics = async () => {
+  // Just the number for the badge on the Reviews tab
+  const fetchPendingReviewCount = useCallback(async () => {
+    try {
+      const data = await reviewAPI.getAll('pending');
+      setPendingReviewCount(data.pendingCount);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+    }
+  }, []);
+
+  // Find out our role, then load the badge counts the role is allowed to see
+  const fetchCurrentAdmin = useCallback(async () => {
+    try {
+      const data = await authAPI.verifyToken();
+      setCurrentAdmin(data.admin);
+
+      if (ROLE_ACCESS.bookings.includes(data.admin.role)) {
+        fetchPendingRequestCount();
+        fetchPendingReviewCount();
+      }
+    } catch (err) {
+      console.error('Error fetching current admin:', err);
+    }
+  }, [fetchPendingRequestCount, fetchPendingReviewCount]);
+
+  const fetchStatistics = useCallback(async () => {
     try {
       const data = await apartmentAPI.getStatistics();
       setStatistics(data.statistics);
     } catch (err) {
       console.error('Error fetching statistics:', err);
     }
-  };
+  }, []);
 
-  const fetchApartments = async () => {
+  const fetchApartments = useCallback(async () => {
     try {
       setLoading(true);
       const data = await apartmentAPI.getAll();
@@ -74,7 +128,13 @@ function AdminDashboard() {
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    fetchApartments();
+    fetchStatistics();
+    fetchCurrentAdmin();
+  }, [fetchApartments, fetchStatistics, fetchCurrentAdmin]);
 
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -105,9 +165,12 @@ function AdminDashboard() {
       address: '',
       city: 'Abuja',
       state: 'FCT',
-      available: true,
       featured: false,
-      amenities: []
+      amenities: [],
+      cleaning_fee: 0,
+      caution_deposit: 0,
+      latitude: '',
+      longitude: ''
     });
     setShowModal(true);
   };
@@ -124,9 +187,12 @@ function AdminDashboard() {
       address: apartment.address,
       city: apartment.city,
       state: apartment.state,
-      available: apartment.available,
       featured: apartment.featured || false,
-      amenities: apartment.amenities || []
+      amenities: apartment.amenities || [],
+      cleaning_fee: apartment.cleaning_fee || 0,
+      caution_deposit: apartment.caution_deposit || 0,
+      latitude: apartment.latitude ?? '',
+      longitude: apartment.longitude ?? ''
     });
     setShowModal(true);
   };
@@ -154,32 +220,40 @@ function AdminDashboard() {
     }
   };
 
-  const handleDelete = async (id, title) => {
-    if (!confirm(`Are you sure you want to delete "${title}"? This cannot be undone.`)) {
+  // Archiving hides the listing from the site - it can be restored from the "Archived" view
+  const handleArchive = async (id, title) => {
+    if (!confirm(`Archive "${title}"? It will be hidden from the website, but you can restore it later.`)) {
       return;
     }
 
     try {
-      await apartmentAPI.delete(id);
-      alert('Apartment deleted successfully!');
+      const data = await apartmentAPI.archive(id);
+      alert(data.message);
       fetchApartments();
       fetchStatistics();
     } catch (err) {
-      console.error('Error deleting apartment:', err);
-      alert('Failed to delete apartment');
+      console.error('Error archiving apartment:', err);
+      alert(err.response?.data?.message || 'Failed to archive apartment');
     }
   };
 
-  const toggleAvailability = async (apartment) => {
-    try {
-      await apartmentAPI.update(apartment.id, {
-        available: !apartment.available,
-      });
-      fetchApartments();
-    } catch (err) {
-      console.error('Error updating availability:', err);
-      alert('Failed to update availability');
-    }
+  // Restored or purged from the "Archived" view
+  const handleArchiveChanged = () => {
+    fetchApartments();
+    fetchStatistics();
+  };
+
+  // An old version was put back - reload the form with it, and the list behind the modal
+  const handleRevisionRestored = (restored) => {
+    openEditModal({ ...editingApartment, ...restored });
+    fetchApartments();
+    fetchStatistics();
+  };
+
+  // Bookings decide availability, so refresh both the list and the stats after a change
+  const handleBookingsChanged = () => {
+    fetchApartments();
+    fetchStatistics();
   };
 
   const handleImageUpload = async (apartmentId, files) => {
@@ -220,6 +294,45 @@ function AdminDashboard() {
     }
   };
 
+  // Reordering updates the list in place (no reload), so the gallery stays open while photos are moved
+  const handleReorderImages = async (apartmentId, imageIds) => {
+    const position = new Map(imageIds.map((id, index) => [id, index]));
+    setApartments(prev => prev.map(apartment => apartment.id === apartmentId
+      ? { ...apartment, images: apartment.images.map(image => ({ ...image, display_order: position.get(image.id) })) }
+      : apartment
+    ));
+
+    try {
+      await apartmentAPI.reorderImages(apartmentId, imageIds);
+    } catch (err) {
+      console.error('Error reordering images:', err);
+      alert(err.response?.data?.message || 'Failed to reorder images');
+      fetchApartments();
+    }
+  };
+
+  // Like reordering, saved photo details are swapped into the list in place
+  // Resolves to true if they were saved
+  const handleUpdateImage = async (apartmentId, imageId, details) => {
+    try {
+      const data = await apartmentAPI.updateImage(apartmentId, imageId, details);
+      setApartments(prev => prev.map(apartment => apartment.id === apartmentId
+        ? { ...apartment, images: apartment.images.map(image => (image.id === imageId ? { ...image, ...data.image } : image)) }
+        : apartment
+      ));
+      return true;
+    } catch (err) {
+      console.error('Error updating image details:', err);
+      alert(err.response?.data?.message || 'Failed to save photo details');
+      return false;
+    }
+  };
+
+  // The video panel gets the updated list back from every change - swap it in without a reload
+  const handleVideosChanged = (apartmentId, videos) => {
+    setApartments(prev => prev.map(apartment => apartment.id === apartmentId ? { ...apartment, videos } : apartment));
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center min-h-screen">
@@ -237,17 +350,32 @@ function AdminDashboard() {
             <h1 className="text-3xl font-bold text-dark">Admin Dashboard</h1>
             <p className="text-gray-600 mt-1">
               Manage your apartments ({apartments.length} total)
+              {currentAdmin && ` · Signed in as ${currentAdmin.username} (${currentAdmin.role})`}
             </p>
           </div>
-          <button
-            onClick={openCreateModal}
-            className="px-6 py-3 bg-primary text-white rounded-lg hover:bg-red-600 transition font-semibold flex items-center gap-2"
-          >
-            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-            </svg>
-            Add New Apartment
-          </button>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowPasswordModal(true)}
+              className="px-4 py-3 border border-gray-300 bg-white rounded-lg hover:bg-gray-50 transition font-semibold"
+            >
+              Change Password
+            </button>
+            <button
+              onClick={() => setShowTwoFactorModal(true)}
+              className="px-4 py-3 border border-gray-300 bg-white rounded-lg hover:bg-gray-50 transition font-semibold"
+            >
+              Two-Factor
+            </button>
+            <button
+              onClick={openCreateModal}
+              className="px-6 py-3 bg-primary text-white rounded-lg hover:bg-red-600 transition font-semibold flex items-center gap-2"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+              </svg>
+              Add New Apartment
+            </button>
+          </div>
         </div>
 
         {/* Statistics Cards */}
@@ -261,12 +389,12 @@ function AdminDashboard() {
             <div className="bg-white p-6 rounded-xl shadow-md">
               <div className="text-3xl mb-2">✅</div>
               <div className="text-2xl font-bold text-green-600">{statistics.availableApartments}</div>
-              <div className="text-sm text-gray-600">Available</div>
+              <div className="text-sm text-gray-600">Available Today</div>
             </div>
             <div className="bg-white p-6 rounded-xl shadow-md">
               <div className="text-3xl mb-2">📅</div>
               <div className="text-2xl font-bold text-yellow-600">{statistics.reservedApartments}</div>
-              <div className="text-sm text-gray-600">Reserved</div>
+              <div className="text-sm text-gray-600">Reserved Today</div>
             </div>
             <div className="bg-white p-6 rounded-xl shadow-md">
               <div className="text-3xl mb-2">⭐</div>
@@ -281,8 +409,95 @@ function AdminDashboard() {
           </div>
         )}
 
+        {/* Tabs */}
+        <div className="flex gap-2 mb-6 border-b">
+          {[
+            { id: 'apartments', label: 'Apartments', show: true },
+            { id: 'requests', label: 'Requests', badge: pendingRequestCount, show: canManageBookings },
+            { id: 'reviews', label: 'Reviews', badge: pendingReviewCount, show: canManageBookings },
+            { id: 'activity', label: 'Activity', show: canViewActivity },
+            { id: 'admins', label: 'Admins', show: canManageAdmins }
+          ].filter(tab => tab.show).map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 -mb-px border-b-2 font-semibold transition flex items-center gap-2 ${
+                activeTab === tab.id
+                  ? 'border-primary text-primary'
+                  : 'border-transparent text-gray-600 hover:text-dark'
+              }`}
+            >
+              {tab.label}
+              {tab.badge > 0 && (
+                <span className="px-2 py-0.5 bg-primary text-white text-xs rounded-full">{tab.badge}</span>
+              )}
+            </button>
+          ))}
+        </div>
+
+        {/* Booking Requests */}
+        {activeTab === 'requests' && (
+          <BookingRequestsPanel
+            onChanged={(pendingCount) => {
+              setPendingRequestCount(pendingCount);
+              handleBookingsChanged();
+            }}
+          />
+        )}
+
+        {/* Reviews */}
+        {activeTab === 'reviews' && (
+          <ReviewsPanel
+            apartments={apartments}
+            onChanged={(pendingCount) => {
+              setPendingReviewCount(pendingCount);
+              fetchApartments();
+            }}
+          />
+        )}
+
+        {/* Activity Log */}
+        {activeTab === 'activity' && (
+          <ActivityPanel apartments={apartments} />
+        )}
+
+        {/* Admin Users */}
+        {activeTab === 'admins' && (
+          <div className="space-y-8">
+            <AdminUsersPanel currentAdmin={currentAdmin} />
+            <LoginLogPanel />
+          </div>
+        )}
+
+        {/* Active / Archived filter */}
+        {activeTab === 'apartments' && (
+          <div className="flex gap-2 mb-4">
+            {[
+              { id: 'active', label: 'Active' },
+              { id: 'archived', label: 'Archived', count: statistics?.archivedApartments }
+            ].map((filter) => (
+              <button
+                key={filter.id}
+                onClick={() => setApartmentFilter(filter.id)}
+                aria-pressed={apartmentFilter === filter.id}
+                className={`px-4 py-1.5 rounded-full text-sm font-semibold transition ${
+                  apartmentFilter === filter.id ? 'bg-dark text-white' : 'bg-white text-gray-600 hover:text-dark'
+                }`}
+              >
+                {filter.label}
+                {filter.count > 0 && ` (${filter.count})`}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Archived Apartments */}
+        {activeTab === 'apartments' && apartmentFilter === 'archived' && (
+          <ArchivedApartmentsPanel canManageBookings={canManageBookings} onChanged={handleArchiveChanged} />
+        )}
+
         {/* Apartments List */}
-        {apartments.length === 0 ? (
+        {activeTab !== 'apartments' || apartmentFilter !== 'active' ? null : apartments.length === 0 ? (
           <div className="text-center py-20 bg-white rounded-xl">
             <h3 className="text-xl font-semibold text-gray-700 mb-2">
               No apartments yet
@@ -304,17 +519,61 @@ function AdminDashboard() {
                 key={apartment.id}
                 apartment={apartment}
                 onEdit={() => openEditModal(apartment)}
-                onDelete={() => handleDelete(apartment.id, apartment.title)}
-                onToggleAvailability={() => toggleAvailability(apartment)}
+                onArchive={() => handleArchive(apartment.id, apartment.title)}
+                onBookingsChanged={handleBookingsChanged}
+                canManageBookings={canManageBookings}
                 onImageUpload={(files) => handleImageUpload(apartment.id, files)}
                 onDeleteImage={(imageId) => handleDeleteImage(apartment.id, imageId)}
                 onSetPrimaryImage={(imageId) => handleSetPrimaryImage(apartment.id, imageId)}
+                onReorderImages={(imageIds) => handleReorderImages(apartment.id, imageIds)}
+                onUpdateImage={(imageId, details) => handleUpdateImage(apartment.id, imageId, details)}
+                onVideosChanged={(videos) => handleVideosChanged(apartment.id, videos)}
                 uploadingImages={uploadingImages}
               />
             ))}
           </div>
         )}
 
+        {/* Change Password Modal - can't be closed while the admin still has a temporary password */}
+        {(showPasswordModal || currentAdmin?.must_change_password) && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl max-w-md w-full p-6">
+              <h2 className="text-2xl font-bold mb-2">Change Password</h2>
+              {currentAdmin?.must_change_password && (
+                <p className="text-sm text-gray-600 mb-4">
+                  You're using a temporary password. Please choose your own before continuing.
+                </p>
+              )}
+              <ChangePasswordForm
+                onChanged={(message) => {
+                  const hadTemporaryPassword = currentAdmin?.must_change_password;
+                  setShowPasswordModal(false);
+                  setCurrentAdmin(prev => ({ ...prev, must_change_password: false }));
+                  alert(message);
+
+                  // The API refuses admin requests until a temporary password is changed - load what was refused
+                  if (hadTemporaryPassword) {
+                    fetchApartments();
+                    fetchStatistics();
+                    fetchCurrentAdmin();
+                  }
+                }}
+                onCancel={currentAdmin?.must_change_password ? null : () => setShowPasswordModal(false)}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Two-Factor Authentication Modal */}
+        {showTwoFactorModal && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+              <h2 className="text-2xl font-bold mb-4">Two-Factor Authentication</h2>
+              <TwoFactorSettings onClose={() => setShowTwoFactorModal(false)} />
+            </div>
+          </div>
+        )}
+
         {/* Create/Edit Modal */}
         {showModal && (
           <ApartmentModal
@@ -325,6 +584,8 @@ function AdminDashboard() {
             onClose={() => setShowModal(false)}
             availableAmenities={availableAmenities}
             onAmenityToggle={handleAmenityToggle}
+            canManageBookings={canManageBookings}
+            onRestored={handleRevisionRestored}
           />
         )}
       </div>
@@ -332,18 +593,154 @@ function AdminDashboard() {
   );
 }
 
+// Archived Apartments Panel
+// Listings hidden from the site - restore them, or delete them (and their photos/videos) for good
+function ArchivedApartmentsPanel({ canManageBookings, onChanged }) {
+  const [apartments, setApartments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchArchived();
+  }, []);
+
+  const fetchArchived = async () => {
+    try {
+      setLoading(true);
+      const data = await apartmentAPI.getArchived();
+      setApartments(data.apartments || []);
+    } catch (err) {
+      console.error('Error fetching archived apartments:', err);
+      alert('Failed to load archived apartments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (apartment) => {
+    try {
+      setBusyId(apartment.id);
+      await apartmentAPI.unarchive(apartment.id);
+      await fetchArchived();
+      onChanged();
+    } catch (err) {
+      console.error('Error restoring apartment:', err);
+      alert(err.response?.data?.message || 'Failed to restore apartment');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (apartment) => {
+    const bookingsWarning = apartment.future_bookings > 0
+      ? `\n\nIt still has ${apartment.future_bookings} upcoming booking(s) - they will be deleted too.`
+      : '';
+    if (!confirm(`Delete "${apartment.title}" permanently, with all its photos, videos, bookings and reviews? This cannot be undone.${bookingsWarning}`)) {
+      return;
+    }
+
+    try {
+      setBusyId(apartment.id);
+      const data = await apartmentAPI.purge(apartment.id);
+      if (data.media_failed > 0) {
+        alert(`Apartment deleted, but ${data.media_failed} photo/video file(s) couldn't be removed from storage.`);
+      }
+      await fetchArchived();
+      onChanged();
+    } catch (err) {
+      console.error('Error deleting apartment:', err);
+      alert(err.response?.data?.message || 'Failed to delete apartment');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12 text-gray-500">Loading archived apartments...</div>;
+  }
+
+  if (apartments.length === 0) {
+    return (
+      <div className="text-center py-20 bg-white rounded-xl">
+        <h3 className="text-xl font-semibold text-gray-700">No archived apartments</h3>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-md divide-y">
+      {apartments.map((apartment) => {
+        const primaryImage = apartment.images.find(img => img.is_primary) || apartment.images[0];
+
+        return (
+          <div key={apartment.id} className="p-4 flex flex-wrap items-center gap-4">
+            {primaryImage ? (
+              <ResponsiveImage
+                image={primaryImage}
+                variant="thumbnail"
+                sizes="64px"
+                alt={apartment.title}
+                className="w-16 h-16 object-cover rounded-lg opacity-75"
+              />
+            ) : (
+              <div className="w-16 h-16 bg-gray-100 rounded-lg" />
+            )}
+            <div className="flex-1 min-w-[12rem]">
+              <h3 className="font-semibold text-dark">{apartment.title}</h3>
+              <p className="text-sm text-gray-600">
+                {apartment.city}, {apartment.state} · Archived {formatDateTime(apartment.deleted_at)}
+                {apartment.archived_by_username && ` by ${apartment.archived_by_username}`}
+              </p>
+              {apartment.future_bookings > 0 && (
+                <p className="text-sm text-yellow-700">
+                  ⚠️ {apartment.future_bookings} upcoming booking(s)
+                </p>
+              )}
+            </div>
+            {canManageBookings && (
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleRestore(apartment)}
+                  disabled={busyId === apartment.id}
+                  className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition disabled:opacity-50"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => handlePurge(apartment)}
+                  disabled={busyId === apartment.id}
+                  className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+                >
+                  Delete Permanently
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 // Apartment Card Component (for admin view)
 function ApartmentCard({ 
   apartment, 
   onEdit, 
-  onDelete, 
-  onToggleAvailability,
+  onArchive, 
+  onBookingsChanged,
+  canManageBookings,
   onImageUpload,
   onDeleteImage,
   onSetPrimaryImage,
+  onReorderImages,
+  onUpdateImage,
+  onVideosChanged,
   uploadingImages
 }) {
   const [showImages, setShowImages] = useState(false);
+  const [showVideos, setShowVideos] = useState(false);
+  const [showBookings, setShowBookings] = useState(false);
+  const [showCalendarSync, setShowCalendarSync] = useState(false);
   const primaryImage = apartment.images?.find(img => img.is_primary) || apartment.images?.[0];
 
   return (
@@ -364,13 +761,13 @@ function ApartmentCard({
             </p>
           </div>
           {primaryImage && (
-            <img
-              src={getImageUrl(primaryImage.image_url)}
+            <ResponsiveImage
+              image={primaryImage}
+              variant="thumbnail"
+              sizes="96px"
               alt={apartment.title}
               className="w-24 h-24 object-cover rounded-lg ml-4"
-              onError={(e) => {
-                e.target.src = 'https://via.placeholder.com/96x96?text=No+Image';
-              }}
+              fallbackUrl="https://via.placeholder.com/96x96?text=No+Image"
             />
           )}
         </div>
@@ -417,16 +814,22 @@ function ApartmentCard({
           >
             Edit Details
           </button>
-          <button
-            onClick={onToggleAvailability}
-            className={`px-4 py-2 rounded-lg transition ${
-              apartment.available
-                ? 'bg-yellow-500 text-white hover:bg-yellow-600'
-                : 'bg-green-500 text-white hover:bg-green-600'
-            }`}
-          >
-            {apartment.available ? 'Mark as Reserved' : 'Mark as Available'}
-          </button>
+          {canManageBookings && (
+            <>
+              <button
+                onClick={() => setShowBookings(!showBookings)}
+                className="px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 transition"
+              >
+                {showBookings ? 'Hide' : 'Manage'} Bookings
+              </button>
+              <button
+                onClick={() => setShowCalendarSync(!showCalendarSync)}
+                className="px-4 py-2 bg-teal-500 text-white rounded-lg hover:bg-teal-600 transition"
+              >
+                {showCalendarSync ? 'Hide' : 'Calendar'} Sync
+              </button>
+            </>
+          )}
           <button
             onClick={() => setShowImages(!showImages)}
             className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition"
@@ -434,16 +837,24 @@ function ApartmentCard({
             {showImages ? 'Hide' : 'Manage'} Images ({apartment.images?.length || 0})
           </button>
           <button
-            onClick={onDelete}
-            className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition"
+            onClick={() => setShowVideos(!showVideos)}
+            className="px-4 py-2 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition"
           >
-            Delete
+            {showVideos ? 'Hide' : 'Manage'} Videos ({apartment.videos?.length || 0})
           </button>
+          {canManageBookings && (
+            <button
+              onClick={onArchive}
+              className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition"
+            >
+              Archive
+            </button>
+          )}
         </div>
 
         {/* Availability Status */}
         <div className="flex items-center gap-2">
-          <span className="text-sm text-gray-600">Status:</span>
+          <span className="text-sm text-gray-600">Today:</span>
           {apartment.available ? (
             <span className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-sm font-semibold">
               Available
@@ -455,6 +866,16 @@ function ApartmentCard({
           )}
         </div>
 
+        {/* Booking Management Section */}
+        {showBookings && (
+          <BookingsPanel apartmentId={apartment.id} onChanged={onBookingsChanged} />
+        )}
+
+        {/* Calendar Sync Section */}
+        {showCalendarSync && (
+          <CalendarSyncPanel apartmentId={apartment.id} onChanged={onBookingsChanged} />
+        )}
+
         {/* Image Management Section */}
         {showImages && (
           <div className="mt-6 pt-6 border-t">
@@ -475,87 +896,2192 @@ function ApartmentCard({
               />
             </div>
 
-            {/* Existing Images */}
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-              {apartment.images?.map((image) => (
-                <div key={image.id} className="relative group">
-                  <img
-                    src={getImageUrl(image.image_url)}
-                    alt="Apartment"
-                    className="w-full h-32 object-cover rounded-lg"
-                    onError={(e) => {
-                      e.target.src = 'https://via.placeholder.com/200x150?text=Error';
-                    }}
-                  />
-                  {image.is_primary && (
-                    <div className="absolute top-2 left-2 bg-green-500 text-white text-xs px-2 py-1 rounded">
-                      Primary
-                    </div>
-                  )}
-                  <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-50 transition flex items-center justify-center gap-2 opacity-0 group-hover:opacity-100">
-                    {!image.is_primary && (
-                      <button
-                        onClick={() => onSetPrimaryImage(image.id)}
-                        className="px-2 py-1 bg-green-500 text-white text-xs rounded hover:bg-green-600"
-                      >
-                        Set Primary
-                      </button>
-                    )}
-                    <button
-                      onClick={() => onDeleteImage(image.id)}
-                      className="px-2 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600"
-                    >
-                      Delete
-                    </button>
-                  </div>
-                </div>
-              ))}
-            </div>
+            {/* Existing Images - drag to reorder */}
+            <ImageGalleryEditor
+              images={apartment.images || []}
+              onDeleteImage={onDeleteImage}
+              onSetPrimaryImage={onSetPrimaryImage}
+              onReorder={onReorderImages}
+              onUpdateImage={onUpdateImage}
+            />
           </div>
         )}
+
+        {/* Video Management Section */}
+        {showVideos && (
+          <VideosPanel
+            apartmentId={apartment.id}
+            videos={apartment.videos || []}
+            onChanged={onVideosChanged}
+          />
+        )}
       </div>
     </div>
   );
 }
 
-// Create/Edit Modal Component
-function ApartmentModal({ apartment, formData, onChange, onSubmit, onClose, availableAmenities, onAmenityToggle }) {
+// Image Gallery Editor Component
+// The photos of one apartment in the order guests see them
+// Drag a photo onto another to move it there, or use the ← → buttons (they work from the keyboard too)
+function ImageGalleryEditor({ images, onDeleteImage, onSetPrimaryImage, onReorder, onUpdateImage }) {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  // The moved photo's tile is re-inserted in its new place, which drops keyboard focus -
+  // remember which arrow button was used so focus can be put back on it
+  const moveButtons = useRef({});
+  const refocus = useRef(null);
+
+  useEffect(() => {
+    if (!refocus.current) return;
+    const { imageId, direction } = refocus.current;
+    refocus.current = null;
+
+    // At either end the button that was pressed is now disabled, so fall back to the other one
+    const button = moveButtons.current[`${imageId}-${direction}`];
+    const fallback = moveButtons.current[`${imageId}-${direction === 'earlier' ? 'later' : 'earlier'}`];
+    (button && !button.disabled ? button : fallback)?.focus();
+  });
+
+  // The API lists the primary photo first - the editor shows the real display order
+  const orderedImages = [...images].sort((a, b) => a.display_order - b.display_order || a.id - b.id);
+
+  const moveImage = (imageId, toIndex) => {
+    const fromIndex = orderedImages.findIndex(image => image.id === imageId);
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= orderedImages.length || toIndex === fromIndex) return;
+
+    const reordered = [...orderedImages];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+
+    setAnnouncement(`Photo moved to position ${toIndex + 1} of ${reordered.length}`);
+    onReorder(reordered.map(image => image.id));
+  };
+
+  const handleDrop = (e, targetId) => {
+    e.preventDefault();
+    if (draggedId !== null && draggedId !== targetId) {
+      moveImage(draggedId, orderedImages.findIndex(image => image.id === targetId));
+    }
+    setDraggedId(null);
+    setDropTargetId(null);
+  };
+
+  if (orderedImages.length === 0) {
+    return <p className="text-sm text-gray-500">No photos yet.</p>;
+  }
+
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
-      <div className="bg-white rounded-xl max-w-2xl w-full my-8 max-h-[90vh] overflow-y-auto">
-        <div className="p-6">
-          <h2 className="text-2xl font-bold mb-6">
-            {apartment ? 'Edit Apartment' : 'Create New Apartment'}
-          </h2>
+    <div>
+      <p className="text-sm text-gray-500 mb-3">
+        Drag photos (or use the arrow buttons) to change the order guests see them in. The primary photo is always shown first.
+        Alt text describes a photo for guests using screen readers (and for search engines) - e.g. "Double bed with a view of the garden".
+      </p>
 
-          <form onSubmit={onSubmit} className="space-y-4">
-            {/* Title */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Title *
-              </label>
-              <input
-                type="text"
-                name="title"
-                value={formData.title}
-                onChange={onChange}
-                required
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
-                placeholder="e.g., Luxury 2-Bedroom Apartment"
+      {/* Read out by screen readers after each move */}
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+
+      <ol className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {orderedImages.map((image, index) => (
+          <li
+            key={image.id}
+            onDragOver={(e) => {
+              e.preventDefault();
+              e.dataTransfer.dropEffect = 'move';
+              setDropTargetId(image.id);
+            }}
+            onDragLeave={() => setDropTargetId(current => (current === image.id ? null : current))}
+            onDrop={(e) => handleDrop(e, image.id)}
+            className={`rounded-lg transition ${
+              draggedId === image.id ? 'opacity-40' : ''
+            } ${dropTargetId === image.id && draggedId !== image.id ? 'ring-4 ring-primary' : ''}`}
+          >
+            {/* Only the photo is the drag handle, so text in the details form below can still be selected */}
+            <div
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                setDraggedId(image.id);
+              }}
+              onDragEnd={() => {
+                setDraggedId(null);
+                setDropTargetId(null);
+              }}
+              className="relative group cursor-move"
+            >
+              <ResponsiveImage
+                image={image}
+                variant="thumbnail"
+                sizes="(min-width: 768px) 25vw, 50vw"
+                alt={image.alt_text || `Apartment photo ${index + 1}`}
+                draggable={false}
+                className="w-full h-32 object-cover rounded-lg"
+                fallbackUrl="https://via.placeholder.com/200x150?text=Error"
               />
+              <div className="absolute top-2 right-2 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded">
+                {index + 1}
+              </div>
+              {image.is_primary && (
+                <div className="absolute top-2 left-2 bg-green-500 text-white text-xs px-2 py-1 rounded">
+                  Primary
+                </div>
+              )}
+              <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-50 group-focus-within:bg-opacity-50 transition flex items-center justify-center gap-2 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100">
+                {!image.is_primary && (
+                  <button
+                    onClick={() => onSetPrimaryImage(image.id)}
+                    className="px-2 py-1 bg-green-500 text-white text-xs rounded hover:bg-green-600"
+                  >
+                    Set Primary
+                  </button>
+                )}
+                <button
+                  onClick={() => onDeleteImage(image.id)}
+                  className="px-2 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600"
+                >
+                  Delete
+                </button>
+              </div>
+
+              {/* Move controls - always visible, so the order can be changed without a mouse */}
+              <div className="absolute bottom-2 left-2 right-2 flex justify-between">
+                <button
+                  type="button"
+                  ref={(el) => { moveButtons.current[`${image.id}-earlier`] = el; }}
+                  onClick={() => {
+                    refocus.current = { imageId: image.id, direction: 'earlier' };
+                    moveImage(image.id, index - 1);
+                  }}
+                  disabled={index === 0}
+                  aria-label={`Move photo ${index + 1} earlier`}
+                  className="px-2 py-1 bg-white bg-opacity-90 text-dark text-xs rounded shadow hover:bg-opacity-100 disabled:opacity-30"
+                >
+                  ←
+                </button>
+                <button
+                  type="button"
+                  ref={(el) => { moveButtons.current[`${image.id}-later`] = el; }}
+                  onClick={() => {
+                    refocus.current = { imageId: image.id, direction: 'later' };
+                    moveImage(image.id, index + 1);
+                  }}
+                  disabled={index === orderedImages.length - 1}
+                  aria-label={`Move photo ${index + 1} later`}
+                  className="px-2 py-1 bg-white bg-opacity-90 text-dark text-xs rounded shadow hover:bg-opacity-100 disabled:opacity-30"
+                >
+                  →
+                </button>
+              </div>
             </div>
 
-            {/* Description */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Description
-              </label>
-              <textarea
-                name="description"
-                value={formData.description}
-                onChange={onChange}
-                rows="4"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+            <ImageDetailsForm
+              image={image}
+              position={index + 1}
+              onSave={(details) => onUpdateImage(image.id, details)}
+            />
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// Image Details Form Component
+// Caption, alt text and room tag for one photo, edited in place under it in the gallery
+function ImageDetailsForm({ image, position, onSave }) {
+  const savedDetails = {
+    caption: image.caption || '',
+    alt_text: image.alt_text || '',
+    room: image.room || ''
+  };
+  const [details, setDetails] = useState(savedDetails);
+  const [saving, setSaving] = useState(false);
+
+  const changed = Object.keys(savedDetails).some(field => details[field] !== savedDetails[field]);
+
+  const handleChange = (e) => {
+    setDetails({ ...details, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // The server trims them too - match it so the form doesn't still look unsaved afterwards
+    const trimmed = Object.fromEntries(Object.entries(details).map(([field, value]) => [field, value.trim()]));
+
+    setSaving(true);
+    if (await onSave(trimmed)) setDetails(trimmed);
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 space-y-1">
+      <select
+        name="room"
+        value={details.room}
+        onChange={handleChange}
+        aria-label={`Room shown in photo ${position}`}
+        className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
+      >
+        <option value="">No room</option>
+        {IMAGE_ROOMS.map(room => (
+          <option key={room.value} value={room.value}>{room.label}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        name="alt_text"
+        value={details.alt_text}
+        onChange={handleChange}
+        maxLength={250}
+        placeholder="Alt text"
+        aria-label={`Alt text for photo ${position}`}
+        className={`w-full px-2 py-1 border rounded text-xs ${details.alt_text ? 'border-gray-300' : 'border-yellow-400'}`}
+      />
+      <input
+        type="text"
+        name="caption"
+        value={details.caption}
+        onChange={handleChange}
+        maxLength={200}
+        placeholder="Caption (optional)"
+        aria-label={`Caption for photo ${position}`}
+        className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
+      />
+      {changed && (
+        <div className="flex gap-1">
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex-1 px-2 py-1 bg-primary text-white text-xs rounded hover:bg-red-600 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setDetails(savedDetails)}
+            disabled={saving}
+            className="px-2 py-1 border border-gray-300 text-xs rounded hover:bg-gray-100"
+          >
+            Undo
+          </button>
+        </div>
+      )}
+    </form>
+  );
+}
+
+// Videos Panel Component
+// Video tours for one apartment: upload (with a title and optional poster), rename, replace, reorder, delete
+// Every API call returns the apartment's full video list, which is handed straight back to the dashboard
+function VideosPanel({ apartmentId, videos, onChanged }) {
+  const emptyUpload = { title: '', file: null, poster: null };
+  const [upload, setUpload] = useState(emptyUpload);
+  const [uploading, setUploading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [titles, setTitles] = useState({});
+  // Bumped after an upload so the file inputs (which React can't clear) are recreated empty
+  const [formKey, setFormKey] = useState(0);
+
+  const orderedVideos = [...videos].sort((a, b) => a.display_order - b.display_order || a.id - b.id);
+
+  // Run one change against a video, then hand the returned list to the dashboard
+  // Resolves to true if it worked
+  const runChange = async (videoId, request, failureMessage) => {
+    try {
+      setBusyId(videoId);
+      const data = await request();
+      onChanged(data.videos || []);
+      return true;
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      alert(err.response?.data?.message || err.response?.data?.error || failureMessage);
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!upload.file) return;
+
+    try {
+      setUploading(true);
+      const data = await apartmentAPI.uploadVideo(apartmentId, upload.file, upload);
+      onChanged(data.videos || []);
+      setUpload(emptyUpload);
+      setFormKey(key => key + 1);
+    } catch (err) {
+      console.error('Error uploading video:', err);
+      alert(err.response?.data?.message || err.response?.data?.error || 'Failed to upload video');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSaveTitle = async (video) => {
+    const saved = await runChange(video.id, () => apartmentAPI.updateVideo(apartmentId, video.id, { title: titles[video.id] }), 'Failed to rename video');
+    if (saved) {
+      // Show the saved title from the video again, rather than the edit
+      setTitles(prev => {
+        const next = { ...prev };
+        delete next[video.id];
+        return next;
+      });
+    }
+  };
+
+  // Cleared straight away, so picking the same file again still counts as a change
+  const handleFilePicked = (e, video, field) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) handleReplace(video, { [field]: file });
+  };
+
+  const handleReplace = (video, changes) => {
+    runChange(video.id, () => apartmentAPI.updateVideo(apartmentId, video.id, changes), 'Failed to update video');
+  };
+
+  const handleDelete = (video) => {
+    if (!confirm(`Delete ${video.title ? `"${video.title}"` : 'this video'}? The file is removed from storage too.`)) return;
+    runChange(video.id, () => apartmentAPI.deleteVideo(apartmentId, video.id), 'Failed to delete video');
+  };
+
+  const handleMove = (index, toIndex) => {
+    const reordered = [...orderedVideos];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(toIndex, 0, moved);
+    runChange(moved.id, () => apartmentAPI.reorderVideos(apartmentId, reordered.map(video => video.id)), 'Failed to reorder videos');
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t">
+      <h4 className="font-semibold mb-4">Video Tours</h4>
+
+      {orderedVideos.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No videos yet</p>
+      ) : (
+        <ol className="space-y-3 mb-6">
+          {orderedVideos.map((video, index) => {
+            const busy = busyId === video.id;
+            const editedTitle = titles[video.id];
+
+            return (
+              <li key={video.id} className={`flex flex-col md:flex-row gap-4 p-3 bg-gray-50 rounded-lg ${busy ? 'opacity-60' : ''}`}>
+                <video
+                  controls
+                  preload="metadata"
+                  poster={video.poster_url ? getImageUrl(video.poster_url) : undefined}
+                  src={getImageUrl(video.video_url)}
+                  className="w-full md:w-56 h-32 object-cover rounded-lg bg-black flex-shrink-0"
+                />
+
+                <div className="flex-1 min-w-0 space-y-2">
+                  {/* Title */}
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={editedTitle ?? video.title ?? ''}
+                      onChange={(e) => setTitles({ ...titles, [video.id]: e.target.value })}
+                      maxLength={100}
+                      placeholder={`Video ${index + 1} (no title)`}
+                      aria-label={`Title of video ${index + 1}`}
+                      className="flex-1 px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                    />
+                    {editedTitle !== undefined && editedTitle !== (video.title ?? '') && (
+                      <button
+                        onClick={() => handleSaveTitle(video)}
+                        disabled={busy}
+                        className="px-3 py-1 bg-primary text-white text-xs rounded hover:bg-red-600 disabled:opacity-50"
+                      >
+                        Save
+                      </button>
+                    )}
+                  </div>
+
+                  <p className="text-xs text-gray-500">
+                    {video.poster_public_id ? 'Custom poster' : video.poster_url ? 'Poster picked from the video' : 'No poster - the first frame is shown'}
+                  </p>
+
+                  {/* File actions - the inputs are hidden inside their labels */}
+                  <div className="flex flex-wrap gap-2">
+                    <label className="px-2 py-1 bg-blue-500 text-white text-xs rounded hover:bg-blue-600 cursor-pointer focus-within:ring-2 focus-within:ring-blue-300">
+                      Replace video
+                      <input
+                        type="file"
+                        accept="video/mp4,video/webm,video/ogg"
+                        disabled={busy}
+                        onChange={(e) => handleFilePicked(e, video, 'file')}
+                        className="sr-only"
+                      />
+                    </label>
+                    <label className="px-2 py-1 bg-teal-500 text-white text-xs rounded hover:bg-teal-600 cursor-pointer focus-within:ring-2 focus-within:ring-teal-300">
+                      {video.poster_public_id ? 'Change poster' : 'Upload poster'}
+                      <input
+                        type="file"
+                        accept="image/jpeg,image/png,image/webp"
+                        disabled={busy}
+                        onChange={(e) => handleFilePicked(e, video, 'poster')}
+                        className="sr-only"
+                      />
+                    </label>
+                    {video.poster_public_id && (
+                      <button
+                        onClick={() => handleReplace(video, { removePoster: true })}
+                        disabled={busy}
+                        className="px-2 py-1 bg-gray-500 text-white text-xs rounded hover:bg-gray-600 disabled:opacity-50"
+                      >
+                        Remove poster
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDelete(video)}
+                      disabled={busy}
+                      className="px-2 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600 disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+
+                {/* Order */}
+                <div className="flex md:flex-col gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleMove(index, index - 1)}
+                    disabled={busy || index === 0}
+                    aria-label={`Move video ${index + 1} up`}
+                    className="px-2 py-1 border border-gray-300 bg-white text-xs rounded hover:bg-gray-100 disabled:opacity-30"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => handleMove(index, index + 1)}
+                    disabled={busy || index === orderedVideos.length - 1}
+                    aria-label={`Move video ${index + 1} down`}
+                    className="px-2 py-1 border border-gray-300 bg-white text-xs rounded hover:bg-gray-100 disabled:opacity-30"
+                  >
+                    ↓
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {/* Upload */}
+      <form key={formKey} onSubmit={handleUpload} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Title (optional)</label>
+          <input
+            type="text"
+            value={upload.title}
+            onChange={(e) => setUpload({ ...upload, title: e.target.value })}
+            maxLength={100}
+            placeholder="e.g. Living room walkthrough"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Video (max 50MB)</label>
+          <input
+            type="file"
+            accept="video/mp4,video/webm,video/ogg"
+            required
+            onChange={(e) => setUpload({ ...upload, file: e.target.files[0] || null })}
+            className="block w-full text-xs text-gray-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Poster image (optional)</label>
+          <input
+            type="file"
+            accept="image/jpeg,image/png,image/webp"
+            onChange={(e) => setUpload({ ...upload, poster: e.target.files[0] || null })}
+            className="block w-full text-xs text-gray-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={uploading || !upload.file}
+          className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-red-600 transition text-sm disabled:opacity-50"
+        >
+          {uploading ? 'Uploading...' : 'Upload Video'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Booking Requests Panel Component
+// The approval queue for requests guests send from the apartment page
+const REQUEST_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  approved: 'bg-green-100 text-green-700',
+  declined: 'bg-red-100 text-red-700',
+  expired: 'bg-gray-100 text-gray-600'
+};
+
+function BookingRequestsPanel({ onChanged }) {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('pending');
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await bookingRequestAPI.getAll(statusFilter);
+      setRequests(data.requests || []);
+      return data.pendingCount;
+    } catch (err) {
+      console.error('Error fetching booking requests:', err);
+      alert('Failed to load booking requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  // Refresh the list, then tell the dashboard (badge count + stats)
+  const refresh = async () => {
+    const pendingCount = await fetchRequests();
+    if (pendingCount !== undefined) onChanged(pendingCount);
+  };
+
+  const handleApprove = async (request) => {
+    if (!confirm(`Approve ${request.guest_name}'s request? This creates a confirmed booking.`)) return;
+
+    try {
+      await bookingRequestAPI.approve(request.id);
+      refresh();
+    } catch (err) {
+      console.error('Error approving booking request:', err);
+      alert(err.response?.data?.message || 'Failed to approve request');
+    }
+  };
+
+  const handleDecline = async (request) => {
+    const reason = prompt(`Why are you declining ${request.guest_name}'s request?`);
+    if (!reason) return;
+
+    try {
+      await bookingRequestAPI.decline(request.id, reason);
+      refresh();
+    } catch (err) {
+      console.error('Error declining booking request:', err);
+      alert(err.response?.data?.message || 'Failed to decline request');
+    }
+  };
+
+  const handleExpire = async (request) => {
+    if (!confirm('Mark this request as expired?')) return;
+
+    try {
+      await bookingRequestAPI.expire(request.id);
+      refresh();
+    } catch (err) {
+      console.error('Error expiring booking request:', err);
+      alert(err.response?.data?.message || 'Failed to expire request');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-dark">Booking Requests</h2>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          aria-label="Filter by status"
+        >
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="declined">Declined</option>
+          <option value="expired">Expired</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading requests...</p>
+      ) : requests.length === 0 ? (
+        <p className="text-sm text-gray-500">{statusFilter ? `No ${statusFilter} requests` : 'No requests yet'}</p>
+      ) : (
+        <div className="space-y-3">
+          {requests.map((request) => (
+            <div key={request.id} className="p-4 bg-gray-50 rounded-lg">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <p className="font-semibold">
+                    {request.apartment_title}
+                    <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${REQUEST_STATUS_STYLES[request.status]}`}>
+                      {request.status}
+                    </span>
+                  </p>
+                  <p className="text-sm text-gray-700">
+                    {formatDate(request.check_in)} → {formatDate(request.check_out)} · {request.guests} guest(s)
+                    {request.quoted_total !== null && ` · quoted ${formatPrice(request.quoted_total)}`}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    👤 {request.guest_name} · {request.guest_phone}
+                    {request.guest_email && ` · ${request.guest_email}`}
+                  </p>
+                  {request.note && (
+                    <p className="text-sm text-gray-600 mt-1 italic">"{request.note}"</p>
+                  )}
+                  {request.decline_reason && (
+                    <p className="text-sm text-red-600 mt-1">Declined: {request.decline_reason}</p>
+                  )}
+                  <p className="text-xs text-gray-400 mt-1">Received {formatDate(request.created_at)}</p>
+                </div>
+
+                {request.status === 'pending' && (
+                  <div className="flex flex-col gap-2 shrink-0">
+                    <button
+                      onClick={() => handleApprove(request)}
+                      className="px-3 py-1 bg-green-500 text-white text-sm rounded hover:bg-green-600"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleDecline(request)}
+                      className="px-3 py-1 bg-red-500 text-white text-sm rounded hover:bg-red-600"
+                    >
+                      Decline
+                    </button>
+                    <button
+                      onClick={() => handleExpire(request)}
+                      className="px-3 py-1 bg-gray-500 text-white text-sm rounded hover:bg-gray-600"
+                    >
+                      Expire
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Reviews Panel Component
+// Moderation queue for guest reviews, plus one-time review links for guests who booked offline
+const REVIEW_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  approved: 'bg-green-100 text-green-700',
+  rejected: 'bg-red-100 text-red-700'
+};
+
+function ReviewsPanel({ apartments, onChanged }) {
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('pending');
+
+  // Review link form
+  const [linkForm, setLinkForm] = useState({ apartment_id: '', guest_name: '', stay_date: '' });
+  const [reviewLink, setReviewLink] = useState(null);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await reviewAPI.getAll(statusFilter);
+      setReviews(data.reviews || []);
+      return data.pendingCount;
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+      alert('Failed to load reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  // Refresh the list, then tell the dashboard (badge count + apartment ratings)
+  const refresh = async () => {
+    const pendingCount = await fetchReviews();
+    if (pendingCount !== undefined) onChanged(pendingCount);
+  };
+
+  const handleModerate = async (review, action) => {
+    try {
+      await reviewAPI[action](review.id);
+      refresh();
+    } catch (err) {
+      console.error(`Error updating review (${action}):`, err);
+      alert(err.response?.data?.message || 'Failed to update review');
+    }
+  };
+
+  const handleDelete = async (review) => {
+    if (!confirm(`Delete ${review.guest_name}'s review? This cannot be undone.`)) return;
+    handleModerate(review, 'delete');
+  };
+
+  const handleLinkChange = (e) => {
+    const { name, value } = e.target;
+    setLinkForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreateLink = async (e) => {
+    e.preventDefault();
+
+    try {
+      const { apartment_id, ...tokenData } = linkForm;
+      const data = await reviewAPI.createToken(apartment_id, tokenData);
+      setReviewLink(`${window.location.origin}/apartments/${apartment_id}?review_token=${data.token}#reviews`);
+      setLinkForm({ apartment_id: '', guest_name: '', stay_date: '' });
+    } catch (err) {
+      console.error('Error creating review link:', err);
+      alert(err.response?.data?.message || 'Failed to create review link');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Review Link */}
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <h2 className="text-xl font-bold text-dark mb-1">Send a Review Link</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Guests with a completed booking can review using their booking reference.
+          For anyone else, create a one-time link and send it to them.
+        </p>
+        <form onSubmit={handleCreateLink} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <select
+            name="apartment_id"
+            value={linkForm.apartment_id}
+            onChange={handleLinkChange}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">Choose apartment</option>
+            {apartments.map((apartment) => (
+              <option key={apartment.id} value={apartment.id}>{apartment.title}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            name="guest_name"
+            value={linkForm.guest_name}
+            onChange={handleLinkChange}
+            placeholder="Guest name"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="date"
+            name="stay_date"
+            value={linkForm.stay_date}
+            onChange={handleLinkChange}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            aria-label="Stay date"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-red-600 transition text-sm"
+          >
+            Create Link
+          </button>
+        </form>
+        {reviewLink && (
+          <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded-lg">
+            <p className="text-sm text-green-800 mb-2">Copy this link now - it won't be shown again:</p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                readOnly
+                value={reviewLink}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+              />
+              <button
+                onClick={() => navigator.clipboard.writeText(reviewLink)}
+                className="px-3 py-2 bg-dark text-white rounded-lg text-sm hover:bg-gray-800"
+              >
+                Copy
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Moderation Queue */}
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-dark">Guest Reviews</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            aria-label="Filter by status"
+          >
+            <option value="pending">Pending</option>
+            <option value="approved">Approved</option>
+            <option value="rejected">Rejected</option>
+            <option value="">All</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading reviews...</p>
+        ) : reviews.length === 0 ? (
+          <p className="text-sm text-gray-500">{statusFilter ? `No ${statusFilter} reviews` : 'No reviews yet'}</p>
+        ) : (
+          <div className="space-y-3">
+            {reviews.map((review) => (
+              <div key={review.id} className="p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <p className="font-semibold">
+                      {review.apartment_title}
+                      <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${REVIEW_STATUS_STYLES[review.status]}`}>
+                        {review.status}
+                      </span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      👤 {review.guest_name}
+                      {review.booking_id ? ` · booking #${review.booking_id}` : ' · review link'}
+                      {review.stay_date && ` · stayed ${formatDate(review.stay_date)}`}
+                    </p>
+                    <p className="text-sm text-gray-700 mt-1">
+                      {RATING_CATEGORIES.map(({ key, label }) => `${label} ${review[key]}★`).join(' · ')}
+                    </p>
+                    {review.comment && (
+                      <p className="text-sm text-gray-700 mt-1 italic whitespace-pre-line">"{review.comment}"</p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">Received {formatDate(review.created_at)}</p>
+                  </div>
+
+                  <div className="flex flex-col gap-2 shrink-0">
+                    {review.status !== 'approved' && (
+                      <button
+                        onClick={() => handleModerate(review, 'approve')}
+                        className="px-3 py-1 bg-green-500 text-white text-sm rounded hover:bg-green-600"
+                      >
+                        Approve
+                      </button>
+                    )}
+                    {review.status !== 'rejected' && (
+                      <button
+                        onClick={() => handleModerate(review, 'reject')}
+                        className="px-3 py-1 bg-yellow-500 text-white text-sm rounded hover:bg-yellow-600"
+                      >
+                        Reject
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDelete(review)}
+                      className="px-3 py-1 bg-red-500 text-white text-sm rounded hover:bg-red-600"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Activity Panel Component (managers and owners)
+// Who changed which apartment, booking, price, review or admin account - and what exactly changed
+function ActivityPanel({ apartments }) {
+  const emptyFilters = { admin_id: '', action: '', apartment_id: '', from: '', to: '' };
+
+  const [entries, setEntries] = useState([]);
+  const [admins, setAdmins] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const ACTION_LABELS = {
+    'apartment.create': 'Created apartment',
+    'apartment.update': 'Edited apartment',
+    'apartment.delete': 'Deleted apartment',
+    'apartment.restore': 'Restored old version',
+    'apartment.archive': 'Archived apartment',
+    'apartment.unarchive': 'Restored archived apartment',
+    'apartment.purge': 'Deleted apartment permanently',
+    'image.upload': 'Uploaded photo',
+    'image.delete': 'Deleted photo',
+    'image.set_primary': 'Changed main photo',
+    'image.update': 'Edited photo details',
+    'image.reorder': 'Reordered photos',
+    'video.upload': 'Uploaded video',
+    'video.update': 'Changed video',
+    'video.delete': 'Deleted video',
+    'video.reorder': 'Reordered videos',
+    'media.relink': 'Relinked media file',
+    'media.delete_orphans': 'Deleted unused media files',
+    'booking.create': 'Added booking/block',
+    'booking.update': 'Changed booking/block',
+    'booking.delete': 'Deleted booking/block',
+    'pricing_rule.create': 'Added pricing rule',
+    'pricing_rule.delete': 'Deleted pricing rule',
+    'booking_request.approve': 'Approved booking request',
+    'booking_request.decline': 'Declined booking request',
+    'booking_request.expire': 'Expired booking request',
+    'review.approve': 'Approved review',
+    'review.reject': 'Rejected review',
+    'review.delete': 'Deleted review',
+    'admin_user.create': 'Added admin',
+    'admin_user.update': 'Changed admin',
+    'admin_user.delete': 'Removed admin',
+    'admin_user.unlock': 'Unlocked admin',
+    'admin_user.reset_2fa': "Reset admin's two-factor",
+  };
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      // Leave out empty filters
+      const params = { page, limit: 25 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const data = await auditAPI.getAll(params);
+      setEntries(data.entries || []);
+      setAdmins(data.admins || []);
+      setActions(data.actions || []);
+      setTotalPages(Math.max(1, data.totalPages || 1));
+    } catch (err) {
+      console.error('Error fetching activity:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const changeFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+
+  // What the entry was about - the apartment's title if it still exists
+  const describeEntity = (entry) => {
+    const title = entry.apartment_title || entry.before?.title || entry.after?.title;
+    const apartment = title ? `"${title}"` : entry.apartment_id ? `Apartment #${entry.apartment_id}` : null;
+
+    if (entry.entity_type === 'apartment') return apartment;
+    if (entry.entity_id === null) return apartment || entry.entity_type.replace('_', ' ');
+    return [apartment, `${entry.entity_type.replace('_', ' ')} #${entry.entity_id}`].filter(Boolean).join(' · ');
+  };
+
+  const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm';
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-bold text-dark mb-4">Activity</h2>
+
+      {/* Filters */}
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-6">
+        <select
+          value={filters.admin_id}
+          onChange={(e) => changeFilter('admin_id', e.target.value)}
+          className={selectClass}
+          aria-label="Filter by admin"
+        >
+          <option value="">All admins</option>
+          {admins.map((admin) => (
+            <option key={admin.id} value={admin.id}>{admin.username}</option>
+          ))}
+        </select>
+        <select
+          value={filters.action}
+          onChange={(e) => changeFilter('action', e.target.value)}
+          className={selectClass}
+          aria-label="Filter by action"
+        >
+          <option value="">All changes</option>
+          {actions.map((action) => (
+            <option key={action} value={action}>{ACTION_LABELS[action] || action}</option>
+          ))}
+        </select>
+        <select
+          value={filters.apartment_id}
+          onChange={(e) => changeFilter('apartment_id', e.target.value)}
+          className={selectClass}
+          aria-label="Filter by apartment"
+        >
+          <option value="">All apartments</option>
+          {apartments.map((apartment) => (
+            <option key={apartment.id} value={apartment.id}>{apartment.title}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => changeFilter('from', e.target.value)}
+          className={selectClass}
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => changeFilter('to', e.target.value)}
+          className={selectClass}
+          aria-label="To date"
+        />
+        <button
+          onClick={() => { setFilters(emptyFilters); setPage(1); }}
+          className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm"
+        >
+          Clear filters
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading activity...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes recorded{Object.values(filters).some(Boolean) ? ' for these filters' : ' yet'}.</p>
+      ) : (
+        <div className="space-y-3">
+          {entries.map((entry) => {
+            // Updates list each changed field; creates/deletes show the whole record on request
+            const isUpdate = entry.before && entry.after;
+            const changedFields = isUpdate ? Object.keys(entry.after) : [];
+            const record = entry.after || entry.before;
+
+            return (
+              <div key={entry.id} className="p-4 bg-gray-50 rounded-lg">
+                <div className="flex flex-wrap items-baseline justify-between gap-2">
+                  <p className="text-sm">
+                    <span className="font-semibold">{entry.admin_username || 'Unknown admin'}</span>
+                    {' '}{(ACTION_LABELS[entry.action] || entry.action).toLowerCase()}
+                    {describeEntity(entry) && <span className="text-gray-700"> · {describeEntity(entry)}</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatDateTime(entry.created_at)}
+                    {entry.ip_address && <span className="font-mono"> · {entry.ip_address}</span>}
+                  </p>
+                </div>
+
+                {isUpdate ? (
+                  <ul className="mt-2 text-sm space-y-1">
+                    {changedFields.map((field) => (
+                      <li key={field}>
+                        <span className="text-gray-600">{field}:</span>{' '}
+                        <span className="line-through text-red-600">{formatValue(entry.before[field])}</span>
+                        {' → '}
+                        <span className="text-green-700">{formatValue(entry.after[field])}</span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : record && (
+                  <details className="mt-2 text-sm">
+                    <summary className="cursor-pointer text-gray-600">Details</summary>
+                    <ul className="mt-1 space-y-1">
+                      {Object.entries(record).map(([field, value]) => (
+                        <li key={field}>
+                          <span className="text-gray-600">{field}:</span> {formatValue(value)}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-end gap-3 mt-4 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Admin Users Panel Component (owners only)
+// Add admins, change their role or password, and remove them
+function AdminUsersPanel({ currentAdmin }) {
+  const emptyForm = { username: '', email: '', password: '', role: 'staff' };
+
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchAdmins();
+  }, []);
+
+  const fetchAdmins = async () => {
+    try {
+      setLoading(true);
+      const data = await adminUserAPI.getAll();
+      setAdmins(data.admins || []);
+    } catch (err) {
+      console.error('Error fetching admins:', err);
+      alert('Failed to load admins');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await adminUserAPI.create(form);
+      setForm(emptyForm);
+      fetchAdmins();
+    } catch (err) {
+      console.error('Error creating admin:', err);
+      alert(err.response?.data?.message || 'Failed to create admin');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (admin, role) => {
+    try {
+      await adminUserAPI.update(admin.id, { role });
+      fetchAdmins();
+    } catch (err) {
+      console.error('Error changing role:', err);
+      alert(err.response?.data?.message || 'Failed to change role');
+    }
+  };
+
+  const handleEmailChange = async (admin) => {
+    const email = prompt(`Email for ${admin.username} (password reset links go here):`, admin.email || '');
+    if (email === null) return;
+
+    try {
+      await adminUserAPI.update(admin.id, { email });
+      fetchAdmins();
+    } catch (err) {
+      console.error('Error changing email:', err);
+      alert(err.response?.data?.message || 'Failed to change email');
+    }
+  };
+
+  const handleResetPassword = async (admin) => {
+    const password = prompt(`Temporary password for ${admin.username} (at least ${MIN_PASSWORD_LENGTH} characters) - they'll be asked to change it when they log in:`);
+    if (!password) return;
+
+    try {
+      await adminUserAPI.update(admin.id, { password });
+      fetchAdmins();
+      alert(`Password updated for ${admin.username}`);
+    } catch (err) {
+      console.error('Error resetting password:', err);
+      alert(err.response?.data?.message || 'Failed to reset password');
+    }
+  };
+
+  const handleResetTwoFactor = async (admin) => {
+    if (!confirm(`Turn off two-factor authentication for ${admin.username}? Only do this if they've lost their phone and recovery codes. They will be signed out.`)) return;
+
+    try {
+      await adminUserAPI.resetTwoFactor(admin.id);
+      fetchAdmins();
+    } catch (err) {
+      console.error('Error resetting two-factor:', err);
+      alert(err.response?.data?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const handleUnlock = async (admin) => {
+    try {
+      await adminUserAPI.unlock(admin.id);
+      fetchAdmins();
+    } catch (err) {
+      console.error('Error unlocking admin:', err);
+      alert(err.response?.data?.message || 'Failed to unlock admin');
+    }
+  };
+
+  const handleDelete = async (admin) => {
+    if (!confirm(`Remove ${admin.username}? They will be signed out straight away.`)) return;
+
+    try {
+      await adminUserAPI.delete(admin.id);
+      fetchAdmins();
+    } catch (err) {
+      console.error('Error deleting admin:', err);
+      alert(err.response?.data?.message || 'Failed to delete admin');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-bold text-dark mb-2">Admins</h2>
+
+      {/* What each role can do */}
+      <ul className="mb-6 text-sm text-gray-600 space-y-1">
+        {ADMIN_ROLES.map((role) => (
+          <li key={role.value}>
+            <span className="font-semibold text-dark">{role.label}:</span> {role.description}
+          </li>
+        ))}
+      </ul>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading admins...</p>
+      ) : (
+        <div className="space-y-2 mb-6">
+          {admins.map((admin) => {
+            const isMe = admin.id === currentAdmin?.id;
+
+            return (
+              <div key={admin.id} className="flex flex-wrap items-center justify-between gap-3 p-3 bg-gray-50 rounded-lg">
+                <div>
+                  <p className="font-semibold">
+                    {admin.username}
+                    {isMe && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                    {admin.locked && (
+                      <span className="ml-2 px-2 py-0.5 bg-red-100 text-red-700 text-xs rounded-full">
+                        Locked out
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {admin.email || 'No email'} · Added {formatDate(admin.created_at)}
+                    {admin.must_change_password ? ' · Temporary password' : ''}
+                    {admin.totp_enabled ? ' · 2FA on' : ''}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={admin.role}
+                    onChange={(e) => handleRoleChange(admin, e.target.value)}
+                    className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                    aria-label={`Role for ${admin.username}`}
+                  >
+                    {ADMIN_ROLES.map((role) => (
+                      <option key={role.value} value={role.value}>{role.label}</option>
+                    ))}
+                  </select>
+                  {admin.locked && (
+                    <button
+                      onClick={() => handleUnlock(admin)}
+                      className="px-3 py-1 bg-yellow-500 text-white text-sm rounded hover:bg-yellow-600"
+                    >
+                      Unlock
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleEmailChange(admin)}
+                    className="px-3 py-1 bg-gray-200 text-dark text-sm rounded hover:bg-gray-300"
+                  >
+                    Email
+                  </button>
+                  {admin.totp_enabled && !isMe && (
+                    <button
+                      onClick={() => handleResetTwoFactor(admin)}
+                      className="px-3 py-1 bg-gray-200 text-dark text-sm rounded hover:bg-gray-300"
+                    >
+                      Reset 2FA
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleResetPassword(admin)}
+                    className="px-3 py-1 bg-gray-500 text-white text-sm rounded hover:bg-gray-600"
+                  >
+                    Reset Password
+                  </button>
+                  {!isMe && (
+                    <button
+                      onClick={() => handleDelete(admin)}
+                      className="px-3 py-1 bg-red-500 text-white text-sm rounded hover:bg-red-600"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Add Admin */}
+      <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-5 gap-3">
+        <input
+          type="text"
+          value={form.username}
+          onChange={(e) => setForm({ ...form, username: e.target.value })}
+          required
+          placeholder="Username"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="email"
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+          placeholder="Email (for password resets)"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+          required
+          minLength={MIN_PASSWORD_LENGTH}
+          placeholder="Temporary password"
+          autoComplete="new-password"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <select
+          value={form.role}
+          onChange={(e) => setForm({ ...form, role: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          aria-label="Role"
+        >
+          {ADMIN_ROLES.map((role) => (
+            <option key={role.value} value={role.value}>{role.label}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-red-600 transition text-sm font-semibold disabled:opacity-50"
+        >
+          {saving ? 'Adding...' : 'Add Admin'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Login Log Panel Component (owners only)
+// Recent login attempts - who tried, from where, and whether it worked
+function LoginLogPanel() {
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all'); // 'all' | 'failed' | 'success'
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const REASON_LABELS = {
+    success: 'Logged in',
+    recovery_code: 'Logged in with a recovery code',
+    wrong_password: 'Wrong password',
+    wrong_2fa_code: 'Wrong two-factor code',
+    unknown_user: 'Unknown username',
+    backoff: 'Too soon after a failure',
+    locked_out: 'Locked out',
+  };
+
+  const fetchLog = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 25 };
+      if (filter !== 'all') params.success = filter === 'success' ? 1 : 0;
+
+      const data = await adminUserAPI.getLoginLog(params);
+      setAttempts(data.attempts || []);
+      setTotalPages(Math.max(1, data.totalPages || 1));
+    } catch (err) {
+      console.error('Error fetching login log:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter, page]);
+
+  useEffect(() => {
+    fetchLog();
+  }, [fetchLog]);
+
+  const changeFilter = (value) => {
+    setFilter(value);
+    setPage(1);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-xl font-bold text-dark">Login Activity</h2>
+        <div className="flex gap-2">
+          {[
+            { value: 'all', label: 'All' },
+            { value: 'failed', label: 'Failed' },
+            { value: 'success', label: 'Successful' },
+          ].map((option) => (
+            <button
+              key={option.value}
+              onClick={() => changeFilter(option.value)}
+              className={`px-3 py-1 text-sm rounded-full ${
+                filter === option.value ? 'bg-dark text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading login activity...</p>
+      ) : attempts.length === 0 ? (
+        <p className="text-sm text-gray-500">No login attempts yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4 font-medium">When</th>
+                <th className="py-2 pr-4 font-medium">Username</th>
+                <th className="py-2 pr-4 font-medium">Result</th>
+                <th className="py-2 pr-4 font-medium">IP address</th>
+                <th className="py-2 font-medium">Browser</th>
+              </tr>
+            </thead>
+            <tbody>
+              {attempts.map((attempt) => (
+                <tr key={attempt.id} className="border-b last:border-0">
+                  <td className="py-2 pr-4 whitespace-nowrap">{formatDateTime(attempt.created_at)}</td>
+                  <td className="py-2 pr-4">{attempt.username}</td>
+                  <td className={`py-2 pr-4 ${attempt.success ? 'text-green-700' : 'text-red-600'}`}>
+                    {REASON_LABELS[attempt.reason] || attempt.reason}
+                  </td>
+                  <td className="py-2 pr-4 font-mono text-xs">{attempt.ip_address || '—'}</td>
+                  <td className="py-2 text-xs text-gray-500 max-w-xs truncate" title={attempt.user_agent || ''}>
+                    {attempt.user_agent || '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-end gap-3 mt-4 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Bookings Panel Component
+// Lists upcoming bookings/blocks for one apartment and lets the admin add or cancel them
+function BookingsPanel({ apartmentId, onChanged }) {
+  const emptyForm = {
+    guest_name: '',
+    guest_phone: '',
+    guest_email: '',
+    guests: 1,
+    check_in: '',
+    check_out: '',
+    status: 'confirmed',
+    notes: ''
+  };
+
+  const [bookings, setBookings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchBookings = useCallback(async () => {
+    try {
+      setLoading(true);
+      // Only show stays that haven't finished yet
+      const today = new Date().toISOString().slice(0, 10);
+      const data = await bookingAPI.getAll(apartmentId, { from: today });
+      setBookings(data.bookings || []);
+    } catch (err) {
+      console.error('Error fetching bookings:', err);
+      alert('Failed to load bookings');
+    } finally {
+      setLoading(false);
+    }
+  }, [apartmentId]);
+
+  useEffect(() => {
+    fetchBookings();
+  }, [fetchBookings]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await bookingAPI.create(apartmentId, form);
+      setForm(emptyForm);
+      fetchBookings();
+      onChanged();
+    } catch (err) {
+      console.error('Error creating booking:', err);
+      alert(err.response?.data?.message || 'Failed to create booking');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (booking) => {
+    if (!confirm('Cancel this booking? The dates will become available again.')) return;
+
+    try {
+      await bookingAPI.update(apartmentId, booking.id, { status: 'cancelled' });
+      fetchBookings();
+      onChanged();
+    } catch (err) {
+      console.error('Error cancelling booking:', err);
+      alert(err.response?.data?.message || 'Failed to cancel booking');
+    }
+  };
+
+  const activeBookings = bookings.filter(b => b.status !== 'cancelled');
+
+  return (
+    <div className="mt-6 pt-6 border-t">
+      <h4 className="font-semibold mb-4">Manage Bookings</h4>
+
+      {/* Existing Bookings */}
+      {loading ? (
+        <p className="text-sm text-gray-500 mb-4">Loading bookings...</p>
+      ) : activeBookings.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No upcoming bookings</p>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {activeBookings.map((booking) => (
+            <div key={booking.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div>
+                <p className="font-semibold text-sm">
+                  {formatDate(booking.check_in)} → {formatDate(booking.check_out)}
+                  <span className="ml-2 font-normal text-gray-500">Ref #{booking.id}</span>
+                </p>
+                <p className="text-sm text-gray-600">
+                  {booking.status === 'blocked'
+                    ? `🚫 Blocked${booking.notes ? ` - ${booking.notes}` : ''}`
+                    : `👤 ${booking.guest_name}${booking.guest_phone ? ` · ${booking.guest_phone}` : ''}`}
+                </p>
+              </div>
+              <button
+                onClick={() => handleCancel(booking)}
+                className="px-2 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600"
+              >
+                Cancel
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* New Booking */}
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <select
+          name="status"
+          value={form.status}
+          onChange={handleChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="confirmed">Guest booking</option>
+          <option value="blocked">Block dates</option>
+        </select>
+        <input
+          type="date"
+          name="check_in"
+          value={form.check_in}
+          onChange={handleChange}
+          required
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          aria-label="Check-in"
+        />
+        <input
+          type="date"
+          name="check_out"
+          value={form.check_out}
+          onChange={handleChange}
+          min={form.check_in}
+          required
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          aria-label="Check-out"
+        />
+        {form.status === 'confirmed' ? (
+          <input
+            type="text"
+            name="guest_name"
+            value={form.guest_name}
+            onChange={handleChange}
+            required
+            placeholder="Guest name"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        ) : (
+          <input
+            type="text"
+            name="notes"
+            value={form.notes}
+            onChange={handleChange}
+            placeholder="Reason (optional)"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        )}
+        {form.status === 'confirmed' && (
+          <>
+            <input
+              type="tel"
+              name="guest_phone"
+              value={form.guest_phone}
+              onChange={handleChange}
+              placeholder="Phone"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="email"
+              name="guest_email"
+              value={form.guest_email}
+              onChange={handleChange}
+              placeholder="Email"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="number"
+              name="guests"
+              value={form.guests}
+              onChange={handleChange}
+              min="1"
+              placeholder="Guests"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </>
+        )}
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-red-600 transition text-sm disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : form.status === 'blocked' ? 'Block Dates' : 'Add Booking'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Calendar Sync Panel Component
+// Shows our .ics export link and manages the external feeds we import blocked dates from
+function CalendarSyncPanel({ apartmentId, onChanged }) {
+  const [feeds, setFeeds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [syncingId, setSyncingId] = useState(null);
+  const [form, setForm] = useState({ name: '', url: '' });
+  const exportUrl = calendarAPI.getExportUrl(apartmentId);
+
+  const fetchFeeds = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await calendarAPI.getFeeds(apartmentId);
+      setFeeds(data.feeds || []);
+    } catch (err) {
+      console.error('Error fetching calendar feeds:', err);
+      alert('Failed to load calendar feeds');
+    } finally {
+      setLoading(false);
+    }
+  }, [apartmentId]);
+
+  useEffect(() => {
+    fetchFeeds();
+  }, [fetchFeeds]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(exportUrl);
+      alert('Calendar link copied!');
+    } catch {
+      prompt('Copy this calendar link:', exportUrl);
+    }
+  };
+
+  const handleAddFeed = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const data = await calendarAPI.addFeed(apartmentId, form);
+      if (!data.sync?.success) {
+        alert(`Feed saved, but the first sync failed: ${data.sync?.error}`);
+      } else if (data.sync.conflicts?.length > 0) {
+        alert(`Feed saved, but it clashes with confirmed bookings:\n${data.sync.conflicts.join('\n')}`);
+      }
+      setForm({ name: '', url: '' });
+      fetchFeeds();
+      onChanged();
+    } catch (err) {
+      console.error('Error adding calendar feed:', err);
+      alert(err.response?.data?.message || 'Failed to add calendar feed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSync = async (feedId) => {
+    try {
+      setSyncingId(feedId);
+      const data = await calendarAPI.syncFeed(apartmentId, feedId);
+      // Double bookings need someone to call a guest, so don't leave them to the small print
+      if (data.sync?.conflicts?.length > 0) {
+        alert(`${data.message}:\n${data.sync.conflicts.join('\n')}`);
+      }
+    } catch (err) {
+      console.error('Error syncing calendar feed:', err);
+      alert(err.response?.data?.sync?.error || 'Failed to sync calendar feed');
+    } finally {
+      setSyncingId(null);
+      fetchFeeds();
+      onChanged();
+    }
+  };
+
+  const handleDeleteFeed = async (feedId) => {
+    if (!confirm('Remove this feed? Dates it blocked will become available again.')) return;
+
+    try {
+      await calendarAPI.deleteFeed(apartmentId, feedId);
+      fetchFeeds();
+      onChanged();
+    } catch (err) {
+      console.error('Error removing calendar feed:', err);
+      alert('Failed to remove calendar feed');
+    }
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t">
+      <h4 className="font-semibold mb-4">Calendar Sync</h4>
+
+      {/* Export Link */}
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Export link (paste into Airbnb / Booking.com)
+        </label>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            readOnly
+            value={exportUrl}
+            onFocus={(e) => e.target.select()}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-gray-50"
+          />
+          <button
+            type="button"
+            onClick={handleCopy}
+            className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition text-sm"
+          >
+            Copy
+          </button>
+        </div>
+      </div>
+
+      {/* Imported Feeds */}
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Imported calendars
+      </label>
+      {loading ? (
+        <p className="text-sm text-gray-500 mb-4">Loading feeds...</p>
+      ) : feeds.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No external calendars yet</p>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {feeds.map((feed) => (
+            <div key={feed.id} className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="font-semibold text-sm">{feed.name}</p>
+                  <p className="text-xs text-gray-500 truncate">{feed.url}</p>
+                  <p className="text-xs text-gray-600">
+                    {feed.last_synced_at
+                      ? `Last synced ${formatDate(feed.last_synced_at)} · ${feed.last_event_count} blocked stay(s)`
+                      : 'Never synced'}
+                  </p>
+                </div>
+                <div className="flex gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleSync(feed.id)}
+                    disabled={syncingId === feed.id}
+                    className="px-2 py-1 bg-teal-500 text-white text-xs rounded hover:bg-teal-600 disabled:opacity-50"
+                  >
+                    {syncingId === feed.id ? 'Syncing...' : 'Sync now'}
+                  </button>
+                  <button
+                    onClick={() => handleDeleteFeed(feed.id)}
+                    className="px-2 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+              {feed.last_error && (
+                <p className="mt-2 text-xs text-red-600 whitespace-pre-line">⚠️ {feed.last_error}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Add Feed */}
+      <form onSubmit={handleAddFeed} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          required
+          placeholder="Name (e.g. Airbnb)"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="text"
+          value={form.url}
+          onChange={(e) => setForm({ ...form, url: e.target.value })}
+          required
+          placeholder="https://www.airbnb.com/calendar/ical/..."
+          className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-red-600 transition text-sm disabled:opacity-50"
+        >
+          {saving ? 'Adding...' : 'Add Calendar'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Pricing Rules Editor Component
+// Seasonal prices, weekday multipliers and long-stay discounts for one apartment
+// Rules are saved straight away (separately from the main apartment form)
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function PricingRulesEditor({ apartmentId }) {
+  const emptyRule = {
+    type: 'date_range',
+    name: '',
+    start_date: '',
+    end_date: '',
+    nightly_price: '',
+    days_of_week: [5, 6],
+    multiplier: 1.2,
+    min_nights: 7,
+    discount_percent: 10
+  };
+
+  const [rules, setRules] = useState([]);
+  const [newRule, setNewRule] = useState(emptyRule);
+  const [saving, setSaving] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const data = await pricingAPI.getRules(apartmentId);
+      setRules(data.rules || []);
+    } catch (err) {
+      console.error('Error fetching pricing rules:', err);
+    }
+  }, [apartmentId]);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const updateRule = (name, value) => {
+    setNewRule(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleDay = (day) => {
+    setNewRule(prev => ({
+      ...prev,
+      days_of_week: prev.days_of_week.includes(day)
+        ? prev.days_of_week.filter(d => d !== day)
+        : [...prev.days_of_week, day].sort()
+    }));
+  };
+
+  const handleAddRule = async () => {
+    try {
+      setSaving(true);
+      await pricingAPI.createRule(apartmentId, newRule);
+      setNewRule(emptyRule);
+      fetchRules();
+    } catch (err) {
+      console.error('Error creating pricing rule:', err);
+      alert(err.response?.data?.message || 'Failed to add pricing rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRule = async (ruleId) => {
+    if (!confirm('Delete this pricing rule?')) return;
+
+    try {
+      await pricingAPI.deleteRule(apartmentId, ruleId);
+      fetchRules();
+    } catch (err) {
+      console.error('Error deleting pricing rule:', err);
+      alert('Failed to delete pricing rule');
+    }
+  };
+
+  const describeRule = (rule) => {
+    if (rule.type === 'date_range') {
+      return `${formatDate(rule.start_date)} – ${formatDate(rule.end_date)}: ${formatPrice(rule.nightly_price)}/night`;
+    }
+    if (rule.type === 'day_of_week') {
+      return `${rule.days_of_week.map(d => WEEKDAY_LABELS[d]).join(', ')}: × ${rule.multiplier}`;
+    }
+    return `${rule.min_nights}+ nights: ${rule.discount_percent}% off`;
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm';
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Pricing Rules
+      </label>
+      <div className="border border-gray-300 rounded-lg p-3 space-y-3">
+        {/* Existing Rules */}
+        {rules.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No rules yet - every night costs the base price
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {rules.map((rule) => (
+              <li key={rule.id} className="flex items-center justify-between text-sm bg-gray-50 rounded-lg px-3 py-2">
+                <span>
+                  {rule.name && <strong>{rule.name} · </strong>}
+                  {describeRule(rule)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteRule(rule.id)}
+                  className="text-red-500 hover:text-red-700 text-xs font-semibold"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* New Rule */}
+        <div className="grid grid-cols-2 gap-2 pt-2 border-t">
+          <select
+            value={newRule.type}
+            onChange={(e) => updateRule('type', e.target.value)}
+            className={inputClass}
+          >
+            <option value="date_range">Seasonal price</option>
+            <option value="day_of_week">Weekday multiplier</option>
+            <option value="length_of_stay">Long-stay discount</option>
+          </select>
+          <input
+            type="text"
+            value={newRule.name}
+            onChange={(e) => updateRule('name', e.target.value)}
+            placeholder="Name (e.g. December holidays)"
+            className={inputClass}
+          />
+
+          {newRule.type === 'date_range' && (
+            <>
+              <input
+                type="date"
+                value={newRule.start_date}
+                onChange={(e) => updateRule('start_date', e.target.value)}
+                className={inputClass}
+                aria-label="First night"
+              />
+              <input
+                type="date"
+                value={newRule.end_date}
+                onChange={(e) => updateRule('end_date', e.target.value)}
+                min={newRule.start_date}
+                className={inputClass}
+                aria-label="Last night"
+              />
+              <input
+                type="number"
+                value={newRule.nightly_price}
+                onChange={(e) => updateRule('nightly_price', e.target.value)}
+                min="0"
+                step="1000"
+                placeholder="Price per night (₦)"
+                className={`${inputClass} col-span-2`}
+              />
+            </>
+          )}
+
+          {newRule.type === 'day_of_week' && (
+            <>
+              <div className="col-span-2 flex flex-wrap gap-1">
+                {WEEKDAY_LABELS.map((label, day) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => toggleDay(day)}
+                    className={`px-2 py-1 rounded text-xs font-semibold ${
+                      newRule.days_of_week.includes(day)
+                        ? 'bg-primary text-white'
+                        : 'bg-gray-100 text-gray-700'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <input
+                type="number"
+                value={newRule.multiplier}
+                onChange={(e) => updateRule('multiplier', e.target.value)}
+                min="0.1"
+                step="0.05"
+                placeholder="Multiplier (e.g. 1.2)"
+                className={`${inputClass} col-span-2`}
+              />
+            </>
+          )}
+
+          {newRule.type === 'length_of_stay' && (
+            <>
+              <input
+                type="number"
+                value={newRule.min_nights}
+                onChange={(e) => updateRule('min_nights', e.target.value)}
+                min="2"
+                placeholder="Minimum nights"
+                className={inputClass}
+              />
+              <input
+                type="number"
+                value={newRule.discount_percent}
+                onChange={(e) => updateRule('discount_percent', e.target.value)}
+                min="1"
+                max="99"
+                placeholder="Discount %"
+                className={inputClass}
+              />
+            </>
+          )}
+
+          <button
+            type="button"
+            onClick={handleAddRule}
+            disabled={saving}
+            className="col-span-2 px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition text-sm disabled:opacity-50"
+          >
+            {saving ? 'Adding...' : 'Add Rule'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Create/Edit Modal Component
+function ApartmentModal({ apartment, formData, onChange, onSubmit, onClose, availableAmenities, onAmenityToggle, canManageBookings, onRestored }) {
+  // Staff can set prices on a new listing, but changing them later is a manager's job
+  const lockPrices = Boolean(apartment) && !canManageBookings;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <div className="bg-white rounded-xl max-w-2xl w-full my-8 max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <h2 className="text-2xl font-bold mb-6">
+            {apartment ? 'Edit Apartment' : 'Create New Apartment'}
+          </h2>
+
+          <form onSubmit={onSubmit} className="space-y-4">
+            {/* Title */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Title *
+              </label>
+              <input
+                type="text"
+                name="title"
+                value={formData.title}
+                onChange={onChange}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                placeholder="e.g., Luxury 2-Bedroom Apartment"
+              />
+            </div>
+
+            {/* Description */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Description
+              </label>
+              <textarea
+                name="description"
+                value={formData.description}
+                onChange={onChange}
+                rows="4"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
                 placeholder="Describe the apartment..."
               />
             </div>
@@ -619,11 +3145,52 @@ function ApartmentModal({ apartment, formData, onChange, onSubmit, onClose, avai
                 min="0"
                 step="1000"
                 required
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                disabled={lockPrices}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary disabled:bg-gray-100 disabled:text-gray-500"
                 placeholder="e.g., 35000"
               />
+              {lockPrices && (
+                <p className="text-xs text-gray-500 mt-1">Only managers and owners can change prices.</p>
+              )}
+            </div>
+
+            {/* Fees */}
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Cleaning Fee (₦, per stay)
+                </label>
+                <input
+                  type="number"
+                  name="cleaning_fee"
+                  value={formData.cleaning_fee}
+                  onChange={onChange}
+                  min="0"
+                  step="500"
+                  disabled={lockPrices}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary disabled:bg-gray-100 disabled:text-gray-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Caution Deposit (₦, refundable)
+                </label>
+                <input
+                  type="number"
+                  name="caution_deposit"
+                  value={formData.caution_deposit}
+                  onChange={onChange}
+                  min="0"
+                  step="1000"
+                  disabled={lockPrices}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary disabled:bg-gray-100 disabled:text-gray-500"
+                />
+              </div>
             </div>
 
+            {/* Pricing Rules (rules belong to a saved apartment, so only when editing) */}
+            {apartment && canManageBookings && <PricingRulesEditor apartmentId={apartment.id} />}
+
             {/* Address */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -670,6 +3237,54 @@ function ApartmentModal({ apartment, formData, onChange, onSubmit, onClose, avai
               </div>
             </div>
 
+            {/* Map Location */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Map Location
+              </label>
+              <div className="grid grid-cols-2 gap-4">
+                <input
+                  type="number"
+                  name="latitude"
+                  value={formData.latitude}
+                  onChange={onChange}
+                  step="any"
+                  min="-90"
+                  max="90"
+                  placeholder="Latitude (e.g. 9.0820)"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                />
+                <input
+                  type="number"
+                  name="longitude"
+                  value={formData.longitude}
+                  onChange={onChange}
+                  step="any"
+                  min="-180"
+                  max="180"
+                  placeholder="Longitude (e.g. 7.4951)"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Tip: right-click the building in Google Maps to copy its coordinates. Leave both empty to hide the map.
+              </p>
+              {formData.latitude !== '' && formData.longitude !== '' && (
+                <div className="mt-3">
+                  <TileMap
+                    key={`${formData.latitude},${formData.longitude}`}
+                    height={200}
+                    markers={[{
+                      id: 'preview',
+                      lat: Number(formData.latitude),
+                      lng: Number(formData.longitude),
+                      label: formData.title || 'This apartment'
+                    }]}
+                  />
+                </div>
+              )}
+            </div>
+
             {/* Amenities */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -692,20 +3307,6 @@ function ApartmentModal({ apartment, formData, onChange, onSubmit, onClose, avai
 
             {/* Checkboxes */}
             <div className="space-y-2">
-              <div className="flex items-center">
-                <input
-                  type="checkbox"
-                  name="available"
-                  id="available"
-                  checked={formData.available}
-                  onChange={onChange}
-                  className="w-4 h-4 text-primary border-gray-300 rounded focus:ring-primary"
-                />
-                <label htmlFor="available" className="ml-2 text-sm text-gray-700">
-                  Available for booking
-                </label>
-              </div>
-
               <div className="flex items-center">
                 <input
                   type="checkbox"
@@ -738,6 +3339,20 @@ function ApartmentModal({ apartment, formData, onChange, onSubmit, onClose, avai
               </button>
             </div>
           </form>
+
+          {/* Revision history - only for a listing that's already saved */}
+          {apartment && (
+            <details className="mt-6 border-t pt-4">
+              <summary className="cursor-pointer font-semibold text-gray-700">Revision History</summary>
+              <div className="mt-4">
+                <RevisionHistory
+                  apartmentId={apartment.id}
+                  canManageBookings={canManageBookings}
+                  onRestored={onRestored}
+                />
+              </div>
+            </details>
+          )}
         </div>
       </div>
     </div>
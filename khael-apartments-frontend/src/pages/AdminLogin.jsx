@@ -2,8 +2,9 @@
 // Admin login page
 
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { authAPI } from '../services/api';
+import ChangePasswordForm from '../components/ChangePasswordForm';
 
 function AdminLogin() {
   const navigate = useNavigate();
@@ -14,6 +15,14 @@ function AdminLogin() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  // Set after logging in with a default/temporary password - a new one is needed before going on
+  const [mustChangePassword, setMustChangePassword] = useState(false);
+
+  // Set when the password was right but the account has two-factor authentication on
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -23,6 +32,22 @@ function AdminLogin() {
     if (error) setError('');
   };
 
+  // Logged in (with or without a 2FA code) - go on to the dashboard, or ask for a new password first
+  const finishLogin = (response) => {
+    if (response.recovery_codes_remaining !== undefined && response.recovery_codes_remaining <= 3) {
+      alert(`You have ${response.recovery_codes_remaining} recovery code(s) left. Create new ones under "Two-Factor" in the dashboard.`);
+    }
+
+    // First login with a default/temporary password: ask for a new one first
+    if (response.must_change_password) {
+      setMustChangePassword(true);
+      return;
+    }
+
+    // Redirect to dashboard
+    navigate('/admin/dashboard');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -36,14 +61,16 @@ function AdminLogin() {
       setLoading(true);
       setError('');
 
-      // Call login API
+      // Call login API (it stores the access + refresh tokens in localStorage)
       const response = await authAPI.login(formData.username, formData.password);
 
-      // Store token in localStorage
-      localStorage.setItem('adminToken', response.token);
+      // Two-factor on: ask for the code from their authenticator app next
+      if (response.two_factor_required) {
+        setChallengeToken(response.challenge_token);
+        return;
+      }
 
-      // Redirect to dashboard
-      navigate('/admin/dashboard');
+      finishLogin(response);
     } catch (err) {
       console.error('Login error:', err);
       setError(
@@ -55,6 +82,46 @@ function AdminLogin() {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await authAPI.verifyTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+      );
+      finishLogin(response);
+    } catch (err) {
+      console.error('Two-factor error:', err);
+
+      // The challenge ran out - start again from the password
+      if (err.response?.data?.error === 'Login expired') {
+        setChallengeToken(null);
+        setTwoFactorCode('');
+      }
+
+      setError(err.response?.data?.message || 'Verification failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setTwoFactorCode('');
+    setError('');
+  };
+
+  const backToPassword = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary/10 to-secondary/10 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full">
@@ -64,12 +131,28 @@ function AdminLogin() {
             <div className="w-16 h-16 bg-primary rounded-full flex items-center justify-center mx-auto mb-4">
               <span className="text-white font-bold text-2xl">K</span>
             </div>
-            <h2 className="text-3xl font-bold text-dark">Admin Login</h2>
+            <h2 className="text-3xl font-bold text-dark">
+              {mustChangePassword ? 'Choose a New Password' : challengeToken ? 'Two-Factor Authentication' : 'Admin Login'}
+            </h2>
             <p className="text-gray-600 mt-2">
-              Sign in to manage Khael Apartments
+              {mustChangePassword
+                ? 'You signed in with a temporary password. Please pick your own before continuing.'
+                : challengeToken
+                  ? useRecoveryCode
+                    ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                    : 'Enter the 6-digit code from your authenticator app.'
+                  : 'Sign in to manage Khael Apartments'}
             </p>
           </div>
 
+          {/* Forced Password Change */}
+          {mustChangePassword && (
+            <ChangePasswordForm
+              currentPassword={formData.password}
+              onChanged={() => navigate('/admin/dashboard')}
+            />
+          )}
+
           {/* Error Message */}
           {error && (
             <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
@@ -77,63 +160,115 @@ function AdminLogin() {
             </div>
           )}
 
+          {/* Two-Factor Code */}
+          {!mustChangePassword && challengeToken && (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+                  {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                </label>
+                <input
+                  id="twoFactorCode"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  maxLength={useRecoveryCode ? 19 : 6}
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, ''));
+                    if (error) setError('');
+                  }}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent transition text-center text-xl tracking-widest font-mono"
+                  placeholder={useRecoveryCode ? 'xxxx-xxxx-xxxx-xxxx' : '123456'}
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 px-4 bg-primary text-white font-semibold rounded-lg hover:bg-red-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+
+              <div className="flex justify-between text-sm">
+                <button type="button" onClick={backToPassword} className="text-gray-600 hover:text-primary transition">
+                  ← Back
+                </button>
+                <button type="button" onClick={toggleRecoveryCode} className="text-gray-600 hover:text-primary transition">
+                  {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+                </button>
+              </div>
+            </form>
+          )}
+
           {/* Login Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Username */}
-            <div>
-              <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
-                Username
-              </label>
-              <input
-                id="username"
-                name="username"
-                type="text"
-                autoComplete="username"
-                required
-                value={formData.username}
-                onChange={handleChange}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent transition"
-                placeholder="Enter your username"
-              />
-            </div>
+          {!mustChangePassword && !challengeToken && (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Username */}
+              <div>
+                <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
+                  Username
+                </label>
+                <input
+                  id="username"
+                  name="username"
+                  type="text"
+                  autoComplete="username"
+                  required
+                  value={formData.username}
+                  onChange={handleChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent transition"
+                  placeholder="Enter your username"
+                />
+              </div>
 
-            {/* Password */}
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete="current-password"
-                required
-                value={formData.password}
-                onChange={handleChange}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent transition"
-                placeholder="Enter your password"
-              />
-            </div>
+              {/* Password */}
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  value={formData.password}
+                  onChange={handleChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent transition"
+                  placeholder="Enter your password"
+                />
+              </div>
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full py-3 px-4 bg-primary text-white font-semibold rounded-lg hover:bg-red-600 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
-            >
-              {loading ? (
-                <>
-                  <svg className="animate-spin h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Signing in...
-                </>
-              ) : (
-                'Sign In'
-              )}
-            </button>
-          </form>
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 px-4 bg-primary text-white font-semibold rounded-lg hover:bg-red-600 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+              >
+                {loading ? (
+                  <>
+                    <svg className="animate-spin h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                    Signing in...
+                  </>
+                ) : (
+                  'Sign In'
+                )}
+              </button>
+
+              <div className="text-center">
+                <Link to="/admin/reset-password" className="text-sm text-gray-600 hover:text-primary transition">
+                  Forgot your password?
+                </Link>
+              </div>
+            </form>
+          )}
 
           {/* Back to Home Link */}
           <div className="mt-6 text-center">
@@ -1,23 +1,36 @@
 // src/pages/ApartmentDetails.jsx
 // Detailed view of a single apartment
 
-import { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import { apartmentAPI } from '../services/api';
 import ImageCarousel from '../components/ImageCarousel';
-import { formatPrice, getImageUrl } from '../utils/formatters';
+import AvailabilityCalendar from '../components/AvailabilityCalendar';
+import BookingRequestForm from '../components/BookingRequestForm';
+import TileMap from '../components/TileMap';
+import ReviewsSection from '../components/ReviewsSection';
+import { formatPrice, formatDate, getImageUrl, getNights, getNightText } from '../utils/formatters';
+import { IMAGE_ROOMS } from '../utils/constants';
 
 function ApartmentDetails() {
   const { id } = useParams();
+
+  // Guests who were sent a review link arrive with ?review_token=...
+  const [searchParams] = useSearchParams();
+  const reviewToken = searchParams.get('review_token');
   const [apartment, setApartment] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  useEffect(() => {
-    fetchApartment();
-  }, [id]);
+  // Dates the guest picked on the availability calendar
+  const [checkIn, setCheckIn] = useState(null);
+  const [checkOut, setCheckOut] = useState(null);
+  const [quote, setQuote] = useState(null);
+
+  // Which room's photos the gallery shows ('' = all)
+  const [room, setRoom] = useState('');
 
-  const fetchApartment = async () => {
+  const fetchApartment = useCallback(async () => {
     try {
       setLoading(true);
       const data = await apartmentAPI.getById(id);
@@ -29,6 +42,57 @@ function ApartmentDetails() {
     } finally {
       setLoading(false);
     }
+  }, [id]);
+
+  useEffect(() => {
+    fetchApartment();
+  }, [fetchApartment]);
+
+  const handleDatesChange = async (newCheckIn, newCheckOut) => {
+    setCheckIn(newCheckIn);
+    setCheckOut(newCheckOut);
+    setQuote(null);
+
+    // Once both dates are picked, price the stay (seasonal/weekend rates, discounts, fees)
+    if (newCheckIn && newCheckOut) {
+      try {
+        const data = await apartmentAPI.getQuote(id, newCheckIn, newCheckOut);
+        setQuote(data.quote);
+      } catch (err) {
+        console.error('Error fetching quote:', err);
+      }
+    }
+  };
+
+  // Pre-filled WhatsApp enquiry - includes the chosen dates when the guest has picked some
+  const buildWhatsAppLink = () => {
+    const lines = [
+      "Hi! I'm interested in this apartment:",
+      '',
+      `*${apartment.title}*`,
+      '',
+      `📍 Address: ${apartment.address}, ${apartment.city}`,
+      `💰 Price: ${formatPrice(apartment.price_per_night)}/night`,
+      `🛏️ ${apartment.bedrooms} Bedroom(s), ${apartment.bathrooms} Bathroom(s)`,
+      `👥 Max ${apartment.max_guests} guests`,
+      '',
+      `🔗 View details: ${window.location.href}`,
+      ''
+    ];
+
+    if (checkIn && checkOut) {
+      lines.push(
+        `📅 Check-in: ${formatDate(checkIn)}`,
+        `📅 Check-out: ${formatDate(checkOut)} (${getNightText(getNights(checkIn, checkOut))})`,
+        ...(quote ? [`💵 Quoted total: ${formatPrice(quote.total)} + ${formatPrice(quote.caution_deposit)} refundable deposit`] : []),
+        '',
+        'Is it available for these dates?'
+      );
+    } else {
+      lines.push('Is it available for my dates?');
+    }
+
+    return `https://wa.me/2348148510983?text=${encodeURIComponent(lines.join('\n'))}`;
   };
 
   if (loading) {
@@ -56,6 +120,10 @@ function ApartmentDetails() {
     );
   }
 
+  const images = apartment.images || [];
+  const roomsWithPhotos = IMAGE_ROOMS.filter(option => images.some(image => image.room === option.value));
+  const galleryImages = room ? images.filter(image => image.room === room) : images;
+
   return (
     <div className="min-h-screen bg-white">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -73,19 +141,58 @@ function ApartmentDetails() {
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Left Column - Images */}
           <div>
-            <ImageCarousel images={apartment.images} />
+            {/* Room filter - only rooms that have tagged photos get a button */}
+            {roomsWithPhotos.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-4" role="group" aria-label="Show photos of">
+                {[{ value: '', label: 'All photos' }, ...roomsWithPhotos].map(option => {
+                  const count = option.value
+                    ? images.filter(image => image.room === option.value).length
+                    : images.length;
+
+                  return (
+                    <button
+                      key={option.value || 'all'}
+                      onClick={() => setRoom(option.value)}
+                      aria-pressed={room === option.value}
+                      className={`px-3 py-1 rounded-full text-sm transition ${
+                        room === option.value
+                          ? 'bg-primary text-white'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label} ({count})
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+
+            {/* Keyed by room so the carousel starts again at the first photo */}
+            <ImageCarousel key={room} images={galleryImages} title={apartment.title} />
 
-            {/* Video (if available) */}
+            {/* Video tours (if any) - already in the order the admin chose */}
             {apartment.videos && apartment.videos.length > 0 && (
-              <div className="mt-6">
-                <h3 className="text-xl font-semibold mb-3">Video Tour</h3>
-                <video
-                  controls
-                  className="w-full rounded-xl"
-                  src={getImageUrl(apartment.videos[0].video_url)}
-                >
-                  Your browser does not support the video tag.
-                </video>
+              <div className="mt-6 space-y-6">
+                <h3 className="text-xl font-semibold">
+                  {apartment.videos.length === 1 ? 'Video Tour' : 'Video Tours'}
+                </h3>
+                {apartment.videos.map((video, index) => (
+                  <figure key={video.id}>
+                    <video
+                      controls
+                      preload={video.poster_url ? 'none' : 'metadata'}
+                      poster={video.poster_url ? getImageUrl(video.poster_url) : undefined}
+                      aria-label={video.title || `Video tour ${index + 1} of ${apartment.title}`}
+                      className="w-full rounded-xl bg-black"
+                      src={getImageUrl(video.video_url)}
+                    >
+                      Your browser does not support the video tag.
+                    </video>
+                    {video.title && (
+                      <figcaption className="mt-2 text-gray-700 font-medium">{video.title}</figcaption>
+                    )}
+                  </figure>
+                ))}
               </div>
             )}
           </div>
@@ -157,6 +264,25 @@ function ApartmentDetails() {
               </div>
             )}
 
+            {/* Reviews */}
+            <ReviewsSection apartmentId={apartment.id} reviewToken={reviewToken} />
+
+            {/* Location Map */}
+            {apartment.latitude !== null && apartment.longitude !== null && (
+              <div className="mb-6 pb-6 border-b">
+                <h2 className="text-2xl font-semibold mb-3">Location</h2>
+                <TileMap
+                  height={300}
+                  markers={[{
+                    id: apartment.id,
+                    lat: apartment.latitude,
+                    lng: apartment.longitude,
+                    label: apartment.title
+                  }]}
+                />
+              </div>
+            )}
+
             {/* Availability */}
             <div className="mb-6">
               <div className="flex items-center">
@@ -173,6 +299,80 @@ function ApartmentDetails() {
               </div>
             </div>
 
+            {/* Availability Calendar */}
+            <div className="mb-6">
+              <h2 className="text-2xl font-semibold mb-3">Check availability</h2>
+              <AvailabilityCalendar
+                apartmentId={apartment.id}
+                checkIn={checkIn}
+                checkOut={checkOut}
+                onChange={handleDatesChange}
+              />
+              <p className="text-sm text-gray-600 mt-3">
+                {checkIn && checkOut
+                  ? `${formatDate(checkIn)} → ${formatDate(checkOut)} · ${getNightText(getNights(checkIn, checkOut))}`
+                  : checkIn
+                    ? 'Now pick your check-out date'
+                    : 'Pick your check-in date'}
+              </p>
+
+              {/* Price Breakdown */}
+              {quote && (
+                <div className="mt-4 p-4 bg-gray-50 rounded-xl text-sm space-y-2">
+                  <div className="flex justify-between">
+                    <span>{getNightText(quote.number_of_nights)}</span>
+                    <span>{formatPrice(quote.subtotal)}</span>
+                  </div>
+                  {quote.discount && (
+                    <div className="flex justify-between text-green-700">
+                      <span>{quote.discount.name} ({quote.discount.percent}% off)</span>
+                      <span>−{formatPrice(quote.discount.amount)}</span>
+                    </div>
+                  )}
+                  {quote.cleaning_fee > 0 && (
+                    <div className="flex justify-between">
+                      <span>Cleaning fee</span>
+                      <span>{formatPrice(quote.cleaning_fee)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between font-semibold text-dark pt-2 border-t">
+                    <span>Total</span>
+                    <span>{formatPrice(quote.total)}</span>
+                  </div>
+                  {quote.caution_deposit > 0 && (
+                    <div className="flex justify-between text-gray-600">
+                      <span>Refundable caution deposit</span>
+                      <span>{formatPrice(quote.caution_deposit)}</span>
+                    </div>
+                  )}
+                  <details className="pt-2">
+                    <summary className="cursor-pointer text-primary">Nightly breakdown</summary>
+                    <ul className="mt-2 space-y-1">
+                      {quote.nights.map((night) => (
+                        <li key={night.date} className="flex justify-between text-gray-600">
+                          <span>
+                            {formatDate(night.date)}
+                            {night.adjustments.length > 0 && ` · ${night.adjustments.join(', ')}`}
+                          </span>
+                          <span>{formatPrice(night.price)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                </div>
+              )}
+            </div>
+
+            {/* Booking Request */}
+            <div className="mb-6 pb-6 border-b">
+              <h2 className="text-2xl font-semibold mb-3">Request to book</h2>
+              <BookingRequestForm
+                apartment={apartment}
+                checkIn={checkIn}
+                checkOut={checkOut}
+              />
+            </div>
+
             {/* Contact CTA */}
             <div className="bg-gray-50 p-6 rounded-xl">
               <h3 className="text-xl font-semibold mb-3">
@@ -183,7 +383,7 @@ function ApartmentDetails() {
               </p>
               <div className="space-y-2">
                 <a
-                  href={`https://wa.me/2348148510983?text=Hi!%20I'm%20interested%20in%20this%20apartment:%0A%0A*${encodeURIComponent(apartment.title)}*%0A%0A📍%20Address:%20${encodeURIComponent(apartment.address)},%20${encodeURIComponent(apartment.city)}%0A💰%20Price:%20${encodeURIComponent(formatPrice(apartment.price_per_night))}/night%0A🛏️%20${apartment.bedrooms}%20Bedroom(s),%20${apartment.bathrooms}%20Bathroom(s)%0A👥%20Max%20${apartment.max_guests}%20guests%0A%0A🔗%20View%20details:%20${encodeURIComponent(window.location.href)}%0A%0AIs%20it%20available%20for%20my%20dates?`}
+                  href={buildWhatsAppLink()}
                   target="_blank"
                   rel="noopener noreferrer"
                   className="flex items-center justify-center gap-2 w-full px-6 py-3 bg-green-500 text-white rounded-lg hover:bg-green-600 transition font-semibold"
@@ -1,90 +1,150 @@
 // src/pages/HomePage.jsx
 // Main landing page showing all available apartments
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { apartmentAPI } from '../services/api';
 import ApartmentCard from '../components/ApartmentCard';
+import TileMap from '../components/TileMap';
+import { formatPrice } from '../utils/formatters';
+
+// Apartments per page
+const PAGE_SIZE = 12;
+
+const defaultFilters = {
+  q: '', // full-text search from the hero search bar
+  maxPrice: null, // null = no upper limit
+  bedrooms: 'all',
+  guests: '',
+  checkIn: '',
+  checkOut: '',
+  near: '', // "lat,lng" from the "Near me" button
+  radiusKm: 10,
+  sort: '' // '' = let the API decide (best match when searching, featured first otherwise)
+};
 
 function HomePage() {
   const [apartments, setApartments] = useState([]);
-  const [filteredApartments, setFilteredApartments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Filter state
-  const [filters, setFilters] = useState({
-    minPrice: 0,
-    maxPrice: 200000,
-    bedrooms: 'all'
-  });
+  // Filter state - sent to the API, which does the filtering and sorting
+  const [filters, setFilters] = useState(defaultFilters);
+  const [page, setPage] = useState(1);
 
-  useEffect(() => {
-    fetchApartments();
-  }, []);
+  // Totals from the API response
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [priceRange, setPriceRange] = useState({ min: 0, max: 0 });
 
-  useEffect(() => {
-    applyFilters();
-  }, [filters, apartments]);
+  // What's typed in the hero search bar (only applied on submit)
+  const [searchText, setSearchText] = useState('');
+
+  // 'grid' or 'map'
+  const [viewMode, setViewMode] = useState('grid');
+  const [locating, setLocating] = useState(false);
 
-  const fetchApartments = async () => {
+  const hasFilters = JSON.stringify(filters) !== JSON.stringify(defaultFilters);
+
+  const fetchApartments = useCallback(async () => {
     try {
       setLoading(true);
-      const data = await apartmentAPI.getAll();
-      
-      // Sort apartments: featured first, then by date
-      const sorted = (data.apartments || []).sort((a, b) => {
-        // Featured apartments come first
-        if (a.featured && !b.featured) return -1;
-        if (!a.featured && b.featured) return 1;
-        
-        // Then sort by creation date (newest first)
-        return new Date(b.created_at) - new Date(a.created_at);
-      });
-      
-      setApartments(sorted);
+
+      const params = { page, limit: PAGE_SIZE };
+      if (filters.q) params.q = filters.q;
+      if (filters.sort) params.sort = filters.sort;
+      if (filters.near) {
+        params.near = filters.near;
+        params.radius_km = filters.radiusKm;
+      }
+      if (filters.maxPrice !== null) params.max_price = filters.maxPrice;
+      if (filters.bedrooms !== 'all') params.bedrooms = filters.bedrooms;
+      if (filters.guests) params.guests = filters.guests;
+      // Dates only filter once both are picked
+      if (filters.checkIn && filters.checkOut) {
+        params.check_in = filters.checkIn;
+        params.check_out = filters.checkOut;
+      }
+
+      const data = await apartmentAPI.getAll(params);
+
+      setApartments(data.apartments || []);
+      setTotal(data.total);
+      setTotalPages(data.totalPages);
+      setPriceRange(data.priceRange);
       setError(null);
     } catch (err) {
       console.error('Error fetching apartments:', err);
-      setError('Failed to load apartments. Please try again later.');
+      setError(err.response?.data?.message || 'Failed to load apartments. Please try again later.');
     } finally {
       setLoading(false);
     }
-  };
-
-  const applyFilters = () => {
-    let filtered = [...apartments];
+  }, [filters, page]);
 
-    // Filter by price range
-    filtered = filtered.filter(apt => 
-      apt.price_per_night >= filters.minPrice && 
-      apt.price_per_night <= filters.maxPrice
-    );
-
-    // Filter by bedrooms
-    if (filters.bedrooms !== 'all') {
-      filtered = filtered.filter(apt => 
-        apt.bedrooms === parseInt(filters.bedrooms)
-      );
-    }
-
-    setFilteredApartments(filtered);
-  };
+  // Wait for the user to stop dragging the price slider before fetching
+  useEffect(() => {
+    const timer = setTimeout(fetchApartments, 300);
+    return () => clearTimeout(timer);
+  }, [fetchApartments]);
 
   const handleFilterChange = (name, value) => {
     setFilters(prev => ({
       ...prev,
       [name]: value
     }));
+    setPage(1);
   };
 
   const resetFilters = () => {
-    setFilters({
-      minPrice: 0,
-      maxPrice: 200000,
-      bedrooms: 'all'
-    });
+    setFilters(defaultFilters);
+    setSearchText('');
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({
+      ...prev,
+      q: searchText.trim(),
+      // "Best match" makes more sense than a price/newest sort for a fresh search
+      sort: searchText.trim() ? '' : prev.sort
+    }));
+    setPage(1);
+    document.getElementById('apartments')?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  // Ask the browser where the guest is, then search around that point
+  const handleNearMe = () => {
+    if (!navigator.geolocation) {
+      alert('Your browser does not support location lookup');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        const { latitude, longitude } = position.coords;
+        handleFilterChange('near', `${latitude.toFixed(5)},${longitude.toFixed(5)}`);
+        setLocating(false);
+      },
+      (err) => {
+        console.error('Error getting location:', err);
+        alert('Could not get your location');
+        setLocating(false);
+      }
+    );
+  };
+
+  const changePage = (newPage) => {
+    setPage(newPage);
+    document.getElementById('apartments')?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  // Apartments on this page that can be pinned on the map
+  const mappedApartments = apartments.filter(apt => apt.latitude !== null && apt.longitude !== null);
+
+  // Nothing listed at all (as opposed to nothing matching the filters)
+  const noListings = !hasFilters && total === 0;
+
   return (
     <div className="min-h-screen">
       {/* Hero Section */}
@@ -100,6 +160,24 @@ function HomePage() {
             Experience comfort and luxury in our carefully curated selection of apartments. 
             Your home away from home awaits.
           </p>
+
+          {/* Search Bar */}
+          <form onSubmit={handleSearch} className="mt-8 max-w-2xl mx-auto flex gap-2" role="search">
+            <input
+              type="search"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder="Search by area, amenity or keyword - e.g. Maitama pool generator"
+              className="flex-1 px-5 py-3 rounded-lg text-dark focus:outline-none focus:ring-2 focus:ring-white"
+              aria-label="Search apartments"
+            />
+            <button
+              type="submit"
+              className="px-6 py-3 bg-dark text-white rounded-lg hover:bg-gray-800 transition font-semibold"
+            >
+              Search
+            </button>
+          </form>
         </div>
       </section>
 
@@ -111,9 +189,33 @@ function HomePage() {
           </h2>
 
           {/* Search & Filter */}
-          {!loading && apartments.length > 0 && (
+          {!noListings && (
             <div className="bg-white p-6 rounded-xl shadow-md mb-8">
               <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                {/* Dates */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Dates
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      type="date"
+                      value={filters.checkIn}
+                      onChange={(e) => handleFilterChange('checkIn', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                      aria-label="Check-in"
+                    />
+                    <input
+                      type="date"
+                      value={filters.checkOut}
+                      min={filters.checkIn}
+                      onChange={(e) => handleFilterChange('checkOut', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                      aria-label="Check-out"
+                    />
+                  </div>
+                </div>
+
                 {/* Price Range */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -122,23 +224,43 @@ function HomePage() {
                   <div className="space-y-2">
                     <input
                       type="range"
-                      min="0"
-                      max="200000"
+                      min={priceRange.min}
+                      max={priceRange.max}
                       step="5000"
-                      value={filters.maxPrice}
+                      value={filters.maxPrice ?? priceRange.max}
                       onChange={(e) => handleFilterChange('maxPrice', parseInt(e.target.value))}
                       className="w-full"
                     />
                     <div className="flex justify-between text-sm text-gray-600">
-                      <span>₦0</span>
+                      <span>{formatPrice(priceRange.min)}</span>
                       <span className="font-semibold text-primary">
-                        Up to ₦{filters.maxPrice.toLocaleString()}
+                        Up to {formatPrice(filters.maxPrice ?? priceRange.max)}
                       </span>
-                      <span>₦200,000+</span>
+                      <span>{formatPrice(priceRange.max)}</span>
                     </div>
                   </div>
                 </div>
 
+                {/* Sort */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Sort by
+                  </label>
+                  <select
+                    value={filters.sort}
+                    onChange={(e) => handleFilterChange('sort', e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                  >
+                    <option value="">
+                      {filters.q ? 'Best match' : filters.near ? 'Nearest first' : 'Featured first'}
+                    </option>
+                    {(filters.q || filters.near) && <option value="featured">Featured first</option>}
+                    <option value="newest">Newest</option>
+                    <option value="price_asc">Price: low to high</option>
+                    <option value="price_desc">Price: high to low</option>
+                  </select>
+                </div>
+
                 {/* Bedrooms Filter */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -150,13 +272,65 @@ function HomePage() {
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
                   >
                     <option value="all">All Bedrooms</option>
-                    <option value="1">1 Bedroom</option>
-                    <option value="2">2 Bedrooms</option>
-                    <option value="3">3 Bedrooms</option>
+                    <option value="1">1+ Bedrooms</option>
+                    <option value="2">2+ Bedrooms</option>
+                    <option value="3">3+ Bedrooms</option>
                     <option value="4">4+ Bedrooms</option>
                   </select>
                 </div>
 
+                {/* Guests Filter */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Guests
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={filters.guests}
+                    onChange={(e) => handleFilterChange('guests', e.target.value)}
+                    placeholder="Any"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                  />
+                </div>
+
+                {/* Location Filter */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Location
+                  </label>
+                  {filters.near ? (
+                    <div className="flex gap-2">
+                      <select
+                        value={filters.radiusKm}
+                        onChange={(e) => handleFilterChange('radiusKm', parseInt(e.target.value))}
+                        className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                        aria-label="Distance"
+                      >
+                        <option value="2">Within 2 km</option>
+                        <option value="5">Within 5 km</option>
+                        <option value="10">Within 10 km</option>
+                        <option value="25">Within 25 km</option>
+                      </select>
+                      <button
+                        onClick={() => handleFilterChange('near', '')}
+                        className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                        aria-label="Clear location"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={handleNearMe}
+                      disabled={locating}
+                      className="w-full px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+                    >
+                      {locating ? 'Locating...' : '📍 Near me'}
+                    </button>
+                  )}
+                </div>
+
                 {/* Reset Button */}
                 <div className="flex items-end">
                   <button
@@ -168,15 +342,30 @@ function HomePage() {
                 </div>
               </div>
 
-              {/* Results Count */}
-              <div className="mt-4 text-sm text-gray-600">
-                Showing <span className="font-semibold text-dark">{filteredApartments.length}</span> of <span className="font-semibold text-dark">{apartments.length}</span> apartments
+              {/* Results Count + View Toggle */}
+              <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+                <div>
+                  <span className="font-semibold text-dark">{total}</span> {total === 1 ? 'apartment' : 'apartments'}
+                  {filters.q ? ` matching "${filters.q}"` : hasFilters ? ' match your filters' : ''}
+                </div>
+                <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                  {['grid', 'map'].map((mode) => (
+                    <button
+                      key={mode}
+                      onClick={() => setViewMode(mode)}
+                      className={`px-4 py-1 capitalize transition ${viewMode === mode ? 'bg-primary text-white' : 'hover:bg-gray-50'}`}
+                      aria-pressed={viewMode === mode}
+                    >
+                      {mode === 'grid' ? '▦ Grid' : '🗺️ Map'}
+                    </button>
+                  ))}
+                </div>
               </div>
             </div>
           )}
 
-          {/* Loading State */}
-          {loading && (
+          {/* Loading State (first load only - later loads just fade the grid) */}
+          {loading && apartments.length === 0 && (
             <div className="flex justify-center items-center py-20">
               <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
             </div>
@@ -190,7 +379,7 @@ function HomePage() {
           )}
 
           {/* No Apartments */}
-          {!loading && !error && apartments.length === 0 && (
+          {!loading && !error && noListings && (
             <div className="text-center py-20">
               <svg
                 className="mx-auto h-24 w-24 text-gray-400 mb-4"
@@ -215,7 +404,7 @@ function HomePage() {
           )}
 
           {/* No Results from Filter */}
-          {!loading && !error && apartments.length > 0 && filteredApartments.length === 0 && (
+          {!loading && !error && hasFilters && total === 0 && (
             <div className="text-center py-20">
               <svg
                 className="mx-auto h-24 w-24 text-gray-400 mb-4"
@@ -245,14 +434,59 @@ function HomePage() {
             </div>
           )}
 
+          {/* Apartments Map */}
+          {!error && apartments.length > 0 && viewMode === 'map' && (
+            <div className={`transition ${loading ? 'opacity-50' : ''}`}>
+              <TileMap
+                key={mappedApartments.map(apt => apt.id).join(',')}
+                height={520}
+                markers={mappedApartments.map(apt => ({
+                  id: apt.id,
+                  lat: apt.latitude,
+                  lng: apt.longitude,
+                  label: formatPrice(apt.price_per_night),
+                  to: `/apartments/${apt.id}`
+                }))}
+              />
+              {mappedApartments.length < apartments.length && (
+                <p className="mt-2 text-sm text-gray-500">
+                  {apartments.length - mappedApartments.length} of these apartments have no map location yet
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Apartments Grid */}
-          {!loading && !error && filteredApartments.length > 0 && (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-              {filteredApartments.map((apartment) => (
+          {!error && apartments.length > 0 && viewMode === 'grid' && (
+            <div className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 transition ${loading ? 'opacity-50' : ''}`}>
+              {apartments.map((apartment) => (
                 <ApartmentCard key={apartment.id} apartment={apartment} />
               ))}
             </div>
           )}
+
+          {/* Pagination */}
+          {!error && totalPages > 1 && (
+            <div className="flex justify-center items-center gap-4 mt-10">
+              <button
+                onClick={() => changePage(page - 1)}
+                disabled={page === 1}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {page} of {totalPages}
+              </span>
+              <button
+                onClick={() => changePage(page + 1)}
+                disabled={page === totalPages}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </section>
 
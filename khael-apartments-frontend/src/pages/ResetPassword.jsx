@@ -0,0 +1,155 @@
+// src/pages/ResetPassword.jsx
+// "Forgot password" page for admins
+// Without ?token= it asks for a username/email and emails a reset link
+// With ?token= (the link from that email) it lets the admin pick a new password
+
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { MIN_PASSWORD_LENGTH } from '../utils/constants';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [doneMessage, setDoneMessage] = useState('');
+
+  // Step 1: ask for a reset link
+  const handleRequestLink = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError('');
+      const data = await authAPI.forgotPassword(username.trim());
+      setDoneMessage(data.message);
+    } catch (err) {
+      console.error('Error requesting password reset:', err);
+      setError(err.response?.data?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Step 2: set the new password
+  const handleReset = async (e) => {
+    e.preventDefault();
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Your new password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    if (password !== confirm) {
+      setError('The passwords do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const data = await authAPI.resetPassword(token, password);
+      setDoneMessage(data.message);
+    } catch (err) {
+      console.error('Error resetting password:', err);
+      setError(err.response?.data?.message || 'Failed to reset your password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent transition';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary/10 to-secondary/10 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full">
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          {/* Header */}
+          <div className="text-center mb-8">
+            <h2 className="text-3xl font-bold text-dark">
+              {token ? 'Choose a New Password' : 'Forgot Password'}
+            </h2>
+            <p className="text-gray-600 mt-2">
+              {token
+                ? 'Enter the new password for your admin account'
+                : "Enter your username or email and we'll send you a reset link"}
+            </p>
+          </div>
+
+          {/* Error Message */}
+          {error && (
+            <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+              {error}
+            </div>
+          )}
+
+          {doneMessage ? (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-800">
+              ✅ {doneMessage}
+            </div>
+          ) : token ? (
+            <form onSubmit={handleReset} className="space-y-4">
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoComplete="new-password"
+                placeholder={`New password (at least ${MIN_PASSWORD_LENGTH} characters)`}
+                className={inputClass}
+              />
+              <input
+                type="password"
+                value={confirm}
+                onChange={(e) => setConfirm(e.target.value)}
+                required
+                autoComplete="new-password"
+                placeholder="Confirm new password"
+                className={inputClass}
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 px-4 bg-primary text-white font-semibold rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+              >
+                {loading ? 'Saving...' : 'Reset Password'}
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleRequestLink} className="space-y-4">
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                required
+                autoComplete="username"
+                placeholder="Username or email"
+                className={inputClass}
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 px-4 bg-primary text-white font-semibold rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+              >
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link to="/admin/login" className="text-sm text-primary hover:text-red-600 transition">
+              ← Back to Login
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
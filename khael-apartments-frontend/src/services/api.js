@@ -25,15 +25,79 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// ===========================
+// SESSION TOKENS
+// ===========================
+// adminToken: short-lived access token sent with every request
+// adminRefreshToken: swapped for a new access token when that expires (single-use - it rotates)
+
+function saveTokens({ token, refresh_token }) {
+  localStorage.setItem('adminToken', token);
+  localStorage.setItem('adminRefreshToken', refresh_token);
+}
+
+function clearTokens() {
+  localStorage.removeItem('adminToken');
+  localStorage.removeItem('adminRefreshToken');
+}
+
+// Only one refresh at a time - if several requests fail together they all wait for the same one
+let refreshPromise = null;
+
+function refreshAccessToken() {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('adminRefreshToken');
+
+    // Plain axios (not `api`) so a failed refresh doesn't loop back into this interceptor
+    refreshPromise = axios
+      .post(`${API_URL}/admin/refresh`, { refresh_token: refreshToken })
+      .then((response) => {
+        saveTokens(response.data);
+        return response.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have refreshed first with the same token - use what it saved
+        const latestRefreshToken = localStorage.getItem('adminRefreshToken');
+        if (latestRefreshToken && latestRefreshToken !== refreshToken) {
+          return localStorage.getItem('adminToken');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
 // Handle response errors globally
+// When the access token has expired, quietly get a new one and retry the request,
+// so an admin in the middle of editing isn't thrown back to the login page
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    // If token is invalid/expired, clear it and redirect to login
-    if (error.response?.status === 401) {
-      localStorage.removeItem('adminToken');
-      window.location.href = '/admin/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = ['/admin/login', '/admin/login/2fa', '/admin/logout'].includes(originalRequest?.url);
+
+    if (error.response?.status !== 401 || isAuthRequest) {
+      return Promise.reject(error);
     }
+
+    if (!originalRequest._retried && localStorage.getItem('adminRefreshToken')) {
+      originalRequest._retried = true;
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.error('Session refresh failed:', refreshError);
+      }
+    }
+
+    // The session is really over - clear it and go back to login
+    clearTokens();
+    window.location.href = '/admin/login';
     return Promise.reject(error);
   }
 );
@@ -43,9 +107,23 @@ api.interceptors.response.use(
 // ===========================
 
 export const authAPI = {
-  // Login
+  // Login - saves the access + refresh tokens
+  // With two-factor on there are no tokens yet: the response has two_factor_required + challenge_token
   login: async (username, password) => {
     const response = await api.post('/admin/login', { username, password });
+    if (!response.data.two_factor_required) {
+      saveTokens(response.data);
+    }
+    return response.data;
+  },
+
+  // Second login step - { code } from the authenticator app or { recoveryCode }; saves the tokens
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/admin/login/2fa', {
+      challenge_token: challengeToken,
+      ...(recoveryCode ? { recovery_code: recoveryCode } : { code }),
+    });
+    saveTokens(response.data);
     return response.data;
   },
 
@@ -55,9 +133,85 @@ export const authAPI = {
     return response.data;
   },
 
-  // Logout (just clear local storage)
-  logout: () => {
-    localStorage.removeItem('adminToken');
+  // Change your own password (needs the current one)
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.post('/admin/password', {
+      current_password: currentPassword,
+      new_password: newPassword,
+    });
+    return response.data;
+  },
+
+  // Email a reset link - accepts a username or email address
+  forgotPassword: async (username) => {
+    const response = await api.post('/admin/password/forgot', { username });
+    return response.data;
+  },
+
+  // Set a new password with the token from the reset link
+  resetPassword: async (token, password) => {
+    const response = await api.post('/admin/password/reset', { token, password });
+    return response.data;
+  },
+
+  // Logout - ends this device's session on the server, then clears local storage
+  logout: async () => {
+    const refreshToken = localStorage.getItem('adminRefreshToken');
+    try {
+      if (refreshToken) {
+        await api.post('/admin/logout', { refresh_token: refreshToken });
+      }
+    } catch (err) {
+      // Still log out locally even if the server can't be reached
+      console.error('Error logging out:', err);
+    } finally {
+      clearTokens();
+    }
+  },
+
+  // Sign out all devices - ends every session of this admin (including this one)
+  logoutAll: async () => {
+    const response = await api.post('/admin/logout-all');
+    clearTokens();
+    return response.data;
+  },
+};
+
+// ===========================
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
+// ===========================
+// For the logged-in admin's own account
+
+export const twoFactorAPI = {
+  // { enabled, recovery_codes_remaining }
+  getStatus: async () => {
+    const response = await api.get('/admin/2fa');
+    return response.data;
+  },
+
+  // Start setup - returns { secret, otpauth_url, qr_code }
+  setup: async () => {
+    const response = await api.post('/admin/2fa/setup');
+    return response.data;
+  },
+
+  // Finish setup with a code from the app - returns { recovery_codes }
+  enable: async (code) => {
+    const response = await api.post('/admin/2fa/enable', { code });
+    return response.data;
+  },
+
+  // Turn 2FA off (needs the admin's password, and a code from the app or a recovery code)
+  disable: async (password, code) => {
+    const body = /^\d{6}$/.test(code) ? { password, code } : { password, recovery_code: code };
+    const response = await api.post('/admin/2fa/disable', body);
+    return response.data;
+  },
+
+  // Replace the recovery codes (needs the admin's password) - returns { recovery_codes }
+  regenerateRecoveryCodes: async (password) => {
+    const response = await api.post('/admin/2fa/recovery-codes', { password });
+    return response.data;
   },
 };
 
@@ -67,8 +221,9 @@ export const authAPI = {
 
 export const apartmentAPI = {
   // Get all apartments (public)
-  getAll: async () => {
-    const response = await api.get('/apartments');
+  // params: search filters, sort and page/limit - e.g. { city: 'Abuja', bedrooms: 2, sort: 'price_asc', page: 1, limit: 12 }
+  getAll: async (params = {}) => {
+    const response = await api.get('/apartments', { params });
     return response.data;
   },
 
@@ -78,6 +233,20 @@ export const apartmentAPI = {
     return response.data;
   },
 
+  // Get night-by-night availability (public) - from/to are 'YYYY-MM-DD', to is exclusive
+  getAvailability: async (id, from, to) => {
+    const response = await api.get(`/apartments/${id}/availability`, { params: { from, to } });
+    return response.data;
+  },
+
+  // Get an itemised price for a stay (public)
+  getQuote: async (id, checkIn, checkOut, guests = 1) => {
+    const response = await api.get(`/apartments/${id}/quote`, {
+      params: { check_in: checkIn, check_out: checkOut, guests },
+    });
+    return response.data;
+  },
+
   // Create new apartment (admin only)
   create: async (apartmentData) => {
     const response = await api.post('/apartments', apartmentData);
@@ -90,12 +259,42 @@ export const apartmentAPI = {
     return response.data;
   },
 
-  // Delete apartment (admin only)
-  delete: async (id) => {
+  // Archive apartment - hidden from the site, can be restored (admin only)
+  archive: async (id) => {
     const response = await api.delete(`/apartments/${id}`);
     return response.data;
   },
 
+  // Get archived apartments (admin only)
+  getArchived: async () => {
+    const response = await api.get('/apartments/archived');
+    return response.data;
+  },
+
+  // Put an archived apartment back on the site (admin only)
+  unarchive: async (id) => {
+    const response = await api.post(`/apartments/${id}/unarchive`);
+    return response.data;
+  },
+
+  // Delete an archived apartment for good, with its photos/videos (admin only)
+  purge: async (id) => {
+    const response = await api.delete(`/apartments/${id}/purge`);
+    return response.data;
+  },
+
+  // Get every saved version of a listing, newest first (admin only)
+  getRevisions: async (id) => {
+    const response = await api.get(`/apartments/${id}/revisions`);
+    return response.data;
+  },
+
+  // Put an old version of a listing back (admin only) - saved as a new revision
+  restoreRevision: async (id, revision) => {
+    const response = await api.post(`/apartments/${id}/revisions/${revision}/restore`);
+    return response.data;
+  },
+
   // Upload images (admin only)
   uploadImages: async (apartmentId, files) => {
     const formData = new FormData();
@@ -111,10 +310,12 @@ export const apartmentAPI = {
     return response.data;
   },
 
-  // Upload video (admin only)
-  uploadVideo: async (apartmentId, file) => {
+  // Upload video, with an optional title and poster image (admin only)
+  uploadVideo: async (apartmentId, file, { title = '', poster = null } = {}) => {
     const formData = new FormData();
     formData.append('video', file);
+    formData.append('title', title);
+    if (poster) formData.append('poster', poster);
 
     const response = await api.post(`/apartments/${apartmentId}/videos`, formData, {
       headers: {
@@ -124,6 +325,34 @@ export const apartmentAPI = {
     return response.data;
   },
 
+  // Change a video - any of: title, file (replacement video), poster (new image), removePoster (admin only)
+  updateVideo: async (apartmentId, videoId, { title, file, poster, removePoster } = {}) => {
+    const formData = new FormData();
+    if (title !== undefined) formData.append('title', title);
+    if (file) formData.append('video', file);
+    if (poster) formData.append('poster', poster);
+    if (removePoster) formData.append('remove_poster', 'true');
+
+    const response = await api.put(`/apartments/${apartmentId}/videos/${videoId}`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data;
+  },
+
+  // Delete video - also removes the file from storage (admin only)
+  deleteVideo: async (apartmentId, videoId) => {
+    const response = await api.delete(`/apartments/${apartmentId}/videos/${videoId}`);
+    return response.data;
+  },
+
+  // Put an apartment's videos in a new order - videoIds lists every video, first to last (admin only)
+  reorderVideos: async (apartmentId, videoIds) => {
+    const response = await api.put(`/apartments/${apartmentId}/videos/order`, { video_ids: videoIds });
+    return response.data;
+  },
+
   // Delete image (admin only)
   deleteImage: async (apartmentId, imageId) => {
     const response = await api.delete(`/apartments/${apartmentId}/images/${imageId}`);
@@ -136,6 +365,18 @@ export const apartmentAPI = {
     return response.data;
   },
 
+  // Edit a photo's caption, alt text and room tag - send only the fields to change (admin only)
+  updateImage: async (apartmentId, imageId, details) => {
+    const response = await api.put(`/apartments/${apartmentId}/images/${imageId}`, details);
+    return response.data;
+  },
+
+  // Put an apartment's photos in a new order - imageIds lists every photo, first to last (admin only)
+  reorderImages: async (apartmentId, imageIds) => {
+    const response = await api.put(`/apartments/${apartmentId}/images/order`, { image_ids: imageIds });
+    return response.data;
+  },
+
   // Get statistics (admin only)
   getStatistics: async () => {
     const response = await api.get('/apartments/statistics');
@@ -143,5 +384,237 @@ export const apartmentAPI = {
   },
 };
 
+// ===========================
+// BOOKING ENDPOINTS (admin only)
+// ===========================
+
+export const bookingAPI = {
+  // Get bookings for an apartment (optional filters: { from, to, status })
+  getAll: async (apartmentId, params = {}) => {
+    const response = await api.get(`/apartments/${apartmentId}/bookings`, { params });
+    return response.data;
+  },
+
+  // Create a booking or block dates
+  create: async (apartmentId, bookingData) => {
+    const response = await api.post(`/apartments/${apartmentId}/bookings`, bookingData);
+    return response.data;
+  },
+
+  // Update a booking (dates, guest details or status)
+  update: async (apartmentId, bookingId, bookingData) => {
+    const response = await api.put(`/apartments/${apartmentId}/bookings/${bookingId}`, bookingData);
+    return response.data;
+  },
+
+  // Delete a booking
+  delete: async (apartmentId, bookingId) => {
+    const response = await api.delete(`/apartments/${apartmentId}/bookings/${bookingId}`);
+    return response.data;
+  },
+};
+
+// ===========================
+// PRICING RULE ENDPOINTS (admin only)
+// ===========================
+
+export const pricingAPI = {
+  // Get pricing rules for an apartment
+  getRules: async (apartmentId) => {
+    const response = await api.get(`/apartments/${apartmentId}/pricing-rules`);
+    return response.data;
+  },
+
+  // Add a pricing rule
+  createRule: async (apartmentId, ruleData) => {
+    const response = await api.post(`/apartments/${apartmentId}/pricing-rules`, ruleData);
+    return response.data;
+  },
+
+  // Delete a pricing rule
+  deleteRule: async (apartmentId, ruleId) => {
+    const response = await api.delete(`/apartments/${apartmentId}/pricing-rules/${ruleId}`);
+    return response.data;
+  },
+};
+
+// ===========================
+// CALENDAR SYNC ENDPOINTS (iCal import/export)
+// ===========================
+
+export const calendarAPI = {
+  // Public .ics URL to paste into Airbnb / Booking.com
+  getExportUrl: (apartmentId) => `${API_URL}/apartments/${apartmentId}/calendar.ics`,
+
+  // List imported feeds for an apartment (admin only)
+  getFeeds: async (apartmentId) => {
+    const response = await api.get(`/apartments/${apartmentId}/calendar-feeds`);
+    return response.data;
+  },
+
+  // Add an external feed (admin only) - it is synced straight away
+  addFeed: async (apartmentId, feedData) => {
+    const response = await api.post(`/apartments/${apartmentId}/calendar-feeds`, feedData);
+    return response.data;
+  },
+
+  // Sync one feed now (admin only)
+  syncFeed: async (apartmentId, feedId) => {
+    const response = await api.post(`/apartments/${apartmentId}/calendar-feeds/${feedId}/sync`);
+    return response.data;
+  },
+
+  // Remove a feed and its imported blocks (admin only)
+  deleteFeed: async (apartmentId, feedId) => {
+    const response = await api.delete(`/apartments/${apartmentId}/calendar-feeds/${feedId}`);
+    return response.data;
+  },
+};
+
+// ===========================
+// BOOKING REQUEST ENDPOINTS
+// ===========================
+
+export const bookingRequestAPI = {
+  // Send a booking request from the apartment page (public)
+  create: async (apartmentId, requestData) => {
+    const response = await api.post(`/apartments/${apartmentId}/booking-requests`, requestData);
+    return response.data;
+  },
+
+  // List requests across all apartments (admin only) - pass status to filter
+  getAll: async (status) => {
+    const response = await api.get('/booking-requests', { params: status ? { status } : {} });
+    return response.data;
+  },
+
+  // Approve a request - creates a confirmed booking (admin only)
+  approve: async (requestId) => {
+    const response = await api.put(`/booking-requests/${requestId}/approve`);
+    return response.data;
+  },
+
+  // Decline a request with a reason (admin only)
+  decline: async (requestId, reason) => {
+    const response = await api.put(`/booking-requests/${requestId}/decline`, { reason });
+    return response.data;
+  },
+
+  // Mark a request as expired (admin only)
+  expire: async (requestId) => {
+    const response = await api.put(`/booking-requests/${requestId}/expire`);
+    return response.data;
+  },
+};
+
+// ===========================
+// REVIEW ENDPOINTS
+// ===========================
+
+export const reviewAPI = {
+  // Approved reviews + average ratings for an apartment (public)
+  getForApartment: async (apartmentId) => {
+    const response = await api.get(`/apartments/${apartmentId}/reviews`);
+    return response.data;
+  },
+
+  // Submit a review (public) - needs { token } or { booking_id, contact }
+  submit: async (apartmentId, reviewData) => {
+    const response = await api.post(`/apartments/${apartmentId}/reviews`, reviewData);
+    return response.data;
+  },
+
+  // Moderation queue across all apartments (admin only) - pass status to filter
+  getAll: async (status) => {
+    const response = await api.get('/reviews', { params: status ? { status } : {} });
+    return response.data;
+  },
+
+  // Publish a review (admin only)
+  approve: async (reviewId) => {
+    const response = await api.put(`/reviews/${reviewId}/approve`);
+    return response.data;
+  },
+
+  // Hide a review (admin only)
+  reject: async (reviewId) => {
+    const response = await api.put(`/reviews/${reviewId}/reject`);
+    return response.data;
+  },
+
+  // Delete a review (admin only)
+  delete: async (reviewId) => {
+    const response = await api.delete(`/reviews/${reviewId}`);
+    return response.data;
+  },
+
+  // Create a one-time review link for a guest (admin only)
+  createToken: async (apartmentId, tokenData) => {
+    const response = await api.post(`/apartments/${apartmentId}/review-tokens`, tokenData);
+    return response.data;
+  },
+};
+
+// ===========================
+// ADMIN USER ENDPOINTS (owners only)
+// ===========================
+
+export const adminUserAPI = {
+  // List every admin and their role
+  getAll: async () => {
+    const response = await api.get('/admin/users');
+    return response.data;
+  },
+
+  // Add an admin - { username, password, role }
+  create: async (adminData) => {
+    const response = await api.post('/admin/users', adminData);
+    return response.data;
+  },
+
+  // Change an admin's username, password and/or role
+  update: async (userId, adminData) => {
+    const response = await api.put(`/admin/users/${userId}`, adminData);
+    return response.data;
+  },
+
+  // Remove an admin
+  delete: async (userId) => {
+    const response = await api.delete(`/admin/users/${userId}`);
+    return response.data;
+  },
+
+  // Turn off 2FA for an admin who lost their authenticator app and recovery codes
+  resetTwoFactor: async (userId) => {
+    const response = await api.delete(`/admin/users/${userId}/2fa`);
+    return response.data;
+  },
+
+  // Let an admin who was locked out by failed logins try again
+  unlock: async (userId) => {
+    const response = await api.post(`/admin/users/${userId}/unlock`);
+    return response.data;
+  },
+
+  // Recent login attempts - params: { success: 0 | 1, username, page, limit }
+  getLoginLog: async (params = {}) => {
+    const response = await api.get('/admin/login-log', { params });
+    return response.data;
+  },
+};
+
 // Export the axios instance for custom requests if needed
+// ===========================
+// ACTIVITY LOG ENDPOINTS
+// ===========================
+
+export const auditAPI = {
+  // Admin changes, newest first
+  // params: { admin_id, action, entity_type, apartment_id, from, to, page, limit }
+  getAll: async (params = {}) => {
+    const response = await api.get('/admin/audit', { params });
+    return response.data;
+  },
+};
+
 export default api;
\ No newline at end of file
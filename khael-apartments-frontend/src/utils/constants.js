@@ -0,0 +1,37 @@
+// src/utils/constants.js
+// Fixed lists shared by several components
+
+// The four things every review rates from 1 to 5 (matches the backend's RATING_CATEGORIES)
+export const RATING_CATEGORIES = [
+  { key: 'cleanliness', label: 'Cleanliness' },
+  { key: 'location', label: 'Location' },
+  { key: 'value', label: 'Value' },
+  { key: 'communication', label: 'Communication' }
+];
+
+// Admin roles (matches the backend's src/utils/roles.js)
+export const ADMIN_ROLES = [
+  { value: 'owner', label: 'Owner', description: 'Everything, including adding and removing admins' },
+  { value: 'manager', label: 'Manager', description: 'Bookings, requests, pricing, calendar sync, reviews and the activity log' },
+  { value: 'staff', label: 'Staff', description: 'Apartment listings, photos and videos' }
+];
+
+// Which roles can use each part of the dashboard
+export const ROLE_ACCESS = {
+  listings: ['owner', 'manager', 'staff'],
+  bookings: ['owner', 'manager'],
+  audit: ['owner', 'manager'],
+  users: ['owner']
+};
+
+// Rooms a photo can be tagged with (matches the backend's IMAGE_ROOMS in src/utils/images.js)
+export const IMAGE_ROOMS = [
+  { value: 'bedroom', label: 'Bedroom' },
+  { value: 'living_room', label: 'Living room' },
+  { value: 'kitchen', label: 'Kitchen' },
+  { value: 'bathroom', label: 'Bathroom' },
+  { value: 'exterior', label: 'Exterior' }
+];
+
+// Matches the backend's MIN_PASSWORD_LENGTH (src/utils/passwords.js)
+export const MIN_PASSWORD_LENGTH = 8;
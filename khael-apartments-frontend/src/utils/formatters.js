@@ -17,14 +17,39 @@ export const formatPrice = (amount) => {
 
 /**
  * Format date to readable string
- * @param {string} dateString - ISO date string
+ * @param {string} dateString - ISO date string (or a plain 'YYYY-MM-DD' booking date)
  * @returns {string} Formatted date (e.g., "Jan 15, 2026")
  */
 export const formatDate = (dateString) => {
-  return new Date(dateString).toLocaleDateString('en-US', {
+  // Plain dates are parsed as local midnight, otherwise they can shift by a day
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString)
+    ? new Date(`${dateString}T00:00:00`)
+    : new Date(dateString);
+
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+/**
+ * Format a timestamp with the time of day
+ * @param {string} dateString - SQLite timestamp ('YYYY-MM-DD HH:MM:SS', stored in UTC) or ISO string
+ * @returns {string} Formatted date and time in the browser's timezone (e.g., "Jan 15, 2026, 2:30 PM")
+ */
+export const formatDateTime = (dateString) => {
+  // SQLite's CURRENT_TIMESTAMP is UTC but has no timezone marker - add one so it isn't read as local time
+  const date = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(dateString)
+    ? new Date(`${dateString.replace(' ', 'T')}Z`)
+    : new Date(dateString);
+
+  return date.toLocaleString('en-US', {
     year: 'numeric',
     month: 'short',
     day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
   });
 };
 
@@ -42,12 +67,17 @@ export const truncateText = (text, maxLength = 100) => {
 
 /**
  * Get full image URL
- * @param {string} imageUrl - Image URL (Cloudinary or local)
+ * @param {string|Object} image - Image URL (Cloudinary or local), or a photo from the API
+ * @param {string} variant - For photos: which size to use - 'thumbnail', 'card' or 'full' (default: the original)
  * @returns {string} Full URL
  */
-export const getImageUrl = (imageUrl) => {
-  // If it's already a full URL (Cloudinary), return as-is
-  if (imageUrl && (imageUrl.startsWith('http://') || imageUrl.startsWith('https://'))) {
+export const getImageUrl = (image, variant) => {
+  const imageUrl = typeof image === 'string'
+    ? image
+    : image?.variants?.[variant]?.url || image?.image_url;
+
+  // If it's already a full URL (Cloudinary) or inline data (blur placeholders), return as-is
+  if (imageUrl && /^(https?:|data:)/.test(imageUrl)) {
     return imageUrl;
   }
   
@@ -56,6 +86,41 @@ export const getImageUrl = (imageUrl) => {
   return `${baseUrl}${imageUrl}`;
 };
 
+/**
+ * Build an <img srcset> from a photo's sizes (the API sends them smallest first)
+ * @param {Object} image - A photo from the API
+ * @returns {string|undefined} e.g. "https://.../a-thumbnail.jpg 200w, https://.../a-card.jpg 600w"
+ *   undefined when the sizes aren't known, so the browser just uses src
+ */
+export const getImageSrcSet = (image) => {
+  if (!image?.srcset || image.srcset.length === 0) return undefined;
+  return image.srcset.map(size => `${getImageUrl(size.url)} ${size.width}w`).join(', ');
+};
+
+/**
+ * Turn a Date into a plain 'YYYY-MM-DD' string (local calendar day)
+ * This is the format the API uses for all booking dates
+ * @param {Date} date - Date to convert
+ * @returns {string} e.g. "2026-01-15"
+ */
+export const toISODate = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Count the nights between two 'YYYY-MM-DD' dates
+ * @param {string} checkIn - First night
+ * @param {string} checkOut - Departure day
+ * @returns {number} Number of nights
+ */
+export const getNights = (checkIn, checkOut) => {
+  const msPerDay = 24 * 60 * 60 * 1000;
+  return Math.round((new Date(`${checkOut}T00:00:00Z`) - new Date(`${checkIn}T00:00:00Z`)) / msPerDay);
+};
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -84,6 +149,15 @@ export const getBedroomText = (count) => {
   return `${count} ${count === 1 ? 'bedroom' : 'bedrooms'}`;
 };
 
+/**
+ * Get night text (singular/plural)
+ * @param {number} count - Number of nights
+ * @returns {string} "1 night" or "2 nights"
+ */
+export const getNightText = (count) => {
+  return `${count} ${count === 1 ? 'night' : 'nights'}`;
+};
+
 /**
  * Get bathroom text (singular/plural)
  * @param {number} count - Number of bathrooms